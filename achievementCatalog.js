@@ -0,0 +1,142 @@
+/**
+ * Achievement Catalog
+ * Every achievement is defined once in achievements.json as a condition over
+ * the stats of a finished run. The server evaluates the catalog when a game
+ * completes and keeps a progress counter per player and achievement, so the
+ * same definitions drive unlocks, progress bars and the client's unlock toasts.
+ *
+ * Conditions:
+ *   { scope: 'run', stat, target }      - reach target in a single game
+ *   { scope: 'lifetime', stat, target } - reach target summed across games
+ */
+
+export const ACHIEVEMENT_CATALOG_VERSION = 1;
+
+export const ACHIEVEMENT_SCOPES = ['run', 'lifetime'];
+
+// Stats of a finished run, named as the score submission sends them.
+// `games` is always 1, so a lifetime condition on it counts games played.
+export const RUN_STATS = [
+    'games',
+    'score',
+    'time_played',
+    'collectibles_collected',
+    'power_ups_collected',
+    'distance_traveled',
+    'max_combo'
+];
+
+export class AchievementCatalogError extends Error {
+    constructor(errors) {
+        super(`Invalid achievement catalog: ${errors.join('; ')}`);
+        this.name = 'AchievementCatalogError';
+        this.errors = errors;
+    }
+}
+
+// Returns a list of problems with a catalog, empty when it is usable
+export function validateAchievementCatalog(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.achievements)) {
+        return ['catalog must be an object with an achievements array'];
+    }
+
+    const errors = [];
+    if (data.version !== ACHIEVEMENT_CATALOG_VERSION) {
+        errors.push(`unsupported catalog version ${data.version} (expected ${ACHIEVEMENT_CATALOG_VERSION})`);
+    }
+
+    const ids = new Set();
+    data.achievements.forEach((achievement, index) => {
+        const label = `achievement ${achievement?.id ?? index}`;
+        if (!achievement || typeof achievement !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+
+        // Ids are stored in user_achievements, so they can never be renamed
+        if (typeof achievement.id !== 'string' || !/^[a-z0-9_]{1,50}$/.test(achievement.id)) {
+            errors.push(`${label}: id must be up to 50 lowercase letters, numbers or _`);
+        } else if (ids.has(achievement.id)) {
+            errors.push(`${label}: duplicate id`);
+        }
+        ids.add(achievement.id);
+
+        for (const field of ['name', 'description', 'icon']) {
+            if (typeof achievement[field] !== 'string' || achievement[field].trim() === '') {
+                errors.push(`${label}: ${field} is required`);
+            }
+        }
+
+        const condition = achievement.condition;
+        if (!condition || typeof condition !== 'object') {
+            errors.push(`${label}: condition is required`);
+            return;
+        }
+        if (!ACHIEVEMENT_SCOPES.includes(condition.scope)) {
+            errors.push(`${label}: condition scope must be one of ${ACHIEVEMENT_SCOPES.join(', ')}`);
+        }
+        if (!RUN_STATS.includes(condition.stat)) {
+            errors.push(`${label}: condition stat must be one of ${RUN_STATS.join(', ')}`);
+        }
+        if (!Number.isInteger(condition.target) || condition.target < 1) {
+            errors.push(`${label}: condition target must be a positive integer`);
+        }
+    });
+
+    return errors;
+}
+
+function getRunStat(runStats, stat) {
+    if (stat === 'games') return 1;
+    const value = Math.floor(Number(runStats[stat]));
+    return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+export default class AchievementCatalog {
+    constructor(data) {
+        const errors = validateAchievementCatalog(data);
+        if (errors.length > 0) {
+            throw new AchievementCatalogError(errors);
+        }
+
+        this.version = data.version;
+        this.achievements = data.achievements.map(achievement => Object.freeze({
+            ...achievement,
+            condition: Object.freeze({ ...achievement.condition })
+        }));
+        this.achievementsById = new Map(this.achievements.map(achievement => [achievement.id, achievement]));
+    }
+
+    get(id) {
+        return this.achievementsById.get(id) || null;
+    }
+
+    // Whole percent towards an achievement's target, capped at 100
+    getProgressPercent(achievement, progress) {
+        return Math.min(100, Math.floor(progress / achievement.condition.target * 100));
+    }
+
+    /**
+     * Apply a finished run to a player's progress.
+     * `records` maps achievement id to the stored { progress, unlocked }.
+     * Returns the records that changed as { achievement, progress, unlocked } -
+     * achievements that were already unlocked stop counting and never appear.
+     */
+    evaluate(runStats, records = new Map()) {
+        const changes = [];
+
+        for (const achievement of this.achievements) {
+            const record = records.get(achievement.id) || { progress: 0, unlocked: false };
+            if (record.unlocked) continue;
+
+            const { scope, stat, target } = achievement.condition;
+            const value = getRunStat(runStats, stat);
+            const progress = scope === 'lifetime' ? record.progress + value : Math.max(record.progress, value);
+            if (progress === record.progress) continue;
+
+            changes.push({ achievement, progress, unlocked: progress >= target });
+        }
+
+        return changes;
+    }
+}
@@ -1,4 +1,17 @@
 // API Service for BirdDash Game
+import ScoreOutbox from './scoreOutbox.js';
+import Cosmetics from './cosmetics.js';
+import { SCORE_SYNC } from './constants.js';
+
+// Every ApiService instance shares one outbox and one sync loop
+const scoreOutbox = new ScoreOutbox();
+let outboxSync = null;
+let outboxRetryTimer = null;
+let listeningForOnline = false;
+
+// Status codes worth another try later; anything else is the server's final answer
+const isRetryableStatus = (status) => !status || status >= 500 || status === 408 || status === 429;
+
 export default class ApiService {
     constructor() {
         // Auto-detect API base URL based on environment
@@ -11,6 +24,12 @@ export default class ApiService {
         
         // Try to load cached user data
         this.loadCachedUser();
+        
+        // Queued scores go up as soon as the connection comes back
+        if (!listeningForOnline) {
+            window.addEventListener('online', () => this.syncScoreOutbox({ force: true }));
+            listeningForOnline = true;
+        }
     }
 
     detectApiUrl() {
@@ -58,41 +77,38 @@ export default class ApiService {
             },
         };
 
+        console.log(`🔄 API Request: ${options.method || 'GET'} ${url}`);
+        
+        let response;
         try {
-            console.log(`🔄 API Request: ${options.method || 'GET'} ${url}`);
-            
-            const response = await fetch(url, finalOptions);
-            
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: 'Network error' }));
-                throw new Error(errorData.error || `HTTP ${response.status}`);
-            }
-
-            const data = await response.json();
-            console.log(`✅ API Response: ${endpoint}`, data);
-            return data;
-            
+            response = await fetch(url, finalOptions);
         } catch (error) {
+            // fetch only rejects when no answer came back - fall back to local storage
+            console.error(`❌ API Error: ${endpoint}`, error);
+            console.log('🔄 Falling back to local storage mode');
+            return this.handleOfflineMode(endpoint, options);
+        }
+        
+        if (!response.ok) {
+            // The server answered, so this isn't offline even if the body
+            // isn't JSON (a proxy's error page); callers go by error.status
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(errorData.error || `HTTP ${response.status}`);
+            error.status = response.status;
             console.error(`❌ API Error: ${endpoint}`, error);
-            
-            // If it's a network error, fall back to local storage
-            if (error.message.includes('fetch') || error.message.includes('Network')) {
-                console.log('🔄 Falling back to local storage mode');
-                return this.handleOfflineMode(endpoint, options);
-            }
-            
             throw error;
         }
+
+        const data = await response.json();
+        console.log(`✅ API Response: ${endpoint}`, data);
+        return data;
     }
 
     handleOfflineMode(endpoint, options) {
         console.log('📱 Operating in offline mode');
         
-        // Basic offline functionality for core features
-        if (endpoint.includes('/leaderboard') && options.method === 'POST') {
-            return this.saveScoreOffline(JSON.parse(options.body));
-        }
-        
+        // Basic offline functionality for core features - score
+        // submissions wait in the outbox (see submitScore)
         if (endpoint.includes('/leaderboard') && !options.method) {
             return this.getOfflineLeaderboard();
         }
@@ -100,41 +116,16 @@ export default class ApiService {
         return { error: 'Offline mode - limited functionality' };
     }
 
-    saveScoreOffline(scoreData) {
-        try {
-            const key = 'birddash_offline_scores';
-            const existing = JSON.parse(localStorage.getItem(key) || '[]');
-            
-            existing.push({
-                ...scoreData,
-                id: Date.now(),
-                game_date: new Date().toISOString(),
-                rank: existing.length + 1
-            });
-            
-            // Sort by score and keep top 50
-            existing.sort((a, b) => b.score - a.score);
-            const top50 = existing.slice(0, 50);
-            
-            localStorage.setItem(key, JSON.stringify(top50));
-            
-            return {
-                message: 'Score saved offline',
-                entry_id: Date.now(),
-                rank: top50.findIndex(s => s.score === scoreData.score) + 1,
-                score: scoreData.score,
-                username: scoreData.username
-            };
-        } catch (error) {
-            console.error('Offline save error:', error);
-            return { error: 'Failed to save offline' };
-        }
-    }
-
-    getOfflineLeaderboard() {
+    // Scores still waiting in the outbox, best first
+    async getOfflineLeaderboard() {
         try {
-            const key = 'birddash_offline_scores';
-            const scores = JSON.parse(localStorage.getItem(key) || '[]');
+            const scores = (await scoreOutbox.list())
+                .map(({ payload: { run_token, replay, ...score }, created_at }) => ({
+                    ...score,
+                    game_date: new Date(created_at).toISOString(),
+                    pending: true
+                }))
+                .sort((a, b) => b.score - a.score);
             
             return {
                 leaderboard: scores.slice(0, 20).map((score, index) => ({
@@ -192,6 +183,29 @@ export default class ApiService {
         }
     }
 
+    // Phone verification - texts a one-time code, then confirming it signs in
+    // as the player that number belongs to
+    async startPhoneVerification(phone) {
+        return await this.makeRequest('/auth/phone/start', {
+            method: 'POST',
+            body: JSON.stringify({ phone })
+        });
+    }
+
+    async verifyPhone(phone, code, name, marketingConsent) {
+        const response = await this.makeRequest('/auth/phone/verify', {
+            method: 'POST',
+            body: JSON.stringify({ phone, code, name, marketing_consent: marketingConsent })
+        });
+
+        if (response.user) {
+            this.currentUser = response.user;
+            localStorage.setItem('birddash_user', JSON.stringify(this.currentUser));
+        }
+
+        return response;
+    }
+
     async verifyToken() {
         // Token verification now handled by HTTP-only cookie
         
@@ -220,6 +234,7 @@ export default class ApiService {
         
         this.currentUser = null;
         localStorage.removeItem('birddash_user');
+        Cosmetics.clear();
     }
 
     // Leaderboard methods
@@ -228,17 +243,157 @@ export default class ApiService {
         return await this.makeRequest(`/leaderboard?${params}`);
     }
 
+    // Ask the server for a signed run token; submissions without one are refused
+    async startRun() {
+        const response = await this.makeRequest('/leaderboard/runs', { method: 'POST' });
+        return response.run_token || null;
+    }
+
+    // Scores are written to the outbox before they are sent and only leave it
+    // once the server has answered, so a dropped connection never loses one.
+    // Resolves with the server's response, or { queued: true } when the score
+    // is waiting to be resent.
     async submitScore(scoreData) {
-        return await this.makeRequest('/leaderboard/submit', {
+        const payload = {
+            ...scoreData,
+            is_guest: this.currentUser?.is_guest ?? true
+        };
+
+        let record = null;
+        // Without a run token the server would refuse it later too, so it isn't queued
+        if (payload.run_token) {
+            try {
+                record = await scoreOutbox.add(payload, this.currentUser?.id ?? null);
+            } catch (error) {
+                console.warn('📮 Could not queue score, sending it directly:', error);
+            }
+        }
+        if (!record) {
+            return await this.makeRequest('/leaderboard/submit', {
+                method: 'POST',
+                body: JSON.stringify(payload)
+            });
+        }
+
+        const response = await this.sendQueuedScore(record);
+        if (response.queued) {
+            this.scheduleScoreOutboxSync();
+        }
+        return response;
+    }
+
+    // One attempt at a queued score. Resends carry the same Idempotency-Key,
+    // so the server answers with the entry it already made instead of a duplicate.
+    async sendQueuedScore(record) {
+        let response = null;
+        try {
+            response = await this.makeRequest('/leaderboard/submit', {
+                method: 'POST',
+                headers: { 'Idempotency-Key': record.key },
+                body: JSON.stringify(record.payload)
+            });
+        } catch (error) {
+            if (!isRetryableStatus(error.status)) {
+                // Refused for good (expired run token, used elsewhere) - stop resending
+                await scoreOutbox.remove(record.key);
+                throw error;
+            }
+        }
+
+        if (response && !response.error) {
+            await scoreOutbox.remove(record.key);
+            return response;
+        }
+
+        const attempts = record.attempts + 1;
+        await scoreOutbox.put({ ...record, attempts, next_attempt_at: Date.now() + ScoreOutbox.retryDelay(attempts) });
+        return { queued: true, idempotency_key: record.key };
+    }
+
+    // Resend every queued score that is due (all of them when forced, e.g. on
+    // the 'online' event). Overlapping calls share the pass already running.
+    syncScoreOutbox({ force = false } = {}) {
+        if (!outboxSync) {
+            outboxSync = this.flushScoreOutbox(force).finally(() => {
+                outboxSync = null;
+            });
+        }
+        return outboxSync;
+    }
+
+    async flushScoreOutbox(force) {
+        try {
+            const now = Date.now();
+            for (const record of await scoreOutbox.list()) {
+                if (!force && record.next_attempt_at > now) continue;
+
+                try {
+                    const response = await this.sendQueuedScore(record);
+                    if (!response.queued) {
+                        console.log(`📮 Queued score synced: ${record.payload.username} - ${record.payload.score}`);
+                        window.dispatchEvent(new CustomEvent(SCORE_SYNC.SYNCED_EVENT, {
+                            detail: { key: record.key, payload: record.payload, userId: record.user_id ?? null, response }
+                        }));
+                    }
+                } catch (error) {
+                    console.warn(`📮 Queued score refused: ${error.message}`);
+                    window.dispatchEvent(new CustomEvent(SCORE_SYNC.REJECTED_EVENT, {
+                        detail: { key: record.key, payload: record.payload, error: error.message }
+                    }));
+                }
+            }
+        } catch (error) {
+            console.error('📮 Score outbox sync failed:', error);
+        }
+
+        await this.scheduleScoreOutboxSync();
+    }
+
+    // One timer for the whole outbox, set for whichever record is due first
+    async scheduleScoreOutboxSync() {
+        clearTimeout(outboxRetryTimer);
+        outboxRetryTimer = null;
+
+        try {
+            const records = await scoreOutbox.list();
+            if (records.length === 0) return;
+
+            const nextAttempt = Math.min(...records.map(record => record.next_attempt_at));
+            outboxRetryTimer = setTimeout(() => this.syncScoreOutbox(), Math.max(1000, nextAttempt - Date.now()));
+        } catch (error) {
+            console.warn('📮 Could not schedule score outbox sync:', error);
+        }
+    }
+
+    async getPendingScoreCount() {
+        try {
+            return await scoreOutbox.count();
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Daily Dash - one shared seed per UTC day with its own leaderboard
+    async getDailyChallenge(date) {
+        return await this.makeRequest(`/daily/${encodeURIComponent(date)}`);
+    }
+
+    // Start a Daily Dash run - the server says whether it is the day's ranked attempt
+    async startDailyRun(date) {
+        return await this.makeRequest(`/daily/${encodeURIComponent(date)}/runs`, { method: 'POST' });
+    }
+
+    async submitDailyScore(date, scoreData) {
+        return await this.makeRequest(`/daily/${encodeURIComponent(date)}`, {
             method: 'POST',
-            body: JSON.stringify({
-                ...scoreData,
-                user_id: this.currentUser?.id,
-                is_guest: this.currentUser?.is_guest ?? true
-            })
+            body: JSON.stringify(scoreData)
         });
     }
 
+    async getReplay(entryId) {
+        return await this.makeRequest(`/replays/${encodeURIComponent(entryId)}`);
+    }
+
     async getUserScores(username, limit = 10) {
         return await this.makeRequest(`/leaderboard/user/${encodeURIComponent(username)}?limit=${limit}`);
     }
@@ -252,15 +407,178 @@ export default class ApiService {
         return await this.makeRequest(`/users/${encodeURIComponent(username)}`);
     }
 
-    async updateGameStats(username, gameData) {
-        return await this.makeRequest(`/users/${encodeURIComponent(username)}/game-complete`, {
+    async getUserAchievements(username) {
+        return await this.makeRequest(`/users/${encodeURIComponent(username)}/achievements`);
+    }
+
+    // Privacy - the signed-in player's marketing opt-in and right to erasure
+    async updateMarketingConsent(consent) {
+        const response = await this.makeRequest('/users/me/consent', {
+            method: 'PUT',
+            body: JSON.stringify({ marketing_consent: consent })
+        });
+
+        if (this.currentUser && typeof response.marketing_consent === 'boolean') {
+            this.currentUser.marketing_consent = response.marketing_consent;
+            localStorage.setItem('birddash_user', JSON.stringify(this.currentUser));
+        }
+
+        return response;
+    }
+
+    async deleteAccount() {
+        const response = await this.makeRequest('/users/me', { method: 'DELETE' });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        // The server has already cleared the session cookie
+        this.currentUser = null;
+        localStorage.removeItem('birddash_user');
+        Cosmetics.clear();
+        await scoreOutbox.clear();
+        return response;
+    }
+
+    // Reward vouchers (require a signed-in player)
+    async getRewards() {
+        return await this.makeRequest('/rewards');
+    }
+
+    // Bean wallet and cosmetic shop (require a signed-in player)
+    async getShop() {
+        return await this.makeRequest('/shop');
+    }
+
+    async purchaseShopItem(itemId) {
+        return await this.makeRequest('/shop/purchase', {
             method: 'POST',
-            body: JSON.stringify(gameData)
+            body: JSON.stringify({ item_id: itemId })
         });
     }
 
-    async getUserAchievements(username) {
-        return await this.makeRequest(`/users/${encodeURIComponent(username)}/achievements`);
+    async equipShopItem(itemId) {
+        return await this.makeRequest('/shop/equipped', {
+            method: 'PUT',
+            body: JSON.stringify({ item_id: itemId })
+        });
+    }
+
+    // Kiosk mode - the top 10 board is public, operator tools need the PIN
+    async getKioskBoard() {
+        return await this.makeRequest('/kiosk/board');
+    }
+
+    async verifyKioskPin(pin) {
+        const response = await fetch(`${this.baseUrl}/kiosk/operator/verify`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'X-Kiosk-Pin': pin }
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(errorData.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+    }
+
+    async resetKioskBoard(pin) {
+        return await this.makeRequest('/kiosk/operator/reset-board', {
+            method: 'POST',
+            headers: { 'X-Kiosk-Pin': pin }
+        });
+    }
+
+    // The export is CSV rather than JSON
+    async exportKioskEntries(pin) {
+        const response = await fetch(`${this.baseUrl}/kiosk/operator/export`, {
+            credentials: 'include',
+            headers: { 'X-Kiosk-Pin': pin }
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(errorData.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return await response.text();
+    }
+
+    // Social methods (require a signed-in player)
+    async getFriends() {
+        return await this.makeRequest('/social/friends');
+    }
+
+    async getFriendsLeaderboard() {
+        return await this.makeRequest('/social/friends/leaderboard');
+    }
+
+    async getFriendRequests() {
+        return await this.makeRequest('/social/friends/requests');
+    }
+
+    async sendFriendRequest(username) {
+        return await this.makeRequest('/social/friends/requests', {
+            method: 'POST',
+            body: JSON.stringify({ username })
+        });
+    }
+
+    async respondToFriendRequest(requesterId, accept) {
+        const action = accept ? 'accept' : 'decline';
+        return await this.makeRequest(`/social/friends/requests/${encodeURIComponent(requesterId)}/${action}`, {
+            method: 'POST'
+        });
+    }
+
+    async getChallenges() {
+        return await this.makeRequest('/social/challenges');
+    }
+
+    async createChallenge(username, targetScore) {
+        return await this.makeRequest('/social/challenges', {
+            method: 'POST',
+            body: JSON.stringify({ username, target_score: targetScore })
+        });
+    }
+
+    async respondToChallenge(challengeId, accept) {
+        const action = accept ? 'accept' : 'decline';
+        return await this.makeRequest(`/social/challenges/${encodeURIComponent(challengeId)}/${action}`, {
+            method: 'POST'
+        });
+    }
+
+    async getNotifications(unreadOnly = false) {
+        return await this.makeRequest(`/social/notifications${unreadOnly ? '?unread=true' : ''}`);
+    }
+
+    async markNotificationRead(notificationId) {
+        return await this.makeRequest(`/social/notifications/${encodeURIComponent(notificationId)}/read`, {
+            method: 'POST'
+        });
+    }
+
+    // Live-ops content: active events, config and game balance
+    async getActiveContent() {
+        return await this.makeRequest('/content/active');
+    }
+
+    // Analytics - keepalive lets the final batch outlive an unloading page
+    async sendAnalyticsBatch(events, { keepalive = false } = {}) {
+        return await this.makeRequest('/analytics/batch', {
+            method: 'POST',
+            body: JSON.stringify({ events }),
+            keepalive
+        });
+    }
+
+    // Admin-only aggregate reports (funnel, retention, power-ups)
+    async getAnalyticsReports(report = null, days = null) {
+        const params = days ? `?${new URLSearchParams({ days })}` : '';
+        const path = report ? `/analytics/reports/${encodeURIComponent(report)}` : '/analytics/reports';
+        return await this.makeRequest(`${path}${params}`);
     }
 
     // Utility methods
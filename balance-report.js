@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+// Balance report CLI - plays seeded runs with scripted bots through the game's
+// rules (systems/GameSimulation.js, nothing rendered) and reports score spread,
+// survival, where points come from, power-up uptime and what kills the bird.
+//   npm run balance                                  report on the default profiles
+//   npm run balance -- --runs=200 --max-time=600     more and longer runs
+//   npm run balance -- --bots=avoider,avoider:lookahead=600
+//   npm run balance -- --update-baseline             accept this report as the baseline
+// A profile is a bot from systems/simulation/bots.js with optional skill
+// settings after colons (avoider:lookahead=600:lanes=12).
+// Writes balance/report.json and balance/report.html, compared against the
+// committed balance/baseline.json.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { simulateRuns } from './systems/simulation/harness.js';
+import { buildBalanceReport, compareReports, renderBalanceHtml } from './systems/simulation/balanceReport.js';
+import { itemCatalog } from './server/services/itemCatalog.js';
+import { patternLibrary } from './server/services/obstaclePatterns.js';
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_DIR = path.join(ROOT_DIR, 'balance');
+export const BASELINE_FILE = path.join(OUTPUT_DIR, 'baseline.json');
+
+const DEFAULTS = {
+    runs: 100,
+    firstSeed: 1,
+    maxTime: 300, // seconds
+    bots: ['random', 'collector', 'avoider']
+};
+
+// 'avoider:lookahead=600:lanes=12' -> { bot: 'avoider', botOptions: { lookahead: 600, lanes: 12 } }
+export function parseProfile(profile) {
+    const [bot, ...settings] = profile.split(':');
+    const botOptions = {};
+    for (const setting of settings) {
+        const [key, value] = setting.split('=');
+        if (!key || value === undefined || !Number.isFinite(Number(value))) {
+            throw new Error(`Bad setting "${setting}" in profile "${profile}" - expected name=number`);
+        }
+        botOptions[key] = Number(value);
+    }
+    return { bot, botOptions };
+}
+
+function parseArgs(args) {
+    const options = { ...DEFAULTS, updateBaseline: false };
+
+    for (const arg of args) {
+        const [flag, ...rest] = arg.split('=');
+        const value = rest.join('=');
+        if (flag === '--update-baseline') {
+            options.updateBaseline = true;
+        } else if (flag === '--bots' && value) {
+            options.bots = value.split(',').filter(Boolean);
+        } else if (['--runs', '--seed', '--max-time'].includes(flag)) {
+            const number = parseInt(value, 10);
+            if (!Number.isInteger(number) || number < 1) {
+                throw new Error(`${flag} needs a positive whole number, got ${value}`);
+            }
+            const key = { '--runs': 'runs', '--seed': 'firstSeed', '--max-time': 'maxTime' }[flag];
+            options[key] = number;
+        } else {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+    return options;
+}
+
+export function runBalanceReport({ runs, firstSeed, maxTime, bots }) {
+    const runsByProfile = {};
+    for (const profile of bots) {
+        const started = Date.now();
+        runsByProfile[profile] = simulateRuns(runs, {
+            ...parseProfile(profile),
+            firstSeed,
+            maxTime: maxTime * 1000,
+            itemCatalog,
+            patternLibrary
+        });
+        console.log(`🤖 ${profile}: ${runs} runs in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    }
+
+    return buildBalanceReport(runsByProfile, { runs, firstSeed, maxTime: maxTime * 1000 });
+}
+
+function printSummary(report, comparison) {
+    Object.entries(report.profiles).forEach(([profile, summary]) => {
+        console.log(`📊 ${profile}: median score ${summary.score.p50}, median survival ${summary.survival.p50}s, ` +
+            `${(summary.survivedShare * 100).toFixed(0)}% survived`);
+    });
+
+    if (!comparison) {
+        console.log('📋 No baseline yet - run with --update-baseline to commit this one');
+        return;
+    }
+    if (!comparison.comparable) {
+        console.warn(`⚠️ Baseline played different runs (${comparison.configChanges.join(', ') || 'report version'}) - changes are not like for like`);
+    }
+    if (comparison.notable.length === 0) {
+        console.log('✅ No metric moved 10% or more from the baseline');
+    }
+    comparison.notable.forEach(row => {
+        const change = row.change === null ? 'new' : `${row.change > 0 ? '+' : ''}${(row.change * 100).toFixed(1)}%`;
+        console.log(`🔀 ${row.profile} ${row.metric}: ${row.baseline} → ${row.current} (${change})`);
+    });
+}
+
+function main(args) {
+    const options = parseArgs(args);
+    const report = runBalanceReport(options);
+
+    const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8')) : null;
+    const comparison = baseline ? compareReports(report, baseline) : null;
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    const json = `${JSON.stringify(report, null, 2)}\n`;
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'report.json'), json);
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'report.html'), renderBalanceHtml(report, comparison));
+    printSummary(report, comparison);
+    console.log(`📄 Report written to balance/report.json and balance/report.html`);
+
+    if (options.updateBaseline) {
+        fs.writeFileSync(BASELINE_FILE, json);
+        console.log('📌 Baseline updated - commit balance/baseline.json');
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌ Balance report failed:', error.message);
+        process.exit(1);
+    }
+}
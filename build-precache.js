@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+// Precache manifest builder for the service worker (sw.js).
+// Follows the game's module imports from main.js and the asset files they
+// reference, and writes precache-manifest.js with a content hash per file.
+// The version changes whenever any asset does, which makes browsers install
+// the new service worker and the game offer its "tap to reload" prompt.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const MANIFEST_FILE = 'precache-manifest.js';
+
+// The page shell, plus files the browser loads without a module importing them
+const SHELL_FILES = ['index.html', 'phaser.min.js', 'manifest.webmanifest', 'favicon.ico'];
+const ENTRY_MODULE = 'main.js';
+
+const IMPORT_PATTERN = /(?:import|export)\s+(?:[^'"]*?\s+from\s+)?['"](\.{1,2}\/[^'"]+)['"]/g;
+// Asset paths are relative to the page, which sits at the repo root
+const ASSET_PATTERN = /['"](?:\.\/)?([\w-]+(?:\/[\w-]+)*\.(?:png|jpe?g|gif|svg|json|mp3|ogg|wav))['"]/g;
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 16);
+}
+
+// Every module reachable from main.js and every existing asset they name.
+// Literals that don't match a file (placeholders, optional theme tracks) are skipped.
+export function collectPrecacheFiles(rootDir = ROOT_DIR) {
+    const files = new Set(SHELL_FILES.filter(file => fs.existsSync(path.join(rootDir, file))));
+    const pending = [ENTRY_MODULE];
+
+    while (pending.length > 0) {
+        const modulePath = pending.pop();
+        if (files.has(modulePath)) continue;
+        files.add(modulePath);
+
+        const source = fs.readFileSync(path.join(rootDir, modulePath), 'utf8');
+        for (const [, specifier] of source.matchAll(IMPORT_PATTERN)) {
+            const imported = path.posix.normalize(path.posix.join(path.posix.dirname(modulePath), specifier));
+            if (fs.existsSync(path.join(rootDir, imported))) {
+                pending.push(imported);
+            }
+        }
+        for (const [, asset] of source.matchAll(ASSET_PATTERN)) {
+            if (fs.existsSync(path.join(rootDir, asset))) {
+                files.add(asset);
+            }
+        }
+    }
+
+    return [...files].sort();
+}
+
+export function buildPrecacheManifest(rootDir = ROOT_DIR) {
+    const assets = collectPrecacheFiles(rootDir).map(file => ({
+        url: `./${file}`,
+        revision: hashFile(path.join(rootDir, file))
+    }));
+    const version = crypto.createHash('sha256')
+        .update(assets.map(asset => `${asset.url}@${asset.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    return { version, assets };
+}
+
+export function writePrecacheManifest(rootDir = ROOT_DIR) {
+    const manifest = buildPrecacheManifest(rootDir);
+    const source = `// Generated by build-precache.js (npm run build) - do not edit by hand\n`
+        + `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};\n`;
+    fs.writeFileSync(path.join(rootDir, MANIFEST_FILE), source);
+    return manifest;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const manifest = writePrecacheManifest();
+    console.log(`📦 Precache manifest ${manifest.version}: ${manifest.assets.length} files written to ${MANIFEST_FILE}`);
+}
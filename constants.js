@@ -9,6 +9,7 @@ export const DEBUG = {
     LOG_COLLISIONS: true,
     LOG_EFFECTS: true,
     LOG_SCORES: true,
+    LOG_REPLAYS: true,
     LOG_ERRORS: true
 };
 
@@ -92,6 +93,10 @@ export const GAME = {
         POWER_UPS: 8000,
         OBSTACLES: 2000
     },
+    FIXED_TIMESTEP: {
+        STEP_MS: 1000 / 60,
+        MAX_STEPS_PER_FRAME: 5 // Drop time rather than spiral after long stalls
+    },
     PHYSICS: {
         GRAVITY: 800,
         BOUNCE: 0.1,
@@ -111,45 +116,138 @@ export const PLAYER = {
         FLY_POWER: -450,
         QUICK_BOOST: -350,
         FLUID_SPEED: 0.45,
-        MOVE_SPEED_MULTIPLIER: 8
+        MOVE_SPEED_MULTIPLIER: 8,
+        GRAVITY: 800, // The bird's own, on top of GAME.PHYSICS.GRAVITY
+        DASH_DISTANCE: 100,
+        DASH_DURATION: 200
     }
 };
 
-export const POWER_UPS = {
-    DURATIONS: {
-        SHIELD: 3000,
-        SPEED_BOOST: 4000,
-        SCORE_MULTIPLIER: 5000,
-        TIME_SLOW: 6000,
-        MAGNET: 5000,
-        BIRD_COMPANION: 15000
-    },
-    EFFECTS: {
-        SCORE_MULTIPLIER: 2.0,
-        MAGNET_RANGE: 150,
-        BIRD_COLLECTION_RADIUS: 80
-    }
+// What picking up a power-up does while the same effect is already running
+export const POWER_UP_STACKING = {
+    REFRESH: 'refresh', // Replace the running effect and restart its timer
+    EXTEND: 'extend',   // Add the new duration to the remaining time
+    STACK: 'stack'      // Run alongside it; modifiers multiply
+};
+
+export const REPLAY = {
+    VERSION: 1,
+    MAX_EVENTS: 20000,
+    // Serialized size the server will store; a full MAX_EVENTS recording fits
+    MAX_BYTES: 1024 * 1024,
+    // Top-level fields InputRecorder.exportReplay() writes; nothing else is stored
+    FIELDS: ['version', 'seed', 'balance', 'step', 'screen', 'frames', 'score', 'events'],
+    // Input actions GameScene.applyInput() understands, plus the continue-once revive
+    ACTIONS: ['fly', 'jump', 'moveLeft', 'moveRight', 'dash', 'quickBoost', 'toggleFluid', 'fluidTarget', 'revive']
+};
+
+export const SCORING = {
+    MAX_COMBO_MULTIPLIER: 10,
+    // Lowest values getDifficultyMultipliers() can scale spawn intervals to
+    MIN_SPAWN_RATE: 0.5,
+    MIN_POWER_UP_SPAWN_RATE: 0.7
+};
+
+// Live-ops tuning served by /api/content/active (game_balance config + active events).
+// Spawn rates scale how often items appear: 2.0 spawns twice as often.
+export const LIVE_OPS = {
+    DEFAULT_BALANCE: {
+        scoreMultiplier: 1.0,
+        collectibleSpawnRate: 1.0,
+        powerUpSpawnRate: 1.0
+    },
+    // [min, max] admins may set for each balance value
+    BALANCE_LIMITS: {
+        scoreMultiplier: [0.5, 3.0],
+        collectibleSpawnRate: [0.5, 2.0],
+        powerUpSpawnRate: [0.5, 2.0]
+    },
+    MAX_EVENT_BONUS_MULTIPLIER: 3.0,
+    // Theme packs an event's configuration.theme may name (themes/<name>.json)
+    THEMES: ['spring', 'summer', 'autumn', 'winter'],
+    REFRESH_INTERVAL: 5 * 60 * 1000 // 5 minutes
+};
+
+// Coffee shop vouchers. Rules are live-ops config (dynamic_config.reward_rules);
+// each rule issues at most one voucher per player per day, or per week for weekly_rank.
+export const REWARDS = {
+    RULE_TYPES: ['weekly_rank', 'score', 'first_game_of_day'],
+    DEFAULT_RULES: [
+        { id: 'weekly_top3', type: 'weekly_rank', max_rank: 3, reward: 'Free coffee of your choice', enabled: true },
+        { id: 'score_5000', type: 'score', min_score: 5000, reward: 'Free pastry with any coffee', enabled: true },
+        { id: 'first_daily_game', type: 'first_game_of_day', reward: '10% off your next order', enabled: true }
+    ],
+    VALID_DAYS: 30,
+    // No 0/O or 1/I so codes can be read out at the counter
+    CODE_ALPHABET: '23456789ABCDEFGHJKLMNPQRSTUVWXYZ',
+    CODE_LENGTH: 8
+};
+
+// Bean wallet and cosmetic shop. Signed-in players bank beans from each
+// approved run; the server keeps the ledger and checks every purchase.
+export const SHOP = {
+    BEANS_PER_COLLECTIBLE: 1,
+    MAX_BEANS_PER_RUN: 500,
+    LEDGER_PAGE_SIZE: 20,
+    SLOTS: ['skin', 'trail', 'hud'],
+    // Price 0 items are owned by everyone and are what an empty slot shows
+    ITEMS: [
+        { id: 'skin_classic', slot: 'skin', name: 'Classic', price: 0 },
+        { id: 'skin_espresso', slot: 'skin', name: 'Espresso', price: 150, tint: 0x8B5A2B },
+        { id: 'skin_matcha', slot: 'skin', name: 'Matcha', price: 250, tint: 0x9ACD32 },
+        { id: 'skin_caramel', slot: 'skin', name: 'Caramel', price: 250, tint: 0xFFC87C },
+        { id: 'skin_berry', slot: 'skin', name: 'Berry Blend', price: 400, tint: 0xD8579A },
+        { id: 'trail_none', slot: 'trail', name: 'No Trail', price: 0 },
+        { id: 'trail_steam', slot: 'trail', name: 'Steam', price: 200, color: 0xFFFFFF },
+        { id: 'trail_golden', slot: 'trail', name: 'Golden Crema', price: 300, color: 0xFFD700 },
+        { id: 'trail_cocoa', slot: 'trail', name: 'Cocoa Dust', price: 300, color: 0x8B4513 },
+        { id: 'hud_classic', slot: 'hud', name: 'Classic HUD', price: 0 },
+        { id: 'hud_latte', slot: 'hud', name: 'Latte Art', price: 150, hud: { background: 0xF5DEB3, alpha: 0.6, text: '#4B2E12' } },
+        { id: 'hud_night', slot: 'hud', name: 'Night Roast', price: 200, hud: { background: 0x1B1464, alpha: 0.6, text: '#FFD700' } }
+    ]
+};
+
+// Kiosk mode (?kiosk in the URL) for the shared tablet at the caravan. Times are ms.
+export const KIOSK = {
+    BOARD_SIZE: 10,
+    IDLE_TIMEOUT: 45000,        // Untouched intro screen before the attract loop starts
+    FORM_TIMEOUT: 90000,        // Abandoned name entry form is cleared after this
+    RESULTS_DURATION: 8000,     // Score celebration before the top 10 board
+    ATTRACT_SLIDE_DURATION: 8000,
+    OPERATOR_HOLD: 3000         // Press-and-hold on the top-left corner opens the operator menu
+};
+
+// Offline score outbox (scoreOutbox.js). Failed sends back off exponentially. Times are ms.
+export const SCORE_SYNC = {
+    RETRY_BASE_DELAY: 5000,
+    RETRY_MAX_DELAY: 10 * 60 * 1000,
+    // Window events ApiService fires as queued scores are answered
+    SYNCED_EVENT: 'birddash:score-synced',
+    REJECTED_EVENT: 'birddash:score-rejected'
+};
+
+// Pause subsystem (GameStateManager / UIManager). Times are ms.
+export const PAUSE = {
+    RESUME_COUNTDOWN: 3000,     // 3-2-1 on screen before play picks up again
+    KEYS: ['ESC', 'P']
 };
 
-export const COLLECTIBLES = {
-    POINTS: {
-        SMALL_COFFEE: 10,
-        MEDIUM_COFFEE: 20,
-        LARGE_COFFEE: 35,
-        SPECIALTY_COFFEE: 75,
-        BERRY_SMOOTHIE: 15,
-        GREEN_SMOOTHIE: 15,
-        TROPICAL_SMOOTHIE: 25,
-        PLAIN_BAGEL: 30,
-        EVERYTHING_BAGEL: 50,
-        BLUEBERRY_BAGEL: 75,
-        SPARROW_FRIEND: 40,
-        ROBIN_FRIEND: 60,
-        CARDINAL_FRIEND: 100
+// Continue-once revive offered when the last heart goes. Times are ms.
+export const REVIVE = {
+    BEAN_COST: 20,              // Beans collected this run that buy a revive
+    HEALTH: 1,                  // Hearts restored
+    SHIELD_DURATION: 3000,      // Croissant shield given on the way back in
+    CLEAR_RADIUS: 300,          // Obstacles this close to the bird are cleared (px)
+    PROMO_DURATION: 5000,       // How long the coffee promo card stays up
+    PROMO: {
+        TITLE: '☕ Caravan Special',
+        TEXT: 'Any large coffee and a\ncroissant for £4.50 -\nask at the counter!'
     }
 };
 
 export const OBSTACLES = {
+    // Obstacle kinds ObstacleManager can draw - pattern chunks refer to these
+    TYPES: ['spilledCup', 'floatingCup', 'heavyCup', 'fastBean', 'brokenMachine', 'angryCustomer', 'wifiDeadZone', 'bombObstacle'],
     WEIGHTS: {
         SPILLED_CUP: 0.4,
         FLOATING_CUP: 0.3,
@@ -164,9 +262,52 @@ export const OBSTACLES = {
         SLOW: 0.7,
         NORMAL: 1.0,
         FAST: 1.5
+    },
+    // Drawn size in px at minScale 1, capped by PATTERNS.OBSTACLE_SIZE of the playable band
+    SIZES: {
+        spilledCup: 58,
+        floatingCup: 54,
+        heavyCup: 61,
+        fastBean: 61,
+        brokenMachine: 64,
+        angryCustomer: 49,
+        wifiDeadZone: 80,
+        bombObstacle: 97
     }
 };
 
+// Authored obstacle chunks (obstaclePatterns.json) and the passability model
+// the sequencer checks them against. Vertical positions are fractions of the
+// playable band between the safe margins; times are ms.
+export const PATTERNS = {
+    VERSION: 1,
+    DIFFICULTY_WINDOW: 2,   // Chunks this many tiers below the current level stay in rotation
+    BREATHER: 600,          // Clear air between chunks
+    COLUMN_WINDOW: 150,     // Obstacles this close together form one wall
+    OBSTACLE_SIZE: 0.16,    // Share of the playable band one obstacle blocks
+    MIN_GAP: 0.2,           // Smallest opening the bird fits through
+    CLEARANCE: 120,         // px of obstacle plus bird width to fly past
+    CLIMB_SPEED: 450,       // px/s the bird can move vertically (PLAYER.MOVEMENT.FLY_POWER)
+    PX_PER_SPEED: 1.2       // Obstacle px/s per point of gameSpeed (0.02 px per 60fps frame)
+};
+
+// Rules core shared by GameScene and the headless harness (systems/GameSimulation.js)
+export const SIMULATION = {
+    // Share of an element's drawn size that collides
+    HITBOX: {
+        PLAYER: 0.6,
+        ITEM: 0.8,
+        OBSTACLE: 0.85
+    },
+    // Item speed relative to obstacles - power-ups drift a little slower
+    ITEM_SPEEDS: {
+        COLLECTIBLE: 1.0,
+        POWER_UP: 0.9
+    },
+    // Where the bird starts, as a share of the screen
+    PLAYER_START: { X: 0.35, Y: 0.6 }
+};
+
 export const EXPLOSION = {
     PARTICLES: 200,
     SCREEN_SHAKE: {
@@ -0,0 +1,66 @@
+/**
+ * Cosmetics
+ * The signed-in player's equipped shop items - bird skin, trail and HUD
+ * theme - kept on the device so a run can dress the bird without waiting on
+ * the network. What a player owns is decided by the server (/api/shop); this
+ * is only the last loadout it confirmed, refreshed whenever the shop opens.
+ */
+
+import { SHOP } from './constants.js';
+
+const STORAGE_KEY = 'birddash_loadout';
+
+export default class Cosmetics {
+    static getItem(itemId) {
+        return SHOP.ITEMS.find(item => item.id === itemId) || null;
+    }
+
+    static getDefaultItem(slot) {
+        return SHOP.ITEMS.find(item => item.slot === slot && item.price === 0);
+    }
+
+    // Equipped item per slot; anything unknown falls back to the free default
+    static getLoadout() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        } catch (error) {
+            saved = {};
+        }
+
+        const loadout = {};
+        SHOP.SLOTS.forEach(slot => {
+            const item = Cosmetics.getItem(saved[slot]);
+            loadout[slot] = item && item.slot === slot ? item : Cosmetics.getDefaultItem(slot);
+        });
+        return loadout;
+    }
+
+    // `equipped` is the wallet's { slot: itemId } map from the server
+    static saveLoadout(equipped) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(equipped));
+    }
+
+    static clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    // Tint the bird and start its trail - called once the player exists
+    static applyToPlayer(scene) {
+        const { skin, trail } = Cosmetics.getLoadout();
+        const sprite = scene.player && scene.player.sprite;
+        if (!sprite) return;
+
+        if (skin.tint !== undefined) {
+            sprite.setTint(skin.tint);
+        }
+        if (trail.color !== undefined && scene.particleManager) {
+            scene.particleManager.createTrail(sprite, trail.color, { texture: 'coffeeBean', scale: 0.03 });
+        }
+    }
+
+    // { background, alpha, text } for the top HUD, or null for the classic look
+    static getHudTheme() {
+        return Cosmetics.getLoadout().hud.hud || null;
+    }
+}
@@ -24,28 +24,72 @@ export const ELEMENT_SIZES = {
     MAX_SCALE_FACTOR: 1.4,  // Maximum scale on very large screens
 };
 
+// Responsive scale factor for a screen size, base resolution 480x854 (mobile
+// standard). Plain functions so GameSimulation can size hitboxes without Phaser.
+export function getResponsiveScaleFactor(screenWidth, screenHeight) {
+    const baseWidth = 480;
+    const baseHeight = 854;
+    
+    const widthRatio = screenWidth / baseWidth;
+    const heightRatio = screenHeight / baseHeight;
+    
+    // Use the smaller ratio to ensure elements fit on screen, clamped between min and max scale factors
+    return Math.max(
+        ELEMENT_SIZES.MIN_SCALE_FACTOR,
+        Math.min(ELEMENT_SIZES.MAX_SCALE_FACTOR, Math.min(widthRatio, heightRatio))
+    );
+}
+
+/**
+ * Get the standard pixel size for an element type
+ * @param {string} elementType - Type: 'player', 'collectible', 'powerup', 'obstacle', 'companion'
+ * @returns {number} Target pixel size
+ */
+export function getStandardSize(elementType) {
+    switch (elementType.toLowerCase()) {
+        case 'player':
+            return ELEMENT_SIZES.PLAYER;
+        case 'collectible':
+        case 'smoothie':
+        case 'bagel':
+            return ELEMENT_SIZES.COLLECTIBLE;
+        case 'coffee_small':
+        case 'small_coffee':
+            return ELEMENT_SIZES.COFFEE_SMALL;
+        case 'coffee_medium':
+        case 'medium_coffee':
+            return ELEMENT_SIZES.COFFEE_MEDIUM;
+        case 'coffee_large':
+        case 'large_coffee':
+            return ELEMENT_SIZES.COFFEE_LARGE;
+        case 'coffee_specialty':
+        case 'specialty_coffee':
+            return ELEMENT_SIZES.COFFEE_SPECIALTY;
+        case 'powerup':
+        case 'power-up':
+        case 'power_up':
+            return ELEMENT_SIZES.POWER_UP;
+        case 'obstacle':
+            return ELEMENT_SIZES.OBSTACLE;
+        case 'companion':
+        case 'bird':
+            return ELEMENT_SIZES.COMPANION;
+        case 'ui':
+        case 'ui_icon':
+            return ELEMENT_SIZES.UI_ICON;
+        default:
+            console.warn(`⚠️ Unknown element type: ${elementType}, using collectible size`);
+            return ELEMENT_SIZES.COLLECTIBLE;
+    }
+}
+
 export default class ElementSizing {
     constructor(scene) {
         this.scene = scene;
         this.screenWidth = scene.cameras.main.width;
         this.screenHeight = scene.cameras.main.height;
         
-        // Calculate responsive scale factor based on screen size
-        // Base resolution: 480x854 (mobile standard)
-        const baseWidth = 480;
-        const baseHeight = 854;
-        
-        const widthRatio = this.screenWidth / baseWidth;
-        const heightRatio = this.screenHeight / baseHeight;
-        
-        // Use the smaller ratio to ensure elements fit on screen
-        this.responsiveScaleFactor = Math.min(widthRatio, heightRatio);
-        
-        // Clamp between min and max scale factors
-        this.responsiveScaleFactor = Math.max(
-            ELEMENT_SIZES.MIN_SCALE_FACTOR,
-            Math.min(ELEMENT_SIZES.MAX_SCALE_FACTOR, this.responsiveScaleFactor)
-        );
+        this.responsiveScaleFactor = getResponsiveScaleFactor(this.screenWidth, this.screenHeight);
         
         console.log(`🎮 ElementSizing initialized: Screen ${this.screenWidth}x${this.screenHeight}, Scale Factor: ${this.responsiveScaleFactor.toFixed(3)}`);
     }
@@ -98,41 +142,7 @@ export default class ElementSizing {
      * @returns {number} Target pixel size
      */
     getStandardSize(elementType) {
-        switch (elementType.toLowerCase()) {
-            case 'player':
-                return ELEMENT_SIZES.PLAYER;
-            case 'collectible':
-            case 'smoothie':
-            case 'bagel':
-                return ELEMENT_SIZES.COLLECTIBLE;
-            case 'coffee_small':
-            case 'small_coffee':
-                return ELEMENT_SIZES.COFFEE_SMALL;
-            case 'coffee_medium':
-            case 'medium_coffee':
-                return ELEMENT_SIZES.COFFEE_MEDIUM;
-            case 'coffee_large':
-            case 'large_coffee':
-                return ELEMENT_SIZES.COFFEE_LARGE;
-            case 'coffee_specialty':
-            case 'specialty_coffee':
-                return ELEMENT_SIZES.COFFEE_SPECIALTY;
-            case 'powerup':
-            case 'power-up':
-            case 'power_up':
-                return ELEMENT_SIZES.POWER_UP;
-            case 'obstacle':
-                return ELEMENT_SIZES.OBSTACLE;
-            case 'companion':
-            case 'bird':
-                return ELEMENT_SIZES.COMPANION;
-            case 'ui':
-            case 'ui_icon':
-                return ELEMENT_SIZES.UI_ICON;
-            default:
-                console.warn(`⚠️ Unknown element type: ${elementType}, using collectible size`);
-                return ELEMENT_SIZES.COLLECTIBLE;
-        }
+        return getStandardSize(elementType);
     }
     
     /**
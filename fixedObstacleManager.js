@@ -4,10 +4,12 @@
 // Phaser is loaded globally from CDN
 import ElementSizing from './elementSizing.js';
 import debugLogger from './debugLogger.js';
+import SeededRandom from './seededRandom.js';
 
 export default class FixedObstacleManager {
     constructor(scene) {
         this.scene = scene;
+        this.rng = (scene.rng || new SeededRandom()).stream('fixedObstacles');
         this.obstacles = scene.physics.add.staticGroup();
         this.lastSpawnTime = 0;
         this.spawnInterval = 3000; // 3 seconds between obstacle sets
@@ -77,7 +79,7 @@ export default class FixedObstacleManager {
         const spawnX = screenWidth + 100;
         
         // Randomly select obstacle type
-        const obstacleType = Phaser.Math.RND.pick(this.obstacleTypes);
+        const obstacleType = this.rng.pick(this.obstacleTypes);
         
         if (obstacleType.pattern === 'vertical_gap') {
             this.createVerticalGapObstacle(spawnX, obstacleType);
@@ -99,7 +101,7 @@ export default class FixedObstacleManager {
         // Calculate gap position (center area with some randomness, within safe bounds)
         const minGapCenter = safeMarginTop + (usableHeight * 0.3);
         const maxGapCenter = safeMarginTop + (usableHeight * 0.7);
-        const gapCenter = Phaser.Math.Between(minGapCenter, maxGapCenter);
+        const gapCenter = this.rng.between(minGapCenter, maxGapCenter);
         const halfGap = obstacleType.gapSize / 2;
         
         // Create top obstacle (from safe top margin to gap start)
@@ -140,7 +142,7 @@ export default class FixedObstacleManager {
         const safeMarginBottom = Math.max(60, screenHeight * 0.08);
         
         // Create horizontal barrier at random height within safe bounds
-        const barrierY = Phaser.Math.Between(
+        const barrierY = this.rng.between(
             safeMarginTop + obstacleType.height / 2, 
             screenHeight - safeMarginBottom - obstacleType.height / 2
         );
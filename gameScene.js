@@ -7,11 +7,48 @@ import SoundManager from './soundManager.js';
 import Leaderboard from './leaderboard.js';
 import debugLogger from './debugLogger.js';
 import ResponsiveUtils from './responsiveUtils.js';
-import { UI, ANIMATIONS, GAME, PLAYER, POWER_UPS, EXPLOSION } from './constants.js';
+import SeededRandom from './seededRandom.js';
+import InputRecorder from './inputRecorder.js';
+import ContentManager from './systems/ContentManager.js';
+import GameSimulation from './systems/GameSimulation.js';
+import { getPowerUpEffect } from './systems/powerUps/index.js';
+import GameStateManager from './systems/GameStateManager.js';
+import UIManager from './systems/UIManager.js';
+import ParticleManager from './particleManager.js';
+import Cosmetics from './cosmetics.js';
+import { UI, ANIMATIONS, GAME, PLAYER, EXPLOSION, LIVE_OPS, PAUSE, REVIVE } from './constants.js';
 
 export default class GameScene extends Phaser.Scene {
-    constructor() {
-        super({ key: 'GameScene' });
+    constructor(config = { key: 'GameScene' }) {
+        super(config);
+    }
+
+    // Run seed comes from scene data ({ seed }), then the ?seed= URL option, else random
+    init(data = {}) {
+        // Daily Dash runs share one seed per UTC day; the server says when the
+        // run starts whether it is the ranked attempt (see Leaderboard.startRun)
+        this.gameMode = data.mode || 'classic';
+        this.dailyDate = data.dailyDate || null;
+        this.dailyRanked = null;
+        // A ?seed= run is practice: anyone could rehearse the seed, and ranked
+        // runs only use seeds the server chose (see Leaderboard.startRun)
+        const urlSeed = data.seed == null ? SeededRandom.seedFromUrl() : null;
+        this.isSeededPractice = urlSeed !== null;
+        this.runSeed = data.seed ?? urlSeed ?? SeededRandom.randomSeed();
+        this.gameBalance = this.resolveGameBalance(data.balance);
+    }
+
+    // Live-ops balance is locked in when the run starts so a config change
+    // mid-run can't desync the replay. Daily Dash always plays the defaults
+    // so everyone on the daily board gets the same run.
+    resolveGameBalance(balance) {
+        if (balance) {
+            return { ...LIVE_OPS.DEFAULT_BALANCE, ...balance };
+        }
+        if (this.gameMode === 'daily') {
+            return { ...LIVE_OPS.DEFAULT_BALANCE };
+        }
+        return ContentManager.getCachedGameBalance();
     }
 
     create() {
@@ -38,8 +75,26 @@ export default class GameScene extends Phaser.Scene {
         // Set up background
         this.setupBackground();
         
+        // Theme pack from the preloader, then whatever ContentManager's events switch to
+        this.themePack = null;
+        this.applyThemePack(this.registry.get('themePack') || null);
+        this.events.on('themeChanged', this.applyThemePack, this);
+        this.events.once('shutdown', () => this.events.off('themeChanged', this.applyThemePack, this));
+        
         // Initialize game state first
         this.initializeGameState();
+        this.bindSimulationEvents();
+        
+        // Pause and resume go through the state manager; the UI manager only
+        // supplies the pause menu here since GameScene draws its own HUD
+        this.gameStateManager = new GameStateManager(this);
+        this.uiManager = new UIManager(this);
+        this.events.on('gameResumed', this.onGameResumed, this);
+        this.events.once('shutdown', () => {
+            this.events.off('gameResumed', this.onGameResumed, this);
+            this.gameStateManager.cleanup();
+            this.uiManager.cleanup();
+        });
         
         // Create game objects in correct order
         // Position player in center-left area like the reference image
@@ -54,26 +109,47 @@ export default class GameScene extends Phaser.Scene {
             throw error;
         }
         
+        // Seeded PRNG shared by all spawners - a run is reproducible from its seed
+        this.rng = this.simulation.rng;
+        console.log(`🎲 Run seed: ${this.rng.getSeed()}`);
+        
         // Wait for player to be fully initialized before creating managers
         this.time.delayedCall(100, () => {
             this.responsiveUtils = new ResponsiveUtils(this);
             this.obstacleManager = new ObstacleManager(this);
             this.collectibleManager = new CollectibleManager(this);
-            this.mobileControls = new MobileControls(this);
+            this.mobileControls = this.createControls();
             this.leaderboard = new Leaderboard(this);
             
+            // Keep live-ops content fresh for the next run (replays play back their recorded balance)
+            if (!this.isReplay) {
+                this.contentManager = new ContentManager(this);
+                this.events.once('shutdown', () => this.contentManager.cleanup());
+            }
+            
             // Create particle system for effects
             this.createParticleSystem();
             
+            // Shop skin and trail - a replay shows the run, not the viewer's looks
+            if (!this.isReplay) {
+                this.particleManager = new ParticleManager(this);
+                this.events.once('shutdown', () => this.particleManager.cleanup());
+                Cosmetics.applyToPlayer(this);
+            }
+            
             // Set up UI
             this.createUI();
+            this.uiManager.createPauseMenu();
+            this.uiManager.createReviveOffer();
             
             // Set up input
             this.setupInput();
+            this.setupPauseControls();
             
             // Start game
             this.gameRunning = true;
             this.gameStartTime = this.time.now;
+            this.gameStateManager.startGame({ startTime: this.gameStartTime, seed: this.rng.getSeed() });
             
             console.log('🎮 GAME STARTED!');
             console.log('🎮 gameRunning:', this.gameRunning);
@@ -90,45 +166,71 @@ export default class GameScene extends Phaser.Scene {
     }
 
     initializeGameState() {
-        // Core game state
-        this.score = 0;
-        this.comboCount = 0;
-        this.maxComboReached = 0;
-        this.gameSpeed = 300;
-        this.baseGameSpeed = 300;
-        this.speedIncrease = 1;
-        this.distanceTraveled = 0;
+        // The rules of the run - spawning, collisions, scoring, power-ups and the
+        // difficulty ramp - live in the simulation; this scene draws its state
+        this.simulation = new GameSimulation({
+            seed: this.runSeed,
+            itemCatalog: this.registry.get('itemCatalog'),
+            patternLibrary: this.registry.get('obstaclePatterns'),
+            balance: this.gameBalance,
+            mode: this.gameMode,
+            width: this.screenWidth,
+            height: this.screenHeight,
+            minScale: this.minScale
+        });
+        
         this.gameRunning = false;
         this.pauseState = false;
-        this.isDashing = false;
-        
-        // Power-up states
-        this.shieldActive = false;
-        this.shieldTime = 0;
-        this.speedBoostActive = false;
-        this.speedBoostTime = 0;
-        this.scoreMultiplierActive = false;
-        this.scoreMultiplier = 1.0;
-        this.scoreMultiplierTime = 0;
-        this.timeSlowActive = false;
-        this.timeSlowTime = 0;
-        this.timeSlowFactor = 1.0;
-        this.magnetActive = false;
-        this.magnetTime = 0;
-        this.magnetRange = 0;
-        this.magnetAura = null;
-        this.birdCompanionActive = false;
-        this.birdCompanionTime = 0;
-        this.birdCompanionType = null;
-        this.birdCompanion = null;
-        this.birdCompanionCollectionRadius = 80;
+        this.gameEndTime = null;
+        
+        // Real time not yet stepped through the simulation
+        this.stepAccumulator = 0;
+        
+        // Drawn state of running power-ups (effect -> view state)
+        this.powerUpViews = new Map();
         
         // Session management
         this.sessionPhase = 'warmup';
         this.phaseStartTime = 0;
-        this.sessionBonusMultiplier = 1;
+        this.sessionBonusMultiplier = this.gameBalance.scoreMultiplier;
     }
 
+    // Run state is the simulation's - read-only here
+    get score() { return this.simulation.score; }
+    get comboCount() { return this.simulation.comboCount; }
+    get maxComboReached() { return this.simulation.maxCombo; }
+    get gameSpeed() { return this.simulation.gameSpeed; }
+    get distanceTraveled() { return this.simulation.distance; }
+    get frame() { return this.simulation.frame; }
+    get simulationTime() { return this.simulation.time; }
+    get collectiblesCollected() { return this.simulation.collectiblesCollected; }
+    get powerUpsCollected() { return this.simulation.powerUpsCollected; }
+    get revived() { return this.simulation.revived; }
+    get reviveMethod() { return this.simulation.reviveMethod; }
+    get beansSpent() { return this.simulation.beansSpent; }
+    get powerUpSystem() { return this.simulation.powerUps; }
+    
+    // Sound, shake and HUD for what the simulation decides
+    bindSimulationEvents() {
+        const { events } = this.simulation;
+        
+        events.on('playerHit', ({ obstacle }) => {
+            this.soundManager.playExplosion();
+            this.createImpactEffect(obstacle.x, obstacle.y);
+        });
+        events.on('obstacleBlocked', () => this.soundManager.playShieldBlock());
+        events.on('healthChanged', () => this.updateMinimalHearts());
+        events.on('playerDowned', () => {
+            if (this.canRevive()) {
+                this.offerRevive();
+            } else {
+                this.gameOver();
+            }
+        });
+        
+        this.events.once('shutdown', () => events.removeAllListeners());
+    }
+    
     setupBackground() {
         // Use custom background image
         this.createCustomBackground();
@@ -199,25 +301,62 @@ export default class GameScene extends Phaser.Scene {
         console.log(`🎨 Dual-image background with dual subtle seams created: ${this.backgroundImages[0].displayWidth}x${this.backgroundImages[0].displayHeight}`);
     }
     
-    createSkyGradient() {
-        // Create sky and ground background
-        // Top: blue sky
-        const sky = this.add.rectangle(0, 0, this.screenWidth, this.screenHeight * 0.75, 0x87CEEB)
-            .setOrigin(0, 0);
+    // Theme packs (themePack.js) replace the coffee-shop backdrop with their
+    // own sky, parallax layers and clouds, retexture the collectibles, tint
+    // the particles and bring their music. null puts the default look back.
+    applyThemePack(pack) {
+        if ((pack ? pack.id : null) === (this.themePack ? this.themePack.id : null)) return;
+        this.themePack = pack;
+        
+        this.clearThemeBackground();
+        [...this.backgroundImages, ...this.seamLines].forEach(image => image.setVisible(!pack));
+        if (pack) {
+            pack.createTextures(this);
+            this.createSkyGradient(pack.sky);
+            this.createParallaxBackground(pack.layers);
+            this.createFloatingClouds(pack.clouds);
+        }
+        
+        this.applyParticlePalette();
+        if (this.collectibleManager) this.collectibleManager.refreshTextures();
+        this.soundManager.playBackgroundMusic(pack ? pack.music : null);
+        
+        console.log(`🎨 Background theme: ${pack ? pack.name : 'default'}`);
+    }
+    
+    clearThemeBackground() {
+        if (this.skyGradient) {
+            this.skyGradient.destroy();
+            this.skyGradient = null;
+        }
+        (this.backgroundLayers || []).forEach(layer => layer.containers.forEach(container => container.destroy()));
+        this.backgroundLayers = [];
+        if (this.floatingClouds) {
+            this.floatingClouds.destroy(true);
+            this.floatingClouds = null;
+        }
+    }
+    
+    createSkyGradient(sky) {
+        const horizonY = this.screenHeight * 0.75;
         
-        // Bottom: green ground
-        const ground = this.add.rectangle(0, this.screenHeight * 0.75, this.screenWidth, this.screenHeight * 0.25, 0x4CAF50)
-            .setOrigin(0, 0);
+        // Sky fades from top to horizon, ground below it
+        this.skyGradient = this.add.graphics().setDepth(-100);
+        this.skyGradient.fillGradientStyle(sky.top, sky.top, sky.bottom, sky.bottom, 1);
+        this.skyGradient.fillRect(0, 0, this.screenWidth, horizonY);
+        this.skyGradient.fillStyle(sky.ground, 1);
+        this.skyGradient.fillRect(0, horizonY, this.screenWidth, this.screenHeight - horizonY);
         
         // Add a subtle horizon line
-        const horizonLine = this.add.rectangle(0, this.screenHeight * 0.75, this.screenWidth, 2, 0x2E7D32)
-            .setOrigin(0, 0)
-            .setAlpha(0.6);
+        this.skyGradient.fillStyle(sky.horizon, 0.6);
+        this.skyGradient.fillRect(0, horizonY, this.screenWidth, 2);
     }
     
-    createParallaxBackground() {
-        // Clean slate - no background elements
+    createParallaxBackground(layers) {
         this.backgroundLayers = [];
+        layers.forEach(layer => {
+            this.createBackgroundLayer(layer.name, layer.scrollSpeed, this.screenHeight * layer.y, layer.elements);
+        });
     }
     
     createBackgroundLayer(layerName, scrollSpeed, yPosition, elements) {
@@ -231,9 +370,10 @@ export default class GameScene extends Phaser.Scene {
         // Create two containers for seamless scrolling (double buffering)
         for (let containerIndex = 0; containerIndex < 2; containerIndex++) {
             const container = this.add.container(containerIndex * this.screenWidth, 0);
-            container.setDepth(layerName === 'foreground' ? 50 : 
-                              layerName === 'near' ? 40 : 
-                              layerName === 'mid' ? 30 : 20);
+            // Behind the bird and everything it flies through
+            container.setDepth(layerName === 'foreground' ? -60 : 
+                              layerName === 'near' ? -70 : 
+                              layerName === 'mid' ? -80 : -90);
             
             // Fill container with elements
             let currentX = 0;
@@ -243,7 +383,7 @@ export default class GameScene extends Phaser.Scene {
                 const element = Phaser.Math.RND.pick(elements);
                 const elementSprite = this.add.text(currentX, yPosition, element.emoji, {
                     fontSize: Math.max(30, 40 * this.minScale * element.scale) + 'px'
-                }).setAlpha(layerName === 'far' ? 0.6 : layerName === 'mid' ? 0.7 : 0.8);
+                }).setOrigin(0, 1).setAlpha(layerName === 'far' ? 0.6 : layerName === 'mid' ? 0.7 : 0.8);
                 
                 container.add(elementSprite);
                 currentX += element.spacing;
@@ -255,18 +395,19 @@ export default class GameScene extends Phaser.Scene {
         this.backgroundLayers.push(layer);
     }
     
-    createFloatingClouds() {
+    createFloatingClouds(style) {
         // Create floating clouds that move at different speeds
         this.floatingClouds = this.add.group();
+        const [minAlpha, maxAlpha] = style.alpha;
         
-        for (let i = 0; i < 18; i++) {
-            const cloudEmoji = Phaser.Math.RND.pick(['☁️', '⛅', '🌤️', '⛈️', '🌩️', '🌨️']);
+        for (let i = 0; i < style.count; i++) {
+            const cloudEmoji = Phaser.Math.RND.pick(style.emoji);
             const cloud = this.add.text(
                 Phaser.Math.Between(-200, this.screenWidth + 200),
                 Phaser.Math.Between(30, this.screenHeight * 0.5),
                 cloudEmoji,
                 { fontSize: Math.max(15, 25 * this.minScale) + 'px' }
-            ).setAlpha(Phaser.Math.Between(25, 60) / 100).setDepth(10);
+            ).setAlpha(Phaser.Math.FloatBetween(minAlpha, maxAlpha)).setDepth(-95);
             
             cloud.setData('scrollSpeed', 0.05 + (i * 0.03));
             cloud.setData('originalX', cloud.x);
@@ -388,10 +529,18 @@ export default class GameScene extends Phaser.Scene {
         });
         this.particleSystems.push(this.birdTrailParticles);
         
+        this.applyParticlePalette();
+        
         // Add cleanup method to scene shutdown
         this.events.on('shutdown', this.cleanupParticleSystems, this);
     }
     
+    // Effect particles stay untinted unless a theme pack brings a palette
+    applyParticlePalette() {
+        const tint = this.themePack ? this.themePack.particleTints : 0xFFFFFF;
+        (this.particleSystems || []).forEach(emitter => emitter.ops.tint.loadConfig({ tint }));
+    }
+    
     cleanupParticleSystems() {
         // Safely destroy all particle systems
         if (this.particleSystems) {
@@ -529,9 +678,10 @@ export default class GameScene extends Phaser.Scene {
     createMainHUD() {
         const zone = this.uiZones.topHUD;
         
-        // Minimal, semi-transparent background
+        // Minimal, semi-transparent background - or the equipped shop HUD theme
+        const hudTheme = this.isReplay ? null : Cosmetics.getHudTheme();
         this.mainHUDBg = this.add.graphics();
-        this.mainHUDBg.fillStyle(0x000000, 0.3); // Very subtle background
+        this.mainHUDBg.fillStyle(hudTheme ? hudTheme.background : 0x000000, hudTheme ? hudTheme.alpha : 0.3); // Very subtle background
         this.mainHUDBg.fillRoundedRect(zone.x, zone.y, zone.width, zone.height, 6);
         this.mainHUDBg.setDepth(499);
         this.uiContainer.add(this.mainHUDBg);
@@ -543,6 +693,44 @@ export default class GameScene extends Phaser.Scene {
         
         // Add UI toggle button
         this.createUIToggle();
+        this.createPauseButton();
+        
+        if (this.gameMode === 'daily') {
+            this.createDailyBadge(zone);
+        }
+    }
+    
+    // Until the server has said otherwise a Daily Dash run is practice
+    get isDailyPractice() {
+        return this.gameMode === 'daily' && this.dailyRanked !== true;
+    }
+    
+    setDailyRanked(ranked) {
+        this.dailyRanked = ranked;
+        this.updateDailyBadge();
+    }
+    
+    createDailyBadge(zone) {
+        this.dailyBadge = this.add.text(this.centerX, zone.y + zone.height + 6, '', {
+            fontSize: Math.max(12, 14 * this.minScale) + 'px',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5, 0).setDepth(501);
+        this.uiContainer.add(this.dailyBadge);
+        this.updateDailyBadge();
+    }
+    
+    updateDailyBadge() {
+        if (!this.dailyBadge) return;
+        
+        if (this.dailyRanked === null) {
+            this.dailyBadge.setText('📅 DAILY DASH').setColor('#FFFFFF');
+        } else if (this.dailyRanked) {
+            this.dailyBadge.setText('📅 DAILY DASH · RANKED').setColor('#FFD700');
+        } else {
+            this.dailyBadge.setText('📅 DAILY DASH · PRACTICE').setColor('#AAAAAA');
+        }
     }
     
     createMinimalScore(x, y, width, height) {
@@ -554,9 +742,10 @@ export default class GameScene extends Phaser.Scene {
         }).setOrigin(0, 0.5).setDepth(501);
         this.uiContainer.add(this.scoreIcon);
         
+        const hudTheme = this.isReplay ? null : Cosmetics.getHudTheme();
         this.scoreText = this.add.text(x + 35, centerY, '0', {
             fontSize: Math.max(20, 24 * this.minScale) + 'px', // Increased from 14/16
-            fill: '#FFFFFF',
+            fill: hudTheme ? hudTheme.text : '#FFFFFF',
             fontWeight: 'bold',
             fontFamily: 'Arial, sans-serif',
             stroke: '#000000',
@@ -636,6 +825,22 @@ export default class GameScene extends Phaser.Scene {
         this.uiContainer.add(this.musicToggleBtn);
     }
     
+    createPauseButton() {
+        // Below the music toggle, clear of the hearts
+        const zone = this.uiZones.topHUD;
+        this.pauseButton = this.add.text(this.screenWidth - 35, zone.y + zone.height + 30, '⏸️', {
+            fontSize: Math.max(24, 28 * this.minScale) + 'px',
+            stroke: '#000000',
+            strokeThickness: 2
+        }).setOrigin(0.5, 0.5).setDepth(502).setInteractive();
+        
+        // MobileControls skips taps on this name, so pausing doesn't also flap
+        this.pauseButton.name = 'pauseButton';
+        this.pauseButton.on('pointerdown', () => this.togglePause());
+        
+        this.uiContainer.add(this.pauseButton);
+    }
+    
     updateMinimalHearts() {
         // Clear existing hearts and animations
         if (this.hearts) {
@@ -656,8 +861,7 @@ export default class GameScene extends Phaser.Scene {
         
         const heartSize = Math.max(22, 26 * this.minScale); // Increased from 16/18
         const heartSpacing = heartSize + 6; // Slightly more spacing
-        const maxHearts = this.player ? this.player.maxHealth : 3;
-        const currentHealth = this.player ? this.player.health : 0;
+        const { maxHealth: maxHearts, health: currentHealth } = this.simulation.player;
         
         // Create larger, more visible hearts for mobile
         for (let i = 0; i < maxHearts; i++) {
@@ -705,19 +909,8 @@ export default class GameScene extends Phaser.Scene {
         const hudHeight = this.uiZones.topHUD.height;
         const powerUpY = zone.y + hudHeight + 10; // Position below main HUD with 10px gap
         
-        this.powerUpIndicators = {};
         this.activePowerUpDisplays = [];
         
-        // Power-up definitions
-        this.powerUpDefs = [
-            { key: 'shield', icon: '🛡️', color: '#3498db' },
-            { key: 'speed', icon: '⚡', color: '#f1c40f' },
-            { key: 'multiplier', icon: '✨', color: '#e74c3c' },
-            { key: 'magnet', icon: '🧲', color: '#9b59b6' },
-            { key: 'timeSlow', icon: '⏰', color: '#2ecc71' },
-            { key: 'companion', icon: '🐦', color: '#e67e22' }
-        ];
-        
         // Create container for active power-ups only - positioned below main HUD
         this.activePowerUpsContainer = this.add.container(zone.x, powerUpY);
         this.activePowerUpsContainer.setDepth(501);
@@ -736,32 +929,12 @@ export default class GameScene extends Phaser.Scene {
         this.activePowerUpsContainer.removeAll(true);
         this.activePowerUpDisplays = [];
         
-        // Only show active power-ups
-        const activePowerUps = [];
-        
-        if (this.shieldActive) activePowerUps.push({ 
-            key: 'shield', time: this.shieldTime, maxTime: 3000 
-        });
-        if (this.speedBoostActive) activePowerUps.push({ 
-            key: 'speed', time: this.speedBoostTime, maxTime: 4000 
-        });
-        if (this.scoreMultiplierActive) activePowerUps.push({ 
-            key: 'multiplier', time: this.scoreMultiplierTime, maxTime: 5000 
-        });
-        if (this.magnetActive) activePowerUps.push({ 
-            key: 'magnet', time: this.magnetTime, maxTime: 5000 
-        });
-        if (this.timeSlowActive) activePowerUps.push({ 
-            key: 'timeSlow', time: this.timeSlowTime, maxTime: 6000 
-        });
-        if (this.birdCompanionActive) activePowerUps.push({ 
-            key: 'companion', time: this.birdCompanionTime, maxTime: 15000 
-        });
+        // Only show active power-ups - icons come from each effect module
+        const activePowerUps = this.powerUpSystem ? this.powerUpSystem.getActiveEffects() : [];
         
         // Create minimal displays for active power-ups
         activePowerUps.forEach((powerUp, index) => {
-            const def = this.powerUpDefs.find(d => d.key === powerUp.key);
-            if (!def) return;
+            const def = powerUp.hud;
             
             const x = index * 45; // Horizontal layout
             const y = 0;
@@ -778,7 +951,7 @@ export default class GameScene extends Phaser.Scene {
             this.activePowerUpsContainer.add(icon);
             
             // Timer text - responsive sizing
-            const timeLeft = Math.ceil(powerUp.time / 1000);
+            const timeLeft = Math.ceil(powerUp.remaining / 1000);
             const timerSize = Math.max(10, Math.floor(12 * this.minScale)) + 'px';
             const timer = this.add.text(x + 20, y + 35, `${timeLeft}s`, {
                 fontSize: timerSize,
@@ -982,8 +1155,7 @@ export default class GameScene extends Phaser.Scene {
             this.heartsContainer.removeAll(true);
         }
         
-        const maxHearts = this.player ? this.player.maxHealth : 3;
-        const currentHealth = this.player ? this.player.health : 0;
+        const { maxHealth: maxHearts, health: currentHealth } = this.simulation.player;
         
         // Calculate heart size based on available section width
         const availableWidth = this.healthSectionWidth || 120;
@@ -1049,10 +1221,6 @@ export default class GameScene extends Phaser.Scene {
         // This method is kept for compatibility but no longer creates additional backgrounds
     }
 
-    
-
-    // Pause button functionality removed
-
     setupInput() {
         // Keyboard controls
         this.cursors = this.input.keyboard.createCursorKeys();
@@ -1062,15 +1230,61 @@ export default class GameScene extends Phaser.Scene {
         // Debug toggle
         this.debugKey = this.input.keyboard.addKey('D');
         this.debugKey.on('down', () => this.toggleDebug());
+    }
+
+    // ESC/P toggle the pause menu; a hidden tab or unfocused window pauses
+    // the run so nothing moves while the player is away
+    setupPauseControls() {
+        PAUSE.KEYS.forEach(key => {
+            this.input.keyboard.on(`keydown-${key}`, () => {
+                const activeElement = document.activeElement;
+                if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')) return;
+                this.togglePause();
+            });
+        });
         
-        // Add simple click/tap test to make sure game is responsive
-        this.input.on('pointerdown', () => {
-            if (this.gameRunning && this.player) {
-                this.player.fly();
-            }
+        const pauseForBackground = () => this.pauseForBackground();
+        this.game.events.on(Phaser.Core.Events.HIDDEN, pauseForBackground);
+        this.game.events.on(Phaser.Core.Events.BLUR, pauseForBackground);
+        this.events.once('shutdown', () => {
+            this.game.events.off(Phaser.Core.Events.HIDDEN, pauseForBackground);
+            this.game.events.off(Phaser.Core.Events.BLUR, pauseForBackground);
         });
     }
 
+    isPaused() {
+        return Boolean(this.gameStateManager && this.gameStateManager.isGamePaused());
+    }
+
+    togglePause() {
+        // The revive offer has its own buttons and nothing to resume into
+        if (!this.gameRunning || this.uiManager.isReviveOfferShowing()) return;
+        
+        if (!this.isPaused()) {
+            this.gameStateManager.pauseGame('player');
+        } else if (this.uiManager.isResumeCountdownRunning()) {
+            this.uiManager.cancelResumeCountdown();
+        } else {
+            this.uiManager.startResumeCountdown();
+        }
+    }
+
+    pauseForBackground() {
+        if (!this.gameRunning) return;
+        
+        // Coming back mid-countdown would drop the player straight into play
+        if (this.isPaused()) {
+            this.uiManager.cancelResumeCountdown();
+        } else {
+            this.gameStateManager.pauseGame('background');
+        }
+    }
+
+    onGameResumed() {
+        // Start stepping afresh rather than catching up on the paused time
+        this.stepAccumulator = 0;
+    }
+
     update(time, delta) {
         // Debug: Log first few updates
         if (!this.updateCount) this.updateCount = 0;
@@ -1086,35 +1300,97 @@ export default class GameScene extends Phaser.Scene {
             return;
         }
         
-        // Update game speed
-        this.updateGameSpeed(delta);
+        // Paused: the simulation, and with it every spawner and power-up timer, stands still
+        if (this.isPaused()) {
+            this.uiManager.updateRevivePromo(delta);
+            this.uiManager.updateResumeCountdown(delta);
+            return;
+        }
         
-        // Update background
-        this.updateBackground(delta);
+        // Advance the simulation in fixed steps so recorded input replays frame-for-frame
+        const { STEP_MS, MAX_STEPS_PER_FRAME } = GAME.FIXED_TIMESTEP;
+        this.stepAccumulator = Math.min(this.stepAccumulator + delta, STEP_MS * MAX_STEPS_PER_FRAME);
         
-        // Update game objects
-        if (this.player) this.player.update(time, delta);
-        if (this.obstacleManager) this.obstacleManager.update(time, delta);
-        if (this.collectibleManager) this.collectibleManager.update(time, delta);
+        while (this.stepAccumulator >= STEP_MS && this.gameRunning && !this.isPaused()) {
+            this.stepAccumulator -= STEP_MS;
+            this.fixedUpdate(time, STEP_MS);
+        }
         
-        // Update power-ups
-        this.updatePowerUps(delta);
+        // Draw where the simulation has got to
+        if (this.obstacleManager) this.obstacleManager.draw();
+        if (this.collectibleManager) this.collectibleManager.draw();
+        this.updatePowerUpViews(delta);
         
         // Update UI
         this.updateUI();
+    }
+
+    fixedUpdate(time, delta) {
+        // Update background
+        this.updateBackground(delta);
         
-        // Update distance
-        this.distanceTraveled += (this.gameSpeed * delta) / 1000;
+        // The bird flies in the same steps; the simulation takes its position and steps the rest
+        if (this.player) {
+            this.player.update(time, delta);
+            const { motion } = this.player;
+            this.simulation.setPlayerPosition(motion.x, motion.y);
+        }
+        this.simulation.step(delta);
+    }
+    
+    // Run each power-up's view hooks alongside the effects the simulation has running
+    updatePowerUpViews(delta) {
+        const running = new Set(this.powerUpSystem.getRunningEffects());
+        const callView = (effect, hook, ...args) => {
+            const view = getPowerUpEffect(effect.type).view;
+            if (!view || !view[hook]) return;
+            try {
+                view[hook](this, effect, this.powerUpViews.get(effect), ...args);
+            } catch (error) {
+                console.error(`❌ Error drawing power-up ${effect.type}:`, error);
+            }
+        };
+        
+        this.powerUpViews.forEach((viewState, effect) => {
+            if (!running.has(effect)) {
+                callView(effect, 'onExpire');
+                this.powerUpViews.delete(effect);
+            }
+        });
+        
+        running.forEach(effect => {
+            if (!this.powerUpViews.has(effect)) {
+                this.powerUpViews.set(effect, {});
+                callView(effect, 'onActivate');
+            } else {
+                callView(effect, 'onTick', delta);
+            }
+        });
+    }
+
+    // Live input - ReplayScene overrides this to feed recorded input instead
+    createControls() {
+        this.inputRecorder = new InputRecorder(this);
+        return new MobileControls(this);
     }
 
-    updateGameSpeed(delta) {
-        // Base speed increase
-        this.speedIncrease += delta * 0.00002;
+    // Single entry point for player input so every action can be recorded and replayed
+    applyInput(action, payload) {
+        if (!this.gameRunning || this.isPaused() || !this.player || !this.player.sprite || !this.player.sprite.active) return;
         
-        // Apply time slow factor
-        const speedMultiplier = this.timeSlowActive ? this.timeSlowFactor : 1.0;
+        // Steer by whole pixels, which is what the recording keeps
+        if (payload) {
+            payload = { x: Math.round(payload.x), y: Math.round(payload.y) };
+        }
         
-        this.gameSpeed = this.baseGameSpeed * this.speedIncrease * speedMultiplier;
+        if (this.inputRecorder) {
+            this.inputRecorder.record(action, payload);
+        }
+        
+        // The bird moves on the next fixed step, as it will in playback
+        if (!this.player.applyInput(action, payload)) {
+            debugLogger.warn('Unknown input action:', action);
+        }
     }
 
     updateBackground(delta) {
@@ -1154,92 +1430,10 @@ export default class GameScene extends Phaser.Scene {
                     }
                 });
             }
-        }
-    }
-
-    updatePowerUps(delta) {
-        try {
-            // Update shield
-            if (this.shieldActive) {
-                this.shieldTime -= delta;
-                if (this.shieldTime <= 0) {
-                    this.deactivateShield();
-                } else {
-                    // Shield indicator handled by main power-up system
-                }
-            }
             
-            // Update speed boost
-            if (this.speedBoostActive) {
-                this.speedBoostTime -= delta;
-                if (this.speedBoostTime <= 0) {
-                    this.deactivateSpeedBoost();
-                }
-                // Speed boost indicator handled by main power-up system
-            }
-            
-            // Update score multiplier
-            if (this.scoreMultiplierActive) {
-                this.scoreMultiplierTime -= delta;
-                if (this.scoreMultiplierTime <= 0) {
-                    this.deactivateScoreMultiplier();
-                }
-                // Score multiplier indicator handled by main power-up system
-            }
-            
-            // Update time slow
-            if (this.timeSlowActive) {
-                this.timeSlowTime -= delta;
-                if (this.timeSlowTime <= 0) {
-                    this.deactivateTimeSlow();
-                } else {
-                    this.updateTimeSlowIndicator();
-                }
-            }
-            
-            // Update magnet - with additional safety checks
-            if (this.magnetActive) {
-                this.magnetTime -= delta;
-                if (this.magnetTime <= 0) {
-                    this.deactivateMagnet();
-                } else {
-                    // Check if magnetAura still exists before applying effects
-                    if (!this.magnetAura || !this.magnetAura.scene) {
-                        debugLogger.warn("Magnet aura missing but magnet still active - recreating");
-                        // Recreate the aura if it's missing but still active
-                        if (this.player && this.player.sprite && this.player.sprite.active) {
-                            this.magnetAura = this.add.circle(
-                                this.player.sprite.x, 
-                                this.player.sprite.y, 
-                                this.magnetRange, 
-                                0xFF1493, 
-                                0.2
-                            ).setStrokeStyle(2, 0xFF1493, 0.5)
-                             .setDepth(900);
-                        }
-                    }
-                    
-                    // Only apply effect if we have a valid aura
-                    if (this.magnetAura && this.magnetAura.scene) {
-                        this.applyMagnetEffect();
-                        this.updateMagnetIndicator();
-                    } else {
-                        // If we couldn't recreate the aura, deactivate the magnet
-                        this.deactivateMagnet();
-                    }
-                }
-            }
-            
-            // Update bird companion
-            if (this.birdCompanionActive) {
-                this.birdCompanionTime -= delta;
-                if (this.birdCompanionTime <= 0) {
-                    this.deactivateBirdCompanion();
-                }
-                this.updateBirdCompanion(delta);
-            }
-        } catch (error) {
-            debugLogger.error("Error updating power-ups:", error);
+            // Theme pack scenery
+            this.updateParallaxLayers(delta);
+            this.updateFloatingClouds(delta);
         }
     }
 
@@ -1334,50 +1528,11 @@ export default class GameScene extends Phaser.Scene {
         
         // Update stats section
         if (this.speedValue) {
-            const speedMultiplier = (this.gameSpeed / this.baseGameSpeed).toFixed(1);
+            const speedMultiplier = (this.gameSpeed / this.simulation.baseGameSpeed).toFixed(1);
             this.speedValue.setText(`${speedMultiplier}x`);
         }
     }
     
-    updatePowerUpStatusPanel() {
-        // Update each power-up indicator
-        const powerUpStates = {
-            shield: { active: this.shieldActive, time: this.shieldTime, maxTime: 3000 },
-            speed: { active: this.speedBoostActive, time: this.speedBoostTime, maxTime: 4000 },
-            multiplier: { active: this.scoreMultiplierActive, time: this.scoreMultiplierTime, maxTime: 5000 },
-            magnet: { active: this.magnetActive, time: this.magnetTime, maxTime: 5000 },
-            timeSlow: { active: this.timeSlowActive, time: this.timeSlowTime, maxTime: 6000 },
-            companion: { active: this.birdCompanionActive, time: this.birdCompanionTime, maxTime: 15000 }
-        };
-        
-        Object.keys(powerUpStates).forEach(key => {
-            const indicator = this.powerUpIndicators[key];
-            const state = powerUpStates[key];
-            
-            if (indicator) {
-                if (state.active) {
-                    // Show timer
-                    const timeLeft = Math.ceil(state.time / 1000);
-                    indicator.timer.setText(`${timeLeft}s`);
-                    
-                    // Update progress bar
-                    const progress = state.time / state.maxTime;
-                    indicator.progressFill.setDisplaySize(15 * progress, 3);
-                    
-                    // Active styling
-                    indicator.icon.setAlpha(1);
-                    indicator.nameLabel.setTint(0xffffff);
-                } else {
-                    // Inactive styling
-                    indicator.timer.setText('');
-                    indicator.progressFill.setDisplaySize(0, 3);
-                    indicator.icon.setAlpha(0.3);
-                    indicator.nameLabel.setTint(0x666666);
-                }
-            }
-        });
-    }
-    
     updateDebugPanel() {
         if (this.debugElements && this.debugElements.length > 0) {
             const fps = Math.round(this.game.loop.actualFps);
@@ -1433,56 +1588,44 @@ export default class GameScene extends Phaser.Scene {
     }
 
 
-    addScore(points, isComboable = true) {
-        let finalPoints = points;
-        
-        // Apply combo multiplier
-        if (isComboable && this.comboCount > 1) {
-            finalPoints *= Math.min(this.comboCount, 10);
-        }
-        
-        // Apply score multiplier
-        if (this.scoreMultiplierActive) {
-            finalPoints *= this.scoreMultiplier;
-        }
-        
-        // Apply session bonus
-        finalPoints *= this.sessionBonusMultiplier;
-        
-        this.score += Math.floor(finalPoints);
-        
-        // Update combo
-        if (isComboable) {
-            this.comboCount++;
-            this.maxComboReached = Math.max(this.maxComboReached, this.comboCount);
-        }
+    // The simulation's one-revive rule, once the UI to offer it is up
+    canRevive() {
+        return this.simulation.canRevive() && Boolean(this.gameStateManager && this.uiManager);
     }
-
-    resetCombo() {
-        this.comboCount = 0;
+    
+    getAvailableBeans() {
+        return this.simulation.getAvailableBeans();
     }
-
-    takeDamage(damageSource) {
-        if (this.shieldActive) {
-            this.soundManager.playShieldBlock();
-            return;
-        }
-        
-        // Play explosion sound when hitting obstacles
-        this.soundManager.playExplosion();
-        
-        this.player.takeDamage();
-        this.updateMinimalHearts();
-        this.resetCombo();
+    
+    // Everything stands still while the player decides - ReplayScene overrides
+    // this to take the recorded decision instead
+    offerRevive() {
+        this.gameStateManager.pauseGame('revive');
+        this.uiManager.showReviveOffer({ beans: this.getAvailableBeans(), cost: REVIVE.BEAN_COST });
+    }
+    
+    // method: 'beans', 'promo' or 'replay' - see GameSimulation.revive()
+    revive(method) {
+        if (!this.canRevive() || !this.simulation.revive(method)) return false;
         
-        // Create impact effect for environmental obstacles
-        if (damageSource && damageSource.x && damageSource.y) {
-            this.createImpactEffect(damageSource.x, damageSource.y);
+        if (this.inputRecorder) {
+            this.inputRecorder.record('revive');
         }
         
-        if (this.player.health <= 0) {
-            this.gameOver();
+        if (this.uiManager) {
+            this.uiManager.hideReviveOffer();
+            // Live play gets the usual 3-2-1 before the world moves again
+            if (this.isPaused()) {
+                this.uiManager.startResumeCountdown();
+            }
         }
+        return true;
+    }
+    
+    declineRevive() {
+        this.uiManager.hideReviveOffer();
+        this.gameStateManager.resumeGame();
+        this.gameOver();
     }
     
     createImpactEffect(x, y) {
@@ -1520,22 +1663,6 @@ export default class GameScene extends Phaser.Scene {
         });
     }
 
-    getDifficultyMultipliers() {
-        const timeElapsed = this.time.now - this.gameStartTime;
-        const minutes = timeElapsed / 60000;
-        
-        return {
-            spawnRate: Math.max(0.5, 1 - (minutes * 0.1)),
-            movementComplexity: Math.min(1, minutes * 0.2),
-            rewardFrequency: Math.max(0.7, 1 - (minutes * 0.05))
-        };
-    }
-
-    healPlayer(amount = 1) {
-        this.player.health = Math.min(this.player.health + amount, this.player.maxHealth);
-        this.updateMinimalHearts();
-    }
-
     toggleDebug() {
         this.debugMode = !this.debugMode;
         console.log(`Debug mode: ${this.debugMode ? 'ON' : 'OFF'}`);
@@ -1682,41 +1809,21 @@ export default class GameScene extends Phaser.Scene {
         });
     }
     
-    performDash() {
-        if (!this.gameRunning || this.isDashing) return;
-        
-        this.isDashing = true;
-        
+    // The dash itself is BirdMotion's - this is its trail
+    showDashEffect() {
         // Visual feedback
         // this.player.sprite.setTint(0x00FFFF); // REMOVED - no tinting
         
-        // Dash effect - move player forward quickly
-        const dashDistance = 100;
-        const dashDuration = 200;
-        
-        this.tweens.add({
-            targets: this.player.sprite,
-            x: this.player.sprite.x + dashDistance,
-            duration: dashDuration,
-            ease: 'Power2.easeOut',
-            onComplete: () => {
-                this.isDashing = false;
-                // this.player.sprite.setTint(0xFFFFFF); // REMOVED - no tinting
-            }
-        });
-        
         // Add dash particles
         if (this.collectParticles) {
             this.collectParticles.setPosition(this.player.sprite.x, this.player.sprite.y);
             this.collectParticles.start();
-            this.time.delayedCall(dashDuration, () => {
+            this.time.delayedCall(PLAYER.MOVEMENT.DASH_DURATION, () => {
                 this.collectParticles.stop();
             });
         }
     }
 
-    // Pause functionality removed
-
     toggleDebug() {
         this.debugMode = !this.debugMode;
         console.log(`Debug mode: ${this.debugMode ? 'ON' : 'OFF'}`);
@@ -1744,6 +1851,11 @@ export default class GameScene extends Phaser.Scene {
     gameOver() {
         debugLogger.score("Game over triggered with score:", this.score);
         this.gameRunning = false;
+        this.gameEndTime = this.time.now;
+        
+        if (this.inputRecorder) {
+            this.inputRecorder.stop();
+        }
         
         // Ensure any tournament/leaderboard UI is hidden to avoid overlay conflicts
         try {
@@ -1926,13 +2038,11 @@ export default class GameScene extends Phaser.Scene {
     }
     
     cleanupGameElements() {
-        // Clean up any active power-ups
-        this.deactivateShield();
-        this.deactivateSpeedBoost();
-        this.deactivateScoreMultiplier();
-        this.deactivateTimeSlow();
-        this.deactivateMagnet();
-        this.deactivateBirdCompanion();
+        // Clean up any active power-ups, and what they drew
+        if (this.simulation) {
+            this.powerUpSystem.cleanup();
+            this.updatePowerUpViews(0);
+        }
         
         // Ensure all tweens are killed
         this.tweens.killAll();
@@ -1960,497 +2070,27 @@ export default class GameScene extends Phaser.Scene {
         }
     }
 
-    getDifficultyMultipliers() {
-        const timeElapsed = this.time.now - this.gameStartTime;
-        const minutes = timeElapsed / 60000;
-        
-        return {
-            spawnRate: Math.max(0.5, 1 - (minutes * 0.1)),
-            movementComplexity: Math.min(1, minutes * 0.2),
-            rewardFrequency: Math.max(0.7, 1 - (minutes * 0.05))
-        };
-    }
-    
-    getDifficultyLevel() {
-        // Calculate difficulty level (0-10) based on time and distance
-        const timeElapsed = this.time.now - this.gameStartTime;
-        const minutes = timeElapsed / 60000;
-        const distanceLevel = Math.floor(this.distanceTraveled / 1000);
-        
-        // Combine time and distance factors
-        const level = Math.floor(minutes) + Math.floor(distanceLevel / 5);
-        
-        return Math.min(level, 10); // Cap at level 10
-    }
-    // FIXED: Shield activation with proper duration parameter
-    activateShield(duration = 3000) {
-        this.shieldActive = true;
-        this.shieldTime = duration;
-        this.player.setShield(true);
-        
-        // Visual feedback
-        this.triggerHitStop(60);
-        
-        // Shield indicator will be created by updateShieldIndicator()
-    }
-
-    deactivateShield() {
-        this.shieldActive = false;
-        this.shieldTime = 0;
-        if (this.shieldIndicator) {
-            this.shieldIndicator.setText('');
-        }
-        this.player.setShield(false);
-    }
-
-    // FIXED: Speed boost with proper duration parameter
-    activateSpeedBoost(duration = 4000) {
-        try {
-            console.log('🚀 Speed boost activation started, duration:', duration);
-            this.speedBoostActive = true;
-            this.speedBoostTime = duration;
-            
-            // Visual feedback
-            // this.player.sprite.setTint(0x32CD32); // REMOVED - no tinting
-            this.updateSpeedBoostIndicator();
-            
-            // Play speed boost sound
-            if (this.soundManager && this.soundManager.playPowerUp) {
-                this.soundManager.playPowerUp();
-            }
-            
-            console.log('✅ Speed boost activated successfully');
-        } catch (error) {
-            console.error('❌ Error in activateSpeedBoost:', error);
-            // Don't let this crash the game
-        }
-    }
-
-    deactivateSpeedBoost() {
-        this.speedBoostActive = false;
-        this.speedBoostTime = 0;
-        this.player.sprite.clearTint();
-        // Speed boost indicator removed - handled by main power-up system
-    }
-    
-    // FIXED: Score multiplier with proper parameters
-    activateScoreMultiplier(multiplier = 2.0, duration = 5000) {
-        this.scoreMultiplierActive = true;
-        this.scoreMultiplier = multiplier; // Use the provided multiplier
-        this.scoreMultiplierTime = duration;
-        
-        // Visual feedback
-        this.triggerHitStop(60);
-        // Score multiplier indicator handled by main power-up system
-    }
-    
-    deactivateScoreMultiplier() {
-        this.scoreMultiplierActive = false;
-        this.scoreMultiplier = 1.0; // Reset to default
-        this.scoreMultiplierTime = 0;
-        // Score multiplier indicator handled by main power-up system
+    // Time the run has been in play on the scene clock, leaving out pauses
+    getActivePlayTime() {
+        const endTime = this.gameEndTime ?? this.time.now;
+        const pausedTime = this.gameStateManager ? this.gameStateManager.getTotalPausedTime() : 0;
+        return Math.max(0, endTime - this.gameStartTime - pausedTime);
     }
     
-    // FIXED: Time slow with proper duration parameter
-    activateTimeSlow(duration = 6000) {
-        this.timeSlowActive = true;
-        this.timeSlowTime = duration;
-        this.timeSlowFactor = 0.6; // 40% slower obstacles
-        
-        // Time slow indicator will be created by updateTimeSlowIndicator()
-        
-        // Visual feedback
-        const slowOverlay = this.add.rectangle(
-            this.centerX, this.centerY,
-            this.screenWidth, this.screenHeight,
-            0x9966FF, 0.2
-        ).setDepth(1400);
-        
-        this.tweens.add({
-            targets: slowOverlay,
-            alpha: 0,
-            duration: duration,
-            onComplete: () => slowOverlay.destroy()
-        });
-    }
-    
-    deactivateTimeSlow() {
-        this.timeSlowActive = false;
-        this.timeSlowTime = 0;
-        this.timeSlowFactor = 1.0; // Normal speed
-        if (this.timeSlowIndicator) {
-            this.timeSlowIndicator.setText('');
-        }
-    }
-    
-    updateSpeedBoostIndicator() {
-        // Speed boost indicator removed - handled by main power-up system with ⚡ icon
-    }
-    
-    updateScoreMultiplierIndicator() {
-        // Score multiplier indicator removed - handled by main power-up system with 👨‍💼 icon
-    }
-    
-    updateShieldIndicator() {
-        // Shield indicator removed - handled by main power-up system with 🥐 icon
-    }
-    
-    updateTimeSlowIndicator() {
-        if (!this.timeSlowIndicator && this.timeSlowActive) {
-            const position = this.responsiveUtils.getIndicatorPosition(3); // Fourth indicator
-            this.timeSlowIndicator = this.add.text(position.x, position.y, '', 
-                this.getStandardTextStyle('powerup', 'small')).setDepth(1000);
-        }
-        
-        if (this.timeSlowIndicator) {
-            if (this.timeSlowActive) {
-                const timeLeft = Math.ceil(this.timeSlowTime / 1000);
-                this.timeSlowIndicator.setText(`Time Slow\n${timeLeft}s`);
-            } else {
-                this.timeSlowIndicator.setText('');
-            }
-        }
-    }
-    
-    // FIXED: Magnet with proper duration parameter
-    activateMagnet(duration = 5000) {
-        try {
-            this.magnetActive = true;
-            this.magnetTime = duration;
-            this.magnetRange = 150; // Pixel range for magnet effect
-            
-            // Make sure any existing aura is destroyed first
-            if (this.magnetAura) {
-                this.magnetAura.destroy();
-                this.magnetAura = null;
-            }
-            
-            // Check if player is available
-            if (!this.player || !this.player.sprite || !this.player.sprite.active) {
-                debugLogger.warn("Cannot activate magnet - player sprite not available");
-                return;
-            }
-            
-            // Visual effect on player
-            this.magnetAura = this.add.circle(
-                this.player.sprite.x, 
-                this.player.sprite.y, 
-                this.magnetRange, 
-                0xFF1493, 
-                0.2
-            ).setStrokeStyle(2, 0xFF1493, 0.5)
-             .setDepth(900);
-            
-            // Pulsing animation - with null check to prevent errors
-            if (this.magnetAura) {
-                // Store reference to the tween for cleanup
-                this.magnetTween = this.tweens.add({
-                    targets: this.magnetAura,
-                    radius: this.magnetRange + 20,
-                    alpha: 0.1,
-                    duration: 1000,
-                    yoyo: true,
-                    repeat: -1,
-                    ease: 'Sine.easeInOut'
-                });
-            }
-            
-            this.updateMagnetIndicator();
-        } catch (error) {
-            debugLogger.error("Error activating magnet:", error);
-        }
-    }
-    
-    deactivateMagnet() {
-        try {
-            this.magnetActive = false;
-            this.magnetTime = 0;
-            
-            // Stop the tween if it exists
-            if (this.magnetTween) {
-                this.tweens.remove(this.magnetTween);
-                this.magnetTween = null;
-            }
-            
-            // Safely destroy the aura
-            if (this.magnetAura) {
-                try {
-                    this.magnetAura.destroy();
-                } catch (error) {
-                    debugLogger.warn("Error destroying magnetAura:", error);
-                }
-                this.magnetAura = null;
-            }
-            
-            // Update the indicator
-            if (this.magnetIndicator) {
-                this.magnetIndicator.setText('');
-            }
-        } catch (error) {
-            debugLogger.error("Error deactivating magnet:", error);
-            // Ensure magnetAura is nullified even if there's an error
-            this.magnetAura = null;
-        }
-    }
-    
-    updateMagnetIndicator() {
-        if (!this.magnetIndicator) {
-            const margin = Math.max(24, 28 * this.minScale);
-            const indicatorY = margin + (Math.max(12, 14 * this.minScale) * 5.4);
-            this.magnetIndicator = this.add.text(margin, indicatorY, '', {
-                fontSize: Math.max(14, 16 * this.minScale) + 'px', // Smaller font size
-                fill: '#FF1493',
-                fontWeight: 'bold'
-            }).setDepth(1000);
-        }
-        // Use shorter text format to prevent overflow
-        this.magnetIndicator.setText(`Magnet
-${Math.ceil(this.magnetTime / 1000)}s`);
-    }
-    
-    applyMagnetEffect() {
-        try {
-            // Update magnet aura position - with additional safety checks
-            if (this.magnetAura && this.player && this.player.sprite && this.player.sprite.active) {
-                this.magnetAura.x = this.player.sprite.x;
-                this.magnetAura.y = this.player.sprite.y;
-            }
-            
-            // Skip if player or collectible manager is not available
-            if (!this.player || !this.player.sprite || !this.collectibleManager || !this.collectibleManager.coffeeBeans) {
-                return;
-            }
-            
-            // Attract nearby beans
-            this.collectibleManager.coffeeBeans.children.entries.forEach(bean => {
-                if (!bean || !bean.active) return;
-                
-                const distance = Phaser.Math.Distance.Between(
-                    this.player.sprite.x, this.player.sprite.y,
-                    bean.x, bean.y
-                );
-                
-                if (distance < this.magnetRange) {
-                    // Calculate attraction force
-                    const angle = Phaser.Math.Angle.Between(
-                        bean.x, bean.y,
-                        this.player.sprite.x, this.player.sprite.y
-                    );
-                    
-                    const force = (this.magnetRange - distance) / this.magnetRange;
-                    const speed = 300 * force;
-                    
-                    bean.x += Math.cos(angle) * speed * (this.game.loop.delta / 1000);
-                    bean.y += Math.sin(angle) * speed * (this.game.loop.delta / 1000);
-                }
-            });
-        } catch (error) {
-            debugLogger.error("Error in applyMagnetEffect:", error);
-        }
-    }
-    // FIXED: Bird companion activation with proper parameters
-    activateBirdCompanion(type, duration) {
-        debugLogger.effect('=== ACTIVATING BIRD COMPANION ===');
-        debugLogger.effect('Type:', type);
-        debugLogger.effect('Duration:', duration);
-        
-        // Safety check
-        if (!this.player || !this.player.sprite) {
-            debugLogger.error('Cannot activate bird companion - player not ready');
-            return;
-        }
-        
-        this.birdCompanionActive = true;
-        this.birdCompanionTime = duration;
-        this.birdCompanionType = type;
-        
-        // Create bird companion sprite
-        this.createBirdCompanion(type);
-        
-        // Visual feedback
-        this.triggerHitStop(80);
-        this.updateBirdCompanionIndicator();
-        
-        debugLogger.effect('Bird companion activated successfully');
-    }
-    
-    createBirdCompanion(type) {
-        if (this.birdCompanion) {
-            this.birdCompanion.destroy();
-        }
-        
-        // Safety check
-        if (!this.player || !this.player.sprite) {
-            debugLogger.warn('Cannot create bird companion - player not ready');
-            return;
-        }
-        
-        // Determine texture based on bird type
-        const textureMap = {
-            'sparrow': 'sparrowCompanion',
-            'robin': 'robinCompanion',
-            'cardinal': 'cardinalCompanion'
+    // Summary of the finished run in the shape Leaderboard.addScore() expects
+    getRunStats() {
+        return {
+            timePlayed: Math.floor(this.getActivePlayTime() / 1000),
+            collectiblesCollected: this.collectiblesCollected,
+            powerUpsCollected: this.powerUpsCollected,
+            distanceTraveled: Math.floor(this.distanceTraveled),
+            maxCombo: this.maxComboReached,
+            revived: this.revived,
+            beansSpent: this.beansSpent,
+            replay: this.inputRecorder ? this.inputRecorder.exportReplay() : null
         };
-        const texture = textureMap[type] || 'sparrowCompanion';
-        
-        // Create bird companion sprite
-        this.birdCompanion = this.physics.add.sprite(
-            this.player.sprite.x + 50, 
-            this.player.sprite.y - 30, 
-            texture
-        ).setDepth(950);
-        
-        // Disable physics interactions for the companion
-        this.birdCompanion.body.setAllowGravity(false);
-        this.birdCompanion.body.setImmovable(true);
-        
-        // FIXED: Apply bird-specific properties with consistent values
-        let scale, speed, radius;
-        switch (type) {
-            case 'sparrow':
-                scale = 0.8;
-                speed = 1.0;
-                radius = 80;
-                break;
-            case 'robin':
-                scale = 1.0;
-                speed = 1.3;
-                radius = 100;
-                break;
-            case 'cardinal':
-                scale = 1.2;
-                speed = 1.5;
-                radius = 120;
-                break;
-            default:
-                scale = 1.0;
-                speed = 1.0;
-                radius = 80;
-        }
-        
-        // Increase bird companion size by ~25%
-        this.birdCompanion.setScale(0.175 * scale);
-        this.birdCompanion.setData('speed', speed);
-        this.birdCompanionCollectionRadius = radius;
-        
-        // Add gentle flying animation
-        this.tweens.add({
-            targets: this.birdCompanion,
-            y: this.birdCompanion.y - 10,
-            duration: 800,
-            yoyo: true,
-            repeat: -1,
-            ease: 'Sine.easeInOut'
-        });
-    }
-    
-    updateBirdCompanion(delta) {
-        if (!this.birdCompanion || !this.birdCompanionActive) return;
-        
-        // Safety check for player
-        if (!this.player || !this.player.sprite) return;
-        
-        // Follow player with some offset and smoothing
-        const targetX = this.player.sprite.x + 40;
-        const targetY = this.player.sprite.y - 25;
-        const speed = this.birdCompanion.getData('speed') || 1.0;
-        
-        this.birdCompanion.x += (targetX - this.birdCompanion.x) * 0.1 * speed;
-        this.birdCompanion.y += (targetY - this.birdCompanion.y) * 0.08 * speed;
-        
-        // Auto-collect nearby coffee cups
-        this.collectibleManager.coffeeBeans.children.entries.forEach(item => {
-            if (item.active && item.visible && !item.getData('beingCollected')) {
-                const distance = Phaser.Math.Distance.Between(
-                    this.birdCompanion.x, this.birdCompanion.y,
-                    item.x, item.y
-                );
-                
-                if (distance < this.birdCompanionCollectionRadius) {
-                    // Mark as being collected to prevent multiple attempts
-                    item.setData('beingCollected', true);
-                    
-                    // Animate item towards bird then collect it
-                    this.tweens.add({
-                        targets: item,
-                        x: this.birdCompanion.x,
-                        y: this.birdCompanion.y,
-                        duration: 200,
-                        ease: 'Power2.easeOut',
-                        onComplete: () => {
-                            if (item.active && item.scene) {
-                                try {
-                                    this.collectibleManager.collectBean(this.player.sprite, item);
-                                } catch (error) {
-                                    debugLogger.warn('Bird collection error:', error);
-                                    // Safely remove the item if collection fails
-                                    if (item.scene) {
-                                        this.collectibleManager.coffeeBeans.remove(item);
-                                        this.collectibleManager.beanPool.release(item);
-                                    }
-                                }
-                            }
-                        }
-                    });
-                }
-            }
-        });
-    }
-    
-    deactivateBirdCompanion() {
-        this.birdCompanionActive = false;
-        
-        // Cancel any existing tweens on the bird companion to prevent conflicts
-        if (this.birdCompanion) {
-            this.tweens.killTweensOf(this.birdCompanion);
-            
-            // Fly away animation with guaranteed cleanup
-            this.tweens.add({
-                targets: this.birdCompanion,
-                x: this.birdCompanion.x + 200,
-                y: this.birdCompanion.y - 100,
-                alpha: 0,
-                duration: 800,
-                ease: 'Power2.easeOut',
-                onComplete: () => {
-                    if (this.birdCompanion && this.birdCompanion.scene) {
-                        this.birdCompanion.destroy();
-                    }
-                    this.birdCompanion = null;
-                }
-            });
-            
-            // Safety timeout to ensure cleanup even if tween fails
-            this.time.delayedCall(1000, () => {
-                if (this.birdCompanion && this.birdCompanion.scene) {
-                    this.birdCompanion.destroy();
-                    this.birdCompanion = null;
-                }
-            });
-        }
-        
-        this.updateBirdCompanionIndicator();
     }
     
-    // Add stub for achievement tracking to prevent errors
-    incrementAchievement(achievementId, amount = 1) {
-        // Stub implementation - will be replaced with actual achievement system later
-        debugLogger.score(`Achievement progress: ${achievementId} +${amount}`);
-    }
-    
-    updateBirdCompanionIndicator() {
-        // Create or update bird companion indicator
-        if (this.birdCompanionActive && !this.birdCompanionIndicator) {
-            const margin = Math.max(20, 20 * this.minScale);
-            this.birdCompanionIndicator = this.add.text(this.screenWidth - margin, 210, '🐦', {
-                fontSize: Math.max(32, 40 * this.minScale) + 'px'
-            }).setOrigin(1, 0).setDepth(1000);
-        } else if (!this.birdCompanionActive && this.birdCompanionIndicator) {
-            this.birdCompanionIndicator.destroy();
-            this.birdCompanionIndicator = null;
-        }
-    }
-
     // Duplicate methods removed - using the ones with responsive positioning above
 
     // Utility function to format text to maximum 2 lines
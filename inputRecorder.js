@@ -0,0 +1,57 @@
+/**
+ * Input Recorder
+ * Captures every player input GameScene.applyInput() receives, stamped with
+ * the fixed-timestep frame it will be applied on. Together with the run seed
+ * and the live-ops game balance this is enough for ReplayScene (or the
+ * headless systems/simulation/replay.js) to play the run back.
+ *
+ * Replay format (compact JSON):
+ * { version, seed, balance, step, screen: { width, height }, frames, score, events: [[frame, action, payload?], ...] }
+ */
+import debugLogger from './debugLogger.js';
+import { GAME, REPLAY } from './constants.js';
+
+export default class InputRecorder {
+    constructor(scene) {
+        this.scene = scene;
+        this.events = [];
+        this.recording = true;
+    }
+
+    record(action, payload) {
+        if (!this.recording) return;
+
+        if (this.events.length >= REPLAY.MAX_EVENTS) {
+            debugLogger.warn('Replay event limit reached, recording stopped');
+            this.recording = false;
+            return;
+        }
+
+        const event = [this.scene.frame, action];
+        if (payload !== undefined) {
+            // Whole pixels are plenty and keep the JSON small
+            event.push({ x: Math.round(payload.x), y: Math.round(payload.y) });
+        }
+        this.events.push(event);
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    exportReplay() {
+        return {
+            version: REPLAY.VERSION,
+            seed: this.scene.rng.getSeed(),
+            balance: this.scene.gameBalance,
+            step: GAME.FIXED_TIMESTEP.STEP_MS,
+            screen: {
+                width: this.scene.screenWidth,
+                height: this.scene.screenHeight
+            },
+            frames: this.scene.frame,
+            score: this.scene.score,
+            events: this.events.slice()
+        };
+    }
+}
@@ -66,6 +66,41 @@ export default class InputSanitizer {
         return sanitized;
     }
 
+    /**
+     * Normalize a phone number to E.164 (+447700900123). Numbers entered
+     * without a + or 00 prefix are treated as national numbers in
+     * defaultCountryCode, dropping a leading trunk 0. Returns '' when the
+     * number can't be normalized.
+     */
+    static normalizePhoneE164(phone, defaultCountryCode = '') {
+        if (typeof phone !== 'string' || /[^0-9\s\-().+]/.test(phone)) {
+            return '';
+        }
+
+        let number = phone.trim();
+        let international = number.startsWith('+');
+        if (!international && number.startsWith('00')) {
+            number = number.slice(2);
+            international = true;
+        }
+
+        // sanitizePhone() truncates, which would quietly accept an overlong number
+        if (number.replace(/\D/g, '').length > 15) {
+            return '';
+        }
+        let digits = this.sanitizePhone(number);
+
+        if (!international) {
+            const countryCode = this.sanitizePhone(String(defaultCountryCode));
+            if (!countryCode) {
+                return '';
+            }
+            digits = countryCode + digits.replace(/^0/, '');
+        }
+
+        return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : '';
+    }
+
     /**
      * Validate email format
      */
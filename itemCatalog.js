@@ -0,0 +1,186 @@
+/**
+ * Item Catalog
+ * Every collectible and power-up is defined once in items.json: points, spawn
+ * weight, category, texture, sound and the effects it applies. The game, the
+ * server's score verification and PowerUpSystem all read from here, so adding
+ * an item is a catalog edit rather than a code change.
+ * The catalog is validated when loaded - a bad entry fails loudly at startup
+ * instead of spawning a broken item mid-run.
+ */
+
+import { getPowerUpEffects } from './systems/powerUps/index.js';
+
+export const ITEM_CATALOG_VERSION = 1;
+
+// Power-ups spawn from their own table; every other category is a collectible
+export const ITEM_CATEGORIES = ['coffee', 'smoothie', 'bagel', 'bird', 'powerup'];
+
+// SoundManager cues an item can play on pickup
+export const ITEM_SOUNDS = ['beanCollect', 'powerUp', 'powerUpCollect'];
+
+// ElementSizing keys an item may be drawn at
+export const ITEM_SIZES = ['collectible', 'coffee_small', 'coffee_medium', 'coffee_large', 'coffee_specialty', 'powerup', 'companion'];
+
+// Effect types and the params each one requires, from the power-up effect registry
+export const EFFECT_PARAMS = Object.fromEntries(
+    getPowerUpEffects().map(effect => [effect.type, effect.params])
+);
+
+const DEFAULT_SIZES = {
+    powerup: 'powerup',
+    bird: 'companion'
+};
+
+export class ItemCatalogError extends Error {
+    constructor(errors) {
+        super(`Invalid item catalog: ${errors.join('; ')}`);
+        this.name = 'ItemCatalogError';
+        this.errors = errors;
+    }
+}
+
+function validateEffects(item, label, errors) {
+    if (!Array.isArray(item.effects)) {
+        errors.push(`${label}: effects must be an array`);
+        return;
+    }
+
+    item.effects.forEach((effect, i) => {
+        const schema = EFFECT_PARAMS[effect?.type];
+        if (!schema) {
+            errors.push(`${label}: effect ${i} has unknown type "${effect?.type}"`);
+            return;
+        }
+
+        const params = effect.params || {};
+        for (const [param, type] of Object.entries(schema)) {
+            const value = params[param];
+            const valid = type === 'number' ? Number.isFinite(value) && value > 0 : typeof value === type && value !== '';
+            if (!valid) {
+                errors.push(`${label}: ${effect.type} effect needs ${type === 'number' ? 'a positive number' : 'a string'} "${param}"`);
+            }
+        }
+    });
+}
+
+// Returns a list of problems with a catalog, empty when it is usable
+export function validateItemCatalog(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.items)) {
+        return ['catalog must be an object with an items array'];
+    }
+
+    const errors = [];
+    if (data.version !== ITEM_CATALOG_VERSION) {
+        errors.push(`unsupported catalog version ${data.version} (expected ${ITEM_CATALOG_VERSION})`);
+    }
+
+    const ids = new Set();
+    data.items.forEach((item, index) => {
+        const label = `item ${item?.id ?? index}`;
+        if (!item || typeof item !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+
+        if (typeof item.id !== 'string' || !/^[A-Za-z0-9_]+$/.test(item.id)) {
+            errors.push(`${label}: id must be letters, numbers or _`);
+        } else if (ids.has(item.id)) {
+            errors.push(`${label}: duplicate id`);
+        }
+        ids.add(item.id);
+
+        if (typeof item.name !== 'string' || item.name.trim() === '') {
+            errors.push(`${label}: name is required`);
+        }
+        if (!ITEM_CATEGORIES.includes(item.category)) {
+            errors.push(`${label}: category must be one of ${ITEM_CATEGORIES.join(', ')}`);
+        }
+        if (!Number.isInteger(item.points) || item.points < 0) {
+            errors.push(`${label}: points must be a non-negative integer`);
+        }
+        if (!Number.isFinite(item.weight) || item.weight < 0) {
+            errors.push(`${label}: weight must be a non-negative number`);
+        }
+        if (typeof item.texture !== 'string' || item.texture === '') {
+            errors.push(`${label}: texture is required`);
+        }
+        if (!ITEM_SOUNDS.includes(item.sound)) {
+            errors.push(`${label}: sound must be one of ${ITEM_SOUNDS.join(', ')}`);
+        }
+        if (item.size !== undefined && !ITEM_SIZES.includes(item.size)) {
+            errors.push(`${label}: size must be one of ${ITEM_SIZES.join(', ')}`);
+        }
+        if (item.color !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(item.color)) {
+            errors.push(`${label}: color must be a #RRGGBB string`);
+        }
+        if (item.enabled !== undefined && typeof item.enabled !== 'boolean') {
+            errors.push(`${label}: enabled must be true or false`);
+        }
+
+        validateEffects(item, label, errors);
+    });
+
+    const spawnable = data.items.filter(item => item?.enabled !== false && item?.weight > 0);
+    if (!spawnable.some(item => item.category === 'powerup')) {
+        errors.push('catalog needs at least one spawnable power-up');
+    }
+    if (!spawnable.some(item => item.category !== 'powerup')) {
+        errors.push('catalog needs at least one spawnable collectible');
+    }
+
+    return errors;
+}
+
+export default class ItemCatalog {
+    constructor(data) {
+        const errors = validateItemCatalog(data);
+        if (errors.length > 0) {
+            throw new ItemCatalogError(errors);
+        }
+
+        this.version = data.version;
+        this.items = data.items.map(item => Object.freeze({
+            ...item,
+            enabled: item.enabled !== false,
+            size: item.size || DEFAULT_SIZES[item.category] || 'collectible',
+            effects: item.effects.map(effect => Object.freeze({ type: effect.type, params: { ...effect.params } }))
+        }));
+        this.itemsById = new Map(this.items.map(item => [item.id, item]));
+    }
+
+    get(id) {
+        return this.itemsById.get(id) || null;
+    }
+
+    // Items that can currently spawn, in catalog order (spawn tables depend on it)
+    getCollectibles() {
+        return this.items.filter(item => item.category !== 'powerup' && item.enabled && item.weight > 0);
+    }
+
+    getPowerUps() {
+        return this.items.filter(item => item.category === 'powerup' && item.enabled && item.weight > 0);
+    }
+
+    // Params of the first item applying an effect type - power-ups first - for
+    // systems that need a default (e.g. PowerUpSystem's durations)
+    getEffectParams(type) {
+        const ordered = [
+            ...this.items.filter(item => item.category === 'powerup'),
+            ...this.items.filter(item => item.category !== 'powerup')
+        ];
+        for (const item of ordered) {
+            const effect = item.effects.find(e => e.type === type);
+            if (effect) return { ...effect.params };
+        }
+        return null;
+    }
+
+    // Strongest score multiplier any spawnable item can grant
+    getMaxScoreMultiplier() {
+        const multipliers = [...this.getCollectibles(), ...this.getPowerUps()]
+            .flatMap(item => item.effects)
+            .filter(effect => effect.type === 'score_multiplier')
+            .map(effect => effect.params.multiplier);
+        return Math.max(1, ...multipliers);
+    }
+}
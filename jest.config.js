@@ -14,6 +14,7 @@ export default {
     '!**/tests/**',
     '!coverage/**'
   ],
+  setupFilesAfterEnv: ['<rootDir>/tests/helpers/testDatabase.js'],
   testTimeout: 15000,
   verbose: true
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Kiosk Mode
+ * BirdDash on the shared tablet at the caravan, switched on with ?kiosk in
+ * the URL. Customers' details are forgotten after every submission, an idle
+ * intro screen falls into the attract loop (KioskScene) and the operator menu
+ * sits behind a PIN.
+ */
+
+export default class KioskMode {
+    static isEnabled() {
+        return new URLSearchParams(window.location.search).has('kiosk');
+    }
+
+    // Reload as a normal game - only reachable from the operator menu
+    static exit() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('kiosk');
+        window.location.replace(url.toString());
+    }
+
+    /**
+     * Call onIdle once the scene has gone `timeout` ms without a tap or key
+     * press. Returns a function that stops watching.
+     */
+    static watchIdle(scene, timeout, onIdle) {
+        let timer = scene.time.delayedCall(timeout, onIdle);
+        const restart = () => {
+            timer.remove(false);
+            timer = scene.time.delayedCall(timeout, onIdle);
+        };
+
+        scene.input.on('pointerdown', restart);
+        scene.input.keyboard?.on('keydown', restart);
+
+        return () => {
+            timer.remove(false);
+            scene.input.off('pointerdown', restart);
+            scene.input.keyboard?.off('keydown', restart);
+        };
+    }
+
+    static downloadCsv(csv, filename) {
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,331 @@
+// Phaser is loaded globally from CDN
+import ApiService from './apiService.js';
+import KioskMode from './kioskMode.js';
+import debugLogger from './debugLogger.js';
+import { KIOSK } from './constants.js';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * KioskScene - the shared tablet's screen between games. It alternates
+ * today's top 10 with a "tap to play" card until someone taps, and hides the
+ * PIN-protected operator menu behind a press-and-hold on the top-left corner.
+ */
+export default class KioskScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'KioskScene' });
+        this.apiService = new ApiService();
+    }
+
+    init(data = {}) {
+        // Straight after a game the board comes first; an idle intro opens on the title card
+        this.slide = data.reason === 'between-games' ? 0 : 1;
+        this.slideGroup = null;
+        this.operatorMenu = null;
+    }
+
+    create() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        this.add.image(width / 2, height / 2, 'customBackground').setDisplaySize(width, height);
+        this.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.7);
+
+        const prompt = this.add.text(width / 2, height * 0.92, 'TAP TO PLAY', {
+            fontSize: '36px',
+            fill: '#FFFFFF',
+            fontWeight: 'bold',
+            stroke: '#2ECC71',
+            strokeThickness: 6
+        }).setOrigin(0.5).setDepth(10);
+        this.tweens.add({
+            targets: prompt,
+            scale: 1.1,
+            duration: 800,
+            yoyo: true,
+            repeat: -1,
+            ease: 'Sine.easeInOut'
+        });
+
+        const hotspot = this.createOperatorHotspot();
+
+        // Short delay so the tap that ended the last screen doesn't start a game
+        this.time.delayedCall(500, () => {
+            this.input.on('pointerup', (pointer, currentlyOver) => {
+                if (this.operatorMenu || currentlyOver.includes(hotspot)) return;
+                this.scene.start('GameScene');
+            });
+        });
+
+        this.showSlide();
+        this.time.addEvent({
+            delay: KIOSK.ATTRACT_SLIDE_DURATION,
+            loop: true,
+            callback: () => {
+                this.slide = (this.slide + 1) % 2;
+                this.showSlide();
+            }
+        });
+
+        this.events.once('shutdown', () => this.closeOperatorMenu());
+    }
+
+    showSlide() {
+        if (this.slideGroup) {
+            this.tweens.killTweensOf(this.slideGroup.getChildren());
+            this.slideGroup.destroy(true);
+        }
+        this.slideGroup = this.add.group();
+
+        if (this.slide === 0) {
+            this.showBoard(this.slideGroup);
+        } else {
+            this.showTitleCard(this.slideGroup);
+        }
+    }
+
+    showTitleCard(group) {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        const mascot = this.add.image(width / 2, height * 0.38, 'getBirdMascot').setScale(0.25);
+        this.tweens.add({
+            targets: mascot,
+            y: mascot.y - 20,
+            duration: 1800,
+            yoyo: true,
+            repeat: -1,
+            ease: 'Sine.easeInOut'
+        });
+
+        group.addMultiple([
+            mascot,
+            this.add.text(width / 2, height * 0.12, 'BirdDash', {
+                fontSize: '56px',
+                fill: '#FFD700',
+                fontWeight: 'bold',
+                stroke: '#8B4513',
+                strokeThickness: 6
+            }).setOrigin(0.5),
+            this.add.text(width / 2, height * 0.19, 'Coffee Shop Runner', {
+                fontSize: '22px',
+                fill: '#DEB887',
+                fontWeight: 'bold'
+            }).setOrigin(0.5),
+            this.add.text(width / 2, height * 0.62, 'Tap to fly, collect the coffee,\ndodge the spills!', {
+                fontSize: '24px',
+                fill: '#FFFFFF',
+                align: 'center',
+                lineSpacing: 8
+            }).setOrigin(0.5),
+            this.add.text(width / 2, height * 0.74, "Beat today's top 10", {
+                fontSize: '22px',
+                fill: '#FFD700',
+                fontWeight: 'bold'
+            }).setOrigin(0.5)
+        ]);
+    }
+
+    // Today's top 10 in type big enough to read from the queue
+    async showBoard(group) {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        group.add(this.add.text(width / 2, height * 0.08, "TODAY'S TOP 10", {
+            fontSize: '40px',
+            fill: '#FFD700',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5));
+
+        let leaderboard = null;
+        try {
+            const board = await this.apiService.getKioskBoard();
+            leaderboard = board.leaderboard || null;
+        } catch (error) {
+            debugLogger.warn('Could not load the kiosk board:', error);
+        }
+
+        // The slide may have moved on, or the scene closed, while loading
+        if (this.slideGroup !== group || !this.sys.isActive()) return;
+
+        if (!leaderboard || leaderboard.length === 0) {
+            const message = leaderboard ? 'No scores yet today.\nBe the first!' : 'Board offline.\nScores are still saved!';
+            group.add(this.add.text(width / 2, height * 0.45, message, {
+                fontSize: '28px',
+                fill: '#FFFFFF',
+                align: 'center'
+            }).setOrigin(0.5));
+            return;
+        }
+
+        const rowHeight = height * 0.068;
+        leaderboard.forEach((entry, index) => {
+            const y = height * 0.18 + index * rowHeight;
+            const color = index < 3 ? '#FFD700' : '#FFFFFF';
+            group.addMultiple([
+                this.add.text(width * 0.08, y, MEDALS[index] || `${entry.rank}.`, {
+                    fontSize: '28px',
+                    fill: color,
+                    fontWeight: 'bold'
+                }).setOrigin(0, 0.5),
+                this.add.text(width * 0.22, y, entry.username.slice(0, 14), {
+                    fontSize: '28px',
+                    fill: color,
+                    fontWeight: 'bold'
+                }).setOrigin(0, 0.5),
+                this.add.text(width * 0.92, y, entry.score.toLocaleString(), {
+                    fontSize: '28px',
+                    fill: color,
+                    fontWeight: 'bold'
+                }).setOrigin(1, 0.5)
+            ]);
+        });
+    }
+
+    // Invisible press-and-hold target; customers tapping it still start a game
+    createOperatorHotspot() {
+        const hotspot = this.add.rectangle(40, 40, 80, 80, 0x000000, 0.001).setOrigin(0.5).setDepth(20).setInteractive();
+        let holdTimer = null;
+        const cancel = () => {
+            if (holdTimer) {
+                holdTimer.remove(false);
+                holdTimer = null;
+            }
+        };
+
+        hotspot.on('pointerdown', () => {
+            cancel();
+            holdTimer = this.time.delayedCall(KIOSK.OPERATOR_HOLD, () => {
+                holdTimer = null;
+                this.openOperatorMenu();
+            });
+        });
+        hotspot.on('pointerup', () => {
+            // A quick tap is a customer wanting to play
+            if (holdTimer) {
+                cancel();
+                if (!this.operatorMenu) this.scene.start('GameScene');
+            }
+        });
+        hotspot.on('pointerout', cancel);
+
+        return hotspot;
+    }
+
+    openOperatorMenu() {
+        if (this.operatorMenu) return;
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.85);
+            font-family: Arial, sans-serif;
+        `;
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            width: min(360px, 90vw);
+            padding: 24px;
+            border: 3px solid #FFD700;
+            border-radius: 20px;
+            background: #2D1B00;
+            color: #FFFFFF;
+            text-align: center;
+        `;
+        overlay.appendChild(panel);
+
+        const addElement = (tag, text, style = '') => {
+            const element = document.createElement(tag);
+            element.textContent = text;
+            element.style.cssText = `display: block; width: 100%; box-sizing: border-box; margin: 10px 0; font-size: 18px; ${style}`;
+            panel.appendChild(element);
+            return element;
+        };
+        const buttonStyle = 'padding: 14px; border: none; border-radius: 12px; background: #FFD700; color: #2D1B00; font-weight: bold;';
+
+        addElement('h2', 'Operator', 'color: #FFD700; font-size: 24px;');
+        const status = addElement('p', 'Enter the kiosk PIN');
+        const pinInput = addElement('input', '', 'padding: 12px; border-radius: 12px; border: 2px solid #FFD700; text-align: center; font-size: 24px;');
+        pinInput.type = 'password';
+        pinInput.inputMode = 'numeric';
+        pinInput.autocomplete = 'off';
+        const unlockButton = addElement('button', 'Unlock', buttonStyle);
+        const closeButton = addElement('button', 'Close', `${buttonStyle} background: #666666; color: #FFFFFF;`);
+        closeButton.onclick = () => this.closeOperatorMenu();
+
+        // The PIN lives only in this closure and goes with every operator request
+        const run = async (label, action) => {
+            status.textContent = `${label}...`;
+            try {
+                status.textContent = await action();
+            } catch (error) {
+                status.textContent = error.message;
+            }
+        };
+
+        const showTools = (pin) => {
+            pinInput.remove();
+            unlockButton.remove();
+            status.textContent = 'Unlocked';
+
+            const resetButton = addElement('button', "Reset today's board", buttonStyle);
+            resetButton.onclick = () => {
+                if (!window.confirm("Start a fresh top 10 board? Today's scores are kept for the export.")) return;
+                run('Resetting', async () => {
+                    await this.apiService.resetKioskBoard(pin);
+                    this.slide = 0;
+                    this.showSlide();
+                    return 'Board reset';
+                });
+            };
+
+            const exportButton = addElement('button', "Export today's entries", buttonStyle);
+            exportButton.onclick = () => run('Exporting', async () => {
+                const csv = await this.apiService.exportKioskEntries(pin);
+                const date = new Date().toISOString().split('T')[0];
+                KioskMode.downloadCsv(csv, `birddash-entries-${date}.csv`);
+                return `Exported ${Math.max(0, csv.trim().split('\n').length - 1)} entries`;
+            });
+
+            const exitButton = addElement('button', 'Exit kiosk mode', `${buttonStyle} background: #FF6347; color: #FFFFFF;`);
+            exitButton.onclick = () => KioskMode.exit();
+
+            panel.appendChild(closeButton);
+        };
+
+        const unlock = () => run('Checking', async () => {
+            const pin = pinInput.value.trim();
+            await this.apiService.verifyKioskPin(pin);
+            showTools(pin);
+            return 'Unlocked';
+        });
+        unlockButton.onclick = unlock;
+        pinInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') unlock();
+        });
+
+        document.body.appendChild(overlay);
+        this.operatorMenu = overlay;
+        pinInput.focus();
+
+        // Nobody should find the menu left open
+        this.operatorMenuTimer = this.time.delayedCall(KIOSK.FORM_TIMEOUT, () => this.closeOperatorMenu());
+    }
+
+    closeOperatorMenu() {
+        if (this.operatorMenuTimer) {
+            this.operatorMenuTimer.remove(false);
+            this.operatorMenuTimer = null;
+        }
+        if (this.operatorMenu) {
+            this.operatorMenu.remove();
+            this.operatorMenu = null;
+        }
+    }
+}
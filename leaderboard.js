@@ -2,7 +2,12 @@
 import debugLogger from './debugLogger.js';
 import InputSanitizer from './inputSanitizer.js';
 import ApiService from './apiService.js';
-import { UI, ANIMATIONS } from './constants.js';
+import KioskMode from './kioskMode.js';
+import { UI, ANIMATIONS, KIOSK, SCORE_SYNC } from './constants.js';
+
+// Daily Dash board layout - today's top runs above yesterday's podium
+const DAILY_BOARD_ROWS = 6;
+const YESTERDAY_BOARD_ROWS = 3;
 
 export default class Leaderboard {
     constructor(scene) {
@@ -12,18 +17,76 @@ export default class Leaderboard {
         this.maxEntries = 20; // Increased for online leaderboard
         
         this.leaderboardGroup = null;
+        this.voucherGroup = null;
+        this.syncStatusText = null;
         this.nameInput = null;
         this.phoneInput = null;
+        this.marketingConsentInput = null;
         this.isShowingLeaderboard = false;
         
         // Initialize API service
         this.apiService = new ApiService();
         this.isOnlineMode = false;
+        this.runToken = null;
+        
+        // Request a run token whenever a game starts (GameScene / GameStateManager)
+        this.scene.events.on('gameStarted', this.startRun, this);
+        
+        // Scores queued while offline report back here once the outbox sends them
+        this.onScoreSynced = (event) => this.reconcileSyncedScore(event.detail);
+        this.onScoreRejected = (event) => this.reconcileSyncedScore(event.detail);
+        window.addEventListener(SCORE_SYNC.SYNCED_EVENT, this.onScoreSynced);
+        window.addEventListener(SCORE_SYNC.REJECTED_EVENT, this.onScoreRejected);
+        
+        this.scene.events.once('shutdown', () => {
+            this.scene.events.off('gameStarted', this.startRun, this);
+            window.removeEventListener(SCORE_SYNC.SYNCED_EVENT, this.onScoreSynced);
+            window.removeEventListener(SCORE_SYNC.REJECTED_EVENT, this.onScoreRejected);
+        });
         
         // Check if we can connect to the backend
         this.initializeConnection();
     }
 
+    // Daily Dash helpers - dates are UTC YYYY-MM-DD, matching the server
+    static getTodayUtc() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    async startRun() {
+        this.runToken = null;
+        if (this.scene.isReplay) return;
+        
+        // A ?seed= run gets no run token and its score stays on this device
+        if (this.scene.isSeededPractice) return;
+        
+        // The server decides whether a Daily Dash run is the ranked attempt and
+        // spends it as the run starts. Practice runs are never submitted, and a
+        // run the server can't be asked about is played for practice.
+        if (this.scene.gameMode === 'daily') {
+            let ranked = false;
+            try {
+                const run = await this.apiService.startDailyRun(this.scene.dailyDate);
+                ranked = Boolean(run.ranked && run.run_token);
+                this.runToken = ranked ? run.run_token : null;
+            } catch (error) {
+                debugLogger.warn('Could not start a ranked Daily Dash run, playing for practice:', error);
+            }
+            this.scene.setDailyRanked(ranked);
+            return;
+        }
+
+        try {
+            this.runToken = await this.apiService.startRun();
+        } catch (error) {
+            debugLogger.warn('Could not start a verified run, score will be saved locally:', error);
+        }
+    }
+
+    getRunStats() {
+        return typeof this.scene.getRunStats === 'function' ? this.scene.getRunStats() : {};
+    }
+
     async initializeConnection() {
         try {
             const health = await this.apiService.checkHealth();
@@ -33,6 +96,9 @@ export default class Leaderboard {
                 
                 // Try to verify existing token
                 await this.apiService.verifyToken();
+                
+                // Send anything left over from earlier offline games
+                this.apiService.syncScoreOutbox({ force: true });
             } else {
                 console.log('📱 Leaderboard: Offline mode - using local storage');
             }
@@ -107,10 +173,11 @@ export default class Leaderboard {
     async addScore(playerData, gameData = {}) {
         // Sanitize input data
         const sanitizedData = InputSanitizer.sanitizeLeaderboardEntry(playerData);
+        let syncKey = null;
         
         try {
-            // Try online submission first
-            if (this.isOnlineMode) {
+            // Try online submission first - ?seed= practice runs are never ranked
+            if (this.isOnlineMode && !this.scene.isSeededPractice) {
                 const scoreData = {
                     username: sanitizedData.name,
                     score: sanitizedData.score,
@@ -119,18 +186,35 @@ export default class Leaderboard {
                     power_ups_collected: gameData.powerUpsCollected || 0,
                     distance_traveled: gameData.distanceTraveled || 0,
                     max_combo: gameData.maxCombo || 0,
-                    is_guest: !this.apiService.isAuthenticated()
+                    is_guest: !this.apiService.isAuthenticated(),
+                    revived: Boolean(gameData.revived),
+                    beans_spent: gameData.beansSpent || 0,
+                    run_token: this.runToken
                 };
+                if (gameData.replay) {
+                    scoreData.replay = gameData.replay;
+                }
 
+                // Run tokens are single-use
+                this.runToken = null;
+                
+                if (this.scene.gameMode === 'daily') {
+                    return await this.addDailyScore(scoreData);
+                }
                 const response = await this.apiService.submitScore(scoreData);
                 
+                // Connection dropped - the outbox resends it, the local board shows it meanwhile
+                if (response.queued) {
+                    syncKey = response.idempotency_key;
+                    debugLogger.log(`📮 Score queued to sync: ${sanitizedData.name} - ${sanitizedData.score} points`);
+                }
+                
                 if (response.entry_id) {
                     debugLogger.log(`✅ Score submitted online: ${sanitizedData.name} - ${sanitizedData.score} points (Rank: ${response.rank})`);
                     
-                    // Also update user stats if authenticated
-                    if (this.apiService.isAuthenticated()) {
-                        await this.apiService.updateGameStats(sanitizedData.name, scoreData);
-                    }
+                    // The server credits stats and achievements to the run's
+                    // player and sends back what this game unlocked
+                    this.showUnlockToasts(response.achievements || [], response.rewards || [], response.beans_earned);
                     
                     // Return online leaderboard data
                     const onlineLeaderboard = await this.apiService.getLeaderboard(this.maxEntries);
@@ -145,8 +229,9 @@ export default class Leaderboard {
             debugLogger.error('Online score submission failed:', error);
         }
         
-        // Fallback to local storage
+        // Fallback to local storage (replays are too large to keep locally)
         const leaderboard = this.loadLeaderboard();
+        const { replay, ...localGameData } = gameData;
         
         // Add new score
         leaderboard.push({
@@ -155,7 +240,8 @@ export default class Leaderboard {
             score: sanitizedData.score,
             date: new Date().toLocaleDateString(),
             timestamp: Date.now(),
-            ...gameData
+            ...(syncKey && { syncKey }),
+            ...localGameData
         });
 
         // Sort by score (highest first)
@@ -174,33 +260,161 @@ export default class Leaderboard {
         return {
             leaderboard: leaderboard,
             rank: rank,
-            online: false
+            online: false,
+            queued: Boolean(syncKey)
         };
     }
 
-    async showLeaderboard() {
+    // A queued score has been answered: record its online rank on the local
+    // entry (or just stop marking it as waiting if the server refused it)
+    async reconcileSyncedScore({ key, userId = null, response = null }) {
+        const leaderboard = this.loadLeaderboard();
+        const entry = leaderboard.find(candidate => candidate.syncKey === key);
+        if (entry) {
+            delete entry.syncKey;
+            if (response?.rank) {
+                entry.onlineRank = response.rank;
+            }
+            this.saveLeaderboard(leaderboard);
+        }
+        
+        // Unlocks are only shown if the same player is still signed in
+        const currentUser = this.apiService.getCurrentUser();
+        if (response?.entry_id && currentUser && !currentUser.offline && currentUser.id === userId) {
+            this.showUnlockToasts(response.achievements || [], response.rewards || [], response.beans_earned);
+        }
+        
+        if (this.syncStatusText?.active) {
+            this.updateSyncStatus();
+        }
+    }
+
+    // "3 scores waiting to sync" under the leaderboard while the outbox has any
+    async updateSyncStatus() {
+        const pending = await this.apiService.getPendingScoreCount();
+        if (!this.syncStatusText?.active) return;
+        
+        this.syncStatusText.setText(pending > 0 ? `⏳ ${pending} score${pending === 1 ? '' : 's'} waiting to sync` : '');
+    }
+
+    // Toasts for what a submitted game earned: achievements first, then vouchers, then beans
+    showUnlockToasts(achievements, rewards, beansEarned = 0) {
+        achievements.forEach(achievement => this.scene.events.emit('achievementUnlocked', achievement));
+
+        this.showToasts([
+            ...achievements.map(achievement => ({
+                title: `${achievement.icon} ${achievement.name}`,
+                subtitle: achievement.description,
+                color: '#4CAF50'
+            })),
+            ...rewards.map(voucher => ({
+                title: `🎟️ ${voucher.reward}`,
+                subtitle: 'Reward earned! Find it under REWARDS',
+                color: '#FFD700'
+            })),
+            ...(beansEarned > 0 ? [{
+                title: `☕ +${beansEarned} beans`,
+                subtitle: 'Spend them on looks in the SHOP',
+                color: '#DEB887'
+            }] : [])
+        ]);
+    }
+
+    // Stack toasts at the top of the screen. They sit above the results
+    // overlay, so they show over whatever screen follows.
+    showToasts(toasts) {
+        const centerX = this.scene.cameras.main.centerX;
+
+        toasts.forEach(({ title, subtitle, color }, index) => {
+            const toast = this.scene.add.container(centerX, 50 + index * 70).setDepth(6000).setAlpha(0);
+            const background = this.scene.add.rectangle(0, 0, 320, 60, 0x000000, 0.85);
+            background.setStrokeStyle(2, Phaser.Display.Color.HexStringToColor(color).color);
+            const titleText = this.scene.add.text(0, -10, title, {
+                fontSize: '18px',
+                fill: color,
+                fontWeight: 'bold'
+            }).setOrigin(0.5);
+            const subtitleText = this.scene.add.text(0, 12, subtitle, {
+                fontSize: '14px',
+                fill: '#CCCCCC'
+            }).setOrigin(0.5);
+            toast.add([background, titleText, subtitleText]);
+
+            this.scene.tweens.add({
+                targets: toast,
+                alpha: 1,
+                duration: 300,
+                delay: index * 400,
+                hold: 3000,
+                yoyo: true,
+                onComplete: () => toast.destroy()
+            });
+        });
+    }
+
+    async addDailyScore(scoreData) {
+        const date = this.scene.dailyDate;
+        // Daily Dash has no revive, so there's nothing to mark
+        const { replay, is_guest, revived, beans_spent, ...dailyData } = scoreData;
+        
+        const response = await this.apiService.submitDailyScore(date, {
+            ...dailyData,
+            seed: this.scene.rng.getSeed()
+        });
+        
+        if (!response.entry_id) {
+            throw new Error(response.error || 'Daily score was not accepted');
+        }
+        
+        debugLogger.log(`✅ Daily Dash score submitted: ${scoreData.username} - ${scoreData.score} points (Rank: ${response.rank})`);
+        this.showUnlockToasts([], response.rewards || [], response.beans_earned);
+        
+        const dailyBoard = await this.apiService.getDailyChallenge(date);
+        return {
+            leaderboard: dailyBoard.leaderboard || [],
+            rank: response.rank,
+            online: true,
+            daily: true
+        };
+    }
+
+    async showLeaderboard(view = 'global') {
         if (this.isShowingLeaderboard) return;
         this.isShowingLeaderboard = true;
         
+        const isDailyView = view === 'daily';
+        const isRewardsView = view === 'rewards';
         let leaderboard = [];
         let isOnline = false;
+        let daily = null;
+        let vouchers = null;
         
-        try {
-            if (this.isOnlineMode) {
-                const response = await this.apiService.getLeaderboard(this.maxEntries);
-                if (response.leaderboard) {
-                    leaderboard = response.leaderboard;
-                    isOnline = true;
-                    debugLogger.log('📊 Loaded online leaderboard with', leaderboard.length, 'entries');
+        if (isDailyView) {
+            daily = await this.loadDailyBoards();
+            if (daily.today) {
+                leaderboard = daily.today.leaderboard.slice(0, DAILY_BOARD_ROWS);
+                isOnline = true;
+            }
+        } else if (isRewardsView) {
+            vouchers = await this.loadVouchers();
+        } else {
+            try {
+                if (this.isOnlineMode) {
+                    const response = await this.apiService.getLeaderboard(this.maxEntries);
+                    if (response.leaderboard) {
+                        leaderboard = response.leaderboard;
+                        isOnline = true;
+                        debugLogger.log('📊 Loaded online leaderboard with', leaderboard.length, 'entries');
+                    } else {
+                        throw new Error('No leaderboard data received');
+                    }
                 } else {
-                    throw new Error('No leaderboard data received');
+                    throw new Error('Offline mode');
                 }
-            } else {
-                throw new Error('Offline mode');
+            } catch (error) {
+                debugLogger.log('📱 Falling back to local leaderboard:', error.message);
+                leaderboard = this.loadLeaderboard();
             }
-        } catch (error) {
-            debugLogger.log('📱 Falling back to local leaderboard:', error.message);
-            leaderboard = this.loadLeaderboard();
         }
         this.leaderboardGroup = this.scene.add.group();
         // Background overlay with immediate darkness and fade-in animation
@@ -225,7 +439,7 @@ export default class Leaderboard {
         const screenHeight = this.scene.cameras.main.height;
         const minScale = Math.min(this.scene.cameras.main.width / 480, screenHeight / 854);
         
-        const title = this.scene.add.text(centerX, screenHeight * 0.07, 'LEADERBOARD', {
+        const title = this.scene.add.text(centerX, screenHeight * 0.07, isDailyView ? 'DAILY DASH' : isRewardsView ? 'MY REWARDS' : 'LEADERBOARD', {
             fontSize: '32px',
             fill: '#FFD700',
             fontWeight: 'bold',
@@ -241,10 +455,22 @@ export default class Leaderboard {
             duration: 400,
             ease: 'Back.easeOut'
         });
+        
+        this.createLeaderboardTabs(view, screenHeight * 0.045);
 
         // Leaderboard entries with staggered animations
-        if (leaderboard.length === 0) {
-            const noScores = this.scene.add.text(centerX, centerY, 'No scores yet!\nBe the first to play!', {
+        if (isRewardsView) {
+            this.showVoucher(vouchers, 0);
+        } else if (isDailyView && !daily.today) {
+            const needsConnection = this.scene.add.text(centerX, centerY, 'Daily Dash needs a connection.\nCheck back when you\'re online!', {
+                fontSize: '20px',
+                fill: '#FFFFFF',
+                align: 'center'
+            }).setOrigin(0.5).setDepth(5001);
+            this.leaderboardGroup.add(needsConnection);
+        } else if (leaderboard.length === 0) {
+            const emptyMessage = isDailyView ? 'No daily scores yet!\nSet the pace for today!' : 'No scores yet!\nBe the first to play!';
+            const noScores = this.scene.add.text(centerX, isDailyView ? screenHeight * 0.32 : centerY, emptyMessage, {
                 fontSize: '20px',
                 fill: '#FFFFFF',
                 align: 'center'
@@ -261,101 +487,17 @@ export default class Leaderboard {
         } else {
             leaderboard.forEach((entry, index) => {
                 const yPos = screenHeight * 0.2 + (index * screenHeight * 0.06);
-                
-                // Create entry container for better mobile layout
-                const entryContainer = this.scene.add.container(centerX, yPos).setDepth(5001);
-                this.leaderboardGroup.add(entryContainer);
-                
-                // Background for each entry using graphics for stroke support - responsive width
-                const entryWidth = Math.min(420, this.scene.cameras.main.width * 0.85);
-                const entryHeight = Math.max(45, screenHeight * 0.05);
-                const entryBg = this.scene.add.graphics();
-                entryBg.fillStyle(index < 3 ? 0x333333 : 0x222222, 0.6);
-                entryBg.lineStyle(2, index < 3 ? 0xFFD700 : 0x444444, 1);
-                entryBg.fillRoundedRect(-entryWidth/2, -entryHeight/2, entryWidth, entryHeight, 8);
-                entryBg.strokeRoundedRect(-entryWidth/2, -entryHeight/2, entryWidth, entryHeight, 8);
-                entryContainer.add(entryBg);
-                
-                // Rank with medal icons for top 3 - improved mobile visibility
-                const rankText = index < 3 ? 
-                    ['🥇', '🥈', '🥉'][index] : 
-                    `${index + 1}.`;
-                const rank = this.scene.add.text(-entryWidth/2 + 30, 0, rankText, {
-                    fontSize: index < 3 ? 
-                        Math.max(28, screenHeight * 0.033) + 'px' : 
-                        Math.max(20, screenHeight * 0.024) + 'px', // Responsive font sizes
-                    fill: index < 3 ? '#FFD700' : '#FFFFFF',
-                    fontWeight: 'bold',
-                    fontFamily: 'Arial, sans-serif'
-                }).setOrigin(0, 0.5).setDepth(5001);
-                entryContainer.add(rank);
-                // Name - improved mobile visibility and debugging
-                const displayName = entry.name || entry.username || 'Unknown Player';
-                debugLogger.log('leaderboard', `Displaying name for entry ${index}: "${displayName}"`);
-                
-                const name = this.scene.add.text(-entryWidth/2 + 80, 0, displayName, {
-                    fontSize: Math.max(18, screenHeight * 0.022) + 'px', // Larger, responsive font
-                    fill: '#FFFFFF',
-                    fontWeight: 'bold',
-                    fontFamily: 'Arial, sans-serif'
-                }).setOrigin(0, 0.5).setDepth(5001);
-                entryContainer.add(name);
-                // Score with number formatting - improved mobile visibility
-                const formattedScore = entry.score.toLocaleString();
-                const score = this.scene.add.text(entryWidth/2 - 30, 0, formattedScore, {
-                    fontSize: Math.max(18, screenHeight * 0.022) + 'px', // Larger, responsive font
-                    fill: index < 3 ? '#FFD700' : '#FFFFFF',
-                    fontWeight: 'bold',
-                    fontFamily: 'Arial, sans-serif'
-                }).setOrigin(1, 0.5).setDepth(5001);
-                entryContainer.add(score);
-                
-                // Date (smaller, below name) - improved mobile visibility
-                const dateText = entry.date || new Date().toLocaleDateString();
-                const date = this.scene.add.text(-entryWidth/2 + 80, entryHeight * 0.3, dateText, {
-                    fontSize: Math.max(12, screenHeight * 0.014) + 'px', // Responsive font
-                    fill: '#AAAAAA',
-                    fontFamily: 'Arial, sans-serif'
-                }).setOrigin(0, 0.5);
-                entryContainer.add(date);
-                
-                // Staggered slide-in animation
-                entryContainer.y = yPos + screenHeight * 0.3; // Start below screen
-                entryContainer.setAlpha(0);
-                
-                this.scene.tweens.add({
-                    targets: entryContainer,
-                    y: yPos,
-                    alpha: 1,
-                    duration: 400,
-                    delay: 500 + (index * 100),
-                    ease: 'Back.easeOut'
-                });
-                
-                // Hover effect for top 3
-                if (index < 3) {
-                    entryBg.setInteractive(new Phaser.Geom.Rectangle(-entryWidth/2, -entryHeight/2, entryWidth, entryHeight), Phaser.Geom.Rectangle.Contains);
-                    entryBg.on('pointerover', () => {
-                        this.scene.tweens.add({
-                            targets: entryContainer,
-                            scaleX: 1.05,
-                            scaleY: 1.05,
-                            duration: 200,
-                            ease: 'Power2.easeOut'
-                        });
-                    });
-                    entryBg.on('pointerout', () => {
-                        this.scene.tweens.add({
-                            targets: entryContainer,
-                            scaleX: 1,
-                            scaleY: 1,
-                            duration: 200,
-                            ease: 'Power2.easeOut'
-                        });
-                    });
-                }
+                this.createEntryRow(entry, index, yPos, { isOnline, delay: 500 + (index * 100) });
             });
         }
+        
+        if (isDailyView && daily.today) {
+            this.showYesterdayStandings(daily.yesterday, screenHeight * 0.565, 500 + (leaderboard.length * 100));
+            this.createDailyPlayButtons(daily.today, screenHeight * 0.8);
+        }
+        
+        // Used to stagger the close button after the entry animations
+        const rowCount = isDailyView ? leaderboard.length + YESTERDAY_BOARD_ROWS : leaderboard.length;
 
         // Close button with animation - responsive positioning
         const closeButton = this.scene.add.text(centerX, screenHeight * 0.93, 'TAP TO CLOSE', {
@@ -373,7 +515,7 @@ export default class Leaderboard {
             y: screenHeight * 0.88,
             alpha: 1,
             duration: 500,
-            delay: 800 + (leaderboard.length * 100),
+            delay: 800 + (rowCount * 100),
             ease: 'Power2.easeOut'
         });
         
@@ -386,7 +528,7 @@ export default class Leaderboard {
             yoyo: true,
             repeat: -1,
             ease: 'Sine.easeInOut',
-            delay: 1300 + (leaderboard.length * 100)
+            delay: 1300 + (rowCount * 100)
         });
         // Make close button directly interactive
         closeButton.setInteractive();
@@ -414,6 +556,17 @@ export default class Leaderboard {
             //     closeButton.clearTint(); // REMOVED - no tinting
             // }, 150);
         });
+        // Scores still waiting in the outbox
+        if (!isDailyView && !isRewardsView) {
+            this.syncStatusText = this.scene.add.text(centerX, screenHeight * 0.955, '', {
+                fontSize: '16px',
+                fill: '#DEB887',
+                fontWeight: 'bold'
+            }).setOrigin(0.5).setDepth(3001);
+            this.leaderboardGroup.add(this.syncStatusText);
+            this.updateSyncStatus();
+        }
+        
         // Also make overlay clickable to close (as backup)
         overlay.setInteractive();
         overlay.on('pointerdown', () => {
@@ -425,21 +578,428 @@ export default class Leaderboard {
         });
     }
 
+    // One leaderboard row - shared by the all-time and Daily Dash views
+    createEntryRow(entry, index, yPos, options = {}) {
+        const centerX = this.scene.cameras.main.centerX;
+        const screenHeight = this.scene.cameras.main.height;
+        
+        // Create entry container for better mobile layout
+        const entryContainer = this.scene.add.container(centerX, yPos).setDepth(5001);
+        this.leaderboardGroup.add(entryContainer);
+        
+        // Background for each entry using graphics for stroke support - responsive width
+        const entryWidth = Math.min(420, this.scene.cameras.main.width * 0.85);
+        const entryHeight = Math.max(45, screenHeight * 0.05);
+        const entryBg = this.scene.add.graphics();
+        entryBg.fillStyle(index < 3 ? 0x333333 : 0x222222, 0.6);
+        entryBg.lineStyle(2, index < 3 ? 0xFFD700 : 0x444444, 1);
+        entryBg.fillRoundedRect(-entryWidth/2, -entryHeight/2, entryWidth, entryHeight, 8);
+        entryBg.strokeRoundedRect(-entryWidth/2, -entryHeight/2, entryWidth, entryHeight, 8);
+        entryContainer.add(entryBg);
+        
+        // Rank with medal icons for top 3 - improved mobile visibility
+        const rankText = index < 3 ? 
+            ['🥇', '🥈', '🥉'][index] : 
+            `${index + 1}.`;
+        const rank = this.scene.add.text(-entryWidth/2 + 30, 0, rankText, {
+            fontSize: index < 3 ? 
+                Math.max(28, screenHeight * 0.033) + 'px' : 
+                Math.max(20, screenHeight * 0.024) + 'px', // Responsive font sizes
+            fill: index < 3 ? '#FFD700' : '#FFFFFF',
+            fontWeight: 'bold',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0, 0.5).setDepth(5001);
+        entryContainer.add(rank);
+        // Name - improved mobile visibility and debugging
+        const displayName = entry.name || entry.username || 'Unknown Player';
+        debugLogger.log('leaderboard', `Displaying name for entry ${index}: "${displayName}"`);
+        
+        const name = this.scene.add.text(-entryWidth/2 + 80, 0, displayName, {
+            fontSize: Math.max(18, screenHeight * 0.022) + 'px', // Larger, responsive font
+            fill: '#FFFFFF',
+            fontWeight: 'bold',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0, 0.5).setDepth(5001);
+        entryContainer.add(name);
+        // Score with number formatting - improved mobile visibility
+        const formattedScore = entry.score.toLocaleString();
+        const score = this.scene.add.text(entryWidth/2 - 30, 0, formattedScore, {
+            fontSize: Math.max(18, screenHeight * 0.022) + 'px', // Larger, responsive font
+            fill: index < 3 ? '#FFD700' : '#FFFFFF',
+            fontWeight: 'bold',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(1, 0.5).setDepth(5001);
+        entryContainer.add(score);
+        
+        // Date (smaller, below name) - improved mobile visibility.
+        // Scores played offline also say whether they've reached the online board
+        let dateText = entry.date || new Date().toLocaleDateString();
+        if (entry.revived) {
+            dateText += ' · 💫 revived';
+        }
+        if (entry.syncKey || entry.pending) {
+            dateText += ' · ⏳ waiting to sync';
+        } else if (!options.isOnline && entry.onlineRank) {
+            dateText += ` · 🌐 #${entry.onlineRank} online`;
+        }
+        const date = this.scene.add.text(-entryWidth/2 + 80, entryHeight * 0.3, dateText, {
+            fontSize: Math.max(12, screenHeight * 0.014) + 'px', // Responsive font
+            fill: '#AAAAAA',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0, 0.5);
+        entryContainer.add(date);
+        
+        // "Watch this run" for online entries that have a replay
+        if (options.isOnline && entry.has_replay) {
+            const watchButton = this.scene.add.text(entryWidth/2 - 30, entryHeight * 0.3, '▶ WATCH', {
+                fontSize: Math.max(12, screenHeight * 0.014) + 'px',
+                fill: '#00FF00',
+                fontWeight: 'bold',
+                fontFamily: 'Arial, sans-serif'
+            }).setOrigin(1, 0.5).setInteractive({ useHandCursor: true });
+            watchButton.on('pointerdown', (pointer, localX, localY, event) => {
+                event.stopPropagation();
+                this.watchReplay(entry.id);
+            });
+            entryContainer.add(watchButton);
+        }
+        
+        // Staggered slide-in animation
+        entryContainer.y = yPos + screenHeight * 0.3; // Start below screen
+        entryContainer.setAlpha(0);
+        
+        this.scene.tweens.add({
+            targets: entryContainer,
+            y: yPos,
+            alpha: 1,
+            duration: 400,
+            delay: options.delay ?? 0,
+            ease: 'Back.easeOut'
+        });
+        
+        // Hover effect for top 3
+        if (index < 3) {
+            entryBg.setInteractive(new Phaser.Geom.Rectangle(-entryWidth/2, -entryHeight/2, entryWidth, entryHeight), Phaser.Geom.Rectangle.Contains);
+            entryBg.on('pointerover', () => {
+                this.scene.tweens.add({
+                    targets: entryContainer,
+                    scaleX: 1.05,
+                    scaleY: 1.05,
+                    duration: 200,
+                    ease: 'Power2.easeOut'
+                });
+            });
+            entryBg.on('pointerout', () => {
+                this.scene.tweens.add({
+                    targets: entryContainer,
+                    scaleX: 1,
+                    scaleY: 1,
+                    duration: 200,
+                    ease: 'Power2.easeOut'
+                });
+            });
+        }
+        
+        return entryContainer;
+    }
+
+    createLeaderboardTabs(activeView, yPos) {
+        const centerX = this.scene.cameras.main.centerX;
+        const tabs = [
+            { view: 'global', label: 'ALL TIME' },
+            { view: 'daily', label: '📅 DAILY DASH' }
+        ];
+        // Vouchers and beans belong to an account
+        if (this.apiService.isAuthenticated()) {
+            tabs.push({ view: 'rewards', label: '🎟️ REWARDS' });
+            tabs.push({ view: 'shop', label: '🛒 SHOP' });
+        }
+        const spacing = tabs.length > 3 ? 112 : tabs.length > 2 ? 140 : 160;
+        
+        tabs.forEach((tab, index) => {
+            const isActive = tab.view === activeView;
+            const x = centerX + (index - (tabs.length - 1) / 2) * spacing;
+            const tabText = this.scene.add.text(x, yPos, tab.label, {
+                fontSize: tabs.length > 3 ? '12px' : tabs.length > 2 ? '14px' : '16px',
+                fill: isActive ? '#FFD700' : '#AAAAAA',
+                fontWeight: 'bold',
+                backgroundColor: isActive ? '#333333' : '#111111',
+                padding: { x: 10, y: 6 }
+            }).setOrigin(0.5).setDepth(5002);
+            this.leaderboardGroup.add(tabText);
+            
+            if (!isActive) {
+                tabText.setInteractive({ useHandCursor: true });
+                tabText.on('pointerdown', (pointer, localX, localY, event) => {
+                    event.stopPropagation();
+                    this.hideLeaderboard();
+                    // The shop is its own scene
+                    if (tab.view === 'shop') {
+                        this.scene.scene.start('ShopScene');
+                    } else {
+                        this.showLeaderboard(tab.view);
+                    }
+                });
+            }
+        });
+    }
+
+    // Today's board plus yesterday's final standings; today is null when offline
+    async loadDailyBoards() {
+        const boards = { today: null, yesterday: null };
+        if (!this.isOnlineMode) return boards;
+        
+        const today = Leaderboard.getTodayUtc();
+        const yesterday = new Date(Date.parse(`${today}T00:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        
+        try {
+            const [todayResponse, yesterdayResponse] = await Promise.all([
+                this.apiService.getDailyChallenge(today),
+                this.apiService.getDailyChallenge(yesterday)
+            ]);
+            
+            if (todayResponse.leaderboard) {
+                boards.today = todayResponse;
+                debugLogger.log('📊 Loaded Daily Dash board for', today, 'with', todayResponse.leaderboard.length, 'entries');
+            }
+            if (yesterdayResponse.leaderboard) {
+                boards.yesterday = yesterdayResponse;
+            }
+        } catch (error) {
+            debugLogger.warn('Could not load Daily Dash boards:', error);
+        }
+        
+        return boards;
+    }
+
+    showYesterdayStandings(yesterday, yPos, delay) {
+        const centerX = this.scene.cameras.main.centerX;
+        const screenHeight = this.scene.cameras.main.height;
+        
+        const header = this.scene.add.text(centerX, yPos, "YESTERDAY'S FINAL", {
+            fontSize: '18px',
+            fill: '#FFD700',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 2
+        }).setOrigin(0.5).setDepth(5001);
+        this.leaderboardGroup.add(header);
+        
+        const entries = yesterday ? yesterday.leaderboard.slice(0, YESTERDAY_BOARD_ROWS) : [];
+        if (entries.length === 0) {
+            const noEntries = this.scene.add.text(centerX, yPos + screenHeight * 0.05, 'No runs yesterday', {
+                fontSize: '16px',
+                fill: '#AAAAAA'
+            }).setOrigin(0.5).setDepth(5001);
+            this.leaderboardGroup.add(noEntries);
+            return;
+        }
+        
+        entries.forEach((entry, index) => {
+            const rowY = yPos + screenHeight * 0.045 + (index * screenHeight * 0.06);
+            this.createEntryRow(entry, index, rowY, { isOnline: true, delay: delay + (index * 100) });
+        });
+    }
+
+    createDailyPlayButtons(today, yPos) {
+        const centerX = this.scene.cameras.main.centerX;
+        // The server has the final say when the run starts
+        const ranked = !!today.ranked_available;
+        const inDailyMode = this.scene.gameMode === 'daily';
+        
+        const playButton = this.scene.add.text(inDailyMode ? centerX - 80 : centerX, yPos,
+            ranked ? '▶ PLAY DAILY DASH' : '▶ PRACTICE', {
+            fontSize: '20px',
+            fill: ranked ? '#00FF00' : '#FFFFFF',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5).setDepth(5002).setInteractive({ useHandCursor: true });
+        playButton.on('pointerdown', (pointer, localX, localY, event) => {
+            event.stopPropagation();
+            this.startDailyDash(today);
+        });
+        this.leaderboardGroup.add(playButton);
+        
+        // Ranked attempts need a player to count against - saving a score signs one in
+        if (!this.apiService.isAuthenticated()) {
+            const hint = this.scene.add.text(centerX, yPos + 26, 'Save a score to play ranked', {
+                fontSize: '14px',
+                fill: '#DEB887',
+                stroke: '#000000',
+                strokeThickness: 2
+            }).setOrigin(0.5).setDepth(5002);
+            this.leaderboardGroup.add(hint);
+        }
+        
+        // Restarts keep the scene's Daily Dash data, so offer a way back to regular runs
+        if (inDailyMode) {
+            const classicButton = this.scene.add.text(centerX + 80, yPos, '▶ CLASSIC', {
+                fontSize: '20px',
+                fill: '#FFFFFF',
+                fontWeight: 'bold',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5).setDepth(5002).setInteractive({ useHandCursor: true });
+            classicButton.on('pointerdown', (pointer, localX, localY, event) => {
+                event.stopPropagation();
+                this.hideLeaderboard();
+                this.scene.scene.start('GameScene', { mode: 'classic' });
+            });
+            this.leaderboardGroup.add(classicButton);
+        }
+    }
+
+    startDailyDash(today) {
+        this.hideLeaderboard();
+        this.scene.scene.start('GameScene', {
+            mode: 'daily',
+            seed: today.seed,
+            dailyDate: today.date
+        });
+    }
+
+    // Active vouchers for the signed-in player, or null when they can't be loaded
+    async loadVouchers() {
+        if (!this.isOnlineMode || !this.apiService.isAuthenticated()) return null;
+        
+        try {
+            const response = await this.apiService.getRewards();
+            return (response.vouchers || []).filter(voucher => voucher.status === 'active');
+        } catch (error) {
+            debugLogger.warn('Could not load rewards:', error);
+            return null;
+        }
+    }
+
+    // One voucher at a time: the QR code staff scan, the code to read out if
+    // the scanner is down, and arrows to flip through the rest
+    showVoucher(vouchers, index) {
+        if (this.voucherGroup) {
+            this.voucherGroup.destroy(true);
+        }
+        const group = this.scene.add.group();
+        this.voucherGroup = group;
+        
+        const centerX = this.scene.cameras.main.centerX;
+        const screenWidth = this.scene.cameras.main.width;
+        const screenHeight = this.scene.cameras.main.height;
+        
+        if (!vouchers || vouchers.length === 0) {
+            const message = vouchers ? 'No rewards yet!\nKeep playing to earn\ncoffee shop treats.' : 'Rewards need a connection.\nCheck back when you\'re online!';
+            group.add(this.scene.add.text(centerX, screenHeight * 0.45, message, {
+                fontSize: '20px',
+                fill: '#FFFFFF',
+                align: 'center'
+            }).setOrigin(0.5).setDepth(5001));
+            return;
+        }
+        
+        const voucher = vouchers[index];
+        const qrY = screenHeight * 0.45;
+        const qrSize = Math.min(screenWidth * 0.6, screenHeight * 0.3);
+        
+        group.add(this.scene.add.text(centerX, screenHeight * 0.24, voucher.reward, {
+            fontSize: '22px',
+            fill: '#FFD700',
+            fontWeight: 'bold',
+            align: 'center',
+            wordWrap: { width: screenWidth * 0.85 }
+        }).setOrigin(0.5).setDepth(5001));
+        
+        // The QR arrives as a data URL; textures load asynchronously
+        const key = `voucher-${voucher.code}`;
+        const addQrCode = () => {
+            if (this.voucherGroup !== group) return;
+            group.add(this.scene.add.image(centerX, qrY, key).setDisplaySize(qrSize, qrSize).setDepth(5002));
+        };
+        if (this.scene.textures.exists(key)) {
+            addQrCode();
+        } else {
+            this.scene.textures.once(Phaser.Textures.Events.ADD_KEY + key, addQrCode);
+            this.scene.textures.addBase64(key, voucher.qr_code);
+        }
+        
+        group.add(this.scene.add.text(centerX, qrY + qrSize / 2 + 30, voucher.code, {
+            fontSize: '28px',
+            fontFamily: 'monospace',
+            fill: '#FFFFFF',
+            fontWeight: 'bold'
+        }).setOrigin(0.5).setDepth(5001));
+        
+        const validUntil = new Date(voucher.expires_at).toLocaleDateString();
+        group.add(this.scene.add.text(centerX, qrY + qrSize / 2 + 65, `Show this at the caravan · valid until ${validUntil}`, {
+            fontSize: '14px',
+            fill: '#CCCCCC'
+        }).setOrigin(0.5).setDepth(5001));
+        
+        if (vouchers.length > 1) {
+            const arrows = [
+                { label: '◀', x: centerX - qrSize / 2 - 40, target: (index + vouchers.length - 1) % vouchers.length },
+                { label: '▶', x: centerX + qrSize / 2 + 40, target: (index + 1) % vouchers.length }
+            ];
+            arrows.forEach(({ label, x, target }) => {
+                const arrow = this.scene.add.text(x, qrY, label, {
+                    fontSize: '32px',
+                    fill: '#FFD700'
+                }).setOrigin(0.5).setDepth(5002).setInteractive({ useHandCursor: true });
+                arrow.on('pointerdown', (pointer, localX, localY, event) => {
+                    event.stopPropagation();
+                    this.showVoucher(vouchers, target);
+                });
+                group.add(arrow);
+            });
+            
+            group.add(this.scene.add.text(centerX, qrY + qrSize / 2 + 95, `${index + 1} / ${vouchers.length}`, {
+                fontSize: '16px',
+                fill: '#AAAAAA'
+            }).setOrigin(0.5).setDepth(5001));
+        }
+    }
+
     hideLeaderboard() {
+        if (this.voucherGroup) {
+            this.voucherGroup.destroy(true);
+            this.voucherGroup = null;
+        }
         if (this.leaderboardGroup) {
             this.leaderboardGroup.destroy();
             this.leaderboardGroup = null;
         }
+        this.syncStatusText = null;
         this.isShowingLeaderboard = false;
     }
 
+    async watchReplay(entryId) {
+        try {
+            const response = await this.apiService.getReplay(entryId);
+            if (!response.replay) {
+                throw new Error('No replay data received');
+            }
+            
+            this.hideLeaderboard();
+            this.scene.scene.start('ReplayScene', { replay: response.replay });
+        } catch (error) {
+            debugLogger.warn('Replay unavailable:', error);
+        }
+    }
+
     async showNameEntryForm(score) {
         debugLogger.score("Showing name entry form for score:", score);
         
+        // Daily Dash practice runs don't count - go straight to the daily standings
+        if (this.scene.gameMode === 'daily' && this.scene.isDailyPractice) {
+            await this.showLeaderboard('daily');
+            return;
+        }
+        
         try {
-            const existingUser = this.loadUser();
+            // The kiosk tablet never remembers the previous customer
+            const existingUser = KioskMode.isEnabled() ? null : this.loadUser();
             
-            if (existingUser && existingUser.name && existingUser.phone) {
+            // Online entries need a verified number; otherwise the form asks for it
+            if (existingUser && existingUser.name && existingUser.phone &&
+                (!this.isOnlineMode || this.isPhoneVerified(existingUser.phone))) {
                 debugLogger.log('scores', "Found existing user:", existingUser.name);
                 // User exists with valid data, just update their score
                 try {
@@ -447,7 +1007,7 @@ export default class Leaderboard {
                         name: existingUser.name,
                         phone: existingUser.phone,
                         score: score
-                    });
+                    }, this.getRunStats());
                     
                     debugLogger.score("Score added to leaderboard, showing submission screen");
                     await this.showScoreSubmitted(updatedLeaderboard, score);
@@ -664,6 +1224,33 @@ export default class Leaderboard {
                 await this.submitScore(score);
             }
         });
+        // Marketing opt-in - never ticked for the player
+        const consentLabel = document.createElement('label');
+        consentLabel.style.cssText = `
+            display: flex;
+            align-items: flex-start;
+            gap: 12px;
+            margin: 5px 0;
+            color: #FFFFFF;
+            font-size: 15px;
+            line-height: 1.4;
+            text-align: left;
+            cursor: pointer;
+        `;
+        this.marketingConsentInput = document.createElement('input');
+        this.marketingConsentInput.type = 'checkbox';
+        this.marketingConsentInput.checked = false;
+        this.marketingConsentInput.style.cssText = `
+            flex-shrink: 0;
+            width: 24px;
+            height: 24px;
+            margin: 0;
+            accent-color: #FFD700;
+        `;
+        consentLabel.appendChild(this.marketingConsentInput);
+        consentLabel.appendChild(document.createTextNode(
+            'Text me coffee shop offers and BirdDash news. You can opt out at any time.'
+        ));
         // Submit button with enhanced mobile styling and more prominent appearance
         const submitButton = document.createElement('button');
         submitButton.textContent = 'SUBMIT SCORE';
@@ -730,15 +1317,30 @@ export default class Leaderboard {
                 alert("There was an error submitting your score. Please try again.");
             }
         };
+        // Returning players only need to confirm their number
+        const savedUser = KioskMode.isEnabled() ? null : this.loadUser();
+        if (savedUser) {
+            this.nameInput.value = savedUser.name || '';
+            this.phoneInput.value = savedUser.phone || '';
+            this.marketingConsentInput.checked = Boolean(savedUser.marketingConsent);
+        }
         // Add elements to form wrapper
         formWrapper.appendChild(this.nameInput);
         formWrapper.appendChild(this.phoneInput);
+        formWrapper.appendChild(consentLabel);
         formWrapper.appendChild(submitButton);
+        if (savedUser) {
+            formWrapper.appendChild(this.createDeleteDataLink());
+        }
         
         // Add form wrapper to container
         inputContainer.appendChild(formWrapper);
         document.body.appendChild(inputContainer);
         
+        if (KioskMode.isEnabled()) {
+            this.watchKioskForm(inputContainer);
+        }
+        
         // Immediate visibility with subtle animation for better user experience
         inputContainer.style.opacity = '0.8';
         inputContainer.style.transform = 'translate(-50%, -48%)';
@@ -763,33 +1365,45 @@ export default class Leaderboard {
         try {
             const name = this.nameInput.value.trim();
             const phone = this.phoneInput.value.trim();
+            const marketingConsent = this.marketingConsentInput.checked;
 
             if (!name || name.length < 2) {
                 alert('Please enter a valid name (at least 2 characters)');
                 return;
             }
 
-            if (!phone || phone.length < 8) {
+            if (InputSanitizer.sanitizePhone(phone).length < 8) {
                 alert('Please enter a valid mobile number');
                 return;
             }
 
+            const phoneVerified = await this.verifyPhone(name, phone, marketingConsent);
+            if (phoneVerified === null) {
+                return;
+            }
+
             debugLogger.score("Submitting score:", score, "for player:", name);
 
             // Save user data
-            const userData = { name, phone };
-            this.saveUser(userData);
+            const userData = { name, phone, phoneVerified, marketingConsent };
+            if (!KioskMode.isEnabled()) {
+                this.saveUser(userData);
+            }
             
             // Add to leaderboard - await the result since addScore is async
             const updatedLeaderboard = await this.addScore({
                 name,
                 phone,
                 score
-            });
+            }, this.getRunStats());
             
             // Clean up form
             this.cleanupForm();
             
+            if (KioskMode.isEnabled()) {
+                await this.clearPersonalData();
+            }
+            
             // Show success with current score
             await this.showScoreSubmitted(updatedLeaderboard, score);
             
@@ -803,6 +1417,116 @@ export default class Leaderboard {
         }
     }
 
+    // The saved number was confirmed by SMS and its session is still signed in
+    isPhoneVerified(phone) {
+        const savedUser = this.loadUser();
+        const currentUser = this.apiService.getCurrentUser();
+        return Boolean(
+            savedUser?.phoneVerified && currentUser?.phone_verified && !currentUser.offline &&
+            InputSanitizer.sanitizePhone(savedUser.phone) === InputSanitizer.sanitizePhone(phone)
+        );
+    }
+
+    // Confirm the number with a texted code before it goes on the online board.
+    // Resolves true once verified, false when offline (the score stays local)
+    // or when the server can't text codes, or null if the player gave up so
+    // the form stays open. The marketing opt-in is recorded with the verified number.
+    async verifyPhone(name, phone, marketingConsent) {
+        if (!this.isOnlineMode) return false;
+        if (this.isPhoneVerified(phone)) {
+            if (Boolean(this.apiService.getCurrentUser().marketing_consent) !== marketingConsent) {
+                try {
+                    await this.apiService.updateMarketingConsent(marketingConsent);
+                } catch (error) {
+                    debugLogger.warn('Could not update marketing consent:', error);
+                }
+            }
+            return true;
+        }
+
+        let verification;
+        try {
+            verification = await this.apiService.startPhoneVerification(phone);
+        } catch (error) {
+            // No SMS gateway on the server - the score goes up unverified
+            if (error.status === 503) return false;
+            alert(error.message);
+            return null;
+        }
+        if (!verification.phone) return false;
+
+        for (;;) {
+            const code = window.prompt(`Enter the 6-digit code we texted to ${verification.phone}`);
+            if (code === null) return null;
+
+            try {
+                await this.apiService.verifyPhone(phone, code.trim(), name, marketingConsent);
+                return true;
+            } catch (error) {
+                alert(error.message);
+                // Only a mistyped code is worth another go
+                if (error.message !== 'Incorrect code' && !/6 digits|Validation/.test(error.message)) return null;
+            }
+        }
+    }
+
+    createDeleteDataLink() {
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.textContent = 'Delete my details';
+        link.style.cssText = `
+            background: none;
+            border: none;
+            color: #DEB887;
+            font-size: 14px;
+            text-decoration: underline;
+            cursor: pointer;
+            min-height: 44px;
+        `;
+        link.onclick = async () => {
+            if (await this.deleteMyData()) {
+                link.remove();
+            }
+        };
+        return link;
+    }
+
+    // Right to erasure: the account, its scores and analytics go server-side,
+    // then this device forgets the player's name and number too
+    async deleteMyData() {
+        if (!window.confirm('Delete your name, number and scores from BirdDash? This cannot be undone.')) {
+            return false;
+        }
+
+        const currentUser = this.apiService.getCurrentUser();
+        if (currentUser && !currentUser.offline) {
+            try {
+                await this.apiService.deleteAccount();
+            } catch (error) {
+                debugLogger.error('Error deleting account:', error);
+                alert(`Your data could not be deleted: ${error.message}`);
+                return false;
+            }
+        }
+
+        const savedUser = this.loadUser();
+        localStorage.removeItem(this.userKey);
+        if (savedUser?.phone) {
+            const phone = InputSanitizer.sanitizePhone(savedUser.phone);
+            this.saveLeaderboard(this.loadLeaderboard().filter(entry =>
+                !entry.phone || InputSanitizer.sanitizePhone(entry.phone) !== phone
+            ));
+        }
+
+        if (this.nameInput) {
+            this.nameInput.value = '';
+            this.phoneInput.value = '';
+            this.marketingConsentInput.checked = false;
+        }
+        alert('Your details have been deleted.');
+        return true;
+    }
+
     async showScoreSubmitted(leaderboard, currentScore) {
         debugLogger.score("Showing score submission results");
         
@@ -1019,7 +1743,11 @@ export default class Leaderboard {
                 if (successGroup && successGroup.scene) {
                     successGroup.destroy();
                 }
-                this.showLeaderboard();
+                if (KioskMode.isEnabled()) {
+                    this.showKioskBoard();
+                } else {
+                    this.showLeaderboard();
+                }
             } catch (error) {
                 debugLogger.error("Error showing leaderboard:", error);
                 // Fallback to restart the game if there's an error
@@ -1028,6 +1756,11 @@ export default class Leaderboard {
         });
         // Store reference for cleanup
         this.successGroup = successGroup;
+        
+        // The tablet moves on to today's top 10 by itself
+        if (KioskMode.isEnabled()) {
+            this.scene.time.delayedCall(KIOSK.RESULTS_DURATION, () => this.showKioskBoard());
+        }
         } catch (error) {
             debugLogger.error("Error showing score submission results:", error);
             // Fallback to restart the game if there's an error
@@ -1314,6 +2047,10 @@ export default class Leaderboard {
     }
 
     cleanupForm() {
+        if (this.kioskFormTimer) {
+            this.kioskFormTimer.remove(false);
+            this.kioskFormTimer = null;
+        }
         if (this.inputContainer) {
             document.body.removeChild(this.inputContainer);
             this.inputContainer = null;
@@ -1324,9 +2061,56 @@ export default class Leaderboard {
         }
         this.nameInput = null;
         this.phoneInput = null;
+        this.marketingConsentInput = null;
+    }
+
+    // Kiosk mode: forget the last customer so the next one starts fresh
+    async clearPersonalData() {
+        try {
+            localStorage.removeItem(this.userKey);
+            
+            // Scores saved while offline keep the name but lose the number
+            const leaderboard = this.loadLeaderboard();
+            if (leaderboard.some(entry => entry.phone)) {
+                this.saveLeaderboard(leaderboard.map(({ phone, ...entry }) => entry));
+            }
+        } catch (error) {
+            debugLogger.warn('Error clearing personal data:', error);
+        }
+        
+        // Sign out the phone-verified session too
+        await this.apiService.clearAuth();
+    }
+
+    // Between games the kiosk shows today's top 10 instead of the full leaderboard
+    showKioskBoard() {
+        this.cleanupForm();
+        this.scene.scene.start('KioskScene', { reason: 'between-games' });
+    }
+
+    // A customer who walks away mid-entry mustn't leave their details for the next one
+    watchKioskForm(inputContainer) {
+        const restart = () => {
+            if (this.kioskFormTimer) {
+                this.kioskFormTimer.remove(false);
+            }
+            this.kioskFormTimer = this.scene.time.delayedCall(KIOSK.FORM_TIMEOUT, async () => {
+                this.kioskFormTimer = null;
+                debugLogger.log('scores', 'Kiosk name entry abandoned, clearing the form');
+                this.cleanupForm();
+                await this.clearPersonalData();
+                this.showKioskBoard();
+            });
+        };
+        
+        inputContainer.addEventListener('input', restart);
+        inputContainer.addEventListener('pointerdown', restart);
+        restart();
     }
 
     getReturningUserInfo() {
+        if (KioskMode.isEnabled()) return null;
+        
         const user = this.loadUser();
         return user ? `Welcome back, ${user.name}!` : null;
     }
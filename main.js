@@ -1,6 +1,10 @@
 // Phaser is loaded globally from CDN
 import PreloaderScene from './preloaderScene.js';
 import GameScene from './gameScene.js';
+import ReplayScene from './replayScene.js';
+import KioskScene from './kioskScene.js';
+import ShopScene from './shopScene.js';
+import PwaSupport from './pwaSupport.js';
 
 const config = {
     type: Phaser.AUTO,
@@ -23,8 +27,10 @@ const config = {
         // Handle mobile viewport changes
         resizeInterval: 500
     },
-    scene: [PreloaderScene, GameScene]
+    scene: [PreloaderScene, GameScene, ReplayScene, KioskScene, ShopScene]
 };
 
 new Phaser.Game(config);
 
+PwaSupport.register();
+
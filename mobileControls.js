@@ -9,12 +9,12 @@ export default class MobileControls {
     setupControls() {
         // Simple tap-to-fly system (like keyboard up arrow)
         this.scene.input.on('pointerdown', (pointer, currentlyOver) => {
-            if (!this.scene.gameRunning) return;
+            if (!this.scene.gameRunning || this.scene.isPaused()) return;
             
             // Ignore touches on UI elements
             if (currentlyOver && currentlyOver.length > 0) {
                 const topObject = currentlyOver[0];
-                if (topObject.name === 'leaderboardButton') {
+                if (topObject.name === 'leaderboardButton' || topObject.name === 'pauseButton') {
                     return;
                 }
             }
@@ -42,11 +42,8 @@ export default class MobileControls {
                 this.scene.player.sprite.setAlpha(1);
                 
                 // Make bird fly immediately on tap (like pressing up arrow)
-                this.scene.player.fly();
-                
-                // Lock bird to left position horizontally
-                const leftPosition = Math.max(80, this.scene.screenWidth * 0.08);
-                this.scene.player.sprite.x = leftPosition;
+                // Routed through the scene so the input is recorded for replays
+                this.scene.applyInput('fly');
                 
                 // Visual feedback DISABLED - keep original bird colors
                 // this.scene.player.sprite.setTint(0x00FF00);
@@ -107,10 +104,11 @@ export default class MobileControls {
             const isInputFocused = activeElement && 
                 (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA');
             
-            // Also check if leaderboard is showing (pause removed)
+            // Also check if the leaderboard or pause menu is showing
             const isMenuShowing = (this.scene.leaderboard && this.scene.leaderboard.isShowingLeaderboard) ||
                                   (this.scene.leaderboard && this.scene.leaderboard.nameInput) ||
-                                  !this.scene.gameRunning;
+                                  !this.scene.gameRunning ||
+                                  this.scene.isPaused();
             
             if (isInputFocused || isMenuShowing) {
                 debugLogger.log('controls', 'Input focused or menu showing, blocking game control for:', event.code);
@@ -126,29 +124,25 @@ export default class MobileControls {
                 case 'Space':
                 case 'ArrowUp':
                 case 'KeyW':
-                    this.scene.player.jump();
+                    this.scene.applyInput('jump');
                     break;
                 case 'ArrowLeft':
                 case 'KeyA':
-                    this.scene.player.moveLeft();
+                    this.scene.applyInput('moveLeft');
                     break;
                 case 'ArrowRight':
                 case 'KeyD':
-                    this.scene.player.moveRight();
+                    this.scene.applyInput('moveRight');
                     break;
                 case 'KeyF':
                     // Toggle fluid movement for desktop testing
-                    if (this.scene.player.isFluidMoving) {
-                        this.scene.player.stopFluidMovement();
-                    } else {
-                        this.scene.player.startFluidMovement();
-                    }
+                    this.scene.applyInput('toggleFluid');
                     break;
                 case 'ArrowDown':
                 case 'KeyS':
                 case 'ShiftLeft':
                 case 'ShiftRight':
-                    this.scene.performDash();
+                    this.scene.applyInput('dash');
                     break;
             }
         });
@@ -158,7 +152,7 @@ export default class MobileControls {
             if (!this.scene.gameRunning || !this.scene.player.isFluidMoving) return;
             
             // Only respond to mouse movement when F key is held (fluid mode active)
-            this.scene.player.updateFluidPosition(pointer.x, pointer.y);
+            this.scene.applyInput('fluidTarget', { x: pointer.x, y: pointer.y });
         });
     }
 }
@@ -0,0 +1,277 @@
+/**
+ * Obstacle Patterns
+ * Obstacles spawn as authored "chunks" from obstaclePatterns.json: a short,
+ * designed run of obstacles and collectibles with relative timing (ms after
+ * the chunk starts) and a difficulty rating. The sequencer picks chunks around
+ * the current difficulty level and only ever hands out chunks the bird can get
+ * through at the current speed.
+ *
+ * Passability model: obstacles spawned within PATTERNS.COLUMN_WINDOW of each
+ * other form a wall; each wall must leave a gap the bird fits through, and the
+ * bird must be able to climb or dive from one gap to the next in the time
+ * between clearing one wall and reaching the next - which shrinks as the wall
+ * spends less time on screen at higher speeds.
+ */
+
+import { PATTERNS, OBSTACLES } from './constants.js';
+
+export class PatternLibraryError extends Error {
+    constructor(errors) {
+        super(`Invalid obstacle patterns: ${errors.join('; ')}`);
+        this.name = 'PatternLibraryError';
+        this.errors = errors;
+    }
+}
+
+// Merge the bands blocked by each obstacle and return the gaps between them
+function findGaps(ys) {
+    const half = PATTERNS.OBSTACLE_SIZE / 2;
+    const blocked = ys
+        .map(y => [Math.max(0, y - half), Math.min(1, y + half)])
+        .sort((a, b) => a[0] - b[0]);
+
+    const gaps = [];
+    let cursor = 0;
+    for (const [start, end] of blocked) {
+        if (start > cursor) gaps.push([cursor, start]);
+        cursor = Math.max(cursor, end);
+    }
+    if (cursor < 1) gaps.push([cursor, 1]);
+
+    return gaps.filter(([start, end]) => end - start >= PATTERNS.MIN_GAP);
+}
+
+// Walls the bird has to pass, in order. `lanes` are the ranges the bird's
+// centre can occupy inside each gap.
+export function getColumns(chunk) {
+    const columns = [];
+    for (const entry of chunk.entries) {
+        if (!entry.obstacle) continue;
+
+        const column = columns[columns.length - 1];
+        if (column && entry.at - column.start <= PATTERNS.COLUMN_WINDOW) {
+            column.end = entry.at;
+            column.ys.push(entry.y);
+        } else {
+            columns.push({ start: entry.at, end: entry.at, ys: [entry.y] });
+        }
+    }
+
+    const margin = PATTERNS.MIN_GAP / 2;
+    return columns.map(({ start, end, ys }) => ({
+        start,
+        end,
+        lanes: findGaps(ys).map(([top, bottom]) => [top + margin, bottom - margin])
+    }));
+}
+
+function laneDistance([topA, bottomA], [topB, bottomB]) {
+    return Math.max(0, topA - bottomB, topB - bottomA);
+}
+
+/**
+ * Can the bird get through a chunk?
+ * `speed` is obstacle speed in px/s, `playableHeight` the px height of the band
+ * chunk y values map onto, `approachDistance` how far from the bird obstacles spawn.
+ * Returns { passable, reason }.
+ */
+export function checkChunkPassable(chunk, { speed, playableHeight, approachDistance }) {
+    const columns = getColumns(chunk);
+    if (columns.length === 0) {
+        return { passable: true, reason: null };
+    }
+
+    const clearTime = PATTERNS.CLEARANCE / speed * 1000;
+    const approachTime = approachDistance / speed * 1000;
+
+    // Chunks start after a breather, so the bird can line up with any gap in the first wall
+    let reachable = columns[0].lanes;
+    for (let i = 1; i < columns.length && reachable.length > 0; i++) {
+        const previous = columns[i - 1];
+        const next = columns[i];
+
+        // The bird can leave a gap once it has cleared that wall, and only
+        // steers for the next one once it is on screen
+        const moveStart = Math.max(previous.end + clearTime, next.start - approachTime);
+        const reach = Math.max(0, next.start - moveStart) / 1000 * PATTERNS.CLIMB_SPEED / playableHeight;
+
+        reachable = next.lanes.filter(lane => reachable.some(from => laneDistance(from, lane) <= reach));
+        if (reachable.length === 0) {
+            return { passable: false, reason: `no reachable gap in the wall at ${next.start}ms` };
+        }
+    }
+
+    if (reachable.length === 0) {
+        return { passable: false, reason: 'a wall has no gap' };
+    }
+    return { passable: true, reason: null };
+}
+
+function validateEntry(entry, label, itemCatalog, errors) {
+    if (!entry || typeof entry !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+    }
+    if (!Number.isInteger(entry.at) || entry.at < 0) {
+        errors.push(`${label}: at must be a non-negative integer (ms)`);
+    }
+    if (!Number.isFinite(entry.y) || entry.y < 0 || entry.y > 1) {
+        errors.push(`${label}: y must be between 0 and 1`);
+    }
+
+    if ((entry.obstacle === undefined) === (entry.item === undefined)) {
+        errors.push(`${label}: needs exactly one of obstacle or item`);
+    } else if (entry.obstacle !== undefined && !OBSTACLES.TYPES.includes(entry.obstacle)) {
+        errors.push(`${label}: unknown obstacle "${entry.obstacle}"`);
+    } else if (entry.item !== undefined && itemCatalog) {
+        const item = itemCatalog.get(entry.item);
+        if (!item || item.category === 'powerup') {
+            errors.push(`${label}: item "${entry.item}" is not a collectible in the item catalog`);
+        }
+    }
+}
+
+// Returns a list of problems with a pattern library, empty when it is usable.
+// Pass the item catalog to check item ids as well.
+export function validatePatternLibrary(data, itemCatalog = null) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.chunks) || data.chunks.length === 0) {
+        return ['pattern library must be an object with a non-empty chunks array'];
+    }
+
+    const errors = [];
+    if (data.version !== PATTERNS.VERSION) {
+        errors.push(`unsupported pattern version ${data.version} (expected ${PATTERNS.VERSION})`);
+    }
+
+    const ids = new Set();
+    data.chunks.forEach((chunk, index) => {
+        const label = `chunk ${chunk?.id ?? index}`;
+        if (!chunk || typeof chunk !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+
+        if (typeof chunk.id !== 'string' || !/^[A-Za-z0-9_]+$/.test(chunk.id)) {
+            errors.push(`${label}: id must be letters, numbers or _`);
+        } else if (ids.has(chunk.id)) {
+            errors.push(`${label}: duplicate id`);
+        }
+        ids.add(chunk.id);
+
+        if (typeof chunk.name !== 'string' || chunk.name.trim() === '') {
+            errors.push(`${label}: name is required`);
+        }
+        if (!Number.isInteger(chunk.difficulty) || chunk.difficulty < 0 || chunk.difficulty > 10) {
+            errors.push(`${label}: difficulty must be an integer from 0 to 10`);
+        }
+        if (chunk.weight !== undefined && !(Number.isFinite(chunk.weight) && chunk.weight > 0)) {
+            errors.push(`${label}: weight must be a positive number`);
+        }
+        if (!Array.isArray(chunk.entries) || chunk.entries.length === 0) {
+            errors.push(`${label}: entries must be a non-empty array`);
+            return;
+        }
+
+        const before = errors.length;
+        chunk.entries.forEach((entry, i) => validateEntry(entry, `${label} entry ${i}`, itemCatalog, errors));
+
+        // A wall with no gap is impassable at any speed
+        if (errors.length === before) {
+            const sorted = { entries: [...chunk.entries].sort((a, b) => a.at - b.at) };
+            getColumns(sorted).forEach(column => {
+                if (column.lanes.length === 0) {
+                    errors.push(`${label}: the wall at ${column.start}ms leaves no gap`);
+                }
+            });
+        }
+    });
+
+    if (!data.chunks.some(chunk => chunk?.difficulty === 0)) {
+        errors.push('pattern library needs at least one difficulty 0 chunk');
+    }
+
+    return errors;
+}
+
+export default class PatternLibrary {
+    constructor(data, itemCatalog = null) {
+        const errors = validatePatternLibrary(data, itemCatalog);
+        if (errors.length > 0) {
+            throw new PatternLibraryError(errors);
+        }
+
+        this.version = data.version;
+        this.chunks = data.chunks.map(chunk => {
+            const entries = [...chunk.entries].sort((a, b) => a.at - b.at).map(entry => Object.freeze({ ...entry }));
+            return Object.freeze({
+                ...chunk,
+                weight: chunk.weight ?? 1,
+                entries: Object.freeze(entries),
+                length: entries[entries.length - 1].at
+            });
+        });
+        this.chunksById = new Map(this.chunks.map(chunk => [chunk.id, chunk]));
+        this.maxDifficulty = Math.max(...this.chunks.map(chunk => chunk.difficulty));
+    }
+
+    get(id) {
+        return this.chunksById.get(id) || null;
+    }
+
+    // Chunks in rotation at a difficulty level: the current tier and the few
+    // below it, so easier rhythms keep turning up between harder ones
+    getChunksForDifficulty(level) {
+        const top = Math.min(level, this.maxDifficulty);
+        return this.chunks.filter(chunk =>
+            chunk.difficulty <= top && chunk.difficulty >= top - PATTERNS.DIFFICULTY_WINDOW
+        );
+    }
+
+    // Densest collectible rate any chunk produces, for score verification bounds
+    getMaxItemsPerSecond() {
+        return Math.max(...this.chunks.map(chunk => {
+            const items = chunk.entries.filter(entry => entry.item).length;
+            return items * 1000 / (chunk.length + PATTERNS.BREATHER);
+        }));
+    }
+}
+
+// Picks the next chunk for ObstacleManager. One rng draw per pick keeps seeded runs reproducible.
+export class ChunkSequencer {
+    constructor(library, rng) {
+        this.library = library;
+        this.rng = rng;
+        this.lastChunkId = null;
+    }
+
+    next(difficultyLevel, conditions) {
+        const passable = (chunk) => checkChunkPassable(chunk, conditions).passable;
+
+        let candidates = this.library.getChunksForDifficulty(difficultyLevel).filter(passable);
+        if (candidates.length > 1) {
+            candidates = candidates.filter(chunk => chunk.id !== this.lastChunkId);
+        }
+        if (candidates.length === 0) {
+            // Nothing in the window works at this speed - fall back to the easiest chunk that does
+            const fallback = this.library.chunks.filter(passable).sort((a, b) => a.difficulty - b.difficulty)[0];
+            candidates = fallback ? [fallback] : [];
+        }
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const totalWeight = candidates.reduce((sum, chunk) => sum + chunk.weight, 0);
+        let random = this.rng.frac() * totalWeight;
+        let picked = candidates[candidates.length - 1];
+        for (const chunk of candidates) {
+            random -= chunk.weight;
+            if (random <= 0) {
+                picked = chunk;
+                break;
+            }
+        }
+
+        this.lastChunkId = picked.id;
+        return picked;
+    }
+}
@@ -16,9 +16,9 @@ export default class ParticleManager {
     /**
      * Create or get a reusable particle emitter
      */
-    getEmitter(key, config) {
+    getEmitter(key, config, texture = 'particle') {
         if (!this.emitters.has(key)) {
-            const emitter = this.scene.add.particles(0, 0, 'particle', config);
+            const emitter = this.scene.add.particles(0, 0, texture, config);
             emitter.stop();
             this.emitters.set(key, emitter);
         }
@@ -205,23 +205,26 @@ export default class ParticleManager {
     }
 
     /**
-     * Create trail effect for power-ups
+     * Create trail effect for power-ups and shop trails.
+     * The trail colour is the point of a shop trail, so it is tinted.
      */
-    createTrail(target, color = 0xFFD700) {
+    createTrail(target, color = 0xFFD700, { texture = 'particle', scale = 0.4 } = {}) {
         const key = `trail_${target.x}_${target.y}`;
         
         const trailEmitter = this.getEmitter(key, {
             follow: target,
             speed: { min: 50, max: 100 },
-            scale: { start: 0.4, end: 0 },
+            scale: { start: scale, end: 0 },
             blendMode: 'ADD',
             quantity: 1,
             frequency: 50,
             lifespan: 300,
-            // tint: color // REMOVED - no tinting
-        });
+            tint: color
+        }, texture);
 
+        // getEmitter hands back a stopped emitter
         trailEmitter.startFollow(target);
+        trailEmitter.start();
         this.activeEffects.add(key);
 
         return {
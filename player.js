@@ -1,6 +1,6 @@
 import debugLogger from './debugLogger.js';
-import { PLAYER, SCREEN } from './constants.js';
 import ElementSizing from './elementSizing.js';
+import BirdMotion from './systems/BirdMotion.js';
 
 export default class Player {
     constructor(scene, x, y) {
@@ -30,50 +30,48 @@ export default class Player {
         const playerScale = this.elementSizing.setSpriteToStandardSize(this.sprite, 'player');
         
         debugLogger.log(`Player initialized with standardized scale: ${playerScale.toFixed(3)}`);
-        this.sprite.setCollideWorldBounds(true);
         this.sprite.setOrigin(0.5, 0.8);
         
-        // Configure physics body for gravity-based movement
+        // The bird flies in the game's fixed steps (BirdMotion), not on the
+        // physics clock, so replays follow the recorded path
         if (this.sprite.body) {
-            this.sprite.body.setGravityY(800);
-            this.sprite.body.setBounce(0.1);
-            this.sprite.body.setDrag(100);
-            this.sprite.body.setMaxVelocity(400, 600);
+            this.sprite.body.moves = false;
         }
         
-        // Store responsive movement boundaries
+        // x, y is where the bird's centre starts
+        this.motion = new BirdMotion({
+            x,
+            y,
+            width: screenWidth,
+            height: screenHeight,
+            scale: this.elementSizing.getResponsiveScale()
+        });
         this.updateBoundaries(screenWidth, screenHeight);
         
-        // Responsive movement speed based on screen size (use elementSizing scale factor)
-        const responsiveScale = this.elementSizing.getResponsiveScale();
-        this.moveSpeed = Math.max(6, 8 * responsiveScale);
-        
-        this.isGrounded = false;
-        this.jumpPower = PLAYER.MOVEMENT.JUMP_POWER;
-        this.flyPower = PLAYER.MOVEMENT.FLY_POWER;
         this.isFlying = false;
         this.shieldActive = false;
         
-        // Health system
-        this.health = 3;
-        this.maxHealth = 3;
-        this.invulnerable = false;
-        this.invulnerabilityTime = 0;
-        
-        // Simple vertical movement system
-        this.isFluidMoving = false;
-        this.targetX = x;
-        this.targetY = y;
-        this.fluidSpeed = PLAYER.MOVEMENT.FLUID_SPEED;
-        this.fluidBoundaryMargin = 30;
-        
         // Visual effects
         // this.sprite.setTint(0xFFFFFF); // REMOVED - no tinting
+        
+        this.syncSprite();
     }
 
+    get isFluidMoving() {
+        return this.motion.isFluidMoving;
+    }
+
+    // Draw the sprite where the motion has the bird's centre
+    syncSprite() {
+        const displayHeight = this.sprite.displayHeight || this.sprite.height;
+        this.sprite.x = this.motion.x;
+        this.sprite.y = this.motion.y + (this.sprite.originY - 0.5) * displayHeight;
+    }
+
+    // Called once per fixed step
     update(time, delta) {
-        // Check if grounded
-        this.isGrounded = this.sprite.body.touching.down;
+        this.motion.step(delta);
+        this.syncSprite();
         
         // Apply subtle floating animation with vertical position influence
         if (!this.isFlying) {
@@ -82,75 +80,64 @@ export default class Player {
         }
         
         // Flying state management
-        if (this.isFlying && this.sprite.body.velocity.y > -100) {
+        const velocityY = this.motion.velocityY;
+        if (this.isFlying && velocityY > -100) {
             this.isFlying = false;
         }
         
         // Add subtle rotation based on vertical velocity (only when not fluid moving)
-        if (this.sprite.body.velocity.y !== 0 && !this.scene.isDashing && !this.isFluidMoving) {
-            const velocityAngle = Math.max(-15, Math.min(15, this.sprite.body.velocity.y * 0.03));
+        if (velocityY !== 0 && !this.motion.isDashing && !this.isFluidMoving) {
+            const velocityAngle = Math.max(-15, Math.min(15, velocityY * 0.03));
             this.sprite.angle += (velocityAngle - this.sprite.angle) * 0.1;
         }
         
         // Update fluid movement
         this.updateFluidMovement();
-        
-        // Update invulnerability
-        this.updateInvulnerability(time);
-        
-        // Enforce boundaries to prevent cutoff
-        this.enforceBoundaries();
     }
-    
-    enforceBoundaries() {
-        if (!this.sprite || !this.sprite.body) return;
-        
-        // Horizontal boundaries
-        if (this.leftBoundary !== undefined && this.sprite.x < this.leftBoundary) {
-            this.sprite.x = this.leftBoundary;
-        }
-        if (this.rightBoundary !== undefined && this.sprite.x > this.rightBoundary) {
-            this.sprite.x = this.rightBoundary;
+
+    // Move the bird for an input action and show it; false for actions it
+    // doesn't know. GameScene records the input before it gets here.
+    applyInput(action, payload) {
+        const wasFluidMoving = this.isFluidMoving;
+        const wasDashing = this.motion.isDashing;
+        if (!this.motion.applyInput(action, payload)) return false;
+        
+        switch (action) {
+            case 'fly':
+                this.fly();
+                break;
+            case 'jump':
+                this.jump();
+                break;
+            case 'quickBoost':
+                this.quickBoost();
+                break;
+            case 'dash':
+                if (!wasDashing) this.scene.showDashEffect();
+                break;
         }
         
-        // Vertical boundaries
-        if (this.topBoundary !== undefined && this.sprite.y < this.topBoundary) {
-            this.sprite.y = this.topBoundary;
-            // Stop upward velocity to prevent getting stuck at top
-            if (this.sprite.body.velocity.y < 0) {
-                this.sprite.body.setVelocityY(0);
-            }
-        }
-        if (this.bottomBoundary !== undefined && this.sprite.y > this.bottomBoundary) {
-            this.sprite.y = this.bottomBoundary;
-            // Stop downward velocity to prevent getting stuck at bottom
-            if (this.sprite.body.velocity.y > 0) {
-                this.sprite.body.setVelocityY(0);
-            }
+        if (this.isFluidMoving && !wasFluidMoving) {
+            this.startFluidMovement();
+        } else if (!this.isFluidMoving && wasFluidMoving) {
+            this.stopFluidMovement();
         }
+        
+        this.syncSprite();
+        return true;
     }
 
     jump() {
         // Always allow a flap to give immediate upward velocity
-        this.sprite.setVelocityY(this.jumpPower);
         this.isFlying = true;
         this.sprite.angle = -15;
     }
 
     fly() {
-        console.log('🐦 fly() method called!');
-        console.log('🐦 sprite exists:', !!this.sprite);
-        console.log('🐦 sprite.body exists:', !!(this.sprite && this.sprite.body));
-        
-        // Much more responsive flying - apply a significantly stronger upward impulse for better tap response
-        const impulse = Math.min(-400, this.flyPower); // Increased from -250 to -400
-        this.sprite.setVelocityY(impulse);
+        // Much more responsive flying - BirdMotion gives a strong upward impulse
         this.isFlying = true;
         this.sprite.angle = -25; // Slightly more angle to show stronger movement
         
-        console.log('🐦 Velocity set to:', impulse);
-        console.log('🐦 Current velocity Y:', this.sprite.body ? this.sprite.body.velocity.y : 'no body');
-        
         // Visual feedback for flying
         // this.sprite.setTint(0xE6F3FF); // REMOVED - no tinting
         this.scene.time.delayedCall(200, () => {
@@ -159,44 +146,13 @@ export default class Player {
             }
         });
     }
-
-    moveLeft() {
-        if (this.sprite.x > this.leftBoundary) {
-            this.sprite.x -= this.moveSpeed;
-        }
-    }
-    moveRight() {
-        if (this.sprite.x < this.rightBoundary) {
-            this.sprite.x += this.moveSpeed;
-        }
-    }
     
     updateBoundaries(screenWidth, screenHeight) {
-        // Calculate responsive boundaries with better safe margins
-        const marginPercent = 0.12; // 12% margin from edges (increased for better safety)
-        const minMargin = 50; // Minimum 50px margin
-        
-        this.leftBoundary = Math.max(minMargin, screenWidth * marginPercent);
-        this.rightBoundary = Math.min(screenWidth - minMargin, screenWidth * (1 - marginPercent));
-        
-        // Vertical boundaries to prevent player from going off-screen
-        const verticalMargin = Math.max(40, screenHeight * 0.08);
-        this.topBoundary = verticalMargin;
-        this.bottomBoundary = screenHeight - verticalMargin;
+        this.motion.setScreen(screenWidth, screenHeight);
         
         // Store screen dimensions for reference
         this.screenWidth = screenWidth;
         this.screenHeight = screenHeight;
-        
-        // Update world bounds for physics with safe margins
-        if (this.sprite && this.sprite.body) {
-            this.scene.physics.world.setBounds(
-                this.leftBoundary, 
-                this.topBoundary, 
-                this.rightBoundary - this.leftBoundary, 
-                this.bottomBoundary - this.topBoundary
-            );
-        }
     }
 
     setShield(active) {
@@ -210,43 +166,7 @@ export default class Player {
         }
     }
 
-    getHit() {
-        if (this.shieldActive) {
-            return false; // No damage with shield
-        }
-        return true; // Take damage
-    }
-    
-    takeDamage() {
-        if (this.shieldActive || this.invulnerable) {
-            return false; // No damage with shield or invulnerability
-        }
-        
-        this.health = Math.max(0, this.health - 1);
-        
-        // Visual feedback
-        // this.sprite.setTint(0xFF0000); // REMOVED - no tinting
-        this.scene.time.delayedCall(200, () => {
-            // this.sprite.setTint(0xFFFFFF); // REMOVED - no tinting
-        });
-        
-        // Invulnerability period
-        this.invulnerable = true;
-        this.invulnerabilityTime = this.scene.time.now + 1000; // 1 second
-        
-        return true; // Damage taken
-    }
-    
-    heal(amount = 1) {
-        this.health = Math.min(this.maxHealth, this.health + amount);
-    }
-    
-    updateInvulnerability(time) {
-        if (this.invulnerable && time > this.invulnerabilityTime) {
-            this.invulnerable = false;
-        }
-    }
-    
+    // Fluid movement has started (BirdMotion.startFluid) - show it
     startFluidMovement() {
         try {
             // Make sure sprite exists and is active
@@ -255,21 +175,10 @@ export default class Player {
                 return;
             }
             
-            this.isFluidMoving = true;
-            
             // Force sprite to be visible
             this.sprite.setVisible(true);
             this.sprite.setAlpha(1);
             
-            // Lock bird to center of screen horizontally
-            this.sprite.x = this.scene.centerX;
-            this.targetX = this.scene.centerX;
-            
-            // Ensure the sprite has a valid position
-            if (isNaN(this.sprite.y)) {
-                this.sprite.y = this.scene.centerY;
-            }
-            
             // Glow effect DISABLED - keep original bird color
             // this.sprite.setTint(0xE6F3FF);
             
@@ -279,11 +188,6 @@ export default class Player {
                 this.scene.birdTrailParticles.start();
             }
             
-            // Make sure physics body is enabled
-            if (this.sprite.body) {
-                this.sprite.body.enable = true;
-            }
-            
             // Force a frame update to ensure rendering
             this.scene.game.renderer.pipeline.forceZero = false;
         } catch (error) {
@@ -291,36 +195,21 @@ export default class Player {
         }
     }
     
-    // Set the sprite position so that its visual center aligns with world coordinates
+    // Put the bird's visual centre at a point, held still
     setPositionTo(worldX, worldY) {
         try {
             if (!this.sprite || !this.sprite.active) return;
             
             // Lock horizontal position to center-left area like reference image
             const leftX = this.scene.screenWidth * 0.35; // About 35% from left edge (center-left positioning)
-            const displayHeight = this.sprite.displayHeight || this.sprite.height;
-            const centerOffsetY = (this.sprite.originY - 0.5) * displayHeight;
-            
-            // Only adjust vertical position
-            const adjustedY = worldY - centerOffsetY;
-            
-            this.sprite.x = leftX;
-            this.sprite.y = adjustedY;
-            
-            if (this.sprite.body && this.sprite.body.enable) {
-                this.sprite.body.x = leftX;
-                this.sprite.body.y = adjustedY;
-                this.sprite.body.setVelocity(0, 0);
-            }
-            
-            // Update targets for fluid follow next frames
-            this.targetX = leftX;
-            this.targetY = adjustedY;
+            this.motion.placeAt(leftX, worldY);
+            this.syncSprite();
         } catch (e) {
             debugLogger.warn('Error in setPositionTo:', e);
         }
     }
     
+    // Fluid movement has stopped - clear up its effects
     stopFluidMovement() {
         try {
             // Check if sprite exists before trying to modify it
@@ -329,8 +218,6 @@ export default class Player {
                 return;
             }
             
-            this.isFluidMoving = false;
-            
             // Return to normal appearance
             // this.sprite.setTint(0xFFFFFF); // REMOVED - no tinting
             
@@ -343,36 +230,8 @@ export default class Player {
         }
     }
     
-    updateFluidPosition(targetX, targetY) {
-        try {
-            // Make sure sprite exists and is active
-            if (!this.sprite || !this.sprite.active) {
-                debugLogger.warn("Cannot update fluid position - sprite not available");
-                return;
-            }
-
-            // Ensure sprite is visible
-            if (!this.sprite.visible || this.sprite.alpha < 1) {
-                this.sprite.setVisible(true);
-                this.sprite.setAlpha(1);
-            }
-
-            // Only update vertical target - horizontal stays locked to center
-            this.targetY = targetY;
-            this.targetX = this.scene.centerX; // Always lock to center
-
-            // If we're not fluid moving yet, start it immediately
-            if (!this.isFluidMoving) {
-                this.startFluidMovement();
-            }
-        } catch (error) {
-            debugLogger.error("Error in updateFluidPosition:", error);
-        }
-    }
-    
     quickBoost() {
         // Much stronger upward boost for quick taps
-        this.sprite.setVelocityY(-350); // Increased from -200 to -350
         this.isFlying = true;
         this.sprite.angle = -20; // Increased angle for stronger movement
         
@@ -383,6 +242,7 @@ export default class Player {
         });
     }
     
+    // Turn and trail the bird while BirdMotion glides it
     updateFluidMovement() {
         try {
             if (!this.isFluidMoving) return;
@@ -399,35 +259,8 @@ export default class Player {
                 this.sprite.setAlpha(1);
             }
             
-            // Keep bird locked to center horizontally
-            this.sprite.x = this.scene.centerX;
-            
-            // Only move vertically towards target
-            const currentY = this.sprite.y;
-            const distanceToTarget = Math.abs(currentY - this.targetY);
-            
-            if (distanceToTarget > 5) {
-                // Smooth vertical movement
-                const direction = this.targetY > currentY ? 1 : -1;
-                const moveDistance = this.fluidSpeed * 16.67; // Frame-rate independent
-                
-                if (Math.abs(this.targetY - currentY) <= moveDistance) {
-                    this.sprite.y = this.targetY;
-                } else {
-                    this.sprite.y += direction * moveDistance;
-                }
-            }
-            
-            // Update physics body position to prevent conflicts
-            if (this.sprite.body && this.sprite.body.enable) {
-                this.sprite.body.x = this.sprite.x;
-                this.sprite.body.y = this.sprite.y;
-                // Reset velocity to prevent physics conflicts
-                this.sprite.body.setVelocity(0, 0);
-            }
-            
             // Add subtle rotation based on vertical movement direction
-            const deltaY = this.targetY - currentY;
+            const deltaY = this.motion.targetY - this.motion.y;
             const movementAngle = deltaY > 0 ? 90 : -90; // Up or down
             
             // Smooth rotation towards movement direction
@@ -437,7 +270,7 @@ export default class Player {
             this.sprite.angle += angleDiff * 0.1;
             
             // Update trail particles position
-            if (this.scene.birdTrailParticles && this.isFluidMoving) {
+            if (this.scene.birdTrailParticles) {
                 this.scene.birdTrailParticles.setPosition(this.sprite.x, this.sprite.y);
             }
         } catch (error) {
@@ -445,5 +278,3 @@ export default class Player {
         }
     }
 }
-
-
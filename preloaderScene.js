@@ -1,7 +1,12 @@
 // Phaser is loaded globally from CDN
 import SVGAssets from './svgAssets.js';
 import debugLogger from './debugLogger.js';
-import { UI, ANIMATIONS, SCREEN } from './constants.js';
+import { UI, ANIMATIONS, SCREEN, KIOSK } from './constants.js';
+import ItemCatalog from './itemCatalog.js';
+import PatternLibrary from './obstaclePatterns.js';
+import KioskMode from './kioskMode.js';
+import ContentManager from './systems/ContentManager.js';
+import { themePackKey, themePackUrl, readThemePack } from './themePack.js';
 
 export default class PreloaderScene extends Phaser.Scene {
     constructor() {
@@ -58,6 +63,12 @@ export default class PreloaderScene extends Phaser.Scene {
         
         // Load complete
         this.load.on('complete', () => {
+            // Every spawner reads its data from the registry, so bad data stops here
+            if (!this.loadGameData()) {
+                loadingText.setText('Could not load game data');
+                return;
+            }
+
             // Immediately show the single landing screen with How to Play + Start
             // Hide loading artifacts
             loadingText.setVisible(false);
@@ -69,6 +80,16 @@ export default class PreloaderScene extends Phaser.Scene {
         this.load.image('smoothie', 'birddashsmoothie.png');
         this.load.image('coffeeBean', 'caravan.png');
         this.load.image('baristaNPC', 'barista.png');
+
+        // Collectible and power-up definitions, and authored obstacle chunks
+        this.load.json('itemCatalog', './items.json');
+        this.load.json('obstaclePatterns', './obstaclePatterns.json');
+        
+        // Only the theme pack a live event has switched on - the first run starts dressed for it
+        this.themeId = ContentManager.getCachedThemeId();
+        if (this.themeId) {
+            this.load.json(themePackKey(this.themeId), themePackUrl(this.themeId));
+        }
         
         // Create essential emoji textures synchronously
         this.createEssentialTextures();
@@ -183,6 +204,36 @@ export default class PreloaderScene extends Phaser.Scene {
         console.log('🎨 Essential textures created synchronously');
     }
     
+    loadGameData() {
+        try {
+            const catalog = new ItemCatalog(this.cache.json.get('itemCatalog'));
+            this.registry.set('itemCatalog', catalog);
+
+            // Items can bring their own emoji art instead of a preloaded texture
+            catalog.items
+                .filter(item => item.emoji && !this.textures.exists(item.texture))
+                .forEach(item => this.createSimpleEmojiTexture(item.texture, item.emoji, 256));
+
+            const patterns = new PatternLibrary(this.cache.json.get('obstaclePatterns'), catalog);
+            this.registry.set('obstaclePatterns', patterns);
+
+            // A pack that failed to load or validate just leaves the default look
+            const themePack = this.themeId ? readThemePack(this, this.themeId) : null;
+            this.registry.set('themePack', themePack);
+            if (themePack) {
+                themePack.createTextures(this);
+                console.log(`🎨 Theme pack ${themePack.name} loaded`);
+            }
+
+            console.log(`📦 Item catalog v${catalog.version} loaded (${catalog.items.length} items)`);
+            console.log(`🧩 Obstacle patterns v${patterns.version} loaded (${patterns.chunks.length} chunks)`);
+            return true;
+        } catch (error) {
+            console.error('❌ Game data failed to load:', error.errors || error.message);
+            return false;
+        }
+    }
+
     createSimpleEmojiTexture(key, emoji, size) {
         // Simple synchronous emoji texture creation
         const rt = this.add.renderTexture(0, 0, size, size);
@@ -720,6 +771,14 @@ export default class PreloaderScene extends Phaser.Scene {
         buttonInteractive.on('pointerdown', startGame);
         
         // The buttonInteractive already provides the touch area
+        
+        // On the caravan tablet an untouched intro falls into the attract loop
+        if (KioskMode.isEnabled()) {
+            KioskMode.watchIdle(this, KIOSK.IDLE_TIMEOUT, () => {
+                introGroup.destroy();
+                this.scene.start('KioskScene', { reason: 'idle' });
+            });
+        }
     }
 
 }
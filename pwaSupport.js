@@ -0,0 +1,92 @@
+/**
+ * PWA Support
+ * Registers the service worker (sw.js) that lets BirdDash be installed to the
+ * home screen and start offline, and shows an "update available" prompt when
+ * a new build has been deployed. The new version only takes over once the
+ * player taps the prompt, so nobody loses a run to a surprise reload.
+ */
+
+const PROMPT_ID = 'birddash-update-prompt';
+
+export default class PwaSupport {
+    // Cached assets get in the way while developing, so local servers only
+    // register the worker when asked to with ?sw
+    static isEnabled() {
+        if (!('serviceWorker' in navigator)) return false;
+        const { hostname, search } = window.location;
+        const isLocal = hostname === 'localhost' || hostname === '127.0.0.1';
+        return !isLocal || new URLSearchParams(search).has('sw');
+    }
+
+    static async register() {
+        if (!PwaSupport.isEnabled()) return null;
+
+        try {
+            const registration = await navigator.serviceWorker.register('./sw.js');
+            console.log('📲 Service worker registered:', registration.scope);
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                PwaSupport.showUpdatePrompt(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // No controller means this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        PwaSupport.showUpdatePrompt(worker);
+                    }
+                });
+            });
+
+            // A long session at the caravan should still hear about new builds
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    registration.update().catch(() => {});
+                }
+            });
+
+            return registration;
+        } catch (error) {
+            console.warn('📲 Service worker registration failed:', error);
+            return null;
+        }
+    }
+
+    static showUpdatePrompt(worker) {
+        if (document.getElementById(PROMPT_ID)) return;
+
+        const prompt = document.createElement('button');
+        prompt.id = PROMPT_ID;
+        prompt.type = 'button';
+        prompt.textContent = '☕ Update available - tap to reload';
+        prompt.style.cssText = `
+            position: fixed;
+            left: 50%;
+            bottom: calc(16px + env(safe-area-inset-bottom));
+            transform: translateX(-50%);
+            z-index: 10000;
+            padding: 12px 20px;
+            border: 2px solid #FFD700;
+            border-radius: 24px;
+            background: rgba(139, 69, 19, 0.95);
+            color: #FFFFFF;
+            font-family: Arial, sans-serif;
+            font-size: 16px;
+            font-weight: bold;
+            cursor: pointer;
+            touch-action: manipulation;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+        `;
+
+        prompt.addEventListener('click', () => {
+            prompt.disabled = true;
+            prompt.textContent = '☕ Updating...';
+            // Reload once the new worker is in charge, so the page loads the new build
+            navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+
+        document.body.appendChild(prompt);
+    }
+}
@@ -0,0 +1,114 @@
+// Phaser is loaded globally from CDN
+import GameScene from './gameScene.js';
+import debugLogger from './debugLogger.js';
+
+// Extra frames to let playback reach game over if it drifts from the recording
+const OVERRUN_FRAMES = 120;
+
+/**
+ * ReplayScene - plays a recorded run back through the normal GameScene pipeline.
+ * The run seed recreates the same spawns; recorded inputs are fed into
+ * applyInput() on the frame they were originally applied.
+ */
+export default class ReplayScene extends GameScene {
+    constructor() {
+        super({ key: 'ReplayScene' });
+    }
+
+    init(data = {}) {
+        this.replay = data.replay;
+        this.isReplay = true;
+        this.replayCursor = 0;
+        this.replayFinished = false;
+        // Replays recorded before live-ops balance existed played the defaults
+        super.init({ seed: this.replay.seed, balance: this.replay.balance || {} });
+
+        debugLogger.log('replays', `Playing replay: seed ${this.replay.seed}, ${this.replay.events.length} inputs, ${this.replay.frames} frames`);
+    }
+
+    create() {
+        super.create();
+
+        this.add.text(this.centerX, 24, '▶ REPLAY', {
+            fontSize: '18px',
+            fill: '#FFD700',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5, 0).setDepth(2000).setScrollFactor(0);
+    }
+
+    // Recorded input replaces live controls
+    createControls() {
+        this.inputRecorder = null;
+        return null;
+    }
+
+    fixedUpdate(time, delta) {
+        const events = this.replay.events;
+
+        while (this.replayCursor < events.length && events[this.replayCursor][0] <= this.frame) {
+            const [, action, payload] = events[this.replayCursor];
+            this.replayCursor++;
+            // The revive is taken at the moment of death, see offerRevive()
+            if (action !== 'revive') {
+                this.applyInput(action, payload);
+            }
+        }
+
+        super.fixedUpdate(time, delta);
+
+        if (this.frame > this.replay.frames + OVERRUN_FRAMES) {
+            debugLogger.warn('Replay ran past its recorded length, stopping playback');
+            this.gameOver();
+        }
+    }
+
+    // Revived runs come straight back, without the offer or the 3-2-1
+    offerRevive() {
+        if (this.replay.events.some(([, action]) => action === 'revive')) {
+            this.revive('replay');
+        } else {
+            this.gameOver();
+        }
+    }
+
+    gameOver() {
+        if (this.replayFinished) return;
+        this.replayFinished = true;
+        this.gameRunning = false;
+        this.gameEndTime = this.time.now;
+        this.physics.pause();
+
+        if (this.score !== this.replay.score) {
+            debugLogger.warn(`Replay diverged: recorded ${this.replay.score}, replayed ${this.score}`);
+        }
+
+        this.add.rectangle(this.centerX, this.centerY, this.screenWidth, this.screenHeight, 0x000000, 0.8)
+            .setDepth(2000);
+
+        this.add.text(this.centerX, this.centerY - 40, 'REPLAY FINISHED', {
+            fontSize: '32px',
+            fill: '#FFD700',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5).setDepth(2001);
+
+        this.add.text(this.centerX, this.centerY + 10, `Score: ${this.score.toLocaleString()}`, {
+            fontSize: '24px',
+            fill: '#FFFFFF',
+            fontWeight: 'bold'
+        }).setOrigin(0.5).setDepth(2001);
+
+        this.add.text(this.centerX, this.centerY + 70, 'TAP TO PLAY', {
+            fontSize: '20px',
+            fill: '#FFFFFF'
+        }).setOrigin(0.5).setDepth(2001);
+
+        // Short delay so a tap already in progress doesn't skip the summary
+        this.time.delayedCall(500, () => {
+            this.input.once('pointerdown', () => this.scene.start('GameScene'));
+        });
+    }
+}
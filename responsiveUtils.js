@@ -5,6 +5,14 @@
 
 import { SCREEN, UI, RESPONSIVE } from './constants.js';
 
+// Scale for a screen size - game objects and the HUD grow and shrink by this.
+// The headless replay works it out from a recording's screen the same way.
+export function getMinScale(screenWidth, screenHeight) {
+    const heightScale = screenHeight / SCREEN.BASE_HEIGHT;
+    const widthScale = screenWidth / SCREEN.BASE_WIDTH;
+    return Math.max(SCREEN.MIN_SCALE, Math.min(heightScale, widthScale * 1.2));
+}
+
 class ResponsiveUtils {
     constructor(scene) {
         this.scene = scene;
@@ -20,7 +28,7 @@ class ResponsiveUtils {
         // Calculate scale factors
         this.heightScale = this.screenHeight / SCREEN.BASE_HEIGHT;
         this.widthScale = this.screenWidth / SCREEN.BASE_WIDTH;
-        this.minScale = Math.max(SCREEN.MIN_SCALE, Math.min(this.heightScale, this.widthScale * 1.2));
+        this.minScale = getMinScale(this.screenWidth, this.screenHeight);
         
         // Determine screen type
         this.screenType = this.screenHeight < RESPONSIVE.BREAKPOINTS.SMALL ? 'small' : 
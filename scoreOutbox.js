@@ -0,0 +1,134 @@
+/**
+ * Score Outbox
+ * Leaderboard submissions wait here until the server has answered them, so a
+ * score played on patchy wifi survives a reload and goes up once the
+ * connection is back. Records live in IndexedDB; each carries the
+ * idempotency key the server uses to recognise a resend.
+ */
+
+import { SCORE_SYNC } from './constants.js';
+
+const DB_NAME = 'birddash';
+const DB_VERSION = 1;
+const STORE_NAME = 'score_outbox';
+
+// Browsers without IndexedDB (some private modes) keep the queue in localStorage
+const FALLBACK_KEY = 'birddash_score_outbox';
+
+export default class ScoreOutbox {
+    constructor() {
+        this.databasePromise = null;
+    }
+
+    static createKey() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    // Exponential backoff with jitter so a room full of tablets doesn't retry in lockstep
+    static retryDelay(attempts) {
+        const delay = Math.min(SCORE_SYNC.RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1), SCORE_SYNC.RETRY_MAX_DELAY);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve) => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('📮 Score outbox: IndexedDB unavailable, using localStorage', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.databasePromise;
+    }
+
+    // Run one store request in its own transaction, resolving once it commits
+    async transact(mode, operation) {
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    loadFallback() {
+        try {
+            return JSON.parse(localStorage.getItem(FALLBACK_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Queue a submission; resolves with the stored record. The caller makes
+    // the first attempt, so background syncs leave it alone until it's had one.
+    // `userId` is the player signed in when it was queued (null for anonymous).
+    async add(payload, userId = null) {
+        const now = Date.now();
+        return this.put({
+            key: ScoreOutbox.createKey(),
+            payload,
+            user_id: userId,
+            attempts: 0,
+            created_at: now,
+            next_attempt_at: now + SCORE_SYNC.RETRY_BASE_DELAY
+        });
+    }
+
+    async put(record) {
+        if (await this.openDatabase()) {
+            await this.transact('readwrite', store => store.put(record));
+        } else {
+            // Replays are too large for localStorage; the score goes up without one
+            const { replay, ...payload } = record.payload;
+            const records = this.loadFallback().filter(existing => existing.key !== record.key);
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify([...records, { ...record, payload }]));
+        }
+        return record;
+    }
+
+    // Oldest first, so scores reach the server in the order they were played
+    async list() {
+        const records = (await this.openDatabase())
+            ? await this.transact('readonly', store => store.getAll())
+            : this.loadFallback();
+        return records.sort((a, b) => a.created_at - b.created_at);
+    }
+
+    async count() {
+        return (await this.openDatabase())
+            ? this.transact('readonly', store => store.count())
+            : this.loadFallback().length;
+    }
+
+    async remove(key) {
+        if (await this.openDatabase()) {
+            await this.transact('readwrite', store => store.delete(key));
+        } else {
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify(this.loadFallback().filter(record => record.key !== key)));
+        }
+    }
+
+    async clear() {
+        if (await this.openDatabase()) {
+            await this.transact('readwrite', store => store.clear());
+        } else {
+            localStorage.removeItem(FALLBACK_KEY);
+        }
+    }
+}
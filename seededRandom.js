@@ -0,0 +1,101 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic PRNG (mulberry32) shared by every spawner so a run is fully
+ * determined by its seed plus the player's inputs.
+ * Mirrors the Phaser.Math helpers it replaces (Between, FloatBetween, RND.pick).
+ */
+
+const UINT32_RANGE = 4294967296; // 2^32
+
+export default class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Accepts numbers or strings (e.g. '2025-09-20') and folds them to an unsigned 32-bit int
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        const text = String(seed);
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        return SeededRandom.hashString(text);
+    }
+
+    // FNV-1a string hash
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+    }
+
+    // Read a ?seed= option from the page URL, or null when absent
+    static seedFromUrl() {
+        if (typeof window === 'undefined' || !window.location) {
+            return null;
+        }
+
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed ? SeededRandom.normalizeSeed(seed) : null;
+    }
+
+    // Next float in [0, 1)
+    frac() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+    }
+
+    // Integer in [min, max], same semantics as Phaser.Math.Between
+    between(min, max) {
+        return Math.floor(this.frac() * (max - min + 1) + min);
+    }
+
+    // Float in [min, max), same semantics as Phaser.Math.FloatBetween
+    floatBetween(min, max) {
+        return this.frac() * (max - min) + min;
+    }
+
+    pick(array) {
+        return array[Math.floor(this.frac() * array.length)];
+    }
+
+    // Weighted selection from objects carrying a numeric weight property
+    weightedPick(items, weightKey = 'weight') {
+        const totalWeight = items.reduce((sum, item) => sum + item[weightKey], 0);
+        let random = this.frac() * totalWeight;
+
+        for (const item of items) {
+            random -= item[weightKey];
+            if (random <= 0) {
+                return item;
+            }
+        }
+
+        return items[0];
+    }
+
+    // Independent child generator for one spawner, so extra draws in one
+    // system never shift the sequence another system sees
+    stream(name) {
+        return new SeededRandom(SeededRandom.hashString(`${this.seed}:${name}`));
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+}
@@ -2,6 +2,7 @@
 // Centralized configuration management for all environments
 
 import dotenv from 'dotenv';
+import os from 'os';
 
 // Load environment variables
 dotenv.config();
@@ -49,6 +50,11 @@ const config = {
         sessionSecret: process.env.SESSION_SECRET || 'fallback-session-secret-for-development',
         jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
         
+        // Accounts promoted to the admin role on startup
+        adminUsernames: (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean),
+        // Caravan staff who can redeem reward vouchers
+        staffUsernames: (process.env.STAFF_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean),
+        
         // Rate limiting
         rateLimit: {
             windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -73,6 +79,26 @@ const config = {
         }
     },
     
+    // SMS one-time codes for phone verification
+    sms: {
+        provider: process.env.SMS_PROVIDER || 'console', // 'console' or 'file' locally; production needs a real gateway
+        enabled: true, // Turned off in production when SMS_PROVIDER can't reach a phone
+        outboxFile: process.env.SMS_OUTBOX_FILE || 'database/sms-outbox.log',
+        // Country calling code for numbers entered without one (e.g. 44 for 07700 900123)
+        defaultCountryCode: process.env.PHONE_DEFAULT_COUNTRY_CODE || ''
+    },
+    
+    // Shared tablet kiosk - the operator menu stays locked without a PIN
+    kiosk: {
+        pin: process.env.KIOSK_PIN || ''
+    },
+    
+    // Player contact details
+    privacy: {
+        // Bump whenever the marketing opt-in wording changes; each consent records the version shown
+        marketingPolicyVersion: process.env.MARKETING_POLICY_VERSION || '1'
+    },
+    
     // Analytics & Monitoring
     analytics: {
         enabled: process.env.ANALYTICS_ENABLED !== 'false',
@@ -129,7 +155,10 @@ const config = {
         antiCheat: {
             maxScorePerSecond: parseInt(process.env.MAX_SCORE_PER_SECOND) || 100,
             maxReasonableScore: parseInt(process.env.MAX_REASONABLE_SCORE) || 1000000,
-            suspiciousScoreThreshold: parseInt(process.env.SUSPICIOUS_SCORE_THRESHOLD) || 50000
+            suspiciousScoreThreshold: parseInt(process.env.SUSPICIOUS_SCORE_THRESHOLD) || 50000,
+            minRunDurationSeconds: parseInt(process.env.MIN_RUN_DURATION_SECONDS) || 3,
+            runTokenTtlMinutes: parseInt(process.env.RUN_TOKEN_TTL_MINUTES) || 120,
+            clockToleranceSeconds: parseInt(process.env.CLOCK_TOLERANCE_SECONDS) || 5
         }
     },
     
@@ -204,7 +233,7 @@ const config = {
         
         clustering: {
             enabled: process.env.CLUSTERING_ENABLED === 'true',
-            workers: parseInt(process.env.CLUSTER_WORKERS) || require('os').cpus().length
+            workers: parseInt(process.env.CLUSTER_WORKERS) || os.cpus().length
         }
     }
 };
@@ -269,6 +298,13 @@ export function validateConfig() {
         errors.push('Production JWT secret must be set');
     }
     
+    // The built-in SMS providers only log codes - players would never get them.
+    // Rather than refuse to start, production runs without phone verification.
+    if (['console', 'file'].includes(config.sms.provider) && config.app.environment === 'production') {
+        console.warn(`⚠️ SMS_PROVIDER "${config.sms.provider}" can't reach phones - phone verification is disabled`);
+        config.sms.enabled = false;
+    }
+    
     if (errors.length > 0) {
         console.error('❌ Configuration validation failed:');
         errors.forEach(error => console.error(`  - ${error}`));
@@ -4,18 +4,29 @@
 
 import sqlite3 from 'sqlite3';
 import pkg from 'pg';
-const { Pool } = pkg;
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+const { Pool, types } = pkg;
+import Migrator, { sqliteAdapter, postgresAdapter, prepareSchema } from './migrator.js';
+import { translateSql } from './sqlDialect.js';
+import { getSqlitePath } from './sqlitePath.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// COUNT/SUM come back as BIGINT and AVG as NUMERIC, which pg hands over as
+// strings. Game numbers fit a JS number, so read them as SQLite does.
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+
+// Statements whose rows the caller wants back
+const RETURNS_ROWS = /^\s*(SELECT|WITH|PRAGMA)\b|\bRETURNING\b/i;
 
 export default class DatabaseManager {
-    constructor() {
-        this.dbType = process.env.DATABASE_TYPE || 'sqlite';
-        this.db = null;
-        this.pool = null;
+    // An open connection can be handed in - `db` (sqlite3) or `pool` (pg) -
+    // instead of calling initialize()
+    constructor({ type, db = null, pool = null } = {}) {
+        this.dbType = type || process.env.DATABASE_TYPE || 'sqlite';
+        this.db = db;
+        this.pool = pool;
+        this.migrator = null;
+        this.sqliteTransactions = Promise.resolve();
+        this.sqliteTransactionsPending = 0;
         this.connectionStats = {
             totalQueries: 0,
             successfulQueries: 0,
@@ -44,8 +55,8 @@ export default class DatabaseManager {
                 await this.initializeSQLite();
             }
             
-            await this.createTables();
-            await this.setupIndexes();
+            // Tables come from the numbered migrations - see migrator.js
+            await prepareSchema(this.getMigrator());
             await this.setupPerformanceMonitoring();
             
             console.log('✅ DatabaseManager: Database initialized successfully');
@@ -91,7 +102,7 @@ export default class DatabaseManager {
     }
 
     async initializeSQLite() {
-        const dbPath = join(__dirname, '../..', 'database', 'birddash.db');
+        const dbPath = getSqlitePath();
         
         this.db = new sqlite3.Database(dbPath, (err) => {
             if (err) {
@@ -111,165 +122,6 @@ export default class DatabaseManager {
         await this.runSQLite('PRAGMA temp_store = memory');
     }
 
-    async createTables() {
-        const tables = this.getTableDefinitions();
-        
-        for (const [tableName, definition] of Object.entries(tables)) {
-            try {
-                await this.query(definition);
-                console.log(`✅ Table '${tableName}' created/verified`);
-            } catch (error) {
-                if (!error.message.includes('already exists')) {
-                    console.error(`❌ Failed to create table '${tableName}':`, error);
-                    throw error;
-                }
-            }
-        }
-    }
-
-    getTableDefinitions() {
-        const isPostgres = this.dbType === 'postgresql';
-        const autoIncrement = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
-        const timestamp = isPostgres ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP';
-        const textType = isPostgres ? 'TEXT' : 'TEXT';
-        const jsonType = isPostgres ? 'JSONB' : 'TEXT'; // SQLite doesn't have native JSON
-
-        return {
-            users: `
-                CREATE TABLE IF NOT EXISTS users (
-                    id ${autoIncrement},
-                    username VARCHAR(50) NOT NULL UNIQUE,
-                    email VARCHAR(255) UNIQUE,
-                    password_hash VARCHAR(255),
-                    is_guest BOOLEAN DEFAULT FALSE,
-                    guest_id VARCHAR(100) UNIQUE,
-                    total_games_played INTEGER DEFAULT 0,
-                    best_score INTEGER DEFAULT 0,
-                    total_playtime INTEGER DEFAULT 0,
-                    achievements ${jsonType} DEFAULT '{}',
-                    preferences ${jsonType} DEFAULT '{}',
-                    created_at ${timestamp},
-                    updated_at ${timestamp}
-                )
-            `,
-            
-            game_sessions: `
-                CREATE TABLE IF NOT EXISTS game_sessions (
-                    id ${autoIncrement},
-                    user_id INTEGER NOT NULL,
-                    score INTEGER NOT NULL,
-                    distance_traveled REAL DEFAULT 0,
-                    collectibles_gathered INTEGER DEFAULT 0,
-                    obstacles_hit INTEGER DEFAULT 0,
-                    power_ups_used INTEGER DEFAULT 0,
-                    max_combo INTEGER DEFAULT 0,
-                    playtime INTEGER NOT NULL,
-                    game_stats ${jsonType} DEFAULT '{}',
-                    device_info ${jsonType} DEFAULT '{}',
-                    session_date ${timestamp},
-                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-                )
-            `,
-            
-            leaderboards: `
-                CREATE TABLE IF NOT EXISTS leaderboards (
-                    id ${autoIncrement},
-                    user_id INTEGER NOT NULL,
-                    username VARCHAR(50) NOT NULL,
-                    score INTEGER NOT NULL,
-                    distance_traveled REAL DEFAULT 0,
-                    achievements_count INTEGER DEFAULT 0,
-                    game_date ${timestamp},
-                    is_verified BOOLEAN DEFAULT TRUE,
-                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-                )
-            `,
-            
-            achievements: `
-                CREATE TABLE IF NOT EXISTS achievements (
-                    id ${autoIncrement},
-                    achievement_id VARCHAR(100) NOT NULL,
-                    name VARCHAR(200) NOT NULL,
-                    description ${textType},
-                    category VARCHAR(50) NOT NULL,
-                    difficulty VARCHAR(20) DEFAULT 'medium',
-                    points INTEGER DEFAULT 10,
-                    icon VARCHAR(10),
-                    conditions ${jsonType} NOT NULL,
-                    is_active BOOLEAN DEFAULT TRUE,
-                    created_at ${timestamp}
-                )
-            `,
-            
-            user_achievements: `
-                CREATE TABLE IF NOT EXISTS user_achievements (
-                    id ${autoIncrement},
-                    user_id INTEGER NOT NULL,
-                    achievement_id INTEGER NOT NULL,
-                    unlocked_at ${timestamp},
-                    progress ${jsonType} DEFAULT '{}',
-                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
-                    FOREIGN KEY (achievement_id) REFERENCES achievements (id) ON DELETE CASCADE,
-                    UNIQUE(user_id, achievement_id)
-                )
-            `,
-            
-            analytics_events: `
-                CREATE TABLE IF NOT EXISTS analytics_events (
-                    id ${autoIncrement},
-                    user_id INTEGER,
-                    session_id VARCHAR(100),
-                    event_type VARCHAR(100) NOT NULL,
-                    event_data ${jsonType} DEFAULT '{}',
-                    timestamp ${timestamp},
-                    user_agent ${textType},
-                    ip_address VARCHAR(45),
-                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
-                )
-            `,
-            
-            performance_metrics: `
-                CREATE TABLE IF NOT EXISTS performance_metrics (
-                    id ${autoIncrement},
-                    metric_type VARCHAR(100) NOT NULL,
-                    metric_value REAL NOT NULL,
-                    metadata ${jsonType} DEFAULT '{}',
-                    timestamp ${timestamp}
-                )
-            `
-        };
-    }
-
-    async setupIndexes() {
-        const indexes = [
-            'CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)',
-            'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
-            'CREATE INDEX IF NOT EXISTS idx_users_guest_id ON users(guest_id)',
-            'CREATE INDEX IF NOT EXISTS idx_game_sessions_user_id ON game_sessions(user_id)',
-            'CREATE INDEX IF NOT EXISTS idx_game_sessions_score ON game_sessions(score DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_game_sessions_date ON game_sessions(session_date DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_leaderboards_score ON leaderboards(score DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_leaderboards_date ON leaderboards(game_date DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_user_achievements_user_id ON user_achievements(user_id)',
-            'CREATE INDEX IF NOT EXISTS idx_analytics_events_type ON analytics_events(event_type)',
-            'CREATE INDEX IF NOT EXISTS idx_analytics_events_timestamp ON analytics_events(timestamp DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_performance_metrics_type ON performance_metrics(metric_type)',
-            'CREATE INDEX IF NOT EXISTS idx_performance_metrics_timestamp ON performance_metrics(timestamp DESC)'
-        ];
-
-        for (const indexQuery of indexes) {
-            try {
-                await this.query(indexQuery);
-            } catch (error) {
-                if (!error.message.includes('already exists')) {
-                    console.warn('⚠️ Index creation warning:', error.message);
-                }
-            }
-        }
-        
-        console.log('✅ Database indexes created/verified');
-    }
-
     async setupPerformanceMonitoring() {
         // Start performance monitoring interval
         setInterval(() => {
@@ -282,12 +134,17 @@ export default class DatabaseManager {
         }, 300000); // Every 5 minutes
     }
 
-    async query(sql, params = []) {
+    // Runs `?`-placeholder SQL on either backend and resolves to
+    // { rows, rowCount, insertId }. INSERTs that need insertId on PostgreSQL
+    // end in RETURNING id. Pass { cache: true } to serve a SELECT from the
+    // query cache - only for data that can be a few minutes stale.
+    async query(sql, params = [], { cache = false } = {}) {
         const startTime = Date.now();
+        const cacheable = cache && sql.trim().toUpperCase().startsWith('SELECT');
         const cacheKey = this.generateCacheKey(sql, params);
         
         // Check cache for SELECT queries
-        if (sql.trim().toUpperCase().startsWith('SELECT') && this.queryCache.has(cacheKey)) {
+        if (cacheable && this.queryCache.has(cacheKey)) {
             const cached = this.queryCache.get(cacheKey);
             if (Date.now() - cached.timestamp < this.cacheMaxAge) {
                 return cached.result;
@@ -302,11 +159,11 @@ export default class DatabaseManager {
             if (this.dbType === 'postgresql') {
                 result = await this.queryPostgreSQL(sql, params);
             } else {
-                result = await this.querySQLite(sql, params);
+                result = await this.querySQLiteOutsideTransactions(sql, params);
             }
 
             // Cache SELECT results
-            if (sql.trim().toUpperCase().startsWith('SELECT')) {
+            if (cacheable) {
                 if (this.queryCache.size >= this.performanceThresholds.maxCacheSize) {
                     this.cleanupCache();
                 }
@@ -333,26 +190,21 @@ export default class DatabaseManager {
         }
     }
 
-    async queryPostgreSQL(sql, params = []) {
-        const client = await this.pool.connect();
-        try {
-            const result = await client.query(sql, params);
-            return {
-                rows: result.rows,
-                rowCount: result.rowCount,
-                insertId: result.rows[0]?.id || null
-            };
-        } finally {
-            client.release();
-        }
+    async queryPostgreSQL(sql, params = [], client = this.pool) {
+        const result = await client.query(translateSql(sql, 'postgresql'), params);
+        return {
+            rows: result.rows,
+            rowCount: result.rowCount,
+            insertId: result.rows[0]?.id || null
+        };
     }
 
     async querySQLite(sql, params = []) {
         return new Promise((resolve, reject) => {
-            if (sql.trim().toUpperCase().startsWith('SELECT')) {
+            if (RETURNS_ROWS.test(sql)) {
                 this.db.all(sql, params, (err, rows) => {
                     if (err) reject(err);
-                    else resolve({ rows, rowCount: rows.length });
+                    else resolve({ rows, rowCount: rows.length, insertId: rows[0]?.id || null });
                 });
             } else {
                 this.db.run(sql, params, function(err) {
@@ -367,6 +219,16 @@ export default class DatabaseManager {
         });
     }
 
+    // Plain queries share the one SQLite connection with transactions. While
+    // one is queued or open they wait their turn - sent mid-transaction, a
+    // write would commit or roll back with it.
+    async querySQLiteOutsideTransactions(sql, params) {
+        while (this.sqliteTransactionsPending > 0) {
+            await this.sqliteTransactions.catch(() => {});
+        }
+        return this.querySQLite(sql, params);
+    }
+
     async runSQLite(sql) {
         return new Promise((resolve, reject) => {
             this.db.run(sql, (err) => {
@@ -376,13 +238,14 @@ export default class DatabaseManager {
         });
     }
 
-    // Transaction support
+    // Transaction support. The callback gets a query(sql, params) bound to the
+    // transaction, answering like query() (without the cache)
     async transaction(callback) {
         if (this.dbType === 'postgresql') {
             const client = await this.pool.connect();
             try {
                 await client.query('BEGIN');
-                const result = await callback((sql, params) => client.query(sql, params));
+                const result = await callback((sql, params) => this.queryPostgreSQL(sql, params, client));
                 await client.query('COMMIT');
                 return result;
             } catch (error) {
@@ -392,23 +255,28 @@ export default class DatabaseManager {
                 client.release();
             }
         } else {
-            return new Promise((resolve, reject) => {
-                this.db.serialize(() => {
-                    this.db.run('BEGIN TRANSACTION');
-                    
-                    callback((sql, params) => this.querySQLite(sql, params))
-                        .then(result => {
-                            this.db.run('COMMIT', (err) => {
-                                if (err) reject(err);
-                                else resolve(result);
-                            });
-                        })
-                        .catch(error => {
-                            this.db.run('ROLLBACK');
-                            reject(error);
-                        });
-                });
-            });
+            // One SQLite connection means one transaction at a time
+            this.sqliteTransactionsPending++;
+            const turn = this.sqliteTransactions
+                .catch(() => {})
+                .then(() => this.transactionSQLite(callback))
+                .finally(() => { this.sqliteTransactionsPending--; });
+            this.sqliteTransactions = turn;
+            return turn;
+        }
+    }
+
+    // Each statement is awaited before the next is sent, so BEGIN failing
+    // stops the transaction and nothing runs out of order
+    async transactionSQLite(callback) {
+        await this.runSQLite('BEGIN TRANSACTION');
+        try {
+            const result = await callback((sql, params) => this.querySQLite(sql, params));
+            await this.runSQLite('COMMIT');
+            return result;
+        } catch (error) {
+            await this.runSQLite('ROLLBACK').catch(() => {});
+            throw error;
         }
     }
 
@@ -488,19 +356,26 @@ export default class DatabaseManager {
         }
     }
 
-    // Migration utilities
-    async migrate(migrationFunction) {
-        console.log('🔄 Running database migration...');
-        
-        try {
-            await this.transaction(async (query) => {
-                await migrationFunction(query);
-            });
-            console.log('✅ Migration completed successfully');
-        } catch (error) {
-            console.error('❌ Migration failed:', error);
-            throw error;
+    // Migration utilities. The migrator talks to the connection directly,
+    // since query() would cache its schema_migrations reads
+    getMigrator() {
+        if (!this.migrator) {
+            const adapter = this.dbType === 'postgresql' ? postgresAdapter(this.pool) : sqliteAdapter(this.db);
+            this.migrator = new Migrator(adapter);
         }
+        return this.migrator;
+    }
+
+    async migrate() {
+        return this.getMigrator().migrate();
+    }
+
+    async migrationStatus() {
+        return this.getMigrator().status();
+    }
+
+    async rollback(steps = 1) {
+        return this.getMigrator().rollback(steps);
     }
 
     // Backup utilities (for SQLite)
@@ -3,12 +3,22 @@
 // Backward compatible with existing init.js
 
 import DatabaseManager from './DatabaseManager.js';
-import { initializeDatabase as legacyInit, db as legacyDb } from './init.js';
+import { initializeDatabase as legacyInit, db as legacyDb, getActiveDatabase, useDatabase, applyConfiguredRoles } from './init.js';
+import { PendingMigrationsError } from './migrator.js';
 
 let databaseManager = null;
 let isEnhanced = false;
 
 export async function initializeEnhancedDatabase() {
+    const database = await openDatabase();
+    
+    // Roles come from the environment, whichever database came up
+    await applyConfiguredRoles(database);
+    
+    return database;
+}
+
+async function openDatabase() {
     console.log('🗄️ Enhanced Database: Initializing production-ready database system...');
     
     try {
@@ -21,6 +31,7 @@ export async function initializeEnhancedDatabase() {
             console.log('📊 Using enhanced DatabaseManager with production features');
             databaseManager = new DatabaseManager();
             await databaseManager.initialize();
+            useDatabase(databaseManager);
             isEnhanced = true;
             
             // Migrate data if switching from SQLite
@@ -28,108 +39,29 @@ export async function initializeEnhancedDatabase() {
                 await migrateFromSQLite();
             }
             
-            // Initialize default achievements
-            await initializeAchievements();
-            
             return databaseManager;
         } else {
             console.log('📁 Using legacy SQLite database for development');
             await legacyInit();
             isEnhanced = false;
-            return createLegacyWrapper();
+            return getActiveDatabase();
         }
     } catch (error) {
+        // A database behind on migrations is a deploy mistake, not a connection problem
+        if (error instanceof PendingMigrationsError) {
+            throw error;
+        }
+
         console.error('❌ Enhanced database initialization failed:', error);
         console.log('🔄 Falling back to legacy SQLite database...');
         
         // Fallback to legacy system
         await legacyInit();
         isEnhanced = false;
-        return createLegacyWrapper();
+        return getActiveDatabase();
     }
 }
 
-// Create a wrapper to make legacy database compatible with new interface
-function createLegacyWrapper() {
-    return {
-        query: async (sql, params = []) => {
-            return new Promise((resolve, reject) => {
-                if (sql.trim().toUpperCase().startsWith('SELECT')) {
-                    legacyDb.all(sql, params, (err, rows) => {
-                        if (err) reject(err);
-                        else resolve({ rows, rowCount: rows.length });
-                    });
-                } else {
-                    legacyDb.run(sql, params, function(err) {
-                        if (err) reject(err);
-                        else resolve({ 
-                            rows: [], 
-                            rowCount: this.changes,
-                            insertId: this.lastID 
-                        });
-                    });
-                }
-            });
-        },
-        
-        transaction: async (callback) => {
-            return new Promise((resolve, reject) => {
-                legacyDb.serialize(() => {
-                    legacyDb.run('BEGIN TRANSACTION');
-                    
-                    callback((sql, params) => {
-                        return new Promise((resolveQuery, rejectQuery) => {
-                            if (sql.trim().toUpperCase().startsWith('SELECT')) {
-                                legacyDb.all(sql, params, (err, rows) => {
-                                    if (err) rejectQuery(err);
-                                    else resolveQuery({ rows, rowCount: rows.length });
-                                });
-                            } else {
-                                legacyDb.run(sql, params, function(err) {
-                                    if (err) rejectQuery(err);
-                                    else resolveQuery({ 
-                                        rows: [], 
-                                        rowCount: this.changes,
-                                        insertId: this.lastID 
-                                    });
-                                });
-                            }
-                        });
-                    })
-                    .then(result => {
-                        legacyDb.run('COMMIT', (err) => {
-                            if (err) reject(err);
-                            else resolve(result);
-                        });
-                    })
-                    .catch(error => {
-                        legacyDb.run('ROLLBACK');
-                        reject(error);
-                    });
-                });
-            });
-        },
-        
-        healthCheck: async () => {
-            try {
-                await this.query('SELECT 1');
-                return { status: 'healthy', database: 'sqlite_legacy' };
-            } catch (error) {
-                return { status: 'unhealthy', database: 'sqlite_legacy', error: error.message };
-            }
-        },
-        
-        isPostgreSQL: () => false,
-        isSQLite: () => true,
-        getStats: () => ({ dbType: 'sqlite_legacy' }),
-        close: () => {
-            return new Promise((resolve) => {
-                legacyDb.close(resolve);
-            });
-        }
-    };
-}
-
 async function migrateFromSQLite() {
     console.log('🔄 Migrating data from SQLite to PostgreSQL...');
     
@@ -158,9 +90,9 @@ async function migrateFromSQLite() {
             );
         }
         
-        // Migrate leaderboards
+        // Migrate leaderboard entries
         const leaderboards = await new Promise((resolve, reject) => {
-            legacyDb.all('SELECT * FROM leaderboards', (err, rows) => {
+            legacyDb.all('SELECT * FROM leaderboard_entries', (err, rows) => {
                 if (err) reject(err);
                 else resolve(rows);
             });
@@ -168,9 +100,9 @@ async function migrateFromSQLite() {
         
         for (const entry of leaderboards) {
             await databaseManager.query(
-                `INSERT INTO leaderboards (user_id, username, score, game_date) 
-                 VALUES (?, ?, ?, ?)`,
-                [entry.user_id, entry.username, entry.score, entry.game_date]
+                `INSERT INTO leaderboard_entries (user_id, username, score, time_played, game_date, moderation_status) 
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [entry.user_id, entry.username, entry.score, entry.time_played, entry.game_date, entry.moderation_status]
             );
         }
         
@@ -183,165 +115,9 @@ async function migrateFromSQLite() {
     }
 }
 
-async function initializeAchievements() {
-    console.log('🏆 Initializing default achievements...');
-    
-    const defaultAchievements = [
-        {
-            achievement_id: 'first_flight',
-            name: 'First Flight',
-            description: 'Complete your first game',
-            category: 'getting_started',
-            difficulty: 'easy',
-            points: 10,
-            icon: '🛫',
-            conditions: JSON.stringify({ games_played: 1 })
-        },
-        {
-            achievement_id: 'coffee_lover',
-            name: 'Coffee Lover',
-            description: 'Collect 100 coffee beans',
-            category: 'collection',
-            difficulty: 'easy',
-            points: 15,
-            icon: '☕',
-            conditions: JSON.stringify({ coffee_beans_collected: 100 })
-        },
-        {
-            achievement_id: 'speed_demon',
-            name: 'Speed Demon',
-            description: 'Reach level 10',
-            category: 'progression',
-            difficulty: 'medium',
-            points: 25,
-            icon: '🏎️',
-            conditions: JSON.stringify({ max_level: 10 })
-        },
-        {
-            achievement_id: 'combo_master',
-            name: 'Combo Master',
-            description: 'Achieve a 20x combo',
-            category: 'skill',
-            difficulty: 'medium',
-            points: 30,
-            icon: '🔥',
-            conditions: JSON.stringify({ max_combo: 20 })
-        },
-        {
-            achievement_id: 'distance_runner',
-            name: 'Distance Runner',
-            description: 'Travel 10,000 units in a single game',
-            category: 'endurance',
-            difficulty: 'medium',
-            points: 35,
-            icon: '🏃',
-            conditions: JSON.stringify({ distance_single_game: 10000 })
-        },
-        {
-            achievement_id: 'power_user',
-            name: 'Power User',
-            description: 'Use all 6 types of power-ups in one game',
-            category: 'skill',
-            difficulty: 'hard',
-            points: 40,
-            icon: '⚡',
-            conditions: JSON.stringify({ powerup_types_used: 6 })
-        },
-        {
-            achievement_id: 'perfectionist',
-            name: 'Perfectionist',
-            description: 'Complete a game without hitting any obstacles',
-            category: 'skill',
-            difficulty: 'hard',
-            points: 50,
-            icon: '💎',
-            conditions: JSON.stringify({ obstacles_hit: 0, minimum_score: 1000 })
-        },
-        {
-            achievement_id: 'high_scorer',
-            name: 'High Scorer',
-            description: 'Score 50,000 points in a single game',
-            category: 'scoring',
-            difficulty: 'hard',
-            points: 60,
-            icon: '🎯',
-            conditions: JSON.stringify({ single_game_score: 50000 })
-        },
-        {
-            achievement_id: 'marathon_runner',
-            name: 'Marathon Runner',
-            description: 'Survive for 10 minutes',
-            category: 'endurance',
-            difficulty: 'hard',
-            points: 70,
-            icon: '🏃‍♂️',
-            conditions: JSON.stringify({ survival_time: 600000 })
-        },
-        {
-            achievement_id: 'legend',
-            name: 'Legend',
-            description: 'Score 100,000 points in a single game',
-            category: 'scoring',
-            difficulty: 'legendary',
-            points: 100,
-            icon: '👑',
-            conditions: JSON.stringify({ single_game_score: 100000 })
-        }
-    ];
-    
-    try {
-        for (const achievement of defaultAchievements) {
-            await databaseManager.query(
-                `INSERT INTO achievements (achievement_id, name, description, category, 
-                 difficulty, points, icon, conditions) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                 ON CONFLICT (achievement_id) DO NOTHING`,
-                [
-                    achievement.achievement_id, achievement.name, achievement.description,
-                    achievement.category, achievement.difficulty, achievement.points,
-                    achievement.icon, achievement.conditions
-                ]
-            );
-        }
-        
-        console.log(`✅ Initialized ${defaultAchievements.length} default achievements`);
-    } catch (error) {
-        // Handle SQLite case (no ON CONFLICT support)
-        console.log('📁 Using SQLite - checking existing achievements...');
-        
-        for (const achievement of defaultAchievements) {
-            try {
-                const existing = await databaseManager.query(
-                    'SELECT id FROM achievements WHERE achievement_id = ?',
-                    [achievement.achievement_id]
-                );
-                
-                if (existing.rows.length === 0) {
-                    await databaseManager.query(
-                        `INSERT INTO achievements (achievement_id, name, description, category, 
-                         difficulty, points, icon, conditions) 
-                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                        [
-                            achievement.achievement_id, achievement.name, achievement.description,
-                            achievement.category, achievement.difficulty, achievement.points,
-                            achievement.icon, achievement.conditions
-                        ]
-                    );
-                }
-            } catch (insertError) {
-                console.warn(`⚠️ Could not insert achievement ${achievement.achievement_id}:`, insertError.message);
-            }
-        }
-    }
-}
-
 // Export database instance
 export function getDatabase() {
-    if (!databaseManager && !legacyDb) {
-        throw new Error('Database not initialized. Call initializeEnhancedDatabase() first.');
-    }
-    
-    return databaseManager || createLegacyWrapper();
+    return getActiveDatabase();
 }
 
 export function isEnhancedDatabase() {
@@ -386,5 +162,5 @@ export async function closeDatabaseConnection() {
 }
 
 // Backward compatibility exports
-export { legacyDb as db } from './init.js';
+export { db } from './init.js';
 export const initializeDatabase = initializeEnhancedDatabase;
@@ -1,40 +1,10 @@
 import sqlite3 from 'sqlite3';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Create database directory if it doesn't exist
-const dbDir = path.join(__dirname, '../../database');
-console.log('📁 Database directory path:', dbDir);
-
-try {
-    if (!fs.existsSync(dbDir)) {
-        console.log('📁 Creating database directory...');
-        fs.mkdirSync(dbDir, { recursive: true });
-        console.log('✅ Database directory created successfully');
-    } else {
-        console.log('✅ Database directory already exists');
-    }
-} catch (error) {
-    console.error('❌ Failed to create database directory:', error);
-    console.log('📁 Attempting to use current directory for database...');
-}
-
-// Determine database path with fallbacks for Railway
-let dbPath;
-if (process.env.DATABASE_URL) {
-    dbPath = process.env.DATABASE_URL;
-} else if (fs.existsSync(dbDir)) {
-    dbPath = path.join(dbDir, 'birddash.db');
-} else {
-    // Fallback for Railway - use current directory
-    dbPath = './birddash.db';
-    console.log('📁 Using fallback database path in current directory');
-}
+import config from '../config/environment.js';
+import Migrator, { sqliteAdapter, prepareSchema } from './migrator.js';
+import DatabaseManager from './DatabaseManager.js';
+import { getSqlitePath } from './sqlitePath.js';
 
+const dbPath = getSqlitePath();
 console.log('🗄️ Database path:', dbPath);
 
 // Create database connection with better error handling
@@ -64,136 +34,90 @@ try {
     });
 }
 
+// Wait for locks held by another process (a second server, `npm run migrate`)
+// instead of failing straight away with SQLITE_BUSY
+db.configure('busyTimeout', 5000);
+
 export { db };
 
-// Initialize database tables
+// The database queries go to. Until startup hands over the DatabaseManager it
+// initialized (see enhanced-init.js), that is this SQLite connection.
+let activeDatabase = new DatabaseManager({ type: 'sqlite', db });
+
+export function getActiveDatabase() {
+    return activeDatabase;
+}
+
+export function useDatabase(database) {
+    activeDatabase = database;
+}
+
+// Promise wrappers for services that chain several queries. They run on the
+// active database, so the SQL goes through the same dialect translation.
+export async function runAsync(sql, params = []) {
+    const result = await activeDatabase.query(sql, params);
+    return { lastID: result.insertId, changes: result.rowCount };
+}
+
+export async function getAsync(sql, params = []) {
+    const result = await activeDatabase.query(sql, params);
+    return result.rows[0];
+}
+
+export async function allAsync(sql, params = []) {
+    const result = await activeDatabase.query(sql, params);
+    return result.rows;
+}
+
+// Runs `callback` with run/get/all helpers like the ones above, bound to one
+// transaction on the active database; it commits when the callback resolves
+// and rolls back if it throws
+export async function transactionAsync(callback) {
+    return activeDatabase.transaction(query => callback({
+        run: async (sql, params = []) => {
+            const result = await query(sql, params);
+            return { lastID: result.insertId, changes: result.rowCount };
+        },
+        get: async (sql, params = []) => (await query(sql, params)).rows[0],
+        all: async (sql, params = []) => (await query(sql, params)).rows
+    }));
+}
+
+// Bring the schema up to date with the numbered migrations in ./migrations.
+// In production this only checks, and refuses to start while any are pending
 export async function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        console.log('🗄️ Creating database tables...');
-        
-        db.serialize(() => {
-            // Users table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS users (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    username VARCHAR(50) UNIQUE NOT NULL,
-                    email VARCHAR(100) UNIQUE,
-                    password_hash VARCHAR(255),
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    is_guest BOOLEAN DEFAULT 0,
-                    guest_id VARCHAR(100) UNIQUE,
-                    total_games_played INTEGER DEFAULT 0,
-                    total_score INTEGER DEFAULT 0,
-                    best_score INTEGER DEFAULT 0,
-                    total_time_played INTEGER DEFAULT 0,
-                    favorite_collectible VARCHAR(50),
-                    achievements TEXT DEFAULT '[]'
-                )
-            `, (err) => {
-                if (err) console.error('❌ Error creating users table:', err);
-                else console.log('✅ Users table ready');
-            });
-
-            // Leaderboard entries table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS leaderboard_entries (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id INTEGER,
-                    username VARCHAR(50) NOT NULL,
-                    score INTEGER NOT NULL,
-                    time_played INTEGER NOT NULL,
-                    collectibles_collected INTEGER DEFAULT 0,
-                    power_ups_collected INTEGER DEFAULT 0,
-                    distance_traveled INTEGER DEFAULT 0,
-                    max_combo INTEGER DEFAULT 0,
-                    game_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    is_guest BOOLEAN DEFAULT 0,
-                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
-                )
-            `, (err) => {
-                if (err) console.error('❌ Error creating leaderboard table:', err);
-                else console.log('✅ Leaderboard table ready');
-            });
-
-            // Game sessions table (for analytics)
-            db.run(`
-                CREATE TABLE IF NOT EXISTS game_sessions (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id INTEGER,
-                    session_start DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    session_end DATETIME,
-                    final_score INTEGER,
-                    time_played INTEGER,
-                    collectibles_collected INTEGER DEFAULT 0,
-                    power_ups_collected INTEGER DEFAULT 0,
-                    distance_traveled INTEGER DEFAULT 0,
-                    max_combo INTEGER DEFAULT 0,
-                    cause_of_death VARCHAR(100),
-                    is_guest BOOLEAN DEFAULT 0,
-                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
-                )
-            `, (err) => {
-                if (err) console.error('❌ Error creating sessions table:', err);
-                else console.log('✅ Sessions table ready');
-            });
-
-            // Daily challenges table (future feature)
-            db.run(`
-                CREATE TABLE IF NOT EXISTS daily_challenges (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    challenge_date DATE UNIQUE NOT NULL,
-                    challenge_type VARCHAR(50) NOT NULL,
-                    target_value INTEGER NOT NULL,
-                    reward_points INTEGER DEFAULT 100,
-                    description TEXT,
-                    is_active BOOLEAN DEFAULT 1,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) console.error('❌ Error creating challenges table:', err);
-                else console.log('✅ Challenges table ready');
-            });
-
-            // User achievements table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS user_achievements (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id INTEGER NOT NULL,
-                    achievement_id VARCHAR(50) NOT NULL,
-                    unlocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    progress INTEGER DEFAULT 100,
-                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
-                    UNIQUE(user_id, achievement_id)
-                )
-            `, (err) => {
-                if (err) console.error('❌ Error creating achievements table:', err);
-                else console.log('✅ Achievements table ready');
-            });
-
-            // Create indexes for better performance
-            db.run(`CREATE INDEX IF NOT EXISTS idx_leaderboard_score ON leaderboard_entries (score DESC)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_leaderboard_date ON leaderboard_entries (game_date DESC)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_users_username ON users (username)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON game_sessions (user_id)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_achievements_user ON user_achievements (user_id)`);
-
-            // Insert some sample achievements
-            db.run(`
-                INSERT OR IGNORE INTO daily_challenges (challenge_date, challenge_type, target_value, description)
-                VALUES 
-                ('2025-09-20', 'score', 1000, 'Score 1000 points in a single game'),
-                ('2025-09-20', 'collectibles', 50, 'Collect 50 items in a single game'),
-                ('2025-09-20', 'time', 300, 'Survive for 5 minutes')
-            `, (err) => {
-                if (err) console.error('❌ Error inserting sample challenges:', err);
-                else console.log('✅ Sample challenges ready');
-            });
-
-            console.log('✅ Database tables initialized');
-            resolve();
-        });
-    });
+    console.log('🗄️ Preparing database schema...');
+
+    const applied = await prepareSchema(new Migrator(sqliteAdapter(db)), config.app.environment);
+    if (applied.length > 0) {
+        console.log(`✅ Applied ${applied.length} migration(s)`);
+    }
+
+    console.log('✅ Database tables initialized');
+}
+
+// Give the accounts named in STAFF_USERNAMES and ADMIN_USERNAMES their roles.
+// enhanced-init.js runs this on whichever database startup brought up, so
+// the PostgreSQL path gets it as well as this SQLite one.
+export async function applyConfiguredRoles(database = activeDatabase, {
+    staffUsernames = config.security.staffUsernames,
+    adminUsernames = config.security.adminUsernames
+} = {}) {
+    if (staffUsernames.length > 0) {
+        const placeholders = staffUsernames.map(() => '?').join(', ');
+        await database.query(
+            `UPDATE users SET role = 'staff' WHERE role = 'player' AND username IN (${placeholders})`,
+            staffUsernames
+        );
+    }
+
+    if (adminUsernames.length > 0) {
+        const placeholders = adminUsernames.map(() => '?').join(', ');
+        await database.query(
+            `UPDATE users SET role = 'admin' WHERE username IN (${placeholders})`,
+            adminUsernames
+        );
+    }
 }
 
 // Graceful database shutdown
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+// Schema migration CLI
+//   npm run migrate                 apply pending migrations
+//   npm run migrate:status          list migrations and when they were applied
+//   npm run migrate:rollback        undo the latest migration
+//   npm run migrate:rollback -- 3   undo the latest three
+// DATABASE_TYPE=postgresql migrates the PostgreSQL database from the DB_*
+// settings; otherwise the SQLite file the server uses.
+
+import DatabaseManager from './DatabaseManager.js';
+import Migrator, { sqliteAdapter } from './migrator.js';
+
+async function openDatabase() {
+    if (process.env.DATABASE_TYPE === 'postgresql') {
+        const manager = new DatabaseManager();
+        await manager.initializePostgreSQL();
+        return { migrator: manager.getMigrator(), close: () => manager.close() };
+    }
+
+    const { db } = await import('./init.js');
+    return {
+        migrator: new Migrator(sqliteAdapter(db)),
+        close: () => new Promise((resolve) => db.close(resolve))
+    };
+}
+
+function printStatus(migrations) {
+    for (const migration of migrations) {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${migration.appliedAt ? '✅' : '⏳'} ${migration.id} - ${state}`);
+    }
+
+    const pending = migrations.filter(migration => !migration.appliedAt).length;
+    console.log(pending > 0 ? `📋 ${pending} pending migration(s)` : '📋 Schema is up to date');
+}
+
+async function main([command = 'up', ...args]) {
+    const { migrator, close } = await openDatabase();
+
+    try {
+        if (command === 'up') {
+            const applied = await migrator.migrate();
+            console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to migrate');
+        } else if (command === 'status') {
+            printStatus(await migrator.status());
+        } else if (command === 'rollback') {
+            const steps = args.length > 0 ? parseInt(args[0], 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Rollback needs a positive number of steps, got ${args[0]}`);
+            }
+            const rolledBack = await migrator.rollback(steps);
+            console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back');
+        } else {
+            throw new Error(`Unknown command "${command}" - use up, status or rollback`);
+        }
+    } finally {
+        await close();
+    }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
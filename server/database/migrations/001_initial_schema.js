@@ -0,0 +1,396 @@
+// Initial schema - every table the server used before migrations existed.
+// Tables are created IF NOT EXISTS and the columns added since the first
+// release are added when missing, so databases created by the old startup
+// code are adopted as they are.
+
+const TABLES = [
+    'users',
+    'phone_verifications',
+    'leaderboard_entries',
+    'game_runs',
+    'replays',
+    'game_sessions',
+    'daily_challenges',
+    'daily_entries',
+    'friendships',
+    'social_challenges',
+    'social_notifications',
+    'content_events',
+    'dynamic_config',
+    'analytics_events',
+    'user_achievements',
+    'reward_vouchers',
+    'bean_ledger',
+    'user_cosmetics',
+    'performance_metrics'
+];
+
+export async function up(db) {
+    const { id, timestamp, boolean } = db.types;
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id ${id},
+            username VARCHAR(50) UNIQUE NOT NULL,
+            email VARCHAR(100) UNIQUE,
+            password_hash VARCHAR(255),
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            is_guest ${boolean(false)},
+            guest_id VARCHAR(100) UNIQUE,
+            total_games_played INTEGER DEFAULT 0,
+            total_score INTEGER DEFAULT 0,
+            best_score INTEGER DEFAULT 0,
+            total_time_played INTEGER DEFAULT 0,
+            favorite_collectible VARCHAR(50),
+            achievements TEXT DEFAULT '[]',
+            role VARCHAR(20) DEFAULT 'player',
+            phone VARCHAR(20),
+            phone_verified_at ${timestamp},
+            marketing_consent ${boolean(false)},
+            marketing_consent_at ${timestamp},
+            marketing_consent_version VARCHAR(20)
+        )
+    `);
+
+    // Roles gate staff tools: 'player' (default), 'staff' (redeems vouchers) or 'admin'
+    await db.addColumn('users', 'role', "VARCHAR(20) DEFAULT 'player'");
+    // Mobile number (E.164) confirmed by a one-time SMS code
+    await db.addColumn('users', 'phone', 'VARCHAR(20)');
+    await db.addColumn('users', 'phone_verified_at', timestamp);
+    // Marketing opt-in: when the player last answered and which policy they saw
+    await db.addColumn('users', 'marketing_consent', boolean(false));
+    await db.addColumn('users', 'marketing_consent_at', timestamp);
+    await db.addColumn('users', 'marketing_consent_version', 'VARCHAR(20)');
+
+    // One-time codes sent by /api/auth/phone/start - only a hash of the code is kept
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS phone_verifications (
+            id ${id},
+            phone VARCHAR(20) NOT NULL,
+            code_hash VARCHAR(64) NOT NULL,
+            attempts INTEGER DEFAULT 0,
+            created_at ${timestamp} NOT NULL,
+            expires_at ${timestamp} NOT NULL,
+            verified_at ${timestamp}
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS leaderboard_entries (
+            id ${id},
+            user_id INTEGER,
+            username VARCHAR(50) NOT NULL,
+            score INTEGER NOT NULL,
+            time_played INTEGER NOT NULL,
+            collectibles_collected INTEGER DEFAULT 0,
+            power_ups_collected INTEGER DEFAULT 0,
+            distance_traveled INTEGER DEFAULT 0,
+            max_combo INTEGER DEFAULT 0,
+            game_date ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            is_guest ${boolean(false)},
+            moderation_status VARCHAR(20) DEFAULT 'approved',
+            moderation_reason TEXT,
+            run_id VARCHAR(64),
+            idempotency_key VARCHAR(100),
+            revived ${boolean(false)},
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+
+    // Score moderation - entries failing server-side verification are held for review
+    await db.addColumn('leaderboard_entries', 'moderation_status', "VARCHAR(20) DEFAULT 'approved'");
+    await db.addColumn('leaderboard_entries', 'moderation_reason', 'TEXT');
+    await db.addColumn('leaderboard_entries', 'run_id', 'VARCHAR(64)');
+    // Client-generated key that makes retried submissions return the original entry
+    await db.addColumn('leaderboard_entries', 'idempotency_key', 'VARCHAR(100)');
+    // Runs that used the continue-once revive, so boards can tell them apart
+    await db.addColumn('leaderboard_entries', 'revived', boolean(false));
+
+    // Signed run tokens, each redeemable for one submission. started_at is in ms
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS game_runs (
+            id ${id},
+            run_id VARCHAR(64) UNIQUE NOT NULL,
+            user_id INTEGER,
+            started_at BIGINT NOT NULL,
+            consumed_at ${timestamp},
+            entry_id INTEGER,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL,
+            FOREIGN KEY (entry_id) REFERENCES leaderboard_entries (id) ON DELETE SET NULL
+        )
+    `);
+
+    // Recorded inputs uploaded with a leaderboard submission
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS replays (
+            id ${id},
+            entry_id INTEGER UNIQUE NOT NULL,
+            seed INTEGER NOT NULL,
+            frame_count INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (entry_id) REFERENCES leaderboard_entries (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS game_sessions (
+            id ${id},
+            user_id INTEGER,
+            session_start ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            session_end ${timestamp},
+            final_score INTEGER,
+            time_played INTEGER,
+            collectibles_collected INTEGER DEFAULT 0,
+            power_ups_collected INTEGER DEFAULT 0,
+            distance_traveled INTEGER DEFAULT 0,
+            max_combo INTEGER DEFAULT 0,
+            cause_of_death VARCHAR(100),
+            is_guest ${boolean(false)},
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS daily_challenges (
+            id ${id},
+            challenge_date DATE UNIQUE NOT NULL,
+            challenge_type VARCHAR(50) NOT NULL,
+            target_value INTEGER NOT NULL,
+            reward_points INTEGER DEFAULT 100,
+            description TEXT,
+            is_active ${boolean(true)},
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Daily Dash entries (one ranked attempt per player per UTC day)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS daily_entries (
+            id ${id},
+            challenge_date DATE NOT NULL,
+            user_id INTEGER,
+            username VARCHAR(50) NOT NULL,
+            score INTEGER NOT NULL,
+            time_played INTEGER NOT NULL,
+            collectibles_collected INTEGER DEFAULT 0,
+            power_ups_collected INTEGER DEFAULT 0,
+            distance_traveled INTEGER DEFAULT 0,
+            max_combo INTEGER DEFAULT 0,
+            run_id VARCHAR(64),
+            moderation_status VARCHAR(20) DEFAULT 'approved',
+            moderation_reason TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL,
+            UNIQUE(challenge_date, username)
+        )
+    `);
+
+    // Friendships (one row per direction once accepted)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS friendships (
+            id ${id},
+            user_id INTEGER NOT NULL,
+            friend_id INTEGER NOT NULL,
+            status VARCHAR(20) DEFAULT 'pending',
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            accepted_at ${timestamp},
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (friend_id) REFERENCES users (id) ON DELETE CASCADE,
+            UNIQUE(user_id, friend_id)
+        )
+    `);
+
+    // Head-to-head challenges between friends
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS social_challenges (
+            id ${id},
+            challenge_id VARCHAR(100) NOT NULL UNIQUE,
+            challenger_id INTEGER NOT NULL,
+            challenged_id INTEGER NOT NULL,
+            challenge_type VARCHAR(50) NOT NULL,
+            target_score INTEGER,
+            status VARCHAR(20) DEFAULT 'active',
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            expires_at ${timestamp},
+            completed_at ${timestamp},
+            winner_id INTEGER,
+            FOREIGN KEY (challenger_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (challenged_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (winner_id) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+
+    // Social notifications (friend requests, challenge updates)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS social_notifications (
+            id ${id},
+            user_id INTEGER NOT NULL,
+            type VARCHAR(50) NOT NULL,
+            title VARCHAR(200) NOT NULL,
+            message TEXT,
+            data TEXT DEFAULT '{}',
+            read_status ${boolean(false)},
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            expires_at ${timestamp},
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    // Live-ops events (seasonal events, weekly specials), scheduled server-side
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS content_events (
+            id ${id},
+            event_id VARCHAR(100) NOT NULL UNIQUE,
+            name VARCHAR(200) NOT NULL,
+            description TEXT,
+            type VARCHAR(50) NOT NULL,
+            enabled ${boolean(true)},
+            priority INTEGER DEFAULT 1,
+            start_date ${timestamp},
+            end_date ${timestamp},
+            days_of_week TEXT,
+            configuration TEXT DEFAULT '{}',
+            rewards TEXT DEFAULT '{}',
+            created_by INTEGER,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+
+    // Live config (game_balance etc.) the client reads through /api/content/active
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS dynamic_config (
+            id ${id},
+            config_key VARCHAR(100) NOT NULL UNIQUE,
+            config_value TEXT NOT NULL,
+            description TEXT,
+            category VARCHAR(50) DEFAULT 'general',
+            updated_by INTEGER,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (updated_by) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+
+    // Client analytics events, ingested in batches through /api/analytics/batch
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS analytics_events (
+            id ${id},
+            user_id INTEGER,
+            session_id VARCHAR(100) NOT NULL,
+            event_type VARCHAR(100) NOT NULL,
+            event_data TEXT DEFAULT '{}',
+            timestamp ${timestamp} NOT NULL,
+            received_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            user_agent TEXT,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+
+    // Achievement progress - achievements themselves live in achievements.json.
+    // unlocked_at stays NULL while the achievement is locked
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS user_achievements (
+            id ${id},
+            user_id INTEGER NOT NULL,
+            achievement_id VARCHAR(50) NOT NULL,
+            unlocked_at ${timestamp},
+            progress INTEGER DEFAULT 0,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            UNIQUE(user_id, achievement_id)
+        )
+    `);
+
+    // Reward vouchers - one per player, rule and period (a UTC day or week).
+    // redeemed_at/redeemed_by record the single redemption at the counter
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS reward_vouchers (
+            id ${id},
+            code VARCHAR(20) NOT NULL UNIQUE,
+            user_id INTEGER NOT NULL,
+            rule_id VARCHAR(50) NOT NULL,
+            period VARCHAR(20) NOT NULL,
+            reward VARCHAR(200) NOT NULL,
+            issued_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            expires_at ${timestamp} NOT NULL,
+            redeemed_at ${timestamp},
+            redeemed_by INTEGER,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (redeemed_by) REFERENCES users (id) ON DELETE SET NULL,
+            UNIQUE(user_id, rule_id, period)
+        )
+    `);
+
+    // Bean wallet ledger - the balance is the sum of a player's rows. Runs pay in
+    // (reference = run id) and purchases pay out (reference = item id); the
+    // UNIQUE constraint stops a run paying twice or an item being bought twice
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS bean_ledger (
+            id ${id},
+            user_id INTEGER NOT NULL,
+            amount INTEGER NOT NULL,
+            reason VARCHAR(20) NOT NULL,
+            reference VARCHAR(64) NOT NULL,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            UNIQUE(user_id, reason, reference)
+        )
+    `);
+
+    // Cosmetic equipped in each shop slot (skin, trail, hud)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS user_cosmetics (
+            user_id INTEGER NOT NULL,
+            slot VARCHAR(20) NOT NULL,
+            item_id VARCHAR(50) NOT NULL,
+            equipped_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, slot),
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    // Query timings written by DatabaseManager and the performance monitor
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS performance_metrics (
+            id ${id},
+            metric_type VARCHAR(100) NOT NULL,
+            metric_value REAL NOT NULL,
+            metadata TEXT DEFAULT '{}',
+            timestamp ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const indexes = [
+        'CREATE INDEX IF NOT EXISTS idx_leaderboard_score ON leaderboard_entries (score DESC)',
+        'CREATE INDEX IF NOT EXISTS idx_leaderboard_date ON leaderboard_entries (game_date DESC)',
+        'CREATE INDEX IF NOT EXISTS idx_leaderboard_moderation ON leaderboard_entries (moderation_status)',
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_leaderboard_idempotency ON leaderboard_entries (idempotency_key)',
+        'CREATE INDEX IF NOT EXISTS idx_daily_date_score ON daily_entries (challenge_date, score DESC)',
+        'CREATE INDEX IF NOT EXISTS idx_friendships_friend ON friendships (friend_id, status)',
+        'CREATE INDEX IF NOT EXISTS idx_social_challenges_challenged ON social_challenges (challenged_id, status)',
+        'CREATE INDEX IF NOT EXISTS idx_social_notifications_user ON social_notifications (user_id, read_status)',
+        'CREATE INDEX IF NOT EXISTS idx_analytics_events_type ON analytics_events (event_type, timestamp)',
+        'CREATE INDEX IF NOT EXISTS idx_analytics_events_timestamp ON analytics_events (timestamp)',
+        'CREATE INDEX IF NOT EXISTS idx_analytics_events_user ON analytics_events (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_users_username ON users (username)',
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_phone ON users (phone)',
+        'CREATE INDEX IF NOT EXISTS idx_phone_verifications_phone ON phone_verifications (phone, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_sessions_user ON game_sessions (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_achievements_user ON user_achievements (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_reward_vouchers_user ON reward_vouchers (user_id, issued_at DESC)',
+        'CREATE INDEX IF NOT EXISTS idx_performance_metrics_type ON performance_metrics (metric_type, timestamp)'
+    ];
+
+    for (const index of indexes) {
+        await db.query(index);
+    }
+}
+
+export async function down(db) {
+    for (const table of [...TABLES].reverse()) {
+        await db.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
@@ -0,0 +1,38 @@
+// Default live-ops content - admins manage it afterwards through /api/admin/content.
+// Rows that already exist (from the old startup code or an admin) are left alone.
+
+import { LIVE_OPS, REWARDS } from '../../../constants.js';
+
+export async function up(db) {
+    await db.query(`
+        INSERT INTO dynamic_config (config_key, config_value, description, category)
+        VALUES ('game_balance', ?, 'Core game balance parameters', 'gameplay')
+        ON CONFLICT DO NOTHING
+    `, [JSON.stringify(LIVE_OPS.DEFAULT_BALANCE)]);
+
+    await db.query(`
+        INSERT INTO dynamic_config (config_key, config_value, description, category)
+        VALUES ('reward_rules', ?, 'Rules that issue coffee shop vouchers', 'rewards')
+        ON CONFLICT DO NOTHING
+    `, [JSON.stringify(REWARDS.DEFAULT_RULES)]);
+
+    await db.query(`
+        INSERT INTO content_events (event_id, name, description, type, days_of_week, configuration)
+        VALUES
+        ('monday_motivation', 'Monday Motivation', 'Start your week with extra energy!', 'weekly_special', '[1]',
+            '{"bonusMultiplier":1.2,"specialMessage":"Monday Motivation Active!"}'),
+        ('weekend_warrior', 'Weekend Warrior', 'Weekend double points!', 'weekend_bonus', '[6,0]',
+            '{"bonusMultiplier":2.0,"specialEffects":["celebration_particles"]}')
+        ON CONFLICT DO NOTHING
+    `);
+}
+
+// Config an admin has changed since is theirs, so only rows still holding the
+// seeded values go
+export async function down(db) {
+    await db.query("DELETE FROM content_events WHERE event_id IN ('monday_motivation', 'weekend_warrior')");
+    await db.query(
+        "DELETE FROM dynamic_config WHERE (config_key = 'game_balance' AND config_value = ?) OR (config_key = 'reward_rules' AND config_value = ?)",
+        [JSON.stringify(LIVE_OPS.DEFAULT_BALANCE), JSON.stringify(REWARDS.DEFAULT_RULES)]
+    );
+}
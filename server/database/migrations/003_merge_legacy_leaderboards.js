@@ -0,0 +1,51 @@
+// DatabaseManager used to create its own `leaderboards` table next to
+// leaderboard_entries. Scores found there move into leaderboard_entries -
+// unverified ones held for review - and the duplicate table is dropped.
+// Play time was never recorded there, so moved rows have time_played 0.
+// The moderation reason marks the moved rows so down() can put them back.
+
+const MOVED_REASON = 'Moved from the legacy leaderboards table';
+const UNVERIFIED_REASON = 'Unverified score from the legacy leaderboards table';
+
+export async function up(db) {
+    if (!(await db.hasTable('leaderboards'))) return;
+
+    await db.query(`
+        INSERT INTO leaderboard_entries (user_id, username, score, time_played, distance_traveled, game_date, moderation_status, moderation_reason)
+        SELECT user_id, username, score, 0, CAST(COALESCE(distance_traveled, 0) AS INTEGER), game_date,
+            CASE WHEN is_verified THEN 'approved' ELSE 'flagged' END,
+            CASE WHEN is_verified THEN ? ELSE ? END
+        FROM leaderboards
+    `, [MOVED_REASON, UNVERIFIED_REASON]);
+    await db.query('DROP TABLE leaderboards');
+}
+
+// Recreate the table and move the scores back. A database that had no scores
+// there to move gets no table back.
+export async function down(db) {
+    const moved = 'moderation_reason IN (?, ?)';
+    const [{ count }] = await db.query(`SELECT COUNT(*) AS count FROM leaderboard_entries WHERE ${moved}`, [MOVED_REASON, UNVERIFIED_REASON]);
+    if (Number(count) === 0) return;
+
+    const { id, timestamp, boolean } = db.types;
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS leaderboards (
+            id ${id},
+            user_id INTEGER NOT NULL,
+            username VARCHAR(50) NOT NULL,
+            score INTEGER NOT NULL,
+            distance_traveled REAL DEFAULT 0,
+            achievements_count INTEGER DEFAULT 0,
+            game_date ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            is_verified ${boolean(true)}
+        )
+    `);
+    await db.query(`
+        INSERT INTO leaderboards (user_id, username, score, distance_traveled, game_date, is_verified)
+        SELECT user_id, username, score, distance_traveled, game_date, moderation_status = 'approved'
+        FROM leaderboard_entries
+        WHERE ${moved}
+        ORDER BY id
+    `, [MOVED_REASON, UNVERIFIED_REASON]);
+    await db.query(`DELETE FROM leaderboard_entries WHERE ${moved}`, [MOVED_REASON, UNVERIFIED_REASON]);
+}
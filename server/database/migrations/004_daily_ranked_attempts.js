@@ -0,0 +1,15 @@
+// The server decides which Daily Dash run is a player's ranked attempt when
+// the run starts: game_runs.daily_date is set on that run only, and the
+// unique index lets each signed-in player start one per day (anonymous
+// players only get practice runs, see routes/daily.js). Stored as YYYY-MM-DD
+// text so both databases hand back the string the routes compare against.
+
+export async function up(db) {
+    await db.addColumn('game_runs', 'daily_date', 'VARCHAR(10)');
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_game_runs_daily_attempt ON game_runs (daily_date, user_id)');
+}
+
+export async function down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_game_runs_daily_attempt');
+    await db.query('ALTER TABLE game_runs DROP COLUMN daily_date');
+}
@@ -0,0 +1,298 @@
+// Schema migrations
+// Numbered files in ./migrations (001_initial_schema.js, ...) each export
+// up(db) and down(db). Applied versions are recorded in schema_migrations, and
+// every migration runs in its own transaction together with that record, so a
+// failed migration leaves nothing behind. The same files run on SQLite and
+// PostgreSQL: migrations write `?` placeholders and take column types from
+// db.types, and the adapters below deal with the differences (see sqlDialect.js).
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { translateSql } from './sqlDialect.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key for the PostgreSQL advisory lock taken while migrating
+const PG_MIGRATION_LOCK = 20250921;
+
+export class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+export class PendingMigrationsError extends MigrationError {
+    constructor(pending) {
+        super(`${pending.length} pending migration(s): ${pending.map(migration => migration.id).join(', ')}. Run \`npm run migrate\` first.`);
+        this.name = 'PendingMigrationsError';
+        this.pending = pending;
+    }
+}
+
+const DIALECT_TYPES = {
+    sqlite: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        timestamp: 'DATETIME',
+        boolean: (value) => `BOOLEAN DEFAULT ${value ? 1 : 0}`
+    },
+    postgresql: {
+        id: 'SERIAL PRIMARY KEY',
+        timestamp: 'TIMESTAMP',
+        boolean: (value) => `BOOLEAN DEFAULT ${value ? 'TRUE' : 'FALSE'}`
+    }
+};
+
+// Schema lookups, run through the caller's query so they see the open transaction
+const INTROSPECTION = {
+    sqlite: {
+        async hasTable(query, table) {
+            const rows = await query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+            return rows.length > 0;
+        },
+        async hasColumn(query, table, column) {
+            const rows = await query(`PRAGMA table_info(${table})`);
+            return rows.some(row => row.name === column);
+        }
+    },
+    postgresql: {
+        async hasTable(query, table) {
+            const rows = await query(
+                'SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?',
+                [table]
+            );
+            return rows.length > 0;
+        },
+        async hasColumn(query, table, column) {
+            const rows = await query(
+                'SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?',
+                [table, column]
+            );
+            return rows.length > 0;
+        }
+    }
+};
+
+// Adapter over a sqlite3 Database. BEGIN IMMEDIATE takes the write lock up
+// front, so a second process migrating the same file waits instead of racing.
+export function sqliteAdapter(db) {
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+
+    return {
+        dialect: 'sqlite',
+        query,
+        async transaction(callback) {
+            await query('BEGIN IMMEDIATE');
+            try {
+                const result = await callback(query);
+                await query('COMMIT');
+                return result;
+            } catch (error) {
+                await query('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        }
+    };
+}
+
+// Adapter over a pg Pool. The advisory lock serialises concurrent migrators.
+export function postgresAdapter(pool) {
+    const runOn = (client) => async (sql, params = []) => {
+        const result = await client.query(translateSql(sql, 'postgresql'), params);
+        return result.rows;
+    };
+    const query = runOn(pool);
+
+    return {
+        dialect: 'postgresql',
+        query,
+        async transaction(callback) {
+            const client = await pool.connect();
+            const clientQuery = runOn(client);
+            try {
+                await clientQuery('BEGIN');
+                await clientQuery(`SELECT pg_advisory_xact_lock(${PG_MIGRATION_LOCK})`);
+                const result = await callback(clientQuery);
+                await clientQuery('COMMIT');
+                return result;
+            } catch (error) {
+                await clientQuery('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+    };
+}
+
+export default class Migrator {
+    constructor(adapter, { directory = MIGRATIONS_DIR } = {}) {
+        if (!DIALECT_TYPES[adapter.dialect]) {
+            throw new MigrationError(`Unsupported database dialect: ${adapter.dialect}`);
+        }
+        this.adapter = adapter;
+        this.directory = directory;
+        this.migrations = null;
+    }
+
+    // Migration files sorted by version
+    async loadMigrations() {
+        if (this.migrations) return this.migrations;
+
+        const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.js')).sort();
+        const migrations = [];
+
+        for (const file of files) {
+            const match = file.match(MIGRATION_FILE);
+            if (!match) {
+                throw new MigrationError(`Migration file names look like 001_create_things.js, got ${file}`);
+            }
+
+            const module = await import(pathToFileURL(path.join(this.directory, file)).href);
+            if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+                throw new MigrationError(`Migration ${file} must export up() and down()`);
+            }
+
+            const version = match[1];
+            if (migrations.some(migration => migration.version === version)) {
+                throw new MigrationError(`Two migrations share version ${version}`);
+            }
+            migrations.push({ version, name: match[2], id: file.replace(/\.js$/, ''), up: module.up, down: module.down });
+        }
+
+        this.migrations = migrations;
+        return migrations;
+    }
+
+    async ensureMigrationsTable() {
+        const { dialect, query } = this.adapter;
+        if (await INTROSPECTION[dialect].hasTable(query, 'schema_migrations')) return;
+
+        await this.adapter.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version VARCHAR(20) PRIMARY KEY,
+                name VARCHAR(200) NOT NULL,
+                applied_at ${DIALECT_TYPES[this.adapter.dialect].timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async appliedVersions(query = this.adapter.query) {
+        const rows = await query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [row.version, row.applied_at]));
+    }
+
+    // Every migration with when it was applied (null while pending)
+    async status() {
+        await this.ensureMigrationsTable();
+        const [migrations, applied] = await Promise.all([this.loadMigrations(), this.appliedVersions()]);
+
+        return migrations.map(migration => ({
+            id: migration.id,
+            version: migration.version,
+            name: migration.name,
+            appliedAt: applied.get(migration.version) || null
+        }));
+    }
+
+    async pending() {
+        return (await this.status()).filter(migration => !migration.appliedAt);
+    }
+
+    // The helpers a migration's up()/down() get, bound to its transaction
+    createContext(query) {
+        const { dialect } = this.adapter;
+        const { hasTable, hasColumn } = INTROSPECTION[dialect];
+        return {
+            dialect,
+            types: DIALECT_TYPES[dialect],
+            query,
+            hasTable: (table) => hasTable(query, table),
+            hasColumn: (table, column) => hasColumn(query, table, column),
+            // Databases created before migrations may already have the column
+            async addColumn(table, column, definition) {
+                if (!(await hasColumn(query, table, column))) {
+                    await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                }
+            }
+        };
+    }
+
+    // Apply every pending migration in order. Returns the ids applied.
+    async migrate() {
+        await this.ensureMigrationsTable();
+        const migrations = await this.loadMigrations();
+        const applied = [];
+
+        for (const migration of migrations) {
+            const ran = await this.adapter.transaction(async (query) => {
+                // Checked under the lock - another process may have just applied it
+                const done = await this.appliedVersions(query);
+                if (done.has(migration.version)) return false;
+
+                await migration.up(this.createContext(query));
+                await query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+                return true;
+            });
+
+            if (ran) {
+                console.log(`🔼 Applied migration ${migration.id}`);
+                applied.push(migration.id);
+            }
+        }
+
+        return applied;
+    }
+
+    // Undo the most recently applied migrations. Returns the ids rolled back.
+    async rollback(steps = 1) {
+        await this.ensureMigrationsTable();
+        const migrations = await this.loadMigrations();
+        const rolledBack = [];
+
+        for (let step = 0; step < steps; step++) {
+            const undone = await this.adapter.transaction(async (query) => {
+                const done = await this.appliedVersions(query);
+                const latest = [...done.keys()].pop();
+                if (!latest) return null;
+
+                const migration = migrations.find(candidate => candidate.version === latest);
+                if (!migration) {
+                    throw new MigrationError(`Migration ${latest} is applied but its file is missing`);
+                }
+
+                await migration.down(this.createContext(query));
+                await query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                return migration.id;
+            });
+
+            if (!undone) break;
+            console.log(`🔽 Rolled back migration ${undone}`);
+            rolledBack.push(undone);
+        }
+
+        return rolledBack;
+    }
+}
+
+// Startup hook. Development and tests migrate on the spot; production only
+// checks, so a deploy never changes the schema unless `npm run migrate` ran.
+export async function prepareSchema(migrator, environment = process.env.NODE_ENV) {
+    if (environment === 'production') {
+        const pending = await migrator.pending();
+        if (pending.length > 0) {
+            throw new PendingMigrationsError(pending);
+        }
+        return [];
+    }
+
+    return migrator.migrate();
+}
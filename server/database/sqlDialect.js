@@ -0,0 +1,64 @@
+// SQL dialect translation
+// Queries across the server are written the SQLite way - `?` placeholders and
+// SQLite's date/JSON functions. DatabaseManager passes them through this
+// before they reach PostgreSQL, so the same SQL runs on both backends.
+
+const NOW = `['"]now['"]`;
+const MODIFIER = `\\s*,\\s*['"]([+-]?)(\\d+) (second|minute|hour|day|month|year)s?['"]`;
+
+function interval(base, sign, amount, unit) {
+    return `(${base} ${sign === '-' ? '-' : '+'} INTERVAL '${amount} ${unit}s')`;
+}
+
+const POSTGRES_REWRITES = [
+    // datetime('now', '-7 days') / datetime(?, '+1 day')
+    [new RegExp(`datetime\\(\\s*${NOW}${MODIFIER}\\s*\\)`, 'gi'), (match, sign, amount, unit) => interval('CURRENT_TIMESTAMP', sign, amount, unit)],
+    [new RegExp(`datetime\\(\\s*\\?${MODIFIER}\\s*\\)`, 'gi'), (match, sign, amount, unit) => interval('CAST(? AS TIMESTAMP)', sign, amount, unit)],
+    [new RegExp(`datetime\\(\\s*${NOW}\\s*\\)`, 'gi'), () => 'CURRENT_TIMESTAMP'],
+    [/datetime\(\s*\?\s*\)/gi, () => 'CAST(? AS TIMESTAMP)'],
+    [new RegExp(`date\\(\\s*${NOW}\\s*\\)`, 'gi'), () => 'CURRENT_DATE'],
+    // json_extract(event_data, '$.type') - text, like SQLite's for strings
+    [/json_extract\(\s*(\w+)\s*,\s*'\$\.(\w+)'\s*\)/gi, (match, column, key) => `(${column}::json ->> '${key}')`]
+];
+
+// `?` becomes $1, $2... everywhere outside string literals
+function numberPlaceholders(sql) {
+    let index = 0;
+    let inString = false;
+    let result = '';
+
+    for (const char of sql) {
+        if (char === "'") {
+            inString = !inString;
+        }
+        result += char === '?' && !inString ? `$${++index}` : char;
+    }
+    return result;
+}
+
+export function translateSql(sql, dialect) {
+    if (dialect !== 'postgresql') return sql;
+
+    const rewritten = POSTGRES_REWRITES.reduce((text, [pattern, replace]) => text.replace(pattern, replace), sql);
+    return numberPlaceholders(rewritten);
+}
+
+// UNIQUE constraint failures from either backend. `target` ('users.username')
+// narrows it to one column.
+export function isUniqueViolation(error, target = null) {
+    if (!error) return false;
+
+    if (typeof error.code === 'string' && error.code.startsWith('SQLITE_CONSTRAINT')) {
+        const message = error.message || '';
+        return message.includes('UNIQUE') && (!target || message.includes(target));
+    }
+
+    if (error.code === '23505') {
+        if (!target) return true;
+        const [table, column] = target.split('.');
+        const details = `${error.constraint || ''} ${error.detail || ''} ${error.message || ''}`;
+        return details.includes(`${table}_${column}`) || details.includes(`(${column})`);
+    }
+
+    return false;
+}
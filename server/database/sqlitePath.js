@@ -0,0 +1,30 @@
+// Where the SQLite database lives. init.js (and with it `npm run migrate`)
+// and DatabaseManager all open the file named here, so the server, the
+// migration CLI and the enhanced startup path never drift apart.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATABASE_DIR = path.join(__dirname, '../../database');
+
+// DATABASE_URL when set, else database/birddash.db at the project root
+// (creating the directory), else ./birddash.db for hosts like Railway where
+// the directory can't be created
+export function getSqlitePath() {
+    if (process.env.DATABASE_URL) {
+        return process.env.DATABASE_URL;
+    }
+
+    try {
+        fs.mkdirSync(DATABASE_DIR, { recursive: true });
+        return path.join(DATABASE_DIR, 'birddash.db');
+    } catch (error) {
+        console.error('❌ Failed to create database directory:', error);
+        console.log('📁 Using fallback database path in current directory');
+        return './birddash.db';
+    }
+}
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
-import { db } from '../database/init.js';
+import { getRepositories } from '../repositories/index.js';
+import config from '../config/environment.js';
 
 // Middleware to verify JWT from HTTP-only cookie
 export const verifyToken = (req, res, next) => {
@@ -10,7 +11,7 @@ export const verifyToken = (req, res, next) => {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+        const decoded = jwt.verify(token, config.security.jwtSecret);
         req.user = decoded;
         next();
     } catch (error) {
@@ -29,7 +30,7 @@ export const optionalAuth = (req, res, next) => {
         const token = req.cookies?.birddash_token;
         
         if (token) {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+            const decoded = jwt.verify(token, config.security.jwtSecret);
             req.user = decoded;
         }
         
@@ -48,27 +49,38 @@ export const getUserFromToken = async (req, res, next) => {
     }
     
     try {
-        const query = `
-            SELECT id, username, email, is_guest, created_at, total_games_played, best_score
-            FROM users 
-            WHERE id = ?
-        `;
-        
-        db.get(query, [req.user.id], (err, user) => {
-            if (err) {
-                console.error('Database error in getUserFromToken:', err);
-                return res.status(500).json({ error: 'Internal server error' });
-            }
-            
-            if (!user) {
-                return res.status(401).json({ error: 'User not found' });
-            }
-            
-            req.userData = user;
-            next();
-        });
+        const user = await getRepositories().users.findById(req.user.id);
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        req.userData = user;
+        next();
     } catch (error) {
         console.error('Error in getUserFromToken:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 };
+
+// Restrict a route to users holding one of the given roles.
+// Roles are read from the database so revoking one takes effect immediately.
+export const requireRole = (...roles) => async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let role;
+    try {
+        role = await getRepositories().users.getRole(req.user.id);
+    } catch (error) {
+        console.error('Database error in requireRole:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    if (!roles.includes(role)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    req.user.role = role;
+    next();
+};
@@ -147,6 +147,19 @@ export const authRateLimit = createRateLimit(
     'Too many authentication attempts, please try again later'
 );
 
+// Per-number limits live in the phone verification service; this caps a single client
+export const phoneVerificationRateLimit = createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    20, // 20 requests
+    'Too many phone verification attempts, please try again later'
+);
+
+export const kioskOperatorRateLimit = createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    10, // 10 attempts
+    'Too many operator PIN attempts, please try again later'
+);
+
 export const scoreSubmissionRateLimit = createRateLimit(
     60 * 1000, // 1 minute
     10, // 10 submissions per minute
@@ -0,0 +1,32 @@
+// Achievement progress - one user_achievements row per player and achievement
+// they have made progress on. unlocked_at stays NULL until it is unlocked.
+
+import Repository from './Repository.js';
+
+export default class AchievementRepository extends Repository {
+    async findByUser(userId) {
+        return this.many(
+            'SELECT achievement_id, progress, unlocked_at FROM user_achievements WHERE user_id = ?',
+            [userId]
+        );
+    }
+
+    async findUnlockedByUser(userId) {
+        return this.many(`
+            SELECT achievement_id, unlocked_at, progress
+            FROM user_achievements
+            WHERE user_id = ? AND unlocked_at IS NOT NULL
+            ORDER BY unlocked_at DESC
+        `, [userId]);
+    }
+
+    async saveProgress(userId, achievementId, progress, unlocked) {
+        await this.run(`
+            INSERT INTO user_achievements (user_id, achievement_id, progress, unlocked_at)
+            VALUES (?, ?, ?, ${unlocked ? 'CURRENT_TIMESTAMP' : 'NULL'})
+            ON CONFLICT(user_id, achievement_id) DO UPDATE SET
+                progress = excluded.progress,
+                unlocked_at = excluded.unlocked_at
+        `, [userId, achievementId, progress]);
+    }
+}
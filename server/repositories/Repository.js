@@ -0,0 +1,34 @@
+// Base data-access class
+// Repositories write SQL the way the rest of the server does - `?` placeholders
+// and SQLite's date functions - and run it through DatabaseManager, which
+// translates it for PostgreSQL. Anything with a query(sql, params) answering
+// { rows, rowCount, insertId } will do, including a transaction's query.
+
+export default class Repository {
+    constructor(database) {
+        this.database = database;
+    }
+
+    // First row, or null
+    async one(sql, params = []) {
+        const { rows } = await this.database.query(sql, params);
+        return rows[0] || null;
+    }
+
+    async many(sql, params = []) {
+        const { rows } = await this.database.query(sql, params);
+        return rows;
+    }
+
+    // Statements without result rows - resolves to { rowCount, insertId }
+    async run(sql, params = []) {
+        const { rowCount, insertId } = await this.database.query(sql, params);
+        return { rowCount, insertId };
+    }
+
+    // Runs `callback` with a repository of the same kind bound to one
+    // transaction; it commits when the callback resolves and rolls back if it throws
+    async transaction(callback) {
+        return this.database.transaction(query => callback(new this.constructor({ query })));
+    }
+}
@@ -0,0 +1,297 @@
+// Scores - run tokens, leaderboard entries with their replays, and the Daily
+// Dash boards. Public reads only ever see approved entries.
+//
+// Ranks are counted rather than taken from window functions, and timeframes
+// are worked out here rather than with the database's date functions, so the
+// queries run the same on SQLite and PostgreSQL.
+
+import Repository from './Repository.js';
+import { MODERATION_STATUS } from '../services/scoreVerification.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const APPROVED = MODERATION_STATUS.APPROVED;
+
+const GAME_COLUMNS = `
+    score, time_played, collectibles_collected, power_ups_collected,
+    distance_traveled, max_combo
+`;
+
+// SQLite hands booleans back as 0/1
+const BOOLEAN_COLUMNS = ['is_guest', 'revived', 'has_replay'];
+
+function toEntry(row) {
+    const entry = { ...row };
+    for (const column of BOOLEAN_COLUMNS) {
+        if (column in entry) entry[column] = Boolean(entry[column]);
+    }
+    return entry;
+}
+
+// Start of a leaderboard timeframe as an ISO timestamp - 'today' is the UTC
+// day so far - or null for all time
+export function timeframeStart(timeframe, now = Date.now()) {
+    switch (timeframe) {
+        case 'today':
+            return `${new Date(now).toISOString().slice(0, 10)}T00:00:00.000Z`;
+        case 'week':
+            return new Date(now - 7 * DAY_MS).toISOString();
+        case 'month':
+            return new Date(now - 30 * DAY_MS).toISOString();
+        default:
+            return null;
+    }
+}
+
+export default class ScoreRepository extends Repository {
+    // Runs
+
+    // dailyDate marks the run as that day's ranked Daily Dash attempt; a
+    // signed-in player's second one that day rejects with a unique violation
+    async createRun(runId, userId, startedAt, dailyDate = null) {
+        await this.run(
+            'INSERT INTO game_runs (run_id, user_id, started_at, daily_date) VALUES (?, ?, ?, ?)',
+            [runId, userId, startedAt, dailyDate]
+        );
+    }
+
+    async findRun(runId) {
+        return this.one('SELECT run_id, user_id, daily_date, consumed_at FROM game_runs WHERE run_id = ?', [runId]);
+    }
+
+    // Claim a run for its submission - true only for the first claim, which
+    // is what makes each run token single-use
+    async claimRun(runId) {
+        const { rowCount } = await this.run(
+            'UPDATE game_runs SET consumed_at = CURRENT_TIMESTAMP WHERE run_id = ? AND consumed_at IS NULL',
+            [runId]
+        );
+        return rowCount > 0;
+    }
+
+    // Leaderboard entries
+
+    // Claims the entry's run and saves the entry in one transaction; resolves
+    // to the entry id, or null when the run was already claimed. If the
+    // insert fails the claim rolls back with it, so the player can retry.
+    async createEntry(entry) {
+        return this.transaction(async (scores) => {
+            if (entry.runId && !(await scores.claimRun(entry.runId))) {
+                return null;
+            }
+
+            const { insertId } = await scores.run(`
+                INSERT INTO leaderboard_entries (
+                    user_id, username, score, time_played,
+                    collectibles_collected, power_ups_collected,
+                    distance_traveled, max_combo, is_guest, revived,
+                    moderation_status, moderation_reason, run_id, idempotency_key
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                RETURNING id
+            `, [
+                entry.userId, entry.username, entry.score, entry.timePlayed,
+                entry.collectiblesCollected, entry.powerUpsCollected,
+                entry.distanceTraveled, entry.maxCombo, entry.isGuest, entry.revived,
+                entry.moderationStatus, entry.moderationReason, entry.runId, entry.idempotencyKey
+            ]);
+
+            await scores.run('UPDATE game_runs SET entry_id = ? WHERE run_id = ?', [insertId, entry.runId]);
+            return insertId;
+        });
+    }
+
+    async findByIdempotencyKey(idempotencyKey) {
+        return this.one(
+            'SELECT id, user_id, run_id, username, score, moderation_status FROM leaderboard_entries WHERE idempotency_key = ?',
+            [idempotencyKey]
+        );
+    }
+
+    // Position an approved score of `score` takes on the all-time board
+    async rankOf(score) {
+        const { rank } = await this.one(
+            'SELECT COUNT(*) + 1 AS rank FROM leaderboard_entries WHERE score > ? AND moderation_status = ?',
+            [score, APPROVED]
+        );
+        return rank;
+    }
+
+    async withRanks(rows) {
+        return Promise.all(rows.map(async row => ({ ...toEntry(row), rank: await this.rankOf(row.score) })));
+    }
+
+    // A page of the board, best first. `since` (ISO timestamp) limits it to
+    // recent games; `total` counts the whole filtered board.
+    async getLeaderboard({ limit, offset, since = null }) {
+        let where = 'WHERE l.moderation_status = ?';
+        const params = [APPROVED];
+        if (since) {
+            where += ' AND l.game_date >= datetime(?)';
+            params.push(since);
+        }
+
+        const [rows, count] = await Promise.all([
+            this.many(`
+                SELECT
+                    l.id, l.username, ${GAME_COLUMNS},
+                    l.game_date, l.is_guest, l.revived,
+                    r.entry_id IS NOT NULL AS has_replay
+                FROM leaderboard_entries l
+                LEFT JOIN replays r ON r.entry_id = l.id
+                ${where}
+                ORDER BY l.score DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]),
+            this.one(`SELECT COUNT(*) AS total FROM leaderboard_entries l ${where}`, params)
+        ]);
+
+        return {
+            entries: rows.map((row, index) => ({ ...toEntry(row), rank: offset + index + 1 })),
+            total: count.total
+        };
+    }
+
+    // A player's best approved scores, each with its all-time rank
+    async getBestScores(username, limit) {
+        return this.withRanks(await this.many(`
+            SELECT ${GAME_COLUMNS}, game_date, revived
+            FROM leaderboard_entries
+            WHERE username = ? AND moderation_status = ?
+            ORDER BY score DESC
+            LIMIT ?
+        `, [username, APPROVED, limit]));
+    }
+
+    // A player's latest approved games, each with its all-time rank
+    async getRecentGames(username, limit) {
+        return this.withRanks(await this.many(`
+            SELECT ${GAME_COLUMNS}, game_date
+            FROM leaderboard_entries
+            WHERE username = ? AND moderation_status = ?
+            ORDER BY game_date DESC
+            LIMIT ?
+        `, [username, APPROVED, limit]));
+    }
+
+    async getStatistics(now = Date.now()) {
+        const [totals, today] = await Promise.all([
+            this.one(`
+                SELECT
+                    COUNT(*) AS total_games,
+                    COUNT(DISTINCT username) AS total_players,
+                    MAX(score) AS highest_score,
+                    AVG(score) AS average_score,
+                    SUM(time_played) AS total_time_played
+                FROM leaderboard_entries
+                WHERE moderation_status = ?
+            `, [APPROVED]),
+            this.one(
+                'SELECT COUNT(*) AS count FROM leaderboard_entries WHERE moderation_status = ? AND game_date >= datetime(?)',
+                [APPROVED, timeframeStart('today', now)]
+            )
+        ]);
+
+        return {
+            totalGames: totals.total_games,
+            totalPlayers: totals.total_players,
+            highestScore: totals.highest_score,
+            averageScore: Math.round(totals.average_score),
+            totalTimePlayed: totals.total_time_played,
+            todayGames: today.count
+        };
+    }
+
+    // Replays
+
+    async saveReplay(entryId, replay) {
+        await this.run(
+            'INSERT INTO replays (entry_id, seed, frame_count, data) VALUES (?, ?, ?, ?)',
+            [entryId, replay.seed, replay.frames, JSON.stringify(replay)]
+        );
+    }
+
+    // The replay of an approved entry, or null
+    async findReplay(entryId) {
+        const row = await this.one(`
+            SELECT r.entry_id, r.data, r.created_at, l.username, l.score
+            FROM replays r
+            JOIN leaderboard_entries l ON l.id = r.entry_id
+            WHERE r.entry_id = ? AND l.moderation_status = ?
+        `, [entryId, APPROVED]);
+
+        return row && { ...row, data: JSON.parse(row.data) };
+    }
+
+    // Daily Dash
+
+    // The top of a day's board; `total` counts every approved player that day
+    async getDailyLeaderboard(date, limit) {
+        const [rows, count] = await Promise.all([
+            this.many(`
+                SELECT id, username, ${GAME_COLUMNS}, created_at
+                FROM daily_entries
+                WHERE challenge_date = ? AND moderation_status = ?
+                ORDER BY score DESC, created_at ASC
+                LIMIT ?
+            `, [date, APPROVED, limit]),
+            this.one('SELECT COUNT(*) AS total FROM daily_entries WHERE challenge_date = ? AND moderation_status = ?', [date, APPROVED])
+        ]);
+
+        return {
+            entries: rows.map((row, index) => ({ ...row, rank: index + 1 })),
+            total: count.total
+        };
+    }
+
+    async findDailyEntry(date, userId) {
+        return this.one(
+            'SELECT score, moderation_status FROM daily_entries WHERE challenge_date = ? AND user_id = ?',
+            [date, userId]
+        );
+    }
+
+    // Whether the player has started a ranked run that day or already has an
+    // entry on its board
+    async hasDailyAttempt(date, userId) {
+        const row = await this.one(`
+            SELECT
+                EXISTS (SELECT 1 FROM game_runs WHERE daily_date = ? AND user_id = ?)
+                OR EXISTS (SELECT 1 FROM daily_entries WHERE challenge_date = ? AND user_id = ?) AS used
+        `, [date, userId, date, userId]);
+        return Boolean(row.used);
+    }
+
+    // Claims the entry's run and saves the entry in one transaction, like
+    // createEntry(); resolves to null when the run was already claimed.
+    // Rejects with a unique violation if the name already has an entry that day.
+    async createDailyEntry(entry) {
+        return this.transaction(async (scores) => {
+            if (entry.runId && !(await scores.claimRun(entry.runId))) {
+                return null;
+            }
+
+            const { insertId } = await scores.run(`
+                INSERT INTO daily_entries (
+                    challenge_date, user_id, username, score, time_played,
+                    collectibles_collected, power_ups_collected,
+                    distance_traveled, max_combo,
+                    run_id, moderation_status, moderation_reason
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                RETURNING id
+            `, [
+                entry.date, entry.userId, entry.username, entry.score, entry.timePlayed,
+                entry.collectiblesCollected, entry.powerUpsCollected,
+                entry.distanceTraveled, entry.maxCombo,
+                entry.runId, entry.moderationStatus, entry.moderationReason
+            ]);
+            return insertId;
+        });
+    }
+
+    async dailyRankOf(date, score) {
+        const { rank } = await this.one(
+            'SELECT COUNT(*) + 1 AS rank FROM daily_entries WHERE challenge_date = ? AND moderation_status = ? AND score > ?',
+            [date, APPROVED, score]
+        );
+        return rank;
+    }
+}
@@ -0,0 +1,78 @@
+// Player accounts - guests, registered players and their lifetime stats
+
+import Repository from './Repository.js';
+
+const PROFILE_COLUMNS = `
+    id, username, email, is_guest, created_at,
+    total_games_played, total_score, best_score, total_time_played,
+    favorite_collectible, phone_verified_at, marketing_consent
+`;
+
+// SQLite hands booleans back as 0/1
+function toUser(row) {
+    return row && { ...row, is_guest: Boolean(row.is_guest) };
+}
+
+export default class UserRepository extends Repository {
+    async findById(id) {
+        return toUser(await this.one(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`, [id]));
+    }
+
+    async findByUsername(username) {
+        return toUser(await this.one(`SELECT ${PROFILE_COLUMNS} FROM users WHERE username = ?`, [username]));
+    }
+
+    // Registered players only - guests have no password to check
+    async findForLogin(username) {
+        return toUser(await this.one(
+            'SELECT id, username, email, password_hash, is_guest, created_at FROM users WHERE username = ? AND is_guest = ?',
+            [username, false]
+        ));
+    }
+
+    async getRole(id) {
+        const row = await this.one('SELECT role FROM users WHERE id = ?', [id]);
+        return row ? row.role : null;
+    }
+
+    // Both create* reject with a unique violation (see isUniqueViolation) when
+    // the username - or email - is taken
+    async createGuest(username, guestId) {
+        const { insertId } = await this.run(`
+            INSERT INTO users (username, is_guest, guest_id, created_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            RETURNING id
+        `, [username, true, guestId]);
+        return insertId;
+    }
+
+    async createAccount({ username, email, passwordHash }) {
+        const { insertId } = await this.run(`
+            INSERT INTO users (username, email, password_hash, is_guest, created_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            RETURNING id
+        `, [username, email, passwordHash, false]);
+        return insertId;
+    }
+
+    async touch(id) {
+        await this.run('UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    // Adds a finished game to the lifetime stats in one statement, so two games
+    // finishing together both count. Resolves to the new stats, or null for an
+    // unknown player.
+    async recordGame(id, { score, timePlayed }) {
+        return this.one(`
+            UPDATE users
+            SET
+                total_games_played = COALESCE(total_games_played, 0) + 1,
+                total_score = COALESCE(total_score, 0) + ?,
+                best_score = CASE WHEN COALESCE(best_score, 0) > ? THEN best_score ELSE ? END,
+                total_time_played = COALESCE(total_time_played, 0) + ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+            RETURNING total_games_played, total_score, best_score, total_time_played
+        `, [score, score, score, timePlayed, id]);
+    }
+}
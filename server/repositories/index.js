@@ -0,0 +1,29 @@
+// Data-access layer
+// Routes and services get their repositories from here rather than talking
+// to a connection, so they work on whichever backend startup picked.
+
+import { getActiveDatabase } from '../database/init.js';
+import UserRepository from './UserRepository.js';
+import ScoreRepository from './ScoreRepository.js';
+import AchievementRepository from './AchievementRepository.js';
+
+export { UserRepository, ScoreRepository, AchievementRepository };
+
+export function createRepositories(database) {
+    return {
+        users: new UserRepository(database),
+        scores: new ScoreRepository(database),
+        achievements: new AchievementRepository(database)
+    };
+}
+
+const repositories = new WeakMap();
+
+// Repositories over the active database (see init.js) - look them up per
+// request, since startup can switch the database after routes are loaded
+export function getRepositories(database = getActiveDatabase()) {
+    if (!repositories.has(database)) {
+        repositories.set(database, createRepositories(database));
+    }
+    return repositories.get(database);
+}
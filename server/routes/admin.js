@@ -0,0 +1,108 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+import {
+    ContentError,
+    listEvents,
+    getEvent,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    listConfig,
+    setConfig
+} from '../services/content.js';
+import { exportMarketingContacts } from '../services/privacy.js';
+
+const router = express.Router();
+
+// Staff tools - admins only
+router.use(verifyToken, requireRole('admin'));
+
+const handle = (action, handler) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await handler(req, res);
+    } catch (error) {
+        if (error instanceof ContentError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+
+        console.error(`Admin ${action} error:`, error);
+        res.status(500).json({ error: `Failed to ${action}` });
+    }
+};
+
+const eventIdParam = param('eventId').matches(/^[a-z0-9_-]{1,100}$/).withMessage('Invalid event id');
+
+const eventBody = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be 1-200 characters'),
+        field('type').isString().withMessage('Type is required'),
+        body('description').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+        body('enabled').optional().isBoolean().withMessage('enabled must be boolean'),
+        body('priority').optional().isInt({ min: 0, max: 100 }).withMessage('Priority must be between 0 and 100'),
+        body('start_date').optional({ nullable: true }).isISO8601().withMessage('start_date must be an ISO date'),
+        body('end_date').optional({ nullable: true }).isISO8601().withMessage('end_date must be an ISO date')
+    ];
+};
+
+// Everything live-ops can change, with each event's computed schedule state
+router.get('/content', handle('fetch content', async (req, res) => {
+    const [events, config] = await Promise.all([listEvents(), listConfig()]);
+    res.json({ events, config });
+}));
+
+router.get('/content/events/:eventId', [eventIdParam], handle('fetch event', async (req, res) => {
+    res.json({ event: await getEvent(req.params.eventId) });
+}));
+
+router.post('/content/events', [
+    body('event_id').matches(/^[a-z0-9_-]{1,100}$/).withMessage('event_id must be lowercase letters, numbers, _ or -'),
+    ...eventBody(false)
+], handle('create event', async (req, res) => {
+    const event = await createEvent(req.body, req.user.id);
+    console.log(`🎯 Content event created by ${req.user.username}: ${event.event_id}`);
+    res.status(201).json({ event });
+}));
+
+router.put('/content/events/:eventId', [eventIdParam, ...eventBody(true)], handle('update event', async (req, res) => {
+    const event = await updateEvent(req.params.eventId, req.body);
+    console.log(`🎯 Content event updated by ${req.user.username}: ${event.event_id}`);
+    res.json({ event });
+}));
+
+router.delete('/content/events/:eventId', [eventIdParam], handle('delete event', async (req, res) => {
+    await deleteEvent(req.params.eventId);
+    console.log(`🎯 Content event deleted by ${req.user.username}: ${req.params.eventId}`);
+    res.json({ message: 'Event deleted' });
+}));
+
+router.put('/content/config/:key', [
+    param('key').matches(/^[a-z0-9_]{1,100}$/).withMessage('Invalid config key'),
+    body('value').exists().withMessage('value is required'),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('category').optional().isString().isLength({ max: 50 })
+], handle('update config', async (req, res) => {
+    const { value, description, category } = req.body;
+    const config = await setConfig(req.params.key, value, { description, category }, req.user.id);
+    console.log(`🎯 Config updated by ${req.user.username}: ${req.params.key}`);
+    res.json({ config });
+}));
+
+// Players who opted in to marketing texts, with when and under which policy version
+router.get('/contacts.csv', handle('export contacts', async (req, res) => {
+    const { count, csv } = await exportMarketingContacts();
+    const date = new Date().toISOString().split('T')[0];
+
+    console.log(`📇 ${count} marketing contacts exported by ${req.user.username}`);
+    res.set('Cache-Control', 'no-store');
+    res.attachment(`birddash-contacts-${date}.csv`);
+    res.type('text/csv').send(csv);
+}));
+
+export default router;
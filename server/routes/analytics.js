@@ -0,0 +1,80 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import config from '../config/environment.js';
+import { optionalAuth, verifyToken, requireRole } from '../middleware/auth.js';
+import { ingestBatch, getReport, REPORTS } from '../services/analytics.js';
+
+const router = express.Router();
+
+const DEFAULT_REPORT_DAYS = {
+    funnel: 7,
+    retention: 30,
+    'power-ups': 7
+};
+
+// Queued client events - anonymous players are accepted, signed-in events
+// are attributed to the cookie's user
+router.post('/batch', optionalAuth, [
+    body('events')
+        .isArray({ min: 1, max: config.analytics.maxQueueSize })
+        .withMessage(`events must be an array of 1-${config.analytics.maxQueueSize} events`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await ingestBatch(req.body.events, req.user?.id ?? null);
+
+        if (result.accepted === 0) {
+            return res.status(400).json({ error: 'No valid events in batch', rejected: result.rejected });
+        }
+
+        res.status(202).json(result);
+    } catch (error) {
+        console.error('Analytics batch error:', error);
+        res.status(500).json({ error: 'Failed to store analytics events' });
+    }
+});
+
+const daysQuery = query('days').optional().isInt({ min: 1, max: 90 }).withMessage('days must be between 1 and 90').toInt();
+
+// Aggregate reports - admins only
+router.get('/reports', verifyToken, requireRole('admin'), [daysQuery], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const reports = await Promise.all(
+            REPORTS.map(report => getReport(report, req.query.days ?? DEFAULT_REPORT_DAYS[report]))
+        );
+
+        res.json(Object.fromEntries(REPORTS.map((report, i) => [report, reports[i]])));
+    } catch (error) {
+        console.error('Analytics reports error:', error);
+        res.status(500).json({ error: 'Failed to build analytics reports' });
+    }
+});
+
+router.get('/reports/:report', verifyToken, requireRole('admin'), [
+    param('report').isIn(REPORTS).withMessage(`report must be one of: ${REPORTS.join(', ')}`),
+    daysQuery
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { report } = req.params;
+        res.json(await getReport(report, req.query.days ?? DEFAULT_REPORT_DAYS[report]));
+    } catch (error) {
+        console.error('Analytics report error:', error);
+        res.status(500).json({ error: 'Failed to build analytics report' });
+    }
+});
+
+export default router;
@@ -2,16 +2,27 @@ import express from 'express';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
-import { db } from '../database/init.js';
+import { getRepositories } from '../repositories/index.js';
+import { isUniqueViolation } from '../database/sqlDialect.js';
+import config from '../config/environment.js';
 import { 
     validateAndSanitize, 
     validateUsername, 
     validateEmail, 
     validatePassword,
     authRateLimit,
+    phoneVerificationRateLimit,
     preventSQLInjection
 } from '../middleware/validation.js';
 import { csrfProtection } from '../middleware/csrf.js';
+import { optionalAuth } from '../middleware/auth.js';
+import {
+    PhoneVerificationError,
+    startPhoneVerification,
+    confirmPhoneVerification,
+    linkVerifiedPhone
+} from '../services/phoneVerification.js';
+import { recordMarketingConsent } from '../services/privacy.js';
 
 const router = express.Router();
 
@@ -23,7 +34,7 @@ function generateToken(user) {
             username: user.username, 
             is_guest: user.is_guest 
         },
-        process.env.JWT_SECRET || 'fallback-secret-key',
+        config.security.jwtSecret,
         { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
     );
 }
@@ -42,7 +53,7 @@ function setTokenCookie(res, token) {
 }
 
 // Clear authentication cookie
-function clearTokenCookie(res) {
+export function clearTokenCookie(res) {
     res.clearCookie('birddash_token', {
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
@@ -73,39 +84,34 @@ router.post('/guest',
         const { username } = req.body;
         const guestId = `guest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-        const query = `
-            INSERT INTO users (username, is_guest, guest_id, created_at)
-            VALUES (?, 1, ?, CURRENT_TIMESTAMP)
-        `;
-
-        db.run(query, [username, guestId], function(err) {
-            if (err) {
-                if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-                    return res.status(409).json({ error: 'Username already taken' });
-                }
-                console.error('Guest creation error:', err);
-                return res.status(500).json({ error: 'Failed to create guest user' });
+        let userId;
+        try {
+            userId = await getRepositories().users.createGuest(username, guestId);
+        } catch (error) {
+            if (isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'Username already taken' });
             }
+            throw error;
+        }
 
-            const user = {
-                id: this.lastID,
-                username,
-                is_guest: true,
-                guest_id: guestId
-            };
-
-            const token = generateToken(user);
-            setTokenCookie(res, token);
-
-            res.status(201).json({
-                message: 'Guest user created successfully',
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    is_guest: true
-                }
-                // Note: token no longer sent in response body for security
-            });
+        const user = {
+            id: userId,
+            username,
+            is_guest: true,
+            guest_id: guestId
+        };
+
+        const token = generateToken(user);
+        setTokenCookie(res, token);
+
+        res.status(201).json({
+            message: 'Guest user created successfully',
+            user: {
+                id: user.id,
+                username: user.username,
+                is_guest: true
+            }
+            // Note: token no longer sent in response body for security
         });
     } catch (error) {
         console.error('Guest creation error:', error);
@@ -136,40 +142,35 @@ router.post('/register',
         const saltRounds = 12;
         const passwordHash = await bcrypt.hash(password, saltRounds);
 
-        const query = `
-            INSERT INTO users (username, email, password_hash, is_guest, created_at)
-            VALUES (?, ?, ?, 0, CURRENT_TIMESTAMP)
-        `;
-
-        db.run(query, [username, email, passwordHash], function(err) {
-            if (err) {
-                if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-                    return res.status(409).json({ error: 'Username or email already exists' });
-                }
-                console.error('Registration error:', err);
-                return res.status(500).json({ error: 'Failed to create account' });
+        let userId;
+        try {
+            userId = await getRepositories().users.createAccount({ username, email, passwordHash });
+        } catch (error) {
+            if (isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'Username or email already exists' });
             }
+            throw error;
+        }
 
-            const user = {
-                id: this.lastID,
-                username,
-                email,
+        const user = {
+            id: userId,
+            username,
+            email,
+            is_guest: false
+        };
+
+        const token = generateToken(user);
+        setTokenCookie(res, token);
+
+        res.status(201).json({
+            message: 'Account created successfully',
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
                 is_guest: false
-            };
-
-            const token = generateToken(user);
-            setTokenCookie(res, token);
-
-            res.status(201).json({
-                message: 'Account created successfully',
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    is_guest: false
-                }
-                // Note: token no longer sent in response body for security
-            });
+            }
+            // Note: token no longer sent in response body for security
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -195,45 +196,36 @@ router.post('/login',
 
         const { username, password } = req.body;
 
-        const query = `
-            SELECT id, username, email, password_hash, is_guest, created_at
-            FROM users 
-            WHERE username = ? AND is_guest = 0
-        `;
+        const { users } = getRepositories();
+        const user = await users.findForLogin(username);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
 
-        db.get(query, [username], async (err, user) => {
-            if (err) {
-                console.error('Login query error:', err);
-                return res.status(500).json({ error: 'Login failed' });
-            }
+        // Check password
+        const passwordMatch = await bcrypt.compare(password, user.password_hash);
+        if (!passwordMatch) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
 
-            if (!user) {
-                return res.status(401).json({ error: 'Invalid username or password' });
-            }
+        // Update last login
+        users.touch(user.id).catch((err) => {
+            console.error('Last login update error:', err);
+        });
 
-            // Check password
-            const passwordMatch = await bcrypt.compare(password, user.password_hash);
-            if (!passwordMatch) {
-                return res.status(401).json({ error: 'Invalid username or password' });
+        const token = generateToken(user);
+        setTokenCookie(res, token);
+
+        res.json({
+            message: 'Login successful',
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                is_guest: false,
+                created_at: user.created_at
             }
-
-            // Update last login
-            db.run('UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
-
-            const token = generateToken(user);
-            setTokenCookie(res, token);
-
-            res.json({
-                message: 'Login successful',
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    is_guest: false,
-                    created_at: user.created_at
-                }
-                // Note: token no longer sent in response body for security
-            });
+            // Note: token no longer sent in response body for security
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -251,32 +243,27 @@ router.get('/verify', async (req, res) => {
             return res.status(401).json({ error: 'No token provided' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+        const decoded = jwt.verify(token, config.security.jwtSecret);
         
         // Get fresh user data
-        const query = `
-            SELECT id, username, email, is_guest, created_at, total_games_played, best_score
-            FROM users 
-            WHERE id = ?
-        `;
-
-        db.get(query, [decoded.id], (err, user) => {
-            if (err || !user) {
-                return res.status(401).json({ error: 'Invalid token' });
-            }
+        const user = await getRepositories().users.findById(decoded.id);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
 
-            res.json({
-                valid: true,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    is_guest: user.is_guest,
-                    created_at: user.created_at,
-                    total_games_played: user.total_games_played,
-                    best_score: user.best_score
-                }
-            });
+        res.json({
+            valid: true,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                is_guest: user.is_guest,
+                created_at: user.created_at,
+                total_games_played: user.total_games_played,
+                best_score: user.best_score,
+                phone_verified: Boolean(user.phone_verified_at),
+                marketing_consent: Boolean(user.marketing_consent)
+            }
         });
     } catch (error) {
         if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
@@ -288,6 +275,79 @@ router.get('/verify', async (req, res) => {
     }
 });
 
+// Send a one-time code to a mobile number
+router.post('/phone/start',
+    phoneVerificationRateLimit,
+    validateAndSanitize([
+        body('phone').isString().isLength({ min: 1, max: 30 }).withMessage('Mobile number is required')
+    ]),
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const verification = await startPhoneVerification(req.body.phone);
+        res.status(202).json({ message: 'Verification code sent', ...verification });
+    } catch (error) {
+        if (error instanceof PhoneVerificationError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Phone verification start error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Confirm the code. The number is linked to the signed-in player, or signs in
+// (creating a guest named `name` if needed) the guest it already belongs to.
+// A number on a password account needs that account's password instead.
+// The form's marketing opt-in, when sent, is recorded against that player.
+router.post('/phone/verify',
+    phoneVerificationRateLimit,
+    optionalAuth,
+    validateAndSanitize([
+        body('phone').isString().isLength({ min: 1, max: 30 }).withMessage('Mobile number is required'),
+        body('code').isString().trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+        body('name').optional().isString().trim().isLength({ max: 30 }),
+        body('marketing_consent').optional().isBoolean({ strict: true }).withMessage('marketing_consent must be boolean')
+    ]),
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const phone = await confirmPhoneVerification(req.body.phone, req.body.code);
+        const user = await linkVerifiedPhone(phone, { user: req.user, name: req.body.name });
+        const consent = typeof req.body.marketing_consent === 'boolean'
+            ? await recordMarketingConsent(user.id, req.body.marketing_consent)
+            : null;
+
+        setTokenCookie(res, generateToken(user));
+        console.log(`📱 Phone verified for ${user.username}`);
+
+        res.json({
+            message: 'Phone number verified',
+            phone,
+            user: {
+                id: user.id,
+                username: user.username,
+                is_guest: user.is_guest,
+                phone_verified: true,
+                ...(consent && { marketing_consent: consent.marketing_consent })
+            }
+        });
+    } catch (error) {
+        if (error instanceof PhoneVerificationError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Phone verification error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Logout endpoint
 router.post('/logout', (req, res) => {
     try {
@@ -0,0 +1,21 @@
+import express from 'express';
+import { getActiveContent } from '../services/content.js';
+
+const router = express.Router();
+
+// Read-only live content for the game client: active events, upcoming
+// events, config and the resolved game balance for new runs
+router.get('/active', async (req, res) => {
+    try {
+        const content = await getActiveContent();
+
+        // Short cache so launches reach players within a minute
+        res.set('Cache-Control', 'public, max-age=60');
+        res.json(content);
+    } catch (error) {
+        console.error('Active content error:', error);
+        res.status(500).json({ error: 'Failed to fetch active content' });
+    }
+});
+
+export default router;
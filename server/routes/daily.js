@@ -0,0 +1,266 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { getRepositories } from '../repositories/index.js';
+import { isUniqueViolation } from '../database/sqlDialect.js';
+import { optionalAuth } from '../middleware/auth.js';
+import {
+    issueRunToken,
+    decodeRunToken,
+    verifySubmission,
+    MODERATION_STATUS,
+    RunTokenError
+} from '../services/scoreVerification.js';
+import {
+    getDailySeed,
+    getUtcDate,
+    isValidChallengeDate
+} from '../services/dailyChallenge.js';
+import { issueGameRewards } from '../services/rewards.js';
+import { getLiveGameBalance } from '../services/content.js';
+import { awardRunBeans } from '../services/shop.js';
+
+const router = express.Router();
+
+const DAILY_LEADERBOARD_LIMIT = 50;
+
+const dateParam = param('date').custom((date) => {
+    if (!isValidChallengeDate(date)) {
+        throw new Error('Date must be a valid YYYY-MM-DD date');
+    }
+    if (date > getUtcDate()) {
+        throw new Error('Daily Dash for this date has not started yet');
+    }
+    return true;
+});
+
+// Get the seed and standings for a day's Daily Dash
+router.get('/:date', [dateParam], optionalAuth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { date } = req.params;
+        const isToday = date === getUtcDate();
+
+        const { scores } = getRepositories();
+        const { entries, total } = await scores.getDailyLeaderboard(date, DAILY_LEADERBOARD_LIMIT);
+
+        const response = {
+            date,
+            seed: getDailySeed(date),
+            is_today: isToday,
+            is_final: !isToday,
+            leaderboard: entries,
+            total_players: total
+        };
+
+        // Let signed-in players know whether today's ranked attempt is used up;
+        // anonymous players can only practise
+        response.ranked_available = false;
+        if (req.user) {
+            response.attempt_used = await scores.hasDailyAttempt(date, req.user.id);
+            response.my_entry = await scores.findDailyEntry(date, req.user.id);
+            response.ranked_available = isToday && !response.attempt_used;
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Daily leaderboard error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Start a Daily Dash run. The server decides whether it is the ranked
+// attempt: a signed-in player (guests included) gets one per day, and
+// anonymous players practise - with nothing to tie their runs to, they could
+// otherwise start runs until one was worth submitting. Practice runs get no
+// token - there's nothing to submit.
+router.post('/:date/runs', [dateParam], optionalAuth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { date } = req.params;
+        if (date !== getUtcDate()) {
+            return res.status(400).json({ error: 'Only today\'s Daily Dash can be played' });
+        }
+
+        const userId = req.user?.id ?? null;
+        const { scores } = getRepositories();
+        const practice = { date, ranked: false };
+
+        if (!userId || await scores.hasDailyAttempt(date, userId)) {
+            return res.json(practice);
+        }
+
+        const { runId, token, startedAt } = issueRunToken(userId);
+        try {
+            await scores.createRun(runId, userId, startedAt, date);
+        } catch (error) {
+            // A second start that raced the first one in plays for practice
+            if (isUniqueViolation(error)) {
+                return res.json(practice);
+            }
+            throw error;
+        }
+
+        res.status(201).json({
+            date,
+            ranked: true,
+            run_token: token,
+            started_at: new Date(startedAt).toISOString()
+        });
+    } catch (error) {
+        console.error('Daily run start error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Submit the single ranked attempt for a day's Daily Dash
+router.post('/:date', [
+    dateParam,
+    body('run_token').isString().notEmpty().withMessage('Run token is required'),
+    body('seed').isInt({ min: 0 }).withMessage('Seed must be a non-negative integer'),
+    body('username').trim().isLength({ min: 1, max: 50 }).withMessage('Username must be 1-50 characters'),
+    body('score').isInt({ min: 0 }).withMessage('Score must be a non-negative integer'),
+    body('time_played').isInt({ min: 0 }).withMessage('Time played must be a non-negative integer'),
+    body('collectibles_collected').optional().isInt({ min: 0 }).withMessage('Collectibles must be non-negative'),
+    body('power_ups_collected').optional().isInt({ min: 0 }).withMessage('Power-ups must be non-negative'),
+    body('distance_traveled').optional().isInt({ min: 0 }).withMessage('Distance must be non-negative'),
+    body('max_combo').optional().isInt({ min: 0 }).withMessage('Max combo must be non-negative'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { date } = req.params;
+        const {
+            run_token,
+            seed,
+            username,
+            score,
+            time_played,
+            collectibles_collected = 0,
+            power_ups_collected = 0,
+            distance_traveled = 0,
+            max_combo = 0
+        } = req.body;
+
+        if (Number(seed) !== getDailySeed(date)) {
+            return res.status(400).json({ error: 'Seed does not match this Daily Dash' });
+        }
+
+        let run;
+        try {
+            run = decodeRunToken(run_token);
+        } catch (error) {
+            if (error instanceof RunTokenError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        // Only the run the server started as this day's ranked attempt counts.
+        // Runs count for the UTC day they started on, so a run that crosses
+        // midnight still lands on the board it was played against.
+        const { scores } = getRepositories();
+        const attempt = await scores.findRun(run.runId);
+        if (!attempt || attempt.daily_date !== date) {
+            return res.status(400).json({ error: 'Run is not a ranked attempt at this Daily Dash' });
+        }
+
+        // The entry goes to the player who started the run, never to whoever
+        // submits it
+        const userId = run.userId;
+
+        // Bounds scale with the live-ops balance (event bonuses, spawn rates)
+        let balance;
+        try {
+            balance = await getLiveGameBalance();
+        } catch (error) {
+            console.error('Live balance lookup error:', error);
+        }
+
+        const verification = verifySubmission(req.body, run, Date.now(), balance);
+        const moderationReason = verification.reasons.length > 0 ? verification.reasons.join(',') : null;
+
+        if (verification.status !== MODERATION_STATUS.APPROVED) {
+            console.warn(`🚩 Daily score flagged for review: ${username} - ${score} (${moderationReason})`);
+        }
+
+        let entryId;
+        try {
+            entryId = await scores.createDailyEntry({
+                date,
+                userId,
+                username,
+                score,
+                timePlayed: time_played,
+                collectiblesCollected: collectibles_collected,
+                powerUpsCollected: power_ups_collected,
+                distanceTraveled: distance_traveled,
+                maxCombo: max_combo,
+                runId: run.runId,
+                moderationStatus: verification.status,
+                moderationReason
+            });
+        } catch (error) {
+            // UNIQUE(challenge_date, username) - that name is already on today's board
+            if (isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'Daily attempt already used' });
+            }
+            throw error;
+        }
+
+        if (entryId === null) {
+            return res.status(409).json({ error: 'Run token has already been used' });
+        }
+
+        if (verification.status !== MODERATION_STATUS.APPROVED) {
+            return res.status(202).json({
+                message: 'Daily score received and held for review',
+                entry_id: entryId,
+                moderation_status: verification.status,
+                date,
+                score,
+                username
+            });
+        }
+
+        const rewards = userId
+            ? await issueGameRewards(userId, Number(score)).catch((err) => {
+                console.error('Reward issue error:', err);
+                return [];
+            })
+            : [];
+
+        const beansEarned = userId
+            ? await awardRunBeans(userId, run.runId, collectibles_collected).catch((err) => {
+                console.error('Bean award error:', err);
+                return 0;
+            })
+            : 0;
+
+        res.status(201).json({
+            message: 'Daily score submitted successfully',
+            entry_id: entryId,
+            date,
+            rank: await scores.dailyRankOf(date, score),
+            score,
+            username,
+            rewards,
+            beans_earned: beansEarned
+        });
+    } catch (error) {
+        console.error('Daily submit error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
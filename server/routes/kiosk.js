@@ -0,0 +1,61 @@
+import express from 'express';
+import { kioskOperatorRateLimit } from '../middleware/validation.js';
+import {
+    KioskError,
+    verifyKioskPin,
+    getKioskBoard,
+    resetKioskBoard,
+    exportKioskEntries
+} from '../services/kiosk.js';
+
+const router = express.Router();
+
+// Shared error handling - KioskError maps to its status code
+const handle = (action, handler) => async (req, res) => {
+    try {
+        await handler(req, res);
+    } catch (error) {
+        if (error instanceof KioskError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+
+        console.error(`Kiosk ${action} error:`, error);
+        res.status(500).json({ error: `Failed to ${action}` });
+    }
+};
+
+// Today's top 10, shown between games and in the attract loop
+router.get('/board', handle('fetch board', async (req, res) => {
+    res.json(await getKioskBoard());
+}));
+
+// Operator tools - the tablet sends the PIN typed into the operator menu
+const requireKioskPin = (req, res, next) => {
+    try {
+        verifyKioskPin(req.get('X-Kiosk-Pin'));
+        next();
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+};
+
+const operator = express.Router();
+operator.use(kioskOperatorRateLimit, requireKioskPin);
+
+operator.post('/verify', (req, res) => {
+    res.status(204).end();
+});
+
+operator.post('/reset-board', handle('reset board', async (req, res) => {
+    res.json(await resetKioskBoard());
+}));
+
+operator.get('/export', handle('export entries', async (req, res) => {
+    const { date, count, csv } = await exportKioskEntries();
+    console.log(`📤 Kiosk exported ${count} entries for ${date}`);
+    res.attachment(`birddash-entries-${date}.csv`).type('text/csv').send(csv);
+}));
+
+router.use('/operator', operator);
+
+export default router;
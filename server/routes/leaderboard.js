@@ -1,10 +1,64 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
-import { db } from '../database/init.js';
+import { body, header, query, validationResult } from 'express-validator';
+import { getRepositories } from '../repositories/index.js';
+import { timeframeStart } from '../repositories/ScoreRepository.js';
 import { verifyToken, optionalAuth } from '../middleware/auth.js';
+import {
+    issueRunToken,
+    decodeRunToken,
+    verifySubmission,
+    MODERATION_STATUS,
+    RunTokenError
+} from '../services/scoreVerification.js';
+import { validateReplay, replayUsedRevive } from '../services/replays.js';
+import { settleChallenges } from '../services/social.js';
+import { getLiveGameBalance } from '../services/content.js';
+import { issueGameRewards } from '../services/rewards.js';
+import { awardRunBeans, getRunBeans } from '../services/shop.js';
+import { recordGameAchievements } from '../services/achievements.js';
+import { isUniqueViolation } from '../database/sqlDialect.js';
 
 const router = express.Router();
 
+// A retried submission (the client's offline outbox resends until it hears
+// back) gets the entry its key already created instead of a second one
+async function respondWithExistingEntry(res, idempotencyKey, runId) {
+    const { scores } = getRepositories();
+    const entry = await scores.findByIdempotencyKey(idempotencyKey);
+    if (!entry) return false;
+
+    if (entry.run_id !== runId) {
+        res.status(422).json({ error: 'Idempotency key was already used for a different run' });
+        return true;
+    }
+
+    if (entry.moderation_status !== MODERATION_STATUS.APPROVED) {
+        res.status(202).json({
+            message: 'Score received and held for review',
+            entry_id: entry.id,
+            moderation_status: entry.moderation_status,
+            score: entry.score,
+            username: entry.username
+        });
+        return true;
+    }
+
+    const rank = await scores.rankOf(entry.score);
+    const beansEarned = entry.user_id ? await getRunBeans(entry.user_id, runId) : 0;
+    res.json({
+        message: 'Score already submitted',
+        entry_id: entry.id,
+        moderation_status: entry.moderation_status,
+        rank,
+        score: entry.score,
+        username: entry.username,
+        rewards: [],
+        achievements: [],
+        beans_earned: beansEarned
+    });
+    return true;
+}
+
 // Get leaderboard with pagination and filtering
 router.get('/', [
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -21,79 +75,50 @@ router.get('/', [
         const offset = parseInt(req.query.offset) || 0;
         const timeframe = req.query.timeframe || 'all';
 
-        let whereClause = '';
-        const params = [];
-
-        // Add time filtering
-        switch (timeframe) {
-            case 'today':
-                whereClause = 'WHERE DATE(game_date) = DATE("now")';
-                break;
-            case 'week':
-                whereClause = 'WHERE game_date >= datetime("now", "-7 days")';
-                break;
-            case 'month':
-                whereClause = 'WHERE game_date >= datetime("now", "-30 days")';
-                break;
-            default:
-                whereClause = '';
-        }
+        // Only approved entries are public - flagged runs wait for moderation
+        const { entries, total } = await getRepositories().scores.getLeaderboard({
+            limit,
+            offset,
+            since: timeframeStart(timeframe)
+        });
 
-        const query = `
-            SELECT 
-                id,
-                username,
-                score,
-                time_played,
-                collectibles_collected,
-                power_ups_collected,
-                distance_traveled,
-                max_combo,
-                game_date,
-                is_guest,
-                ROW_NUMBER() OVER (ORDER BY score DESC) as rank
-            FROM leaderboard_entries 
-            ${whereClause}
-            ORDER BY score DESC 
-            LIMIT ? OFFSET ?
-        `;
-
-        params.push(limit, offset);
-
-        db.all(query, params, (err, rows) => {
-            if (err) {
-                console.error('Database error:', err);
-                return res.status(500).json({ error: 'Failed to fetch leaderboard' });
-            }
+        res.json({
+            leaderboard: entries,
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: (offset + limit) < total
+            },
+            timeframe
+        });
+    } catch (error) {
+        console.error('Leaderboard error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            // Get total count for pagination
-            const countQuery = `SELECT COUNT(*) as total FROM leaderboard_entries ${whereClause}`;
-            db.get(countQuery, [], (err, countResult) => {
-                if (err) {
-                    console.error('Count query error:', err);
-                    return res.status(500).json({ error: 'Failed to get total count' });
-                }
+// Start a run - issues the signed token a later score submission must present
+router.post('/runs', optionalAuth, async (req, res) => {
+    try {
+        const userId = req.user?.id ?? null;
+        const { runId, token, startedAt } = issueRunToken(userId);
 
-                res.json({
-                    leaderboard: rows,
-                    pagination: {
-                        total: countResult.total,
-                        limit,
-                        offset,
-                        hasMore: (offset + limit) < countResult.total
-                    },
-                    timeframe
-                });
-            });
+        await getRepositories().scores.createRun(runId, userId, startedAt);
+
+        res.status(201).json({
+            run_token: token,
+            started_at: new Date(startedAt).toISOString()
         });
     } catch (error) {
-        console.error('Leaderboard error:', error);
+        console.error('Start run error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // Submit a new score
 router.post('/submit', [
+    body('run_token').isString().notEmpty().withMessage('Run token is required'),
     body('username').trim().isLength({ min: 1, max: 50 }).withMessage('Username must be 1-50 characters'),
     body('score').isInt({ min: 0 }).withMessage('Score must be a non-negative integer'),
     body('time_played').isInt({ min: 0 }).withMessage('Time played must be a non-negative integer'),
@@ -102,6 +127,10 @@ router.post('/submit', [
     body('distance_traveled').optional().isInt({ min: 0 }).withMessage('Distance must be non-negative'),
     body('max_combo').optional().isInt({ min: 0 }).withMessage('Max combo must be non-negative'),
     body('is_guest').optional().isBoolean().withMessage('is_guest must be boolean'),
+    body('revived').optional().isBoolean().withMessage('revived must be boolean').toBoolean(),
+    body('beans_spent').optional().isInt({ min: 0 }).withMessage('Beans spent must be non-negative'),
+    body('replay').optional().isObject().withMessage('Replay must be an object'),
+    header('Idempotency-Key').optional().matches(/^[A-Za-z0-9_-]{8,100}$/).withMessage('Invalid idempotency key'),
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -110,6 +139,8 @@ router.post('/submit', [
         }
 
         const {
+            run_token,
+            replay = null,
             username,
             score,
             time_played,
@@ -118,50 +149,163 @@ router.post('/submit', [
             distance_traveled = 0,
             max_combo = 0,
             is_guest = true,
-            user_id = null
+            revived = false,
+            beans_spent = 0
         } = req.body;
 
-        const query = `
-            INSERT INTO leaderboard_entries (
-                user_id, username, score, time_played, 
-                collectibles_collected, power_ups_collected, 
-                distance_traveled, max_combo, is_guest
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const params = [
-            user_id, username, score, time_played,
-            collectibles_collected, power_ups_collected,
-            distance_traveled, max_combo, is_guest
-        ];
-
-        db.run(query, params, function(err) {
-            if (err) {
-                console.error('Insert error:', err);
-                return res.status(500).json({ error: 'Failed to submit score' });
+        let run;
+        try {
+            run = decodeRunToken(run_token);
+        } catch (error) {
+            if (error instanceof RunTokenError) {
+                return res.status(error.statusCode).json({ error: error.message });
             }
+            throw error;
+        }
+
+        const idempotencyKey = req.get('Idempotency-Key') || null;
+        if (idempotencyKey && await respondWithExistingEntry(res, idempotencyKey, run.runId)) {
+            return;
+        }
+
+        // Check the replay before claiming the run so a bad upload doesn't burn the token
+        if (replay) {
+            const replayError = validateReplay(replay);
+            if (replayError) {
+                return res.status(400).json({ error: replayError });
+            }
+        }
+
+        // Bounds scale with the live-ops balance (event bonuses, spawn rates)
+        let balance;
+        try {
+            balance = await getLiveGameBalance();
+        } catch (error) {
+            console.error('Live balance lookup error:', error);
+        }
+
+        const verification = verifySubmission(req.body, run, Date.now(), balance);
+        const moderationReason = verification.reasons.length > 0 ? verification.reasons.join(',') : null;
+
+        if (verification.status !== MODERATION_STATUS.APPROVED) {
+            console.warn(`🚩 Score flagged for review: ${username} - ${score} (${moderationReason})`);
+        }
 
-            // Get the user's rank
-            const rankQuery = `
-                SELECT COUNT(*) + 1 as rank 
-                FROM leaderboard_entries 
-                WHERE score > ?
-            `;
-
-            db.get(rankQuery, [score], (err, rankResult) => {
-                if (err) {
-                    console.error('Rank query error:', err);
-                    return res.status(500).json({ error: 'Score submitted but failed to get rank' });
+        // A revive in the replay marks the run even if the flag was left off
+        const usedRevive = revived || replayUsedRevive(replay);
+
+        // Claiming the run (the consumed_at guard makes each token single-use)
+        // and saving the entry happen together. The entry belongs to whoever
+        // the run was issued to, never to an id in the body.
+        const { scores } = getRepositories();
+        let entryId;
+        try {
+            entryId = await scores.createEntry({
+                userId: run.userId,
+                username,
+                score,
+                timePlayed: time_played,
+                collectiblesCollected: collectibles_collected,
+                powerUpsCollected: power_ups_collected,
+                distanceTraveled: distance_traveled,
+                maxCombo: max_combo,
+                isGuest: is_guest,
+                revived: usedRevive,
+                moderationStatus: verification.status,
+                moderationReason,
+                runId: run.runId,
+                idempotencyKey
+            });
+        } catch (error) {
+            // A concurrent retry saved its entry under this key first
+            if (!idempotencyKey || !isUniqueViolation(error, 'leaderboard_entries.idempotency_key')) throw error;
+            entryId = null;
+        }
+
+        if (entryId === null) {
+            // A concurrent retry may have claimed it moments ago
+            try {
+                if (idempotencyKey && await respondWithExistingEntry(res, idempotencyKey, run.runId)) {
+                    return;
                 }
+            } catch (error) {
+                console.error('Idempotent lookup error:', error);
+            }
+            return res.status(409).json({ error: 'Run token has already been used' });
+        }
 
-                res.status(201).json({
-                    message: 'Score submitted successfully',
-                    entry_id: this.lastID,
-                    rank: rankResult.rank,
-                    score,
-                    username
-                });
+        // A failed replay upload shouldn't cost the player their score
+        if (replay) {
+            await scores.saveReplay(entryId, replay).catch((err) => {
+                console.error('Replay insert error:', err);
             });
+        }
+
+        if (verification.status !== MODERATION_STATUS.APPROVED) {
+            return res.status(202).json({
+                message: 'Score received and held for review',
+                entry_id: entryId,
+                moderation_status: verification.status,
+                score,
+                username
+            });
+        }
+
+        // Only the signed-in player the run was issued to can win friend challenges
+        if (run.userId) {
+            settleChallenges(run.userId, Number(score)).catch((err) => {
+                console.error('Challenge settlement error:', err);
+            });
+        }
+
+        // Profile stats and achievements only count verified runs, for the
+        // player the run was issued to; unlocks go back so the game can toast them
+        let achievements = [];
+        if (run.userId) {
+            try {
+                await getRepositories().users.recordGame(run.userId, {
+                    score: Number(score),
+                    timePlayed: Number(time_played)
+                });
+                achievements = await recordGameAchievements(run.userId, {
+                    score: Number(score),
+                    time_played: Number(time_played),
+                    collectibles_collected: Number(collectibles_collected),
+                    power_ups_collected: Number(power_ups_collected),
+                    distance_traveled: Number(distance_traveled),
+                    max_combo: Number(max_combo)
+                });
+            } catch (err) {
+                console.error('Achievement update error:', err);
+            }
+        }
+
+        // Vouchers go back with the response so the game can show them straight away
+        const rewards = run.userId
+            ? await issueGameRewards(run.userId, Number(score)).catch((err) => {
+                console.error('Reward issue error:', err);
+                return [];
+            })
+            : [];
+
+        // Beans go to the account the run was issued to
+        const beansEarned = run.userId
+            ? await awardRunBeans(run.userId, run.runId, collectibles_collected, beans_spent).catch((err) => {
+                console.error('Bean award error:', err);
+                return 0;
+            })
+            : 0;
+
+        res.status(201).json({
+            message: 'Score submitted successfully',
+            entry_id: entryId,
+            moderation_status: verification.status,
+            rank: await scores.rankOf(score),
+            score,
+            username,
+            rewards,
+            achievements,
+            beans_earned: beansEarned
         });
     } catch (error) {
         console.error('Submit score error:', error);
@@ -182,33 +326,12 @@ router.get('/user/:username', [
         const username = req.params.username;
         const limit = parseInt(req.query.limit) || 10;
 
-        const query = `
-            SELECT 
-                score,
-                time_played,
-                collectibles_collected,
-                power_ups_collected,
-                distance_traveled,
-                max_combo,
-                game_date,
-                (SELECT COUNT(*) + 1 FROM leaderboard_entries WHERE score > l.score) as rank
-            FROM leaderboard_entries l
-            WHERE username = ?
-            ORDER BY score DESC
-            LIMIT ?
-        `;
-
-        db.all(query, [username, limit], (err, rows) => {
-            if (err) {
-                console.error('User scores error:', err);
-                return res.status(500).json({ error: 'Failed to fetch user scores' });
-            }
+        const scores = await getRepositories().scores.getBestScores(username, limit);
 
-            res.json({
-                username,
-                scores: rows,
-                total_games: rows.length
-            });
+        res.json({
+            username,
+            scores,
+            total_games: scores.length
         });
     } catch (error) {
         console.error('User leaderboard error:', error);
@@ -219,39 +342,9 @@ router.get('/user/:username', [
 // Get leaderboard statistics
 router.get('/stats', async (req, res) => {
     try {
-        const queries = {
-            totalGames: 'SELECT COUNT(*) as count FROM leaderboard_entries',
-            totalPlayers: 'SELECT COUNT(DISTINCT username) as count FROM leaderboard_entries',
-            highestScore: 'SELECT MAX(score) as score FROM leaderboard_entries',
-            averageScore: 'SELECT AVG(score) as average FROM leaderboard_entries',
-            totalTimePlayed: 'SELECT SUM(time_played) as total FROM leaderboard_entries',
-            todayGames: 'SELECT COUNT(*) as count FROM leaderboard_entries WHERE DATE(game_date) = DATE("now")'
-        };
-
-        const results = {};
-        let completed = 0;
-        const total = Object.keys(queries).length;
-
-        Object.entries(queries).forEach(([key, query]) => {
-            db.get(query, [], (err, row) => {
-                if (err) {
-                    console.error(`Stats query error for ${key}:`, err);
-                    results[key] = null;
-                } else {
-                    results[key] = row.count !== undefined ? row.count : 
-                                   row.score !== undefined ? row.score :
-                                   row.average !== undefined ? Math.round(row.average) :
-                                   row.total !== undefined ? row.total : null;
-                }
-                
-                completed++;
-                if (completed === total) {
-                    res.json({
-                        statistics: results,
-                        generated_at: new Date().toISOString()
-                    });
-                }
-            });
+        res.json({
+            statistics: await getRepositories().scores.getStatistics(),
+            generated_at: new Date().toISOString()
         });
     } catch (error) {
         console.error('Stats error:', error);
@@ -0,0 +1,36 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import { getRepositories } from '../repositories/index.js';
+
+const router = express.Router();
+
+// Get the replay recorded for a leaderboard entry
+router.get('/:entryId', [
+    param('entryId').isInt({ min: 1 }).withMessage('Entry ID must be a positive integer'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        // Replays of entries held for review stay hidden with them
+        const replay = await getRepositories().scores.findReplay(parseInt(req.params.entryId));
+        if (!replay) {
+            return res.status(404).json({ error: 'Replay not found' });
+        }
+
+        res.json({
+            entry_id: replay.entry_id,
+            username: replay.username,
+            score: replay.score,
+            recorded_at: replay.created_at,
+            replay: replay.data
+        });
+    } catch (error) {
+        console.error('Replay error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
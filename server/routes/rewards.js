@@ -0,0 +1,43 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+import { RewardError, listVouchers, redeemVoucher } from '../services/rewards.js';
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Shared error handling - validation errors and RewardError map to 4xx
+const handle = (action, handler) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await handler(req, res);
+    } catch (error) {
+        if (error instanceof RewardError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+
+        console.error(`Rewards ${action} error:`, error);
+        res.status(500).json({ error: `Failed to ${action}` });
+    }
+};
+
+// The signed-in player's vouchers; active ones include a QR code to show at the counter
+router.get('/', handle('fetch vouchers', async (req, res) => {
+    res.json({ vouchers: await listVouchers(req.user.id) });
+}));
+
+// Caravan staff scan or type a code to hand over the reward
+router.post('/redeem', requireRole('staff', 'admin'), [
+    body('code').isString().trim().isLength({ min: 8, max: 20 }).withMessage('Voucher code is required')
+], handle('redeem voucher', async (req, res) => {
+    const voucher = await redeemVoucher(req.body.code, req.user.id);
+    console.log(`🎟️ Voucher ${voucher.code} redeemed by ${req.user.username} for ${voucher.username}`);
+    res.json({ voucher });
+}));
+
+export default router;
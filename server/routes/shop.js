@@ -0,0 +1,52 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { verifyToken } from '../middleware/auth.js';
+import { ShopError, getWallet, listLedger, purchaseItem, equipItem } from '../services/shop.js';
+import { SHOP } from '../../constants.js';
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Shared error handling - validation errors and ShopError map to 4xx
+const handle = (action, handler) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await handler(req, res);
+    } catch (error) {
+        if (error instanceof ShopError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+
+        console.error(`Shop ${action} error:`, error);
+        res.status(500).json({ error: `Failed to ${action}` });
+    }
+};
+
+const itemId = body('item_id').isString().trim().isLength({ min: 1, max: 50 }).withMessage('item_id is required');
+
+// The catalogue with the signed-in player's balance, items and loadout
+router.get('/', handle('load shop', async (req, res) => {
+    res.json({ items: SHOP.ITEMS, wallet: await getWallet(req.user.id) });
+}));
+
+// Bean transactions, newest first
+router.get('/ledger', [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], handle('load bean history', async (req, res) => {
+    res.json({ transactions: await listLedger(req.user.id, req.query.limit) });
+}));
+
+router.post('/purchase', [itemId], handle('buy item', async (req, res) => {
+    res.status(201).json({ wallet: await purchaseItem(req.user.id, req.body.item_id) });
+}));
+
+router.put('/equipped', [itemId], handle('equip item', async (req, res) => {
+    res.json({ wallet: await equipItem(req.user.id, req.body.item_id) });
+}));
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { verifyToken } from '../middleware/auth.js';
+import {
+    SocialError,
+    sendFriendRequest,
+    acceptFriendRequest,
+    declineFriendRequest,
+    getFriends,
+    getFriendRequests,
+    getFriendsLeaderboard,
+    createChallenge,
+    respondToChallenge,
+    getChallenges,
+    getNotifications,
+    markNotificationRead
+} from '../services/social.js';
+
+const router = express.Router();
+
+// Every social feature needs a signed-in player
+router.use(verifyToken);
+
+// Shared error handling - validation errors and SocialError map to 4xx
+const handle = (action, handler) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await handler(req, res);
+    } catch (error) {
+        if (error instanceof SocialError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+
+        console.error(`Social ${action} error:`, error);
+        res.status(500).json({ error: `Failed to ${action}` });
+    }
+};
+
+const usernameBody = body('username').trim().isLength({ min: 1, max: 50 }).withMessage('Username must be 1-50 characters');
+const requesterParam = param('requesterId').isInt({ min: 1 }).withMessage('Invalid requester id');
+const challengeParam = param('challengeId').isString().isLength({ min: 1, max: 100 }).withMessage('Invalid challenge id');
+
+// Friends
+router.get('/friends', handle('fetch friends', async (req, res) => {
+    const friends = await getFriends(req.user.id);
+    res.json({ friends });
+}));
+
+router.get('/friends/leaderboard', handle('fetch friends leaderboard', async (req, res) => {
+    const leaderboard = await getFriendsLeaderboard(req.user.id);
+    res.json({ leaderboard });
+}));
+
+router.get('/friends/requests', handle('fetch friend requests', async (req, res) => {
+    const requests = await getFriendRequests(req.user.id);
+    res.json({ requests });
+}));
+
+router.post('/friends/requests', [usernameBody], handle('send friend request', async (req, res) => {
+    const friend = await sendFriendRequest(req.user, req.body.username);
+    res.status(201).json({ message: 'Friend request sent', username: friend.username });
+}));
+
+router.post('/friends/requests/:requesterId/accept', [requesterParam], handle('accept friend request', async (req, res) => {
+    await acceptFriendRequest(req.user, Number(req.params.requesterId));
+    res.json({ message: 'Friend request accepted' });
+}));
+
+router.post('/friends/requests/:requesterId/decline', [requesterParam], handle('decline friend request', async (req, res) => {
+    await declineFriendRequest(req.user, Number(req.params.requesterId));
+    res.json({ message: 'Friend request declined' });
+}));
+
+// Challenges
+router.get('/challenges', handle('fetch challenges', async (req, res) => {
+    const challenges = await getChallenges(req.user.id);
+    res.json({ challenges });
+}));
+
+router.post('/challenges', [
+    usernameBody,
+    body('target_score').isInt({ min: 1 }).withMessage('Target score must be a positive integer'),
+    body('challenge_type').optional().isIn(['beat_score']).withMessage('Invalid challenge type')
+], handle('create challenge', async (req, res) => {
+    const { username, target_score, challenge_type } = req.body;
+    const challenge = await createChallenge(req.user, username, Number(target_score), challenge_type);
+
+    res.status(201).json({
+        message: 'Challenge sent',
+        challenge_id: challenge.challengeId,
+        expires_at: challenge.expiresAt
+    });
+}));
+
+router.post('/challenges/:challengeId/accept', [challengeParam], handle('accept challenge', async (req, res) => {
+    await respondToChallenge(req.user, req.params.challengeId, true);
+    res.json({ message: 'Challenge accepted' });
+}));
+
+router.post('/challenges/:challengeId/decline', [challengeParam], handle('decline challenge', async (req, res) => {
+    await respondToChallenge(req.user, req.params.challengeId, false);
+    res.json({ message: 'Challenge declined' });
+}));
+
+// Notifications
+router.get('/notifications', [
+    query('unread').optional().isBoolean().withMessage('unread must be boolean')
+], handle('fetch notifications', async (req, res) => {
+    const notifications = await getNotifications(req.user.id, req.query.unread === 'true');
+    res.json({ notifications });
+}));
+
+router.post('/notifications/:notificationId/read', [
+    param('notificationId').isInt({ min: 1 }).withMessage('Invalid notification id')
+], handle('mark notification as read', async (req, res) => {
+    await markNotificationRead(req.user.id, Number(req.params.notificationId));
+    res.json({ message: 'Notification marked as read' });
+}));
+
+export default router;
@@ -10,10 +10,22 @@ import { fileURLToPath } from 'url';
 import authRoutes from './routes/auth.js';
 import leaderboardRoutes from './routes/leaderboard.js';
 import userRoutes from './routes/users.js';
+import replayRoutes from './routes/replays.js';
+import dailyRoutes from './routes/daily.js';
+import socialRoutes from './routes/social.js';
+import contentRoutes from './routes/content.js';
+import adminRoutes from './routes/admin.js';
+import analyticsRoutes from './routes/analytics.js';
+import rewardRoutes from './routes/rewards.js';
+import kioskRoutes from './routes/kiosk.js';
+import shopRoutes from './routes/shop.js';
 
 // Import database initialization
 import { initializeEnhancedDatabase, getDatabase, databaseHealthCheck } from './database/enhanced-init.js';
 import config from './config/environment.js';
+import { startRetentionJob } from './services/analytics.js';
+import { startRewardsJob } from './services/rewards.js';
+import { getSmsProvider } from './services/sms.js';
 
 // Load environment variables
 dotenv.config();
@@ -56,7 +68,7 @@ app.use(cors({
     origin: allowedOrigins,
     credentials: true, // Required for HTTP-only cookies
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Kiosk-Pin', 'Idempotency-Key'],
     exposedHeaders: ['Set-Cookie'] // Allow frontend to see cookie headers
 }));
 
@@ -102,6 +114,15 @@ app.get('/api/csrf-token', getCSRFToken);
 app.use('/api/auth', authRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/replays', replayRoutes);
+app.use('/api/daily', dailyRoutes);
+app.use('/api/social', socialRoutes);
+app.use('/api/content', contentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/rewards', rewardRoutes);
+app.use('/api/kiosk', kioskRoutes);
+app.use('/api/shop', shopRoutes);
 
 // Enhanced health check endpoint with detailed info
 app.get('/api/health', async (req, res) => {
@@ -234,6 +255,17 @@ async function startServer() {
         const database = await initializeEnhancedDatabase();
         console.log('✅ Enhanced database system initialized successfully');
         
+        // Drop analytics events older than the retention window, daily
+        startRetentionJob(config.analytics.dataRetentionDays);
+        
+        // Issue weekly leaderboard vouchers once each week closes
+        startRewardsJob();
+        
+        // Fail fast on a misconfigured SMS_PROVIDER rather than at the first code
+        console.log(config.sms.enabled
+            ? `📱 SMS provider: ${getSmsProvider().name}`
+            : '📱 Phone verification disabled: no SMS gateway configured');
+        
         const server = app.listen(PORT, '0.0.0.0', () => {
             console.log(`🚀 BirdDash server running on port ${PORT}`);
             console.log(`🎮 Game available at: http://0.0.0.0:${PORT}`);
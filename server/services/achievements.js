@@ -0,0 +1,67 @@
+// Achievement Service
+// Evaluates the shared achievement catalog (achievements.json) when a game
+// completes. Each player has one user_achievements row per achievement they
+// have made progress on: `progress` is the counter towards the target and
+// `unlocked_at` stays NULL until it is reached.
+
+import fs from 'fs';
+import AchievementCatalog from '../../achievementCatalog.js';
+import { getRepositories } from '../repositories/index.js';
+
+const CATALOG_URL = new URL('../../achievements.json', import.meta.url);
+
+export function loadAchievementCatalog(url = CATALOG_URL) {
+    return new AchievementCatalog(JSON.parse(fs.readFileSync(url, 'utf8')));
+}
+
+export const achievementCatalog = loadAchievementCatalog();
+
+async function getRecords(userId) {
+    const rows = await getRepositories().achievements.findByUser(userId);
+    return new Map(rows.map(row => [row.achievement_id, {
+        progress: row.progress || 0,
+        unlocked: row.unlocked_at !== null,
+        unlockedAt: row.unlocked_at
+    }]));
+}
+
+// Client-facing shape of an achievement definition
+function summarize(achievement) {
+    const { id, name, description, icon, condition } = achievement;
+    return { id, name, description, icon, scope: condition.scope, target: condition.target };
+}
+
+// Apply a finished run to a player's progress; returns the achievements it unlocked
+export async function recordGameAchievements(userId, runStats, catalog = achievementCatalog) {
+    const changes = catalog.evaluate(runStats, await getRecords(userId));
+
+    const { achievements } = getRepositories();
+    for (const { achievement, progress, unlocked } of changes) {
+        await achievements.saveProgress(userId, achievement.id, progress, unlocked);
+    }
+
+    const unlocked = changes.filter(change => change.unlocked).map(change => summarize(change.achievement));
+    unlocked.forEach(achievement => console.log(`🏆 User ${userId} unlocked achievement: ${achievement.name}`));
+    return unlocked;
+}
+
+// Every catalog achievement with the player's progress, unlocked ones first
+export async function getUserAchievements(userId, catalog = achievementCatalog) {
+    const records = await getRecords(userId);
+
+    const achievements = catalog.achievements.map(achievement => {
+        const record = records.get(achievement.id);
+        const unlocked = Boolean(record?.unlocked);
+        const progress = record?.progress || 0;
+        return {
+            ...summarize(achievement),
+            unlocked,
+            unlocked_at: unlocked ? record.unlockedAt : null,
+            progress: unlocked ? achievement.condition.target : progress,
+            progress_percent: unlocked ? 100 : catalog.getProgressPercent(achievement, progress)
+        };
+    });
+
+    // Stable sort keeps catalog order within each group
+    return achievements.sort((a, b) => Number(b.unlocked) - Number(a.unlocked));
+}
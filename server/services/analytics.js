@@ -0,0 +1,361 @@
+// Analytics Service
+// Ingests batches of client analytics events, enforces retention and builds
+// the aggregate reports staff read through /api/analytics/reports.
+// Events are checked against a schema so reports only ever see known types
+// and fields - anything the schema doesn't list is dropped before storage.
+
+import config from '../config/environment.js';
+import { runAsync, getAsync, allAsync } from '../database/init.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Client clocks drift; events stamped further ahead than this are refused
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Serialized eventData larger than this is refused
+const MAX_EVENT_DATA_BYTES = 4096;
+
+const MAX_STRING_LENGTH = 2000;
+
+// Every event type the client sends, with the data fields reports may rely on
+export const EVENT_SCHEMA = {
+    session_start: { deviceInfo: 'object', referrer: 'string', url: 'string' },
+    session_end: { duration: 'number', eventsCount: 'number', performanceMetrics: 'object' },
+    game_start: { gameMode: 'string', userLevel: 'number', tutorialCompleted: 'boolean' },
+    game_end: {
+        finalScore: 'number',
+        survivalTime: 'number',
+        collectiblesGathered: 'number',
+        maxCombo: 'number',
+        powerUpsUsed: 'number',
+        distanceTraveled: 'number',
+        reason: 'string',
+        achievements: 'array'
+    },
+    game_pause: { gameTime: 'number' },
+    game_resume: { gameTime: 'number' },
+    collectible_gathered: { type: 'string', points: 'number', currentScore: 'number', comboCount: 'number' },
+    powerup_used: { type: 'string', duration: 'number', currentScore: 'number' },
+    obstacle_hit: { type: 'string', playerPosition: 'object', gameSpeed: 'number', shieldActive: 'boolean' },
+    level_up: { newLevel: 'number', oldLevel: 'number', score: 'number', bonus: 'number' },
+    achievement_unlocked: {
+        achievementId: 'string',
+        achievementName: 'string',
+        category: 'string',
+        difficulty: 'string',
+        currentScore: 'number'
+    },
+    tutorial_start: { isFirstTime: 'boolean' },
+    tutorial_complete: { completionTime: 'number' },
+    tutorial_skip: { skipTime: 'number' },
+    score_share: { score: 'number', platform: 'string', method: 'string' },
+    orientation_change: { newOrientation: 'string', screenWidth: 'number', screenHeight: 'number' },
+    touch_gesture: { gestureType: 'string', duration: 'number', distance: 'number', force: 'number' },
+    performance_issue: { type: 'string', severity: 'string', fps: 'number', usagePercent: 'number' },
+    error_occurred: {
+        type: 'string',
+        message: 'string',
+        filename: 'string',
+        lineno: 'number',
+        colno: 'number',
+        stack: 'string',
+        reason: 'string',
+        errorCount: 'number'
+    },
+    consent_changed: { consent: 'boolean' },
+    content_event_activated: { eventId: 'string', eventName: 'string', eventType: 'string' },
+    content_engagement: { activeEvents: 'array', gameScore: 'number', sessionDuration: 'number' },
+    social_friend_request_sent: { friendUsername: 'string' },
+    social_friend_request_accepted: { friendId: 'number' },
+    social_friend_request_declined: { friendId: 'number' },
+    social_challenge_created: { targetScore: 'number' },
+    social_challenge_accepted: { challengeId: 'string' },
+    social_challenge_declined: { challengeId: 'string' }
+};
+
+// Steps a session has to pass through in order to count toward the next one
+export const FUNNEL_STEPS = ['session_start', 'game_start', 'game_end'];
+
+// Days after a player's first visit that retention is measured on
+export const RETENTION_DAYS = [1, 7, 30];
+
+export const REPORTS = ['funnel', 'retention', 'power-ups'];
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value);
+        case 'number':
+            return Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+// Returns { event } with the normalized row to store, or { error }
+export function validateEvent(event, now = Date.now()) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        return { error: 'Event must be an object' };
+    }
+
+    const { sessionId, eventType, timestamp } = event;
+
+    if (typeof sessionId !== 'string' || !/^[A-Za-z0-9_-]{1,100}$/.test(sessionId)) {
+        return { error: 'sessionId must be 1-100 letters, numbers, _ or -' };
+    }
+
+    const schema = EVENT_SCHEMA[eventType];
+    if (!schema) {
+        return { error: `Unknown event type: ${String(eventType).slice(0, 50)}` };
+    }
+
+    const time = new Date(timestamp).getTime();
+    if (typeof timestamp !== 'string' || Number.isNaN(time)) {
+        return { error: 'timestamp must be an ISO date' };
+    }
+    if (time > now + MAX_CLOCK_SKEW_MS) {
+        return { error: 'timestamp is in the future' };
+    }
+    if (time < now - config.analytics.dataRetentionDays * DAY_MS) {
+        return { error: 'timestamp is older than the retention period' };
+    }
+
+    // The client sends eventData pre-serialized; accept either form
+    let data = event.eventData ?? {};
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            return { error: 'eventData must be valid JSON' };
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { error: 'eventData must be an object' };
+    }
+
+    const clean = {};
+    for (const [field, type] of Object.entries(schema)) {
+        const value = data[field];
+        if (value === undefined || value === null) continue;
+
+        if (!matchesType(value, type)) {
+            return { error: `${eventType}.${field} must be ${type === 'array' ? 'an' : 'a'} ${type}` };
+        }
+        clean[field] = type === 'string' ? value.slice(0, MAX_STRING_LENGTH) : value;
+    }
+
+    const eventData = JSON.stringify(clean);
+    if (Buffer.byteLength(eventData) > MAX_EVENT_DATA_BYTES) {
+        return { error: `eventData must be under ${MAX_EVENT_DATA_BYTES} bytes` };
+    }
+
+    return {
+        event: {
+            sessionId,
+            eventType,
+            eventData,
+            timestamp: new Date(time).toISOString(),
+            userAgent: typeof event.userAgent === 'string' ? event.userAgent.slice(0, 500) : null
+        }
+    };
+}
+
+// Validate a batch and store the usable events in one statement.
+// The user comes from the auth cookie - client-supplied user ids are ignored.
+export async function ingestBatch(events, userId = null, now = Date.now()) {
+    const accepted = [];
+    const rejected = [];
+
+    events.forEach((event, index) => {
+        const result = validateEvent(event, now);
+        if (result.error) {
+            rejected.push({ index, error: result.error });
+        } else {
+            accepted.push(result.event);
+        }
+    });
+
+    if (accepted.length > 0) {
+        const placeholders = accepted.map(() => '(?, ?, ?, ?, ?, ?)').join(', ');
+        const params = accepted.flatMap(event => [
+            userId,
+            event.sessionId,
+            event.eventType,
+            event.eventData,
+            event.timestamp,
+            event.userAgent
+        ]);
+
+        await runAsync(`
+            INSERT INTO analytics_events (user_id, session_id, event_type, event_data, timestamp, user_agent)
+            VALUES ${placeholders}
+        `, params);
+    }
+
+    return { accepted: accepted.length, rejected };
+}
+
+// Retention
+
+export async function purgeExpiredEvents(retentionDays = config.analytics.dataRetentionDays, now = Date.now()) {
+    const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+    const result = await runAsync('DELETE FROM analytics_events WHERE timestamp < ?', [cutoff]);
+    return result.changes;
+}
+
+// Purge once at startup and then daily; the timer never keeps the process alive
+export function startRetentionJob(retentionDays = config.analytics.dataRetentionDays) {
+    const purge = async () => {
+        try {
+            const removed = await purgeExpiredEvents(retentionDays);
+            if (removed > 0) {
+                console.log(`🗑️ Purged ${removed} analytics events older than ${retentionDays} days`);
+            }
+        } catch (error) {
+            console.error('❌ Analytics retention job failed:', error);
+        }
+    };
+
+    purge();
+    const timer = setInterval(purge, DAY_MS);
+    timer.unref();
+    return timer;
+}
+
+// Reports
+
+function periodStart(days, now) {
+    return new Date(now - days * DAY_MS).toISOString();
+}
+
+// Sessions reaching each step, counting a step only if every earlier step happened too
+export async function getFunnelReport(days = 7, now = Date.now()) {
+    const flags = FUNNEL_STEPS.map((step, i) => `MAX(CASE WHEN event_type = '${step}' THEN 1 ELSE 0 END) AS step_${i}`).join(', ');
+    const reached = FUNNEL_STEPS.map((step, i) =>
+        `SUM(${FUNNEL_STEPS.slice(0, i + 1).map((_, j) => `step_${j}`).join(' * ')}) AS reached_${i}`
+    ).join(', ');
+
+    const row = await getAsync(`
+        SELECT ${reached}
+        FROM (
+            SELECT ${flags}
+            FROM analytics_events
+            WHERE timestamp >= ? AND event_type IN (${FUNNEL_STEPS.map(() => '?').join(', ')})
+            GROUP BY session_id
+        ) AS sessions
+    `, [periodStart(days, now), ...FUNNEL_STEPS]);
+
+    const first = row.reached_0 || 0;
+    const steps = FUNNEL_STEPS.map((step, i) => {
+        const sessions = row[`reached_${i}`] || 0;
+        const previous = i === 0 ? sessions : row[`reached_${i - 1}`] || 0;
+        return {
+            step,
+            sessions,
+            step_conversion: previous > 0 ? sessions / previous : 0,
+            overall_conversion: first > 0 ? sessions / first : 0
+        };
+    });
+
+    return { days, steps };
+}
+
+// Signed-in (and guest account) players grouped by the UTC day of their first
+// event. Rates for days that haven't happened yet are null.
+export async function getRetentionReport(days = 30, now = Date.now()) {
+    const rows = await allAsync(`
+        SELECT user_id, SUBSTR(CAST(timestamp AS TEXT), 1, 10) AS day
+        FROM analytics_events
+        WHERE user_id IS NOT NULL
+        GROUP BY user_id, day
+    `);
+
+    const activeDays = new Map();
+    for (const { user_id: userId, day } of rows) {
+        if (!activeDays.has(userId)) activeDays.set(userId, new Set());
+        activeDays.get(userId).add(day);
+    }
+
+    const today = new Date(now).toISOString().slice(0, 10);
+    const firstCohort = periodStart(days, now).slice(0, 10);
+    const addDays = (date, n) => new Date(Date.parse(`${date}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+
+    const cohorts = new Map();
+    for (const playerDays of activeDays.values()) {
+        const firstDay = [...playerDays].sort()[0];
+        if (firstDay < firstCohort) continue;
+
+        if (!cohorts.has(firstDay)) {
+            cohorts.set(firstDay, { users: 0, retained: Object.fromEntries(RETENTION_DAYS.map(n => [n, 0])) });
+        }
+
+        const cohort = cohorts.get(firstDay);
+        cohort.users++;
+        for (const n of RETENTION_DAYS) {
+            if (playerDays.has(addDays(firstDay, n))) cohort.retained[n]++;
+        }
+    }
+
+    return {
+        days,
+        retention_days: RETENTION_DAYS,
+        cohorts: [...cohorts.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, cohort]) => ({
+                date,
+                users: cohort.users,
+                retention: Object.fromEntries(RETENTION_DAYS.map(n => [
+                    `day_${n}`,
+                    addDays(date, n) > today ? null : cohort.retained[n] / cohort.users
+                ]))
+            }))
+    };
+}
+
+export async function getPowerUpReport(days = 7, now = Date.now()) {
+    const since = periodStart(days, now);
+
+    const [usage, games] = await Promise.all([
+        allAsync(`
+            SELECT json_extract(event_data, '$.type') AS type,
+                   COUNT(*) AS uses,
+                   COUNT(DISTINCT session_id) AS sessions,
+                   AVG(CAST(json_extract(event_data, '$.duration') AS REAL)) AS avg_duration
+            FROM analytics_events
+            WHERE event_type = 'powerup_used' AND timestamp >= ?
+            GROUP BY type
+            ORDER BY uses DESC
+        `, [since]),
+        getAsync(`
+            SELECT COUNT(*) AS count FROM analytics_events
+            WHERE event_type = 'game_start' AND timestamp >= ?
+        `, [since])
+    ]);
+
+    return {
+        days,
+        games: games.count,
+        power_ups: usage.map(row => ({
+            type: row.type || 'unknown',
+            uses: row.uses,
+            sessions: row.sessions,
+            avg_duration: row.avg_duration,
+            uses_per_game: games.count > 0 ? row.uses / games.count : null
+        }))
+    };
+}
+
+export async function getReport(report, days, now = Date.now()) {
+    switch (report) {
+        case 'funnel':
+            return await getFunnelReport(days, now);
+        case 'retention':
+            return await getRetentionReport(days, now);
+        case 'power-ups':
+            return await getPowerUpReport(days, now);
+        default:
+            throw new Error(`Unknown report: ${report}`);
+    }
+}
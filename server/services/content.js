@@ -0,0 +1,313 @@
+// Content Service
+// Live-ops events and config stored on the server. Event state is derived from
+// the schedule at read time, so launching or ending an event needs no deploy
+// and no background job - just a row with the right dates.
+
+import { runAsync, getAsync, allAsync } from '../database/init.js';
+import { isUniqueViolation } from '../database/sqlDialect.js';
+import { LIVE_OPS } from '../../constants.js';
+import { validateRewardRules } from './rewards.js';
+
+export const EVENT_TYPES = [
+    'seasonal_event',
+    'weekly_special',
+    'weekend_bonus',
+    'holiday_theme',
+    'limited_time_offer',
+    'community_event'
+];
+
+export const EVENT_STATE = {
+    ACTIVE: 'active',
+    SCHEDULED: 'scheduled',
+    ENDED: 'ended',
+    DISABLED: 'disabled'
+};
+
+export const THEMES = LIVE_OPS.THEMES;
+
+// The only dynamic_config keys players see. Everything else - reward rules,
+// kiosk settings and whatever admins add later - stays server-side.
+export const PUBLIC_CONFIG_KEYS = ['game_balance', 'theme'];
+
+export class ContentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ContentError';
+        this.statusCode = statusCode;
+    }
+}
+
+function parseJson(value, fallback) {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function formatEvent(row, now) {
+    const event = {
+        ...row,
+        enabled: !!row.enabled,
+        days_of_week: parseJson(row.days_of_week, null),
+        configuration: parseJson(row.configuration, {}),
+        rewards: parseJson(row.rewards, {})
+    };
+    event.state = getEventState(event, now);
+    return event;
+}
+
+// Where an event sits in its schedule. Weekly specials are only active on
+// their listed UTC weekdays and count as scheduled on the others.
+export function getEventState(event, now = new Date()) {
+    if (!event.enabled) return EVENT_STATE.DISABLED;
+    if (event.end_date && new Date(event.end_date) <= now) return EVENT_STATE.ENDED;
+    if (event.start_date && new Date(event.start_date) > now) return EVENT_STATE.SCHEDULED;
+    if (Array.isArray(event.days_of_week) && !event.days_of_week.includes(now.getUTCDay())) {
+        return EVENT_STATE.SCHEDULED;
+    }
+    return EVENT_STATE.ACTIVE;
+}
+
+// Returns an error message for an out-of-range game_balance, or null
+export function validateGameBalance(balance) {
+    if (!balance || typeof balance !== 'object' || Array.isArray(balance)) {
+        return 'game_balance must be an object';
+    }
+
+    for (const [key, value] of Object.entries(balance)) {
+        const limits = LIVE_OPS.BALANCE_LIMITS[key];
+        if (!limits) {
+            return `Unknown game_balance setting: ${key}`;
+        }
+        if (typeof value !== 'number' || value < limits[0] || value > limits[1]) {
+            return `${key} must be a number between ${limits[0]} and ${limits[1]}`;
+        }
+    }
+
+    return null;
+}
+
+// Returns an error message for an unusable event payload, or null
+export function validateEvent(event) {
+    if (!EVENT_TYPES.includes(event.type)) {
+        return `type must be one of: ${EVENT_TYPES.join(', ')}`;
+    }
+
+    const start = event.start_date ? new Date(event.start_date) : null;
+    const end = event.end_date ? new Date(event.end_date) : null;
+    if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+        return 'start_date and end_date must be ISO dates';
+    }
+    if (start && end && end <= start) {
+        return 'end_date must be after start_date';
+    }
+
+    if (event.days_of_week != null) {
+        const days = event.days_of_week;
+        if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            return 'days_of_week must be a non-empty array of weekdays 0-6 (0 = Sunday, UTC)';
+        }
+    }
+
+    const configuration = event.configuration;
+    if (configuration !== undefined) {
+        if (!configuration || typeof configuration !== 'object' || Array.isArray(configuration)) {
+            return 'configuration must be an object';
+        }
+        if (configuration.bonusMultiplier !== undefined) {
+            const bonus = configuration.bonusMultiplier;
+            if (typeof bonus !== 'number' || bonus < 1 || bonus > LIVE_OPS.MAX_EVENT_BONUS_MULTIPLIER) {
+                return `bonusMultiplier must be between 1 and ${LIVE_OPS.MAX_EVENT_BONUS_MULTIPLIER}`;
+            }
+        }
+        if (configuration.theme !== undefined && !THEMES.includes(configuration.theme)) {
+            return `theme must be one of: ${THEMES.join(', ')}`;
+        }
+    }
+
+    if (event.rewards !== undefined && (!event.rewards || typeof event.rewards !== 'object' || Array.isArray(event.rewards))) {
+        return 'rewards must be an object';
+    }
+
+    return null;
+}
+
+// Events
+
+export async function listEvents(now = new Date()) {
+    const rows = await allAsync('SELECT * FROM content_events ORDER BY priority DESC, start_date ASC, event_id ASC');
+    return rows.map(row => formatEvent(row, now));
+}
+
+export async function getEvent(eventId, now = new Date()) {
+    const row = await getAsync('SELECT * FROM content_events WHERE event_id = ?', [eventId]);
+    if (!row) {
+        throw new ContentError('Event not found', 404);
+    }
+    return formatEvent(row, now);
+}
+
+export async function createEvent(event, userId) {
+    const error = validateEvent(event);
+    if (error) {
+        throw new ContentError(error);
+    }
+
+    try {
+        await runAsync(`
+            INSERT INTO content_events
+            (event_id, name, description, type, enabled, priority, start_date, end_date, days_of_week, configuration, rewards, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            event.event_id,
+            event.name,
+            event.description || null,
+            event.type,
+            event.enabled !== false,
+            event.priority ?? 1,
+            event.start_date ? new Date(event.start_date).toISOString() : null,
+            event.end_date ? new Date(event.end_date).toISOString() : null,
+            event.days_of_week ? JSON.stringify(event.days_of_week) : null,
+            JSON.stringify(event.configuration || {}),
+            JSON.stringify(event.rewards || {}),
+            userId
+        ]);
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            throw new ContentError('An event with this event_id already exists', 409);
+        }
+        throw err;
+    }
+
+    return await getEvent(event.event_id);
+}
+
+const UPDATABLE_EVENT_FIELDS = [
+    'name', 'description', 'type', 'enabled', 'priority',
+    'start_date', 'end_date', 'days_of_week', 'configuration', 'rewards'
+];
+
+export async function updateEvent(eventId, changes) {
+    const existing = await getEvent(eventId);
+
+    // Validate the merged event so date ordering is checked against stored values
+    const merged = { ...existing, ...changes };
+    const error = validateEvent(merged);
+    if (error) {
+        throw new ContentError(error);
+    }
+
+    const fields = UPDATABLE_EVENT_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+        return existing;
+    }
+
+    const values = fields.map(field => {
+        const value = changes[field];
+        switch (field) {
+            case 'enabled':
+                return Boolean(value);
+            case 'start_date':
+            case 'end_date':
+                return value ? new Date(value).toISOString() : null;
+            case 'days_of_week':
+                return value ? JSON.stringify(value) : null;
+            case 'configuration':
+            case 'rewards':
+                return JSON.stringify(value);
+            default:
+                return value;
+        }
+    });
+
+    const assignments = fields.map(field => `${field} = ?`).join(', ');
+    await runAsync(
+        `UPDATE content_events SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE event_id = ?`,
+        [...values, eventId]
+    );
+
+    return await getEvent(eventId);
+}
+
+export async function deleteEvent(eventId) {
+    const result = await runAsync('DELETE FROM content_events WHERE event_id = ?', [eventId]);
+    if (result.changes === 0) {
+        throw new ContentError('Event not found', 404);
+    }
+}
+
+// Config
+
+export async function listConfig() {
+    const rows = await allAsync('SELECT config_key, config_value, description, category, updated_at FROM dynamic_config ORDER BY config_key');
+    return rows.map(row => ({ ...row, config_value: parseJson(row.config_value, null) }));
+}
+
+export async function setConfig(key, value, { description, category } = {}, userId = null) {
+    if (key === 'game_balance' || key === 'reward_rules') {
+        const error = key === 'game_balance' ? validateGameBalance(value) : validateRewardRules(value);
+        if (error) {
+            throw new ContentError(error);
+        }
+    } else if (value === undefined) {
+        throw new ContentError('value is required');
+    }
+
+    await runAsync(`
+        INSERT INTO dynamic_config (config_key, config_value, description, category, updated_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(config_key) DO UPDATE SET
+            config_value = excluded.config_value,
+            description = COALESCE(excluded.description, dynamic_config.description),
+            category = COALESCE(excluded.category, dynamic_config.category),
+            updated_by = excluded.updated_by,
+            updated_at = CURRENT_TIMESTAMP
+    `, [key, JSON.stringify(value), description || null, category || null, userId]);
+
+    const row = await getAsync('SELECT config_key, config_value, description, category, updated_at FROM dynamic_config WHERE config_key = ?', [key]);
+    return { ...row, config_value: parseJson(row.config_value, null) };
+}
+
+// Public view
+
+// The balance a run plays under: configured game_balance with the strongest
+// active event bonus folded into the score multiplier (bonuses don't stack)
+export function resolveGameBalance(config, events) {
+    const balance = { ...LIVE_OPS.DEFAULT_BALANCE, ...(config.game_balance || {}) };
+    const eventBonus = Math.max(1, ...events.map(event => event.configuration.bonusMultiplier || 1));
+
+    return {
+        ...balance,
+        scoreMultiplier: balance.scoreMultiplier * eventBonus
+    };
+}
+
+export async function getActiveContent(now = new Date()) {
+    const [events, configRows] = await Promise.all([listEvents(now), listConfig()]);
+
+    const config = Object.fromEntries(configRows.map(row => [row.config_key, row.config_value]));
+    const publicConfig = Object.fromEntries(
+        Object.entries(config).filter(([key]) => PUBLIC_CONFIG_KEYS.includes(key))
+    );
+    const activeEvents = events.filter(event => event.state === EVENT_STATE.ACTIVE);
+    const upcomingEvents = events.filter(event => event.state === EVENT_STATE.SCHEDULED);
+
+    // Players only need what affects the game - keep admin metadata private
+    const publicEvent = ({ event_id, name, description, type, priority, start_date, end_date, days_of_week, configuration, rewards }) =>
+        ({ event_id, name, description, type, priority, start_date, end_date, days_of_week, configuration, rewards });
+
+    return {
+        events: activeEvents.map(publicEvent),
+        upcoming: upcomingEvents.map(publicEvent),
+        config: publicConfig,
+        game_balance: resolveGameBalance(config, activeEvents),
+        generated_at: now.toISOString()
+    };
+}
+
+export async function getLiveGameBalance(now = new Date()) {
+    const content = await getActiveContent(now);
+    return content.game_balance;
+}
@@ -0,0 +1,16 @@
+// CSV exports for staff, opened straight in a spreadsheet
+
+// Spreadsheets run cells starting with these as formulas; plain numbers
+// such as +447700900123 are safe as they are
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows are arrays of cell values, the header row first
+export function toCsv(rows) {
+    return `${rows.map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+}
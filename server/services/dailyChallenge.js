@@ -0,0 +1,29 @@
+// Daily Dash Service
+// Everyone plays the same seed each UTC day; dates are YYYY-MM-DD strings
+
+import SeededRandom from '../../seededRandom.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getUtcDate(timestamp = Date.now()) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+export function getPreviousDate(date) {
+    return getUtcDate(Date.parse(`${date}T00:00:00Z`) - DAY_MS);
+}
+
+// Strict YYYY-MM-DD check that also rejects impossible dates like 2025-02-30
+export function isValidChallengeDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+
+    const timestamp = Date.parse(`${date}T00:00:00Z`);
+    return !Number.isNaN(timestamp) && getUtcDate(timestamp) === date;
+}
+
+// Same seed for every player on a given day
+export function getDailySeed(date) {
+    return SeededRandom.hashString(`daily-dash:${date}`);
+}
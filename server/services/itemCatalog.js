@@ -0,0 +1,14 @@
+// Item Catalog Service
+// Loads items.json once at startup. An invalid catalog throws here so the
+// server refuses to start rather than verifying scores against bad data.
+
+import fs from 'fs';
+import ItemCatalog from '../../itemCatalog.js';
+
+const CATALOG_URL = new URL('../../items.json', import.meta.url);
+
+export function loadItemCatalog(url = CATALOG_URL) {
+    return new ItemCatalog(JSON.parse(fs.readFileSync(url, 'utf8')));
+}
+
+export const itemCatalog = loadItemCatalog();
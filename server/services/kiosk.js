@@ -0,0 +1,96 @@
+// Kiosk Service
+// The shared tablet at the caravan shows a "today's top 10" board between
+// games. The stall operator, unlocked with KIOSK_PIN, can restart that board
+// for a new event session and export the day's entries with the mobile
+// numbers players verified.
+
+import crypto from 'crypto';
+import config from '../config/environment.js';
+import { getAsync as get, allAsync as all } from '../database/init.js';
+import { setConfig } from './content.js';
+import { toCsv } from './csv.js';
+import { getUtcDate } from './dailyChallenge.js';
+import { MODERATION_STATUS } from './scoreVerification.js';
+import { KIOSK } from '../../constants.js';
+
+const RESET_CONFIG_KEY = 'kiosk_board_reset_at';
+
+export class KioskError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'KioskError';
+        this.statusCode = statusCode;
+    }
+}
+
+export function verifyKioskPin(pin) {
+    if (!config.kiosk.pin) {
+        throw new KioskError('Kiosk operator menu is not configured', 503);
+    }
+
+    // Compare digests so the check takes the same time whatever the PIN length
+    const digest = (value) => crypto.createHash('sha256').update(String(value || '')).digest();
+    if (!crypto.timingSafeEqual(digest(pin), digest(config.kiosk.pin))) {
+        throw new KioskError('Incorrect PIN', 401);
+    }
+}
+
+// The board counts from the later of midnight UTC and the operator's last reset
+async function getBoardStart(now) {
+    const dayStart = new Date(`${getUtcDate(now.getTime())}T00:00:00Z`);
+    const row = await get('SELECT config_value FROM dynamic_config WHERE config_key = ?', [RESET_CONFIG_KEY]);
+    const resetAt = row ? new Date(JSON.parse(row.config_value)) : null;
+
+    return resetAt && resetAt > dayStart && resetAt <= now ? resetAt : dayStart;
+}
+
+export async function getKioskBoard(now = new Date()) {
+    const since = await getBoardStart(now);
+    const rows = await all(`
+        SELECT username, score, game_date
+        FROM leaderboard_entries
+        WHERE moderation_status = ? AND game_date >= datetime(?) AND game_date <= datetime(?)
+        ORDER BY score DESC, game_date ASC
+        LIMIT ?
+    `, [MODERATION_STATUS.APPROVED, since.toISOString(), now.toISOString(), KIOSK.BOARD_SIZE]);
+
+    return {
+        since: since.toISOString(),
+        leaderboard: rows.map((row, index) => ({ rank: index + 1, ...row }))
+    };
+}
+
+// Entries already played stay on the main leaderboards and in the export
+export async function resetKioskBoard(now = new Date()) {
+    await setConfig(RESET_CONFIG_KEY, now.toISOString(), {
+        description: 'When the kiosk operator last restarted the top 10 board',
+        category: 'kiosk'
+    });
+    console.log(`🧹 Kiosk board reset at ${now.toISOString()}`);
+    return { since: now.toISOString() };
+}
+
+// Every approved entry of the UTC day as CSV. The phone number comes from the
+// account that started the run, never from what the client submitted, and only
+// when that player opted in to marketing texts (see privacy.js).
+export async function exportKioskEntries(now = new Date()) {
+    const date = getUtcDate(now.getTime());
+    const rows = await all(`
+        SELECT l.username, l.score, l.game_date,
+            CASE WHEN u.marketing_consent = TRUE AND u.phone_verified_at IS NOT NULL THEN u.phone END AS phone
+        FROM leaderboard_entries l
+        LEFT JOIN game_runs r ON r.run_id = l.run_id
+        LEFT JOIN users u ON u.id = r.user_id
+        WHERE l.moderation_status = ? AND l.game_date >= datetime(?) AND l.game_date < datetime(?, '+1 day')
+        ORDER BY l.score DESC, l.game_date ASC
+    `, [MODERATION_STATUS.APPROVED, date, date]);
+
+    return {
+        date,
+        count: rows.length,
+        csv: toCsv([
+            ['rank', 'username', 'score', 'played_at', 'phone'],
+            ...rows.map((row, index) => [index + 1, row.username, row.score, row.game_date, row.phone])
+        ])
+    };
+}
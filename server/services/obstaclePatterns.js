@@ -0,0 +1,15 @@
+// Obstacle Pattern Service
+// Loads obstaclePatterns.json once at startup and checks its items against the
+// item catalog. Chunk collectibles count towards score verification bounds.
+
+import fs from 'fs';
+import PatternLibrary from '../../obstaclePatterns.js';
+import { itemCatalog } from './itemCatalog.js';
+
+const PATTERNS_URL = new URL('../../obstaclePatterns.json', import.meta.url);
+
+export function loadPatternLibrary(url = PATTERNS_URL) {
+    return new PatternLibrary(JSON.parse(fs.readFileSync(url, 'utf8')), itemCatalog);
+}
+
+export const patternLibrary = loadPatternLibrary();
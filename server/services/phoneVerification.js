@@ -0,0 +1,183 @@
+// Phone Verification Service
+// One-time SMS codes that prove a player owns a mobile number. Numbers are
+// stored in E.164 form so the same phone typed two ways is one identity, and
+// a verified number belongs to exactly one user (users.phone is unique).
+
+import crypto from 'crypto';
+import InputSanitizer from '../../inputSanitizer.js';
+import config from '../config/environment.js';
+import { runAsync as run, getAsync as get } from '../database/init.js';
+import { isUniqueViolation } from '../database/sqlDialect.js';
+import { getSmsProvider } from './sms.js';
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 10 * 60 * 1000;    // 10 minutes
+const RESEND_COOLDOWN_MS = 60 * 1000;  // 1 minute between codes to one number
+const SEND_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const MAX_SENDS_PER_WINDOW = 5;
+const MAX_ATTEMPTS = 5;                // Wrong guesses before a code is burnt
+
+export class PhoneVerificationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PhoneVerificationError';
+        this.statusCode = statusCode;
+    }
+}
+
+export function normalizePhone(phone) {
+    const normalized = InputSanitizer.normalizePhoneE164(phone, config.sms.defaultCountryCode);
+    if (!normalized) {
+        throw new PhoneVerificationError(
+            config.sms.defaultCountryCode
+                ? 'Please enter a valid mobile number'
+                : 'Please enter a valid mobile number including the country code, e.g. +44 7700 900123'
+        );
+    }
+    return normalized;
+}
+
+// Codes are short, so the hash is keyed - a leaked table alone doesn't reveal them
+function hashCode(phone, code) {
+    return crypto
+        .createHmac('sha256', config.security.jwtSecret)
+        .update(`${phone}:${code}`)
+        .digest('hex');
+}
+
+// Text a fresh code to the number. Any earlier unused code for it stops working.
+export async function startPhoneVerification(phone, now = new Date()) {
+    if (!config.sms.enabled) {
+        throw new PhoneVerificationError('Phone verification is not available', 503);
+    }
+
+    const normalized = normalizePhone(phone);
+
+    const recent = await get(`
+        SELECT COUNT(*) AS sends, MAX(created_at) AS last_sent
+        FROM phone_verifications
+        WHERE phone = ? AND created_at > ?
+    `, [normalized, new Date(now.getTime() - SEND_WINDOW_MS).toISOString()]);
+
+    if (recent.last_sent && now - new Date(recent.last_sent) < RESEND_COOLDOWN_MS) {
+        throw new PhoneVerificationError('Please wait a minute before requesting another code', 429);
+    }
+    if (recent.sends >= MAX_SENDS_PER_WINDOW) {
+        throw new PhoneVerificationError('Too many codes requested for this number, please try again later', 429);
+    }
+
+    const code = String(crypto.randomInt(10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+    const expiresAt = new Date(now.getTime() + CODE_TTL_MS);
+
+    const { lastID } = await run(`
+        INSERT INTO phone_verifications (phone, code_hash, created_at, expires_at)
+        VALUES (?, ?, ?, ?)
+        RETURNING id
+    `, [normalized, hashCode(normalized, code), now.toISOString(), expiresAt.toISOString()]);
+
+    try {
+        await getSmsProvider().send(normalized, `Your BirdDash code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`);
+    } catch (error) {
+        // Don't let an undelivered code count against the player's limits
+        await run('DELETE FROM phone_verifications WHERE id = ?', [lastID]);
+        console.error('❌ SMS delivery failed:', error);
+        throw new PhoneVerificationError('Could not send a code to that number', 502);
+    }
+
+    return { phone: normalized, expires_at: expiresAt.toISOString() };
+}
+
+// Check a code against the latest one sent to the number; returns the E.164 number
+export async function confirmPhoneVerification(phone, code, now = new Date()) {
+    const normalized = normalizePhone(phone);
+
+    const verification = await get(`
+        SELECT * FROM phone_verifications
+        WHERE phone = ?
+        ORDER BY id DESC
+        LIMIT 1
+    `, [normalized]);
+
+    if (!verification || verification.verified_at) {
+        throw new PhoneVerificationError('No code has been sent to this number', 404);
+    }
+    if (new Date(verification.expires_at) <= now) {
+        throw new PhoneVerificationError('This code has expired, please request a new one', 410);
+    }
+    if (verification.attempts >= MAX_ATTEMPTS) {
+        throw new PhoneVerificationError('Too many incorrect codes, please request a new one', 429);
+    }
+
+    const expected = Buffer.from(verification.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(normalized, String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        await run('UPDATE phone_verifications SET attempts = attempts + 1 WHERE id = ?', [verification.id]);
+        throw new PhoneVerificationError('Incorrect code');
+    }
+
+    // The guard stops two concurrent requests both spending the code
+    const result = await run(
+        'UPDATE phone_verifications SET verified_at = ? WHERE id = ? AND verified_at IS NULL',
+        [now.toISOString(), verification.id]
+    );
+    if (result.changes === 0) {
+        throw new PhoneVerificationError('No code has been sent to this number', 404);
+    }
+
+    return normalized;
+}
+
+// Guest usernames follow the /api/auth/guest rules; clashes get a numeric suffix
+async function createPhoneGuest(name, phone, now) {
+    const base = String(name || '').replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 20) || 'Player';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const username = attempt === 0 ? base : `${base}_${crypto.randomInt(1000, 10000)}`;
+        try {
+            const { lastID } = await run(`
+                INSERT INTO users (username, is_guest, guest_id, phone, phone_verified_at)
+                VALUES (?, TRUE, ?, ?, ?)
+                RETURNING id
+            `, [username, `guest_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`, phone, now.toISOString()]);
+            return { id: lastID, username, is_guest: true };
+        } catch (error) {
+            if (!isUniqueViolation(error, 'users.username')) {
+                throw error;
+            }
+        }
+    }
+
+    throw new PhoneVerificationError('Could not create a player for this number, try another name', 409);
+}
+
+// Attach a verified number to a player and return the user the client should
+// be signed in as. A number already linked to a guest signs that guest back
+// in, so one phone stays one identity across devices, and signed-in guests
+// simply swap to it. The code alone never signs anyone into a password
+// account, and a full account can't take over another player's number.
+export async function linkVerifiedPhone(phone, { user = null, name = '' } = {}, now = new Date()) {
+    const owner = await get('SELECT id, username, is_guest FROM users WHERE phone = ?', [phone]);
+
+    if (owner && owner.id !== user?.id) {
+        if (!owner.is_guest) {
+            throw new PhoneVerificationError('This number belongs to an account with a password - please log in with your username and password', 409);
+        }
+        if (user && !user.is_guest) {
+            throw new PhoneVerificationError('This number is linked to another player', 409);
+        }
+        return { id: owner.id, username: owner.username, is_guest: true };
+    }
+
+    if (user) {
+        const result = await run(
+            'UPDATE users SET phone = ?, phone_verified_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [phone, now.toISOString(), user.id]
+        );
+        // A token for a deleted account falls through to a fresh guest
+        if (result.changes > 0) {
+            return { id: user.id, username: user.username, is_guest: Boolean(user.is_guest) };
+        }
+    }
+
+    return createPhoneGuest(name, phone, now);
+}
@@ -0,0 +1,104 @@
+// Privacy Service
+// Marketing opt-in for the contact details players give us, the consenting
+// contact list staff export, and right-to-erasure for players who want
+// everything about them gone.
+
+import config from '../config/environment.js';
+import { runAsync as run, allAsync as all, transactionAsync } from '../database/init.js';
+import { toCsv } from './csv.js';
+
+export class PrivacyError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PrivacyError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Opting out is recorded the same way, so the latest answer always wins
+export async function recordMarketingConsent(userId, consent, now = new Date()) {
+    const version = config.privacy.marketingPolicyVersion;
+    const result = await run(`
+        UPDATE users
+        SET marketing_consent = ?, marketing_consent_at = ?, marketing_consent_version = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `, [consent ? 1 : 0, now.toISOString(), version, userId]);
+
+    if (result.changes === 0) {
+        throw new PrivacyError('User not found', 404);
+    }
+
+    return {
+        marketing_consent: Boolean(consent),
+        marketing_consent_at: now.toISOString(),
+        marketing_consent_version: version
+    };
+}
+
+// Only players who opted in and still have a verified number
+export async function exportMarketingContacts() {
+    const rows = await all(`
+        SELECT username, phone, marketing_consent_at, marketing_consent_version
+        FROM users
+        WHERE marketing_consent = TRUE AND phone IS NOT NULL AND phone_verified_at IS NOT NULL
+        ORDER BY marketing_consent_at ASC
+    `);
+
+    return {
+        count: rows.length,
+        csv: toCsv([
+            ['username', 'phone', 'consented_at', 'policy_version'],
+            ...rows.map(row => [row.username, row.phone, row.marketing_consent_at, row.marketing_consent_version])
+        ])
+    };
+}
+
+// Delete a player and everything recorded about them, all in one transaction
+// so a failure part-way leaves the account as it was. Foreign keys are
+// enforced (DatabaseManager turns them on for SQLite), but most of those on
+// users only null the id out and would leave the player's rows behind, so
+// each table is cleared explicitly - children first, e.g. replays before
+// their entries. Runs go after the entries, which null their entry_id.
+export async function eraseUser(userId) {
+    const erased = await transactionAsync(async ({ run, get }) => {
+        const user = await get('SELECT id, username, phone FROM users WHERE id = ?', [userId]);
+        if (!user) {
+            throw new PrivacyError('User not found', 404);
+        }
+
+        // Entries the account submitted, including ones made through a run it started
+        const entries = `
+            SELECT id FROM leaderboard_entries
+            WHERE user_id = ? OR run_id IN (SELECT run_id FROM game_runs WHERE user_id = ?)
+        `;
+        await run(`DELETE FROM replays WHERE entry_id IN (${entries})`, [userId, userId]);
+        const { changes: leaderboardEntries } = await run(`DELETE FROM leaderboard_entries WHERE id IN (${entries})`, [userId, userId]);
+        await run('DELETE FROM game_runs WHERE user_id = ?', [userId]);
+        await run('DELETE FROM daily_entries WHERE user_id = ?', [userId]);
+        await run('DELETE FROM game_sessions WHERE user_id = ?', [userId]);
+        const { changes: analyticsEvents } = await run('DELETE FROM analytics_events WHERE user_id = ?', [userId]);
+
+        await run('DELETE FROM user_achievements WHERE user_id = ?', [userId]);
+        await run('DELETE FROM reward_vouchers WHERE user_id = ?', [userId]);
+        await run('DELETE FROM bean_ledger WHERE user_id = ?', [userId]);
+        await run('DELETE FROM user_cosmetics WHERE user_id = ?', [userId]);
+        await run('DELETE FROM friendships WHERE user_id = ? OR friend_id = ?', [userId, userId]);
+        await run('DELETE FROM social_challenges WHERE challenger_id = ? OR challenged_id = ?', [userId, userId]);
+        await run('DELETE FROM social_notifications WHERE user_id = ?', [userId]);
+        if (user.phone) {
+            await run('DELETE FROM phone_verifications WHERE phone = ?', [user.phone]);
+        }
+
+        // Staff records outlive the account but stop pointing at it
+        await run('UPDATE reward_vouchers SET redeemed_by = NULL WHERE redeemed_by = ?', [userId]);
+        await run('UPDATE content_events SET created_by = NULL WHERE created_by = ?', [userId]);
+        await run('UPDATE dynamic_config SET updated_by = NULL WHERE updated_by = ?', [userId]);
+
+        await run('DELETE FROM users WHERE id = ?', [userId]);
+
+        return { leaderboard_entries: leaderboardEntries, analytics_events: analyticsEvents };
+    });
+
+    console.log(`🗑️ Erased user ${userId}: ${erased.leaderboard_entries} leaderboard entries, ${erased.analytics_events} analytics events`);
+    return erased;
+}
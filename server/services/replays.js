@@ -0,0 +1,97 @@
+// Replay Service
+// Validates replays uploaded alongside leaderboard submissions before they are stored
+
+import { LIVE_OPS, REPLAY } from '../../constants.js';
+
+// Returns an error message for a malformed replay, or null when it is usable
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object' || Array.isArray(replay)) {
+        return 'Replay must be an object';
+    }
+
+    const unknownField = Object.keys(replay).find(key => !REPLAY.FIELDS.includes(key));
+    if (unknownField !== undefined) {
+        return `Unknown replay field: ${unknownField.slice(0, 20)}`;
+    }
+
+    if (Buffer.byteLength(JSON.stringify(replay)) > REPLAY.MAX_BYTES) {
+        return `Replay must be at most ${REPLAY.MAX_BYTES / 1024} KB`;
+    }
+
+    if (replay.version !== REPLAY.VERSION) {
+        return `Unsupported replay version (expected ${REPLAY.VERSION})`;
+    }
+
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+        return 'Replay seed must be a non-negative integer';
+    }
+
+    if (replay.balance !== undefined) {
+        const balance = replay.balance;
+        if (!balance || typeof balance !== 'object' || Array.isArray(balance) ||
+            !Object.entries(balance).every(([key, value]) => key in LIVE_OPS.DEFAULT_BALANCE && Number.isFinite(value) && value > 0)) {
+            return 'Replay balance must map known balance settings to positive numbers';
+        }
+    }
+
+    if (replay.step !== undefined && !(Number.isFinite(replay.step) && replay.step > 0)) {
+        return 'Replay step must be a positive number';
+    }
+
+    if (replay.screen !== undefined) {
+        const screen = replay.screen;
+        if (!screen || typeof screen !== 'object' || Array.isArray(screen) ||
+            Object.keys(screen).some(key => key !== 'width' && key !== 'height') ||
+            !(Number.isFinite(screen.width) && screen.width > 0 && Number.isFinite(screen.height) && screen.height > 0)) {
+            return 'Replay screen must have a positive width and height';
+        }
+    }
+
+    if (replay.score !== undefined && !(Number.isInteger(replay.score) && replay.score >= 0)) {
+        return 'Replay score must be a non-negative integer';
+    }
+
+    if (!Number.isInteger(replay.frames) || replay.frames < 0) {
+        return 'Replay frame count must be a non-negative integer';
+    }
+
+    if (!Array.isArray(replay.events) || replay.events.length > REPLAY.MAX_EVENTS) {
+        return `Replay events must be an array of at most ${REPLAY.MAX_EVENTS} inputs`;
+    }
+
+    let previousFrame = 0;
+    let revives = 0;
+    for (const event of replay.events) {
+        if (!Array.isArray(event) || event.length > 3) {
+            return 'Replay events must be [frame, action, payload?] arrays';
+        }
+
+        const [frame, action, payload] = event;
+        if (!Number.isInteger(frame) || frame < previousFrame || frame > replay.frames) {
+            return 'Replay event frames must be ordered and within the recording';
+        }
+
+        if (!REPLAY.ACTIONS.includes(action)) {
+            return `Unknown replay action: ${String(action).slice(0, 20)}`;
+        }
+
+        // Continue-once: a run gets a single revive
+        if (action === 'revive' && ++revives > 1) {
+            return 'Replays can contain at most one revive';
+        }
+
+        if (payload !== undefined && (!Number.isFinite(payload?.x) || !Number.isFinite(payload?.y) ||
+            Object.keys(payload).length !== 2)) {
+            return 'Replay event payloads must be numeric { x, y }';
+        }
+
+        previousFrame = frame;
+    }
+
+    return null;
+}
+
+// Whether the recorded run used its continue-once revive
+export function replayUsedRevive(replay) {
+    return Boolean(replay?.events?.some(event => event[1] === 'revive'));
+}
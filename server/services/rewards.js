@@ -0,0 +1,285 @@
+// Rewards Service
+// Coffee shop vouchers for signed-in players. Live-ops rules (dynamic_config
+// reward_rules) decide who earns one; each voucher has a unique single-use
+// code that staff redeem at the caravan. UNIQUE(user_id, rule_id, period) is
+// what stops a rule paying out twice in the same day or week.
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { runAsync as run, getAsync as get, allAsync as all } from '../database/init.js';
+import { isUniqueViolation } from '../database/sqlDialect.js';
+import { getUtcDate } from './dailyChallenge.js';
+import { MODERATION_STATUS } from './scoreVerification.js';
+import { REWARDS } from '../../constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const SETTLE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_CODE_ATTEMPTS = 5;
+
+export const VOUCHER_STATUS = {
+    ACTIVE: 'active',
+    REDEEMED: 'redeemed',
+    EXPIRED: 'expired'
+};
+
+export class RewardError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RewardError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Returns an error message for an unusable reward_rules config, or null
+export function validateRewardRules(rules) {
+    if (!Array.isArray(rules)) {
+        return 'reward_rules must be an array';
+    }
+
+    const ids = new Set();
+    for (const rule of rules) {
+        if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || !/^[a-z0-9_]{1,50}$/.test(rule.id)) {
+            return 'Each reward rule needs an id of up to 50 lowercase letters, numbers or _';
+        }
+        if (ids.has(rule.id)) {
+            return `Duplicate reward rule id: ${rule.id}`;
+        }
+        ids.add(rule.id);
+
+        if (!REWARDS.RULE_TYPES.includes(rule.type)) {
+            return `${rule.id}: type must be one of: ${REWARDS.RULE_TYPES.join(', ')}`;
+        }
+        if (typeof rule.reward !== 'string' || rule.reward.trim() === '' || rule.reward.length > 200) {
+            return `${rule.id}: reward must be a description of up to 200 characters`;
+        }
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            return `${rule.id}: enabled must be true or false`;
+        }
+        if (rule.valid_days !== undefined && !(Number.isInteger(rule.valid_days) && rule.valid_days >= 1 && rule.valid_days <= 365)) {
+            return `${rule.id}: valid_days must be between 1 and 365`;
+        }
+        if (rule.type === 'weekly_rank' && !(Number.isInteger(rule.max_rank) && rule.max_rank >= 1 && rule.max_rank <= 100)) {
+            return `${rule.id}: max_rank must be between 1 and 100`;
+        }
+        if (rule.type === 'score' && !(Number.isInteger(rule.min_score) && rule.min_score >= 1)) {
+            return `${rule.id}: min_score must be a positive integer`;
+        }
+    }
+
+    return null;
+}
+
+export async function getRewardRules() {
+    const row = await get("SELECT config_value FROM dynamic_config WHERE config_key = 'reward_rules'");
+    try {
+        const rules = row ? JSON.parse(row.config_value) : REWARDS.DEFAULT_RULES;
+        return validateRewardRules(rules) ? REWARDS.DEFAULT_RULES : rules;
+    } catch (error) {
+        return REWARDS.DEFAULT_RULES;
+    }
+}
+
+// Codes look like BD-7KQ2-XM4P
+export function generateVoucherCode() {
+    const chars = Array.from({ length: REWARDS.CODE_LENGTH }, () =>
+        REWARDS.CODE_ALPHABET[crypto.randomInt(REWARDS.CODE_ALPHABET.length)]
+    ).join('');
+    return `BD-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+// Staff may type codes in lower case or without the dashes
+export function normalizeVoucherCode(code) {
+    let chars = String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+    if (chars.length === REWARDS.CODE_LENGTH + 2 && chars.startsWith('BD')) {
+        chars = chars.slice(2);
+    }
+    return `BD-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+// Monday 00:00 UTC of the week containing `now`
+export function getWeekStart(now) {
+    const day = new Date(`${getUtcDate(now.getTime())}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+    return day;
+}
+
+function getVoucherStatus(voucher, now) {
+    if (voucher.redeemed_at) return VOUCHER_STATUS.REDEEMED;
+    if (new Date(voucher.expires_at) <= now) return VOUCHER_STATUS.EXPIRED;
+    return VOUCHER_STATUS.ACTIVE;
+}
+
+function formatVoucher(row, now) {
+    const { code, rule_id, reward, issued_at, expires_at, redeemed_at } = row;
+    return { code, rule_id, reward, issued_at, expires_at, redeemed_at, status: getVoucherStatus(row, now) };
+}
+
+// Issue a voucher unless the player already has one for this rule and period.
+// Returns the new voucher, or null when it was already issued.
+export async function issueVoucher(userId, rule, period, now = new Date()) {
+    const expiresAt = new Date(now.getTime() + (rule.valid_days || REWARDS.VALID_DAYS) * DAY_MS);
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+        const code = generateVoucherCode();
+        try {
+            const result = await run(`
+                INSERT INTO reward_vouchers (code, user_id, rule_id, period, reward, issued_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(user_id, rule_id, period) DO NOTHING
+            `, [code, userId, rule.id, period, rule.reward, now.toISOString(), expiresAt.toISOString()]);
+
+            if (result.changes === 0) {
+                return null;
+            }
+
+            console.log(`🎟️ Voucher ${rule.id} issued to user ${userId} for ${period}`);
+            return formatVoucher({
+                code,
+                rule_id: rule.id,
+                reward: rule.reward,
+                issued_at: now.toISOString(),
+                expires_at: expiresAt.toISOString(),
+                redeemed_at: null
+            }, now);
+        } catch (error) {
+            // Only a clash on the random code is worth retrying
+            if (!isUniqueViolation(error, 'reward_vouchers.code')) {
+                throw error;
+            }
+        }
+    }
+
+    throw new Error('Could not generate a unique voucher code');
+}
+
+// Vouchers cost the caravan real coffee, so they go to players staff can
+// hold to one account: a registered one or a guest with a verified phone
+const ELIGIBLE_PLAYER = '(u.is_guest = FALSE OR u.phone_verified_at IS NOT NULL)';
+
+export async function isRewardEligible(userId) {
+    const row = await get(`SELECT 1 AS eligible FROM users u WHERE u.id = ? AND ${ELIGIBLE_PLAYER}`, [userId]);
+    return !!row;
+}
+
+// Per-game rules, applied when a signed-in player's approved score is submitted
+export async function issueGameRewards(userId, score, now = new Date()) {
+    if (!(await isRewardEligible(userId))) {
+        return [];
+    }
+
+    const day = getUtcDate(now.getTime());
+    const rules = (await getRewardRules()).filter(rule => rule.enabled !== false);
+
+    const issued = [];
+    for (const rule of rules) {
+        const earned = (rule.type === 'score' && score >= rule.min_score) || rule.type === 'first_game_of_day';
+        if (!earned) continue;
+
+        const voucher = await issueVoucher(userId, rule, day, now);
+        if (voucher) issued.push(voucher);
+    }
+    return issued;
+}
+
+// Pay out weekly_rank rules for the last finished week. Ranks use each
+// eligible player's best approved score, and the player comes from the run
+// token rather than anything the client sent.
+export async function settleWeeklyRewards(now = new Date()) {
+    const weekEnd = getWeekStart(now);
+    const weekStart = new Date(weekEnd.getTime() - WEEK_MS);
+    const period = getUtcDate(weekStart.getTime());
+    const rules = (await getRewardRules()).filter(rule => rule.enabled !== false && rule.type === 'weekly_rank');
+
+    let issued = 0;
+    for (const rule of rules) {
+        const winners = await all(`
+            SELECT r.user_id, MAX(l.score) AS best_score
+            FROM leaderboard_entries l
+            JOIN game_runs r ON r.run_id = l.run_id
+            JOIN users u ON u.id = r.user_id
+            WHERE ${ELIGIBLE_PLAYER}
+              AND l.moderation_status = ?
+              AND l.game_date >= datetime(?) AND l.game_date < datetime(?)
+            GROUP BY r.user_id
+            ORDER BY best_score DESC, MIN(l.game_date) ASC
+            LIMIT ?
+        `, [MODERATION_STATUS.APPROVED, weekStart.toISOString(), weekEnd.toISOString(), rule.max_rank]);
+
+        for (const winner of winners) {
+            if (await issueVoucher(winner.user_id, rule, period, now)) issued++;
+        }
+    }
+    return issued;
+}
+
+// Settle at startup and then hourly; the timer never keeps the process alive
+export function startRewardsJob() {
+    const settle = async () => {
+        try {
+            const issued = await settleWeeklyRewards();
+            if (issued > 0) {
+                console.log(`🎟️ Issued ${issued} weekly leaderboard vouchers`);
+            }
+        } catch (error) {
+            console.error('❌ Weekly rewards job failed:', error);
+        }
+    };
+
+    settle();
+    const timer = setInterval(settle, SETTLE_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+// A player's vouchers, newest first. Active ones carry a QR code of the
+// voucher code for staff to scan.
+export async function listVouchers(userId, now = new Date()) {
+    const rows = await all(
+        'SELECT * FROM reward_vouchers WHERE user_id = ? ORDER BY issued_at DESC, id DESC',
+        [userId]
+    );
+
+    return Promise.all(rows.map(async row => {
+        const voucher = formatVoucher(row, now);
+        if (voucher.status === VOUCHER_STATUS.ACTIVE) {
+            voucher.qr_code = await QRCode.toDataURL(voucher.code, { margin: 1, width: 256 });
+        }
+        return voucher;
+    }));
+}
+
+// Mark a voucher as used. The redeemed_at guard makes redemption single-use
+// even if two tills scan the same code at once.
+export async function redeemVoucher(code, staffUserId, now = new Date()) {
+    const normalized = normalizeVoucherCode(code);
+    const voucher = await get(`
+        SELECT v.*, u.username
+        FROM reward_vouchers v
+        JOIN users u ON u.id = v.user_id
+        WHERE v.code = ?
+    `, [normalized]);
+
+    if (!voucher) {
+        throw new RewardError('Voucher not found', 404);
+    }
+    if (voucher.redeemed_at) {
+        throw new RewardError(`Voucher already redeemed at ${voucher.redeemed_at}`, 409);
+    }
+    if (getVoucherStatus(voucher, now) === VOUCHER_STATUS.EXPIRED) {
+        throw new RewardError('Voucher has expired', 410);
+    }
+
+    const result = await run(
+        'UPDATE reward_vouchers SET redeemed_at = ?, redeemed_by = ? WHERE id = ? AND redeemed_at IS NULL',
+        [now.toISOString(), staffUserId, voucher.id]
+    );
+    if (result.changes === 0) {
+        throw new RewardError('Voucher already redeemed', 409);
+    }
+
+    return {
+        ...formatVoucher({ ...voucher, redeemed_at: now.toISOString() }, now),
+        username: voucher.username
+    };
+}
@@ -0,0 +1,139 @@
+// Score Verification Service
+// Issues signed run tokens at game start and checks submitted scores against
+// what the game's spawn tables and multipliers make possible
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/environment.js';
+import { GAME, LIVE_OPS, SCORING } from '../../constants.js';
+import { itemCatalog } from './itemCatalog.js';
+import { patternLibrary } from './obstaclePatterns.js';
+
+const RUN_TOKEN_PURPOSE = 'run';
+
+export const MODERATION_STATUS = {
+    APPROVED: 'approved',
+    FLAGGED: 'flagged',
+    REJECTED: 'rejected'
+};
+
+export class RunTokenError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'RunTokenError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Issue a signed token identifying a single run
+export function issueRunToken(userId = null) {
+    const runId = crypto.randomUUID();
+    const startedAt = Date.now();
+
+    const token = jwt.sign(
+        { purpose: RUN_TOKEN_PURPOSE, run_id: runId, user_id: userId, started_at: startedAt },
+        config.security.jwtSecret,
+        { expiresIn: `${config.game.antiCheat.runTokenTtlMinutes}m` }
+    );
+
+    return { runId, token, startedAt };
+}
+
+// Decode and validate a run token, throwing RunTokenError when unusable
+export function decodeRunToken(token) {
+    if (!token || typeof token !== 'string') {
+        throw new RunTokenError('Run token required', 400);
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, config.security.jwtSecret);
+    } catch (error) {
+        throw new RunTokenError('Invalid or expired run token');
+    }
+
+    if (payload.purpose !== RUN_TOKEN_PURPOSE || !payload.run_id || !payload.started_at) {
+        throw new RunTokenError('Invalid or expired run token');
+    }
+
+    return {
+        runId: payload.run_id,
+        userId: payload.user_id ?? null,
+        startedAt: payload.started_at
+    };
+}
+
+// Upper bound on points a player can earn per second of play.
+// Assumes every spawn is the most valuable item, collected at max combo
+// under the strongest score multiplier, at the fastest spawn rate, while the
+// densest obstacle chunk plays back to back.
+// `balance` is the live-ops game balance the run was played under.
+export function getMaxPointsPerSecond(balance = LIVE_OPS.DEFAULT_BALANCE) {
+    const beansPerSecond = 1000 / (GAME.SPAWN_INTERVALS.BEANS * SCORING.MIN_SPAWN_RATE) * balance.collectibleSpawnRate +
+        patternLibrary.getMaxItemsPerSecond();
+    const powerUpsPerSecond = 1000 / (GAME.SPAWN_INTERVALS.POWER_UPS * SCORING.MIN_POWER_UP_SPAWN_RATE) * balance.powerUpSpawnRate;
+
+    const maxBeanPoints = Math.max(...itemCatalog.getCollectibles().map(item => item.points));
+    const maxPowerUpPoints = Math.max(...itemCatalog.getPowerUps().map(item => item.points));
+    const maxScoreMultiplier = itemCatalog.getMaxScoreMultiplier();
+
+    const basePointsPerSecond = beansPerSecond * maxBeanPoints + powerUpsPerSecond * maxPowerUpPoints;
+    return Math.ceil(basePointsPerSecond * SCORING.MAX_COMBO_MULTIPLIER * maxScoreMultiplier * balance.scoreMultiplier);
+}
+
+// Maximum pickups per second (every bean and power-up spawned gets collected)
+export function getMaxPickupsPerSecond(balance = LIVE_OPS.DEFAULT_BALANCE) {
+    return 1000 / (GAME.SPAWN_INTERVALS.BEANS * SCORING.MIN_SPAWN_RATE) * balance.collectibleSpawnRate +
+        patternLibrary.getMaxItemsPerSecond() +
+        1000 / (GAME.SPAWN_INTERVALS.POWER_UPS * SCORING.MIN_POWER_UP_SPAWN_RATE) * balance.powerUpSpawnRate;
+}
+
+// Check a submission against the run it claims to belong to.
+// Returns { status, reasons } - implausible runs are flagged for moderation
+// rather than rejected outright so staff can review edge cases.
+export function verifySubmission(submission, run, now = Date.now(), balance = LIVE_OPS.DEFAULT_BALANCE) {
+    const { minRunDurationSeconds, clockToleranceSeconds, maxReasonableScore } = config.game.antiCheat;
+    const reasons = [];
+
+    const score = Number(submission.score) || 0;
+    const timePlayed = Number(submission.time_played) || 0;
+    const pickups = (Number(submission.collectibles_collected) || 0) + (Number(submission.power_ups_collected) || 0);
+    const maxCombo = Number(submission.max_combo) || 0;
+
+    // The server clock is authoritative - a run can't last longer than its token has existed
+    const serverElapsedSeconds = Math.max(0, (now - run.startedAt) / 1000);
+    if (timePlayed > serverElapsedSeconds + clockToleranceSeconds) {
+        reasons.push('time_played_exceeds_run');
+    }
+
+    const duration = Math.min(timePlayed, serverElapsedSeconds);
+
+    if (score > 0 && duration < minRunDurationSeconds) {
+        reasons.push('run_too_short');
+    }
+
+    if (score > getMaxPointsPerSecond(balance) * (duration + clockToleranceSeconds)) {
+        reasons.push('score_rate_exceeded');
+    }
+
+    if (score > maxReasonableScore) {
+        reasons.push('score_exceeds_maximum');
+    }
+
+    if (pickups > Math.ceil(getMaxPickupsPerSecond(balance) * (duration + clockToleranceSeconds))) {
+        reasons.push('pickup_rate_exceeded');
+    }
+
+    if (maxCombo > pickups) {
+        reasons.push('combo_exceeds_pickups');
+    }
+
+    if (submission.replay && submission.replay.score !== score) {
+        reasons.push('replay_score_mismatch');
+    }
+
+    return {
+        status: reasons.length > 0 ? MODERATION_STATUS.FLAGGED : MODERATION_STATUS.APPROVED,
+        reasons
+    };
+}
@@ -0,0 +1,149 @@
+// Shop Service
+// Bean wallet and cosmetic shop for signed-in players. The wallet is a
+// ledger (bean_ledger): approved runs pay beans in and purchases pay them out,
+// and the balance is the sum. Owning an item means having its purchase row,
+// so the client never gets to say what a player owns.
+
+import { runAsync as run, getAsync as get, allAsync as all } from '../database/init.js';
+import { SHOP } from '../../constants.js';
+
+export const LEDGER_REASON = {
+    RUN: 'run',
+    PURCHASE: 'purchase'
+};
+
+export class ShopError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ShopError';
+        this.statusCode = statusCode;
+    }
+}
+
+export function getShopItem(itemId) {
+    return SHOP.ITEMS.find(item => item.id === itemId) || null;
+}
+
+// What an empty slot shows - the slot's free item
+export function getDefaultItem(slot) {
+    return SHOP.ITEMS.find(item => item.slot === slot && item.price === 0);
+}
+
+// Beans a run pays in. Revives bought with beans were paid for out of the run's collection.
+export function calculateRunBeans(collectiblesCollected, beansSpent = 0) {
+    const earned = (Number(collectiblesCollected) || 0) * SHOP.BEANS_PER_COLLECTIBLE - (Number(beansSpent) || 0);
+    return Math.min(SHOP.MAX_BEANS_PER_RUN, Math.max(0, Math.floor(earned)));
+}
+
+export async function getBalance(userId) {
+    const row = await get('SELECT COALESCE(SUM(amount), 0) AS balance FROM bean_ledger WHERE user_id = ?', [userId]);
+    return row.balance;
+}
+
+// Balance, owned item ids and the equipped item in every slot
+export async function getWallet(userId) {
+    const [balance, purchases, equippedRows] = await Promise.all([
+        getBalance(userId),
+        all('SELECT reference FROM bean_ledger WHERE user_id = ? AND reason = ?', [userId, LEDGER_REASON.PURCHASE]),
+        all('SELECT slot, item_id FROM user_cosmetics WHERE user_id = ?', [userId])
+    ]);
+
+    const owned = SHOP.ITEMS
+        .filter(item => item.price === 0 || purchases.some(row => row.reference === item.id))
+        .map(item => item.id);
+
+    const equipped = {};
+    for (const slot of SHOP.SLOTS) {
+        const row = equippedRows.find(candidate => candidate.slot === slot);
+        equipped[slot] = row && owned.includes(row.item_id) ? row.item_id : getDefaultItem(slot).id;
+    }
+
+    return { balance, owned, equipped };
+}
+
+// Most recent transactions first
+export async function listLedger(userId, limit = SHOP.LEDGER_PAGE_SIZE) {
+    return all(
+        'SELECT amount, reason, reference, created_at FROM bean_ledger WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+        [userId, limit]
+    );
+}
+
+// Pay a run's beans into the wallet. Returns the beans added - 0 when the
+// run has already been paid or earned nothing.
+export async function awardRunBeans(userId, runId, collectiblesCollected, beansSpent = 0) {
+    const amount = calculateRunBeans(collectiblesCollected, beansSpent);
+    if (amount === 0) return 0;
+
+    const result = await run(`
+        INSERT INTO bean_ledger (user_id, amount, reason, reference)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id, reason, reference) DO NOTHING
+    `, [userId, amount, LEDGER_REASON.RUN, runId]);
+    return result.changes > 0 ? amount : 0;
+}
+
+// Beans a run has already paid in, for answering a retried submission
+export async function getRunBeans(userId, runId) {
+    const row = await get(
+        'SELECT COALESCE(SUM(amount), 0) AS beans FROM bean_ledger WHERE user_id = ? AND reason = ? AND reference = ?',
+        [userId, LEDGER_REASON.RUN, runId]
+    );
+    return row.beans;
+}
+
+// Buy an item. The balance check and the debit are one statement, so two
+// purchases at once can't both spend the same beans.
+export async function purchaseItem(userId, itemId) {
+    const item = getShopItem(itemId);
+    if (!item) {
+        throw new ShopError('Item not found', 404);
+    }
+
+    const wallet = await getWallet(userId);
+    if (wallet.owned.includes(item.id)) {
+        throw new ShopError('You already own this item', 409);
+    }
+    if (wallet.balance < item.price) {
+        throw new ShopError('Not enough beans', 402);
+    }
+
+    const result = await run(`
+        INSERT INTO bean_ledger (user_id, amount, reason, reference)
+        SELECT ?, ?, ?, ?
+        WHERE (SELECT COALESCE(SUM(amount), 0) FROM bean_ledger WHERE user_id = ?) >= ?
+        ON CONFLICT(user_id, reason, reference) DO NOTHING
+    `, [userId, -item.price, LEDGER_REASON.PURCHASE, item.id, userId, item.price]);
+
+    if (result.changes === 0) {
+        // Another purchase got there first
+        const current = await getWallet(userId);
+        throw current.owned.includes(item.id)
+            ? new ShopError('You already own this item', 409)
+            : new ShopError('Not enough beans', 402);
+    }
+
+    console.log(`🛒 User ${userId} bought ${item.id} for ${item.price} beans`);
+    return getWallet(userId);
+}
+
+// Equip an owned item in its slot
+export async function equipItem(userId, itemId) {
+    const item = getShopItem(itemId);
+    if (!item) {
+        throw new ShopError('Item not found', 404);
+    }
+
+    const wallet = await getWallet(userId);
+    if (!wallet.owned.includes(item.id)) {
+        throw new ShopError('You don\'t own this item', 403);
+    }
+
+    await run(`
+        INSERT INTO user_cosmetics (user_id, slot, item_id, equipped_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(user_id, slot) DO UPDATE SET item_id = excluded.item_id, equipped_at = excluded.equipped_at
+    `, [userId, item.slot, item.id]);
+
+    return { ...wallet, equipped: { ...wallet.equipped, [item.slot]: item.id } };
+}
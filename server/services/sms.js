@@ -0,0 +1,61 @@
+// SMS Service
+// Pluggable delivery for one-time codes. A provider is any object with
+// `name` and `async send(to, body)` where `to` is an E.164 number; a real
+// gateway registers itself with registerSmsProvider() and is picked with
+// SMS_PROVIDER. The built-in providers never leave the machine and are meant
+// for local development.
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/environment.js';
+
+export function createConsoleSmsProvider() {
+    return {
+        name: 'console',
+        async send(to, body) {
+            console.log(`📱 SMS to ${to}: ${body}`);
+        }
+    };
+}
+
+// Appends one JSON line per message, handy for tests and tools that read codes back
+export function createFileSmsProvider({ outboxFile = config.sms.outboxFile } = {}) {
+    return {
+        name: 'file',
+        async send(to, body) {
+            await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+            await fs.promises.appendFile(outboxFile, `${JSON.stringify({ to, body, sent_at: new Date().toISOString() })}\n`);
+        }
+    };
+}
+
+const factories = new Map([
+    ['console', createConsoleSmsProvider],
+    ['file', createFileSmsProvider]
+]);
+
+export function registerSmsProvider(name, factory) {
+    factories.set(name, factory);
+}
+
+export function createSmsProvider(name, options = {}) {
+    const factory = factories.get(name);
+    if (!factory) {
+        throw new Error(`Unknown SMS provider: ${name} (available: ${[...factories.keys()].join(', ')})`);
+    }
+    return factory(options);
+}
+
+let provider = null;
+
+// The configured provider, created on first use
+export function getSmsProvider() {
+    if (!provider) {
+        provider = createSmsProvider(config.sms.provider);
+    }
+    return provider;
+}
+
+export function setSmsProvider(smsProvider) {
+    provider = smsProvider;
+}
@@ -0,0 +1,306 @@
+// Social Service
+// Friends, head-to-head challenges and notifications for signed-in players.
+// Friendships are stored as one row per direction once accepted, so
+// "my friends" is always a single lookup on user_id.
+
+import crypto from 'crypto';
+import { runAsync as run, getAsync as get, allAsync as all } from '../database/init.js';
+import { MODERATION_STATUS } from './scoreVerification.js';
+
+const CHALLENGE_TTL_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
+const NOTIFICATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const NOTIFICATION_LIMIT = 50;
+
+export const FRIENDSHIP_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted'
+};
+
+export const CHALLENGE_STATUS = {
+    ACTIVE: 'active',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    COMPLETED: 'completed'
+};
+
+export class SocialError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SocialError';
+        this.statusCode = statusCode;
+    }
+}
+
+async function findUserByUsername(username) {
+    const user = await get('SELECT id, username FROM users WHERE username = ?', [username]);
+    if (!user) {
+        throw new SocialError('User not found', 404);
+    }
+    return user;
+}
+
+async function areFriends(userId, otherId) {
+    const row = await get(
+        'SELECT id FROM friendships WHERE user_id = ? AND friend_id = ? AND status = ?',
+        [userId, otherId, FRIENDSHIP_STATUS.ACCEPTED]
+    );
+    return !!row;
+}
+
+// Notifications
+
+export async function sendNotification(userId, type, title, message, data = {}) {
+    const expiresAt = new Date(Date.now() + NOTIFICATION_TTL_MS).toISOString();
+
+    await run(`
+        INSERT INTO social_notifications (user_id, type, title, message, data, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [userId, type, title, message, JSON.stringify(data), expiresAt]);
+}
+
+export async function getNotifications(userId, unreadOnly = false) {
+    let query = `
+        SELECT id, type, title, message, data, read_status, created_at
+        FROM social_notifications 
+        WHERE user_id = ? AND (expires_at IS NULL OR expires_at > ?)
+    `;
+
+    if (unreadOnly) {
+        query += ' AND read_status = FALSE';
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+
+    const rows = await all(query, [userId, new Date().toISOString(), NOTIFICATION_LIMIT]);
+    return rows.map(row => ({
+        ...row,
+        data: JSON.parse(row.data || '{}'),
+        read_status: !!row.read_status
+    }));
+}
+
+export async function markNotificationRead(userId, notificationId) {
+    const result = await run(
+        'UPDATE social_notifications SET read_status = TRUE WHERE id = ? AND user_id = ?',
+        [notificationId, userId]
+    );
+
+    if (result.changes === 0) {
+        throw new SocialError('Notification not found', 404);
+    }
+}
+
+// Friends
+
+export async function sendFriendRequest(user, friendUsername) {
+    const friend = await findUserByUsername(friendUsername);
+
+    if (friend.id === user.id) {
+        throw new SocialError('You cannot add yourself as a friend');
+    }
+
+    const existing = await get(
+        'SELECT status FROM friendships WHERE (user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)',
+        [user.id, friend.id, friend.id, user.id]
+    );
+
+    if (existing) {
+        throw new SocialError(
+            existing.status === FRIENDSHIP_STATUS.ACCEPTED ? 'Already friends' : 'Friend request already pending',
+            409
+        );
+    }
+
+    await run(
+        'INSERT INTO friendships (user_id, friend_id, status) VALUES (?, ?, ?)',
+        [user.id, friend.id, FRIENDSHIP_STATUS.PENDING]
+    );
+
+    await sendNotification(friend.id, 'friend_request', 'Friend Request',
+        `${user.username} wants to be your friend!`, {
+            requesterId: user.id,
+            requesterUsername: user.username
+        });
+
+    return friend;
+}
+
+export async function acceptFriendRequest(user, requesterId) {
+    const result = await run(
+        'UPDATE friendships SET status = ?, accepted_at = CURRENT_TIMESTAMP WHERE user_id = ? AND friend_id = ? AND status = ?',
+        [FRIENDSHIP_STATUS.ACCEPTED, requesterId, user.id, FRIENDSHIP_STATUS.PENDING]
+    );
+
+    if (result.changes === 0) {
+        throw new SocialError('Friend request not found', 404);
+    }
+
+    // Reciprocal row so both players see each other in their friend lists
+    await run(
+        'INSERT INTO friendships (user_id, friend_id, status, accepted_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+        [user.id, requesterId, FRIENDSHIP_STATUS.ACCEPTED]
+    );
+
+    await sendNotification(requesterId, 'friend_accepted', 'Friend Request Accepted',
+        `${user.username} accepted your friend request!`, {
+            friendId: user.id,
+            friendUsername: user.username
+        });
+}
+
+// Declining is silent - the requester isn't notified
+export async function declineFriendRequest(user, requesterId) {
+    const result = await run(
+        'DELETE FROM friendships WHERE user_id = ? AND friend_id = ? AND status = ?',
+        [requesterId, user.id, FRIENDSHIP_STATUS.PENDING]
+    );
+
+    if (result.changes === 0) {
+        throw new SocialError('Friend request not found', 404);
+    }
+}
+
+export async function getFriends(userId) {
+    return await all(`
+        SELECT u.id, u.username, u.best_score, u.total_games_played, f.accepted_at
+        FROM friendships f
+        JOIN users u ON f.friend_id = u.id
+        WHERE f.user_id = ? AND f.status = ?
+        ORDER BY f.accepted_at DESC
+    `, [userId, FRIENDSHIP_STATUS.ACCEPTED]);
+}
+
+export async function getFriendRequests(userId) {
+    return await all(`
+        SELECT f.id, u.id as requester_id, u.username, f.created_at
+        FROM friendships f
+        JOIN users u ON f.user_id = u.id
+        WHERE f.friend_id = ? AND f.status = ?
+        ORDER BY f.created_at DESC
+    `, [userId, FRIENDSHIP_STATUS.PENDING]);
+}
+
+// The player and their friends ranked by best approved leaderboard score
+export async function getFriendsLeaderboard(userId) {
+    const rows = await all(`
+        SELECT 
+            u.id as user_id,
+            u.username,
+            COALESCE(MAX(le.score), 0) as best_score,
+            COUNT(le.id) as games_played
+        FROM users u
+        LEFT JOIN leaderboard_entries le 
+            ON le.user_id = u.id AND le.moderation_status = ?
+        WHERE u.id = ? 
+            OR u.id IN (SELECT friend_id FROM friendships WHERE user_id = ? AND status = ?)
+        GROUP BY u.id, u.username
+        ORDER BY best_score DESC, u.username ASC
+    `, [MODERATION_STATUS.APPROVED, userId, userId, FRIENDSHIP_STATUS.ACCEPTED]);
+
+    return rows.map((row, index) => ({
+        rank: index + 1,
+        ...row,
+        is_me: row.user_id === userId
+    }));
+}
+
+// Challenges
+
+export async function createChallenge(user, challengedUsername, targetScore, challengeType = 'beat_score') {
+    const challenged = await findUserByUsername(challengedUsername);
+
+    if (!(await areFriends(user.id, challenged.id))) {
+        throw new SocialError('You can only challenge friends', 403);
+    }
+
+    const challengeId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS).toISOString();
+
+    await run(`
+        INSERT INTO social_challenges 
+        (challenge_id, challenger_id, challenged_id, challenge_type, target_score, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [challengeId, user.id, challenged.id, challengeType, targetScore, expiresAt]);
+
+    await sendNotification(challenged.id, 'challenge_received', 'New Challenge!',
+        `${user.username} challenges you to beat their score of ${targetScore}!`, {
+            challengeId,
+            challengerId: user.id,
+            challengerUsername: user.username,
+            targetScore,
+            challengeType
+        });
+
+    return { challengeId, expiresAt };
+}
+
+export async function respondToChallenge(user, challengeId, accept) {
+    const status = accept ? CHALLENGE_STATUS.ACCEPTED : CHALLENGE_STATUS.DECLINED;
+    const result = await run(
+        'UPDATE social_challenges SET status = ? WHERE challenge_id = ? AND challenged_id = ? AND status = ? AND expires_at > ?',
+        [status, challengeId, user.id, CHALLENGE_STATUS.ACTIVE, new Date().toISOString()]
+    );
+
+    if (result.changes === 0) {
+        throw new SocialError('Challenge not found or no longer open', 404);
+    }
+
+    const challenge = await get('SELECT challenger_id FROM social_challenges WHERE challenge_id = ?', [challengeId]);
+
+    await sendNotification(challenge.challenger_id, `challenge_${status}`,
+        accept ? 'Challenge Accepted!' : 'Challenge Declined',
+        `${user.username} ${status} your challenge!`, {
+            challengeId,
+            challengedId: user.id,
+            challengedUsername: user.username
+        });
+}
+
+export async function getChallenges(userId) {
+    return await all(`
+        SELECT 
+            c.challenge_id, c.challenge_type, c.target_score, c.status,
+            c.created_at, c.expires_at, c.completed_at,
+            challenger.username as challenger_username,
+            challenged.username as challenged_username,
+            winner.username as winner_username
+        FROM social_challenges c
+        JOIN users challenger ON c.challenger_id = challenger.id
+        JOIN users challenged ON c.challenged_id = challenged.id
+        LEFT JOIN users winner ON c.winner_id = winner.id
+        WHERE (c.challenger_id = ? OR c.challenged_id = ?)
+            AND (c.status = ? OR c.expires_at > ?)
+        ORDER BY c.created_at DESC
+        LIMIT 50
+    `, [userId, userId, CHALLENGE_STATUS.COMPLETED, new Date().toISOString()]);
+}
+
+// Called after a verified score lands - completes any accepted challenge it beats
+export async function settleChallenges(userId, score) {
+    const challenges = await all(`
+        SELECT id, challenge_id, challenger_id, target_score
+        FROM social_challenges 
+        WHERE challenged_id = ? AND status = ? AND expires_at > ? AND target_score < ?
+    `, [userId, CHALLENGE_STATUS.ACCEPTED, new Date().toISOString(), score]);
+
+    if (challenges.length === 0) {
+        return 0;
+    }
+
+    const user = await get('SELECT id, username FROM users WHERE id = ?', [userId]);
+
+    for (const challenge of challenges) {
+        await run(
+            'UPDATE social_challenges SET status = ?, completed_at = CURRENT_TIMESTAMP, winner_id = ? WHERE id = ?',
+            [CHALLENGE_STATUS.COMPLETED, user.id, challenge.id]
+        );
+
+        await sendNotification(challenge.challenger_id, 'challenge_completed', 'Challenge Completed!',
+            `${user.username} beat your challenge with a score of ${score}!`, {
+                challengeId: challenge.challenge_id,
+                winnerScore: score
+            });
+    }
+
+    return challenges.length;
+}
@@ -0,0 +1,250 @@
+// Phaser is loaded globally from CDN
+import ApiService from './apiService.js';
+import Cosmetics from './cosmetics.js';
+import debugLogger from './debugLogger.js';
+import { SHOP } from './constants.js';
+
+const SLOT_LABELS = { skin: '🐦 SKINS', trail: '✨ TRAILS', hud: '📊 HUD' };
+
+/**
+ * ShopScene - spend banked beans on bird skins, trails and HUD themes.
+ * Every purchase and equip goes through /api/shop, which answers with the
+ * wallet as the server sees it; the scene only ever shows that answer.
+ */
+export default class ShopScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'ShopScene' });
+        this.apiService = new ApiService();
+    }
+
+    init() {
+        this.slot = SHOP.SLOTS[0];
+        this.wallet = null;
+        this.busy = false;
+        this.rowGroup = null;
+        this.tabGroup = null;
+    }
+
+    create() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        this.add.image(width / 2, height / 2, 'customBackground').setDisplaySize(width, height);
+        this.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.75);
+
+        this.add.text(width / 2, height * 0.07, '🛒 BEAN SHOP', {
+            fontSize: '32px',
+            fill: '#FFD700',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+
+        this.balanceText = this.add.text(width / 2, height * 0.13, '', {
+            fontSize: '22px',
+            fill: '#DEB887',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+
+        this.statusText = this.add.text(width / 2, height * 0.86, 'Loading...', {
+            fontSize: '16px',
+            fill: '#FFFFFF',
+            align: 'center'
+        }).setOrigin(0.5);
+
+        const backButton = this.add.text(width / 2, height * 0.93, '◀ BACK TO THE GAME', {
+            fontSize: '20px',
+            fill: '#FFD700',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 2
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        backButton.on('pointerdown', () => this.scene.start('GameScene'));
+
+        this.createSlotTabs();
+        this.loadShop();
+    }
+
+    async loadShop() {
+        try {
+            const response = await this.apiService.getShop();
+            if (!response.wallet) {
+                throw new Error(response.error || 'Shop unavailable');
+            }
+            this.setWallet(response.wallet);
+            this.statusText.setText('');
+            this.showSlot(this.slot);
+        } catch (error) {
+            debugLogger.warn('Could not load the shop:', error);
+            this.statusText.setText('The shop needs a connection and a signed-in player.\nCheck back when you\'re online!');
+        }
+    }
+
+    // The server's wallet is the truth; the device keeps its loadout for the next run
+    setWallet(wallet) {
+        this.wallet = wallet;
+        Cosmetics.saveLoadout(wallet.equipped);
+        this.balanceText.setText(`☕ ${wallet.balance.toLocaleString()} beans`);
+    }
+
+    createSlotTabs() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        if (this.tabGroup) {
+            this.tabGroup.destroy(true);
+        }
+        this.tabGroup = this.add.group();
+
+        SHOP.SLOTS.forEach((slot, index) => {
+            const isActive = slot === this.slot;
+            const x = width / 2 + (index - (SHOP.SLOTS.length - 1) / 2) * 140;
+            const tab = this.add.text(x, height * 0.2, SLOT_LABELS[slot], {
+                fontSize: '16px',
+                fill: isActive ? '#FFD700' : '#AAAAAA',
+                fontWeight: 'bold',
+                backgroundColor: isActive ? '#333333' : '#111111',
+                padding: { x: 10, y: 6 }
+            }).setOrigin(0.5);
+            this.tabGroup.add(tab);
+
+            if (!isActive) {
+                tab.setInteractive({ useHandCursor: true });
+                tab.on('pointerdown', () => {
+                    this.slot = slot;
+                    this.createSlotTabs();
+                    if (this.wallet) this.showSlot(slot);
+                });
+            }
+        });
+    }
+
+    showSlot(slot) {
+        const height = this.cameras.main.height;
+
+        if (this.rowGroup) {
+            this.rowGroup.destroy(true);
+        }
+        this.rowGroup = this.add.group();
+
+        SHOP.ITEMS.filter(item => item.slot === slot).forEach((item, index) => {
+            this.createItemRow(item, height * 0.3 + index * height * 0.1);
+        });
+    }
+
+    createItemRow(item, y) {
+        const width = this.cameras.main.width;
+        const rowWidth = width * 0.88;
+        const left = (width - rowWidth) / 2;
+        const owned = this.wallet.owned.includes(item.id);
+        const equipped = this.wallet.equipped[item.slot] === item.id;
+        const affordable = this.wallet.balance >= item.price;
+
+        const background = this.add.rectangle(width / 2, y, rowWidth, 70, 0x2D1B00, 0.9)
+            .setStrokeStyle(2, equipped ? 0xFFD700 : 0x8B4513);
+        this.rowGroup.add(background);
+
+        this.createPreview(item, left + 40, y).forEach(part => this.rowGroup.add(part));
+
+        const name = this.add.text(left + 80, y, item.name, {
+            fontSize: '18px',
+            fill: '#FFFFFF',
+            fontWeight: 'bold'
+        }).setOrigin(0, 0.5);
+        this.rowGroup.add(name);
+
+        let label;
+        let color;
+        if (equipped) {
+            label = '✓ EQUIPPED';
+            color = '#FFD700';
+        } else if (owned) {
+            label = 'EQUIP';
+            color = '#00FF00';
+        } else {
+            label = `☕ ${item.price}`;
+            color = affordable ? '#DEB887' : '#777777';
+        }
+
+        const action = this.add.text(left + rowWidth - 16, y, label, {
+            fontSize: '18px',
+            fill: color,
+            fontWeight: 'bold',
+            backgroundColor: '#111111',
+            padding: { x: 10, y: 6 }
+        }).setOrigin(1, 0.5);
+        this.rowGroup.add(action);
+
+        if (!equipped) {
+            action.setInteractive({ useHandCursor: true });
+            action.on('pointerdown', () => (owned ? this.equip(item) : this.buy(item)));
+        }
+    }
+
+    // Skins show the tinted bird, trails a fading streak, HUD themes a sample bar
+    createPreview(item, x, y) {
+        if (item.slot === 'skin') {
+            const bird = this.add.image(x, y, 'getBirdMascot');
+            bird.setScale(50 / Math.max(bird.width, bird.height));
+            if (item.tint !== undefined) bird.setTint(item.tint);
+            return [bird];
+        }
+
+        if (item.slot === 'trail') {
+            if (item.color === undefined) {
+                return [this.add.text(x, y, '—', { fontSize: '24px', fill: '#777777' }).setOrigin(0.5)];
+            }
+            return [0, 1, 2].map(step => this.add.circle(x + 14 - step * 14, y, 8 - step * 2, item.color, 1 - step * 0.3));
+        }
+
+        const theme = item.hud || { background: 0x000000, alpha: 0.3, text: '#FFFFFF' };
+        return [
+            this.add.rectangle(x, y, 56, 30, theme.background, Math.max(theme.alpha, 0.5)).setStrokeStyle(1, 0x777777),
+            this.add.text(x, y, '💎 42', { fontSize: '14px', fill: theme.text, fontWeight: 'bold' }).setOrigin(0.5)
+        ];
+    }
+
+    async buy(item) {
+        if (this.busy) return;
+        if (this.wallet.balance < item.price) {
+            this.statusText.setText(`${item.name} costs ${item.price} beans - keep flying!`);
+            return;
+        }
+
+        await this.runShopAction(
+            `Buying ${item.name}...`,
+            () => this.apiService.purchaseShopItem(item.id),
+            `${item.name} is yours! Tap EQUIP to wear it.`
+        );
+    }
+
+    async equip(item) {
+        if (this.busy) return;
+        await this.runShopAction(`Equipping ${item.name}...`, () => this.apiService.equipShopItem(item.id), `${item.name} equipped`);
+    }
+
+    async runShopAction(pendingMessage, request, doneMessage) {
+        this.busy = true;
+        this.statusText.setText(pendingMessage);
+
+        try {
+            const response = await request();
+            if (!response.wallet) {
+                throw new Error(response.error || 'Shop unavailable');
+            }
+            // The player may have left while the request was out
+            if (!this.sys.isActive()) return;
+
+            this.setWallet(response.wallet);
+            this.statusText.setText(doneMessage);
+            this.showSlot(this.slot);
+        } catch (error) {
+            debugLogger.warn('Shop request failed:', error);
+            if (this.sys.isActive()) {
+                this.statusText.setText(error.message);
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+}
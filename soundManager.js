@@ -1,6 +1,8 @@
 
 import debugLogger from './debugLogger.js';
 
+const DEFAULT_MUSIC_TRACK = 'lambada-bossa-279769.mp3';
+
 export default class SoundManager {
     constructor(scene) {
         this.scene = scene;
@@ -9,6 +11,7 @@ export default class SoundManager {
         this.musicVolume = 0.15; // Lower volume for background music
         this.backgroundMusic = null;
         this.musicPlaying = false;
+        this.pausedForGame = false;
         
         // Load MP3 background music
         this.loadBackgroundMusic();
@@ -30,7 +33,7 @@ export default class SoundManager {
                 contextState: this.audioContext?.state
             });
             
-            if (!this.musicStarted && this.backgroundMusic) {
+            if (!this.musicStarted && this.backgroundMusic && !this.pausedForGame) {
                 console.log('🎵 Starting Lambada Bossa background music...');
                 this.startBackgroundMusic();
                 this.musicStarted = true;
@@ -57,6 +60,14 @@ export default class SoundManager {
                 startMusic();
             }
         });
+        
+        // Go quiet while the game is paused (GameStateManager)
+        this.scene.events.on('gamePaused', this.pauseAll, this);
+        this.scene.events.on('gameResumed', this.resumeAll, this);
+        this.scene.events.once('shutdown', () => {
+            this.scene.events.off('gamePaused', this.pauseAll, this);
+            this.scene.events.off('gameResumed', this.resumeAll, this);
+        });
     }
 
     initializeAudio() {
@@ -72,7 +83,8 @@ export default class SoundManager {
     loadBackgroundMusic() {
         try {
             // Create HTML5 Audio element for background music
-            this.backgroundMusic = new Audio('./lambada-bossa-279769.mp3');
+            this.backgroundMusic = new Audio(`./${DEFAULT_MUSIC_TRACK}`);
+            this.musicTrack = this.requestedTrack = DEFAULT_MUSIC_TRACK;
             this.backgroundMusic.loop = true;
             this.backgroundMusic.volume = this.musicVolume;
             this.backgroundMusic.preload = 'auto';
@@ -113,6 +125,31 @@ export default class SoundManager {
         }
     }
 
+    // Music stops where it is and sound effects are suspended; the music
+    // toggle is left alone so resuming restores whatever the player chose
+    pauseAll() {
+        this.pausedForGame = true;
+        
+        if (this.backgroundMusic && !this.backgroundMusic.paused) {
+            this.backgroundMusic.pause();
+        }
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
+        }
+    }
+    
+    resumeAll() {
+        if (!this.pausedForGame) return;
+        this.pausedForGame = false;
+        
+        this.resumeAudio();
+        if (this.musicPlaying && this.backgroundMusic && this.backgroundMusic.paused) {
+            this.backgroundMusic.play().catch(error => {
+                debugLogger.warn('Could not resume background music:', error);
+            });
+        }
+    }
+
     // Generate a tone with specified frequency, duration, and wave type
     createTone(frequency, duration, waveType = 'sine', volume = 1) {
         if (!this.audioContext) return;
@@ -154,6 +191,46 @@ export default class SoundManager {
         }
     }
     
+    // Theme packs bring their own track (null goes back to the default). The
+    // new track only replaces the current one once it can play, so a theme
+    // whose file is missing leaves the music as it was.
+    playBackgroundMusic(track) {
+        const next = track || DEFAULT_MUSIC_TRACK;
+        if (next === this.requestedTrack) return;
+        this.requestedTrack = next;
+        
+        const music = new Audio(`./${next}`);
+        music.loop = true;
+        music.volume = this.musicVolume;
+        music.preload = 'auto';
+        
+        music.addEventListener('canplaythrough', () => {
+            // A later theme change got here first
+            if (this.requestedTrack !== next) return;
+            
+            const previous = this.backgroundMusic;
+            this.backgroundMusic = music;
+            this.musicTrack = next;
+            if (previous) previous.pause();
+            
+            if (this.musicPlaying && !this.pausedForGame) {
+                music.play().catch(error => {
+                    debugLogger.warn('Could not play theme music:', error);
+                });
+            }
+            console.log(`🎵 Background music switched to ${next}`);
+        }, { once: true });
+        
+        music.addEventListener('error', () => {
+            console.warn(`⚠️ Could not load ${next} - keeping the current music`);
+            if (this.requestedTrack === next) {
+                this.requestedTrack = this.musicTrack;
+            }
+        }, { once: true });
+        
+        music.load();
+    }
+    
     playClassicMelody(melody) {
         let noteIndex = 0;
         let currentTime = 0;
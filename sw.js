@@ -0,0 +1,137 @@
+/**
+ * BirdDash service worker
+ * Serves the game from a versioned precache so it starts without a
+ * connection, and keeps the last leaderboard the player saw for when they're
+ * offline. precache-manifest.js is regenerated by `npm run build`; when it
+ * changes the browser installs this worker again, and the new version waits
+ * until the player taps the game's "update available" prompt.
+ */
+
+importScripts('./precache-manifest.js');
+
+const { version: PRECACHE_VERSION, assets: PRECACHE_ASSETS } = self.__PRECACHE_MANIFEST;
+const PRECACHE_PREFIX = 'birddash-precache-';
+const PRECACHE_NAME = `${PRECACHE_PREFIX}${PRECACHE_VERSION}`;
+const API_CACHE_NAME = 'birddash-api';
+
+const scopePath = new URL(self.registration.scope).pathname;
+const LEADERBOARD_PATH = `${scopePath}api/leaderboard`;
+const INDEX_URL = new URL('./index.html', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(PRECACHE_NAME).then(cache => cache.addAll(
+            PRECACHE_ASSETS.map(asset => new Request(asset.url, { cache: 'reload' }))
+        ))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Sent by the page when the player taps the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith(LEADERBOARD_PATH)) {
+        if (request.method === 'GET') {
+            event.respondWith(staleWhileRevalidate(event));
+        } else {
+            // A new score makes every cached board out of date
+            event.respondWith(fetch(request).then(async (response) => {
+                if (response.ok) {
+                    await caches.delete(API_CACHE_NAME);
+                }
+                return response;
+            }));
+        }
+        return;
+    }
+
+    if (request.method !== 'GET' || url.pathname.startsWith(`${scopePath}api/`)) return;
+
+    if (request.mode === 'navigate') {
+        if (url.pathname === scopePath || url.href.split('?')[0] === INDEX_URL) {
+            event.respondWith(fromPrecache(new Request(INDEX_URL), request));
+        }
+        return;
+    }
+
+    event.respondWith(fromPrecache(request, request));
+});
+
+// Cached copy straight away, refreshed from the network for next time
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(API_CACHE_NAME);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+// Precached files ignore cache-busting query strings such as main.js?v=...
+async function fromPrecache(lookup, request) {
+    const cache = await caches.open(PRECACHE_NAME);
+    const cached = await cache.match(lookup, { ignoreSearch: true });
+    if (!cached) {
+        return fetch(request);
+    }
+
+    const range = request.headers.get('Range');
+    return range ? rangeResponse(cached, range) : cached;
+}
+
+// Audio elements ask for byte ranges, and Safari won't play a full 200 in reply
+async function rangeResponse(response, rangeHeader) {
+    const body = await response.blob();
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${body.size}` } });
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // "bytes=-500" is the last 500 bytes
+        start = Math.max(0, body.size - Number(match[2]));
+        end = body.size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? body.size - 1 : Math.min(Number(match[2]), body.size - 1);
+    }
+
+    if (start > end || start >= body.size) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${body.size}` } });
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('Content-Range', `bytes ${start}-${end}/${body.size}`);
+    headers.set('Content-Length', String(end - start + 1));
+    return new Response(body.slice(start, end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
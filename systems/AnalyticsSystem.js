@@ -1,18 +1,20 @@
 // AnalyticsSystem - Comprehensive user behavior and performance analytics
 // Tracks user engagement, game performance, and business metrics
 // Privacy-compliant with GDPR considerations
+// Events are queued locally and sent in batches to /api/analytics/batch
+
+import ApiService from '../apiService.js';
 
 export default class AnalyticsSystem {
-    constructor(scene, databaseManager) {
+    constructor(scene, apiService = new ApiService()) {
         this.scene = scene;
-        this.db = databaseManager;
+        this.api = apiService;
         this.sessionId = this.generateSessionId();
         this.userId = null;
         this.isEnabled = this.checkAnalyticsConsent();
         
         // Event tracking
         this.eventQueue = [];
-        this.batchSize = 10;
         this.flushInterval = 30000; // 30 seconds
         this.maxQueueSize = 100;
         
@@ -187,7 +189,7 @@ export default class AnalyticsSystem {
     }
 
     startBatchProcessing() {
-        // Batch process events to reduce database load
+        // Batch events to keep request volume down
         setInterval(() => {
             if (this.eventQueue.length > 0) {
                 this.flushEvents();
@@ -196,7 +198,6 @@ export default class AnalyticsSystem {
         
         // Flush on page unload
         window.addEventListener('beforeunload', () => {
-            this.flushEvents();
             this.trackSessionEnd();
         });
     }
@@ -230,22 +231,17 @@ export default class AnalyticsSystem {
         
         const event = {
             sessionId: this.sessionId,
-            userId: this.userId,
             eventType,
-            eventData: JSON.stringify(eventData),
+            eventData,
             timestamp: new Date().toISOString(),
             userAgent: this.privacySettings.collectPersonalData ? navigator.userAgent : null
         };
         
-        if (immediate) {
-            this.saveEventToDatabase(event);
-        } else {
-            this.eventQueue.push(event);
-            
-            // Flush if queue is full
-            if (this.eventQueue.length >= this.maxQueueSize) {
-                this.flushEvents();
-            }
+        this.eventQueue.push(event);
+        
+        // Flush if urgent or the queue is full
+        if (immediate || this.eventQueue.length >= this.maxQueueSize) {
+            this.flushEvents({ keepalive: immediate });
         }
         
         // Update feature usage
@@ -255,55 +251,27 @@ export default class AnalyticsSystem {
         );
     }
 
-    async flushEvents() {
+    async flushEvents({ keepalive = false } = {}) {
         if (this.eventQueue.length === 0) return;
         
-        const eventsToFlush = this.eventQueue.splice(0, this.batchSize);
+        const eventsToFlush = this.eventQueue.splice(0, this.maxQueueSize);
         
         try {
-            await this.db.transaction(async (query) => {
-                for (const event of eventsToFlush) {
-                    await query(
-                        `INSERT INTO analytics_events 
-                         (user_id, session_id, event_type, event_data, timestamp, user_agent) 
-                         VALUES (?, ?, ?, ?, ?, ?)`,
-                        [
-                            event.userId,
-                            event.sessionId,
-                            event.eventType,
-                            event.eventData,
-                            event.timestamp,
-                            event.userAgent
-                        ]
-                    );
-                }
-            });
+            const result = await this.api.sendAnalyticsBatch(eventsToFlush, { keepalive });
             
-            console.log(`📊 Flushed ${eventsToFlush.length} analytics events`);
+            if (result?.error) {
+                // Offline - keep the events for the next flush (with limit)
+                this.eventQueue.unshift(...eventsToFlush.slice(0, this.maxQueueSize - this.eventQueue.length));
+                return;
+            }
+            
+            if (result.rejected?.length > 0) {
+                console.warn(`⚠️ Server rejected ${result.rejected.length} analytics events:`, result.rejected);
+            }
+            console.log(`📊 Flushed ${result.accepted} analytics events`);
         } catch (error) {
+            // The server answered but refused the batch - resending won't help
             console.error('❌ Failed to flush analytics events:', error);
-            // Re-add failed events to queue (with limit)
-            this.eventQueue.unshift(...eventsToFlush.slice(0, this.maxQueueSize - this.eventQueue.length));
-        }
-    }
-
-    async saveEventToDatabase(event) {
-        try {
-            await this.db.query(
-                `INSERT INTO analytics_events 
-                 (user_id, session_id, event_type, event_data, timestamp, user_agent) 
-                 VALUES (?, ?, ?, ?, ?, ?)`,
-                [
-                    event.userId,
-                    event.sessionId,
-                    event.eventType,
-                    event.eventData,
-                    event.timestamp,
-                    event.userAgent
-                ]
-            );
-        } catch (error) {
-            console.error('❌ Failed to save analytics event:', error);
         }
     }
 
@@ -460,94 +428,12 @@ export default class AnalyticsSystem {
         }, true); // Immediate flush for errors
     }
 
-    // Analytics reporting methods
-    async generateUserReport(userId, days = 7) {
-        const endDate = new Date();
-        const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
-        
-        try {
-            const events = await this.db.query(
-                `SELECT event_type, event_data, timestamp 
-                 FROM analytics_events 
-                 WHERE user_id = ? AND timestamp >= ? AND timestamp <= ?
-                 ORDER BY timestamp DESC`,
-                [userId, startDate.toISOString(), endDate.toISOString()]
-            );
-            
-            const sessions = await this.db.query(
-                `SELECT * FROM game_sessions 
-                 WHERE user_id = ? AND session_date >= ? AND session_date <= ?
-                 ORDER BY session_date DESC`,
-                [userId, startDate.toISOString(), endDate.toISOString()]
-            );
-            
-            return this.processUserReport(events.rows, sessions.rows);
-        } catch (error) {
-            console.error('❌ Failed to generate user report:', error);
-            return null;
-        }
-    }
-
-    processUserReport(events, sessions) {
-        const report = {
-            totalSessions: sessions.length,
-            totalPlaytime: sessions.reduce((sum, s) => sum + (s.playtime || 0), 0),
-            averageScore: sessions.length > 0 ? 
-                sessions.reduce((sum, s) => sum + s.score, 0) / sessions.length : 0,
-            bestScore: sessions.length > 0 ? Math.max(...sessions.map(s => s.score)) : 0,
-            totalDistance: sessions.reduce((sum, s) => sum + (s.distance_traveled || 0), 0),
-            eventBreakdown: {},
-            performanceIssues: 0,
-            achievements: 0
-        };
-        
-        events.forEach(event => {
-            report.eventBreakdown[event.event_type] = 
-                (report.eventBreakdown[event.event_type] || 0) + 1;
-                
-            if (event.event_type === 'performance_issue') {
-                report.performanceIssues++;
-            }
-            
-            if (event.event_type === 'achievement_unlocked') {
-                report.achievements++;
-            }
-        });
-        
-        return report;
-    }
-
-    async generateSystemReport(days = 1) {
-        const endDate = new Date();
-        const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
-        
+    // Analytics reporting - aggregates are built server-side and need an admin account
+    async getReport(report = null, days = null) {
         try {
-            const events = await this.db.query(
-                `SELECT event_type, COUNT(*) as count 
-                 FROM analytics_events 
-                 WHERE timestamp >= ? AND timestamp <= ?
-                 GROUP BY event_type
-                 ORDER BY count DESC`,
-                [startDate.toISOString(), endDate.toISOString()]
-            );
-            
-            const performance = await this.db.query(
-                `SELECT metric_type, AVG(metric_value) as avg_value, 
-                        MIN(metric_value) as min_value, MAX(metric_value) as max_value
-                 FROM performance_metrics 
-                 WHERE timestamp >= ? AND timestamp <= ?
-                 GROUP BY metric_type`,
-                [startDate.toISOString(), endDate.toISOString()]
-            );
-            
-            return {
-                period: { start: startDate, end: endDate },
-                eventCounts: events.rows,
-                performanceMetrics: performance.rows,
-                systemHealth: await this.db.healthCheck()
-            };
+            return await this.api.getAnalyticsReports(report, days);
         } catch (error) {
-            console.error('❌ Failed to generate system report:', error);
+            console.error('❌ Failed to fetch analytics report:', error);
             return null;
         }
     }
@@ -582,6 +468,19 @@ export default class AnalyticsSystem {
         this.trackEvent('consent_changed', { consent }, true);
     }
 
+    // Right to erasure: nothing still queued gets sent, and the server deletes
+    // the player's account along with their scores and stored events
+    async deleteUserData() {
+        this.eventQueue = [];
+        const result = await this.api.deleteAccount();
+
+        // Anything tracked from here on starts a fresh, anonymous session
+        this.userId = null;
+        this.sessionId = this.generateSessionId();
+        console.log('📊 AnalyticsSystem: User data deleted');
+        return result;
+    }
+
     disableAnalytics() {
         this.isEnabled = false;
         this.eventQueue = [];
@@ -594,46 +493,6 @@ export default class AnalyticsSystem {
         console.log('📊 AnalyticsSystem: Analytics disabled');
     }
 
-    // Data export for GDPR compliance
-    async exportUserData(userId) {
-        try {
-            const events = await this.db.query(
-                'SELECT * FROM analytics_events WHERE user_id = ?',
-                [userId]
-            );
-            
-            const sessions = await this.db.query(
-                'SELECT * FROM game_sessions WHERE user_id = ?',
-                [userId]
-            );
-            
-            return {
-                events: events.rows,
-                sessions: sessions.rows,
-                exportDate: new Date().toISOString()
-            };
-        } catch (error) {
-            console.error('❌ Failed to export user data:', error);
-            return null;
-        }
-    }
-
-    // Data deletion for GDPR compliance
-    async deleteUserData(userId) {
-        try {
-            await this.db.transaction(async (query) => {
-                await query('DELETE FROM analytics_events WHERE user_id = ?', [userId]);
-                await query('DELETE FROM game_sessions WHERE user_id = ?', [userId]);
-            });
-            
-            console.log(`🗑️ Deleted analytics data for user ${userId}`);
-            return true;
-        } catch (error) {
-            console.error('❌ Failed to delete user data:', error);
-            return false;
-        }
-    }
-
     // Public API
     setUserId(userId) {
         this.userId = userId;
@@ -657,7 +516,7 @@ export default class AnalyticsSystem {
 
     // Cleanup
     cleanup() {
-        this.flushEvents();
+        // Session end flushes whatever is still queued
         this.trackSessionEnd();
         
         // Clear intervals and event listeners
@@ -0,0 +1,162 @@
+// BirdMotion - how the bird flies, with nothing drawn
+// Gravity, drag, flaps, dashes and fluid (follow-the-finger) movement advance
+// in the same fixed steps as GameSimulation instead of on Phaser's physics
+// clock, so a recorded run's input flies the same path every time it is
+// played back. Player draws the sprite where this puts it; the headless
+// replay (systems/simulation/replay.js) drives it straight from a recording.
+//
+// x and y are the bird's centre - the point GameSimulation collides.
+
+import { GAME, PLAYER } from '../constants.js';
+
+// Vertical snap distance for fluid movement, so the bird doesn't jitter on its target
+const FLUID_DEADZONE = 5;
+
+// Phaser's Power2.easeOut, which the dash used as a tween
+const easeOut = (t) => 1 - Math.pow(1 - t, 3);
+
+export default class BirdMotion {
+    // scale is the responsive scale factor (elementSizing.js); it sets how far
+    // a left/right nudge moves the bird
+    constructor({ x, y, width, height, scale = 1 }) {
+        this.x = x;
+        this.y = y;
+        this.velocityY = 0;
+        this.moveSpeed = Math.max(6, PLAYER.MOVEMENT.MOVE_SPEED_MULTIPLIER * scale);
+
+        this.isFluidMoving = false;
+        this.targetY = y;
+        this.dash = null;
+
+        this.setScreen(width, height);
+    }
+
+    get isDashing() {
+        return this.dash !== null;
+    }
+
+    // Margins keep the bird clear of the screen edges and the HUD
+    setScreen(width, height) {
+        this.width = width;
+        this.height = height;
+
+        this.leftBoundary = Math.max(50, width * 0.12);
+        this.rightBoundary = Math.min(width - 50, width * 0.88);
+
+        const verticalMargin = Math.max(40, height * 0.08);
+        this.topBoundary = verticalMargin;
+        this.bottomBoundary = height - verticalMargin;
+    }
+
+    // Apply an input action (REPLAY.ACTIONS, bar the revive). False for
+    // actions that don't move the bird.
+    applyInput(action, payload) {
+        switch (action) {
+            case 'fly':
+                this.fly();
+                break;
+            case 'jump':
+                this.velocityY = PLAYER.MOVEMENT.JUMP_POWER;
+                break;
+            case 'quickBoost':
+                this.velocityY = PLAYER.MOVEMENT.QUICK_BOOST;
+                break;
+            case 'moveLeft':
+                if (this.x > this.leftBoundary) this.x -= this.moveSpeed;
+                break;
+            case 'moveRight':
+                if (this.x < this.rightBoundary) this.x += this.moveSpeed;
+                break;
+            case 'dash':
+                if (!this.dash) this.dash = { fromX: this.x, elapsed: 0 };
+                break;
+            case 'toggleFluid':
+                if (this.isFluidMoving) {
+                    this.isFluidMoving = false;
+                } else {
+                    this.startFluid();
+                }
+                break;
+            case 'fluidTarget':
+                if (this.isFluidMoving && payload) this.targetY = payload.y;
+                break;
+            default:
+                return false;
+        }
+        return true;
+    }
+
+    // A flap also pulls the bird back to the left of the screen
+    fly() {
+        this.velocityY = PLAYER.MOVEMENT.FLY_POWER;
+        this.x = Math.max(80, this.width * 0.08);
+    }
+
+    // Fluid movement holds the bird mid-screen and glides it to the finger
+    startFluid() {
+        this.isFluidMoving = true;
+        this.x = this.width / 2;
+        this.targetY = this.y;
+    }
+
+    placeAt(x, y) {
+        this.x = x;
+        this.y = y;
+        this.velocityY = 0;
+        this.targetY = y;
+    }
+
+    // Advance one fixed step, the way Phaser's arcade body moved the bird:
+    // gravity, then drag, then the speed cap
+    step(delta = GAME.FIXED_TIMESTEP.STEP_MS) {
+        const seconds = delta / 1000;
+
+        if (this.isFluidMoving) {
+            this.x = this.width / 2;
+            this.velocityY = 0;
+
+            const distance = this.targetY - this.y;
+            if (Math.abs(distance) > FLUID_DEADZONE) {
+                const move = PLAYER.MOVEMENT.FLUID_SPEED * delta;
+                this.y += Math.abs(distance) <= move ? distance : Math.sign(distance) * move;
+            }
+        } else {
+            const { GRAVITY, DRAG, MAX_VELOCITY_Y } = GAME.PHYSICS;
+            let velocity = this.velocityY + (GRAVITY + PLAYER.MOVEMENT.GRAVITY) * seconds;
+
+            const drag = DRAG * seconds;
+            if (velocity - drag > 0) {
+                velocity -= drag;
+            } else if (velocity + drag < 0) {
+                velocity += drag;
+            } else {
+                velocity = 0;
+            }
+
+            this.velocityY = Math.max(-MAX_VELOCITY_Y, Math.min(MAX_VELOCITY_Y, velocity));
+            this.y += this.velocityY * seconds;
+        }
+
+        if (this.dash) {
+            this.dash.elapsed += delta;
+            const progress = Math.min(1, this.dash.elapsed / PLAYER.MOVEMENT.DASH_DURATION);
+            this.x = this.dash.fromX + PLAYER.MOVEMENT.DASH_DISTANCE * easeOut(progress);
+            if (progress >= 1) this.dash = null;
+        }
+
+        this.enforceBoundaries();
+    }
+
+    // Stopping at an edge also stops any speed carrying the bird into it
+    enforceBoundaries() {
+        this.x = Math.max(this.leftBoundary, Math.min(this.rightBoundary, this.x));
+
+        if (this.y < this.topBoundary) {
+            this.y = this.topBoundary;
+            if (this.velocityY < 0) this.velocityY = 0;
+        } else if (this.y > this.bottomBoundary) {
+            this.y = this.bottomBoundary;
+            if (this.velocityY > 0) this.velocityY = 0;
+        }
+    }
+}
@@ -1,16 +1,24 @@
 // ContentManager - Dynamic content and seasonal events system
-// Manages live events, seasonal content, and dynamic game configuration
+// Thin client over /api/content/active; events, schedules and game balance
+// live on the server so live-ops can launch an event without a deploy
+
+import ApiService from '../apiService.js';
+import { LIVE_OPS } from '../constants.js';
+import { loadThemePack } from '../themePack.js';
+
+// Last fetched content, so a run can start with live balance before the network answers
+const CONTENT_CACHE_KEY = 'birdDashActiveContent';
 
 export default class ContentManager {
-    constructor(scene, databaseManager, analyticsSystem) {
+    constructor(scene, apiService = new ApiService(), analyticsSystem = null) {
         this.scene = scene;
-        this.db = databaseManager;
+        this.api = apiService;
         this.analytics = analyticsSystem;
         
         // Content types
         this.contentTypes = {
             seasonal_event: 'Seasonal Event',
-            daily_special: 'Daily Special',
+            weekly_special: 'Weekly Special',
             weekend_bonus: 'Weekend Bonus',
             holiday_theme: 'Holiday Theme',
             limited_time_offer: 'Limited Time Offer',
@@ -21,548 +29,136 @@ export default class ContentManager {
         this.activeContent = new Map();
         this.scheduledContent = new Map();
         this.contentCache = new Map();
+        this.gameBalance = ContentManager.getCachedGameBalance();
         
-        // Content refresh intervals
-        this.refreshInterval = 5 * 60 * 1000; // 5 minutes
-        this.cacheTimeout = 15 * 60 * 1000; // 15 minutes
+        // Content refresh interval
+        this.refreshInterval = LIVE_OPS.REFRESH_INTERVAL;
+        this.refreshTimer = null;
         
-        // Seasonal themes
-        this.seasonalThemes = {
-            spring: {
-                name: 'Spring Awakening',
-                colors: { primary: '#4CAF50', secondary: '#8BC34A', accent: '#CDDC39' },
-                collectibles: ['🌸', '🌿', '🦋', '🌱'],
-                music: 'spring_theme.mp3',
-                effects: ['flower_petals', 'gentle_breeze']
-            },
-            summer: {
-                name: 'Summer Heat',
-                colors: { primary: '#FF9800', secondary: '#FFC107', accent: '#FFEB3B' },
-                collectibles: ['☀️', '🏖️', '🌊', '🍉'],
-                music: 'summer_theme.mp3',
-                effects: ['sun_rays', 'heat_shimmer']
-            },
-            autumn: {
-                name: 'Autumn Harvest',
-                colors: { primary: '#FF5722', secondary: '#FF7043', accent: '#FFAB91' },
-                collectibles: ['🍂', '🍁', '🎃', '🌰'],
-                music: 'autumn_theme.mp3',
-                effects: ['falling_leaves', 'golden_light']
-            },
-            winter: {
-                name: 'Winter Wonderland',
-                colors: { primary: '#2196F3', secondary: '#03A9F4', accent: '#81D4FA' },
-                collectibles: ['❄️', '⛄', '🎿', '🔥'],
-                music: 'winter_theme.mp3',
-                effects: ['snowfall', 'frost_sparkle']
-            }
-        };
+        // Theme pack the active events have switched on (themePack.js),
+        // starting from the one the scene was created with
+        this.activeTheme = scene.registry.get('themePack') || null;
+        this.themeId = this.activeTheme ? this.activeTheme.id : null;
         
         this.initializeContentManager();
     }
 
-    async initializeContentManager() {
-        console.log('🎯 ContentManager: Initializing dynamic content system');
-        
+    // Game balance from the last successful fetch, or the defaults.
+    // Synchronous so scenes can lock it in when a run starts.
+    static getCachedGameBalance() {
         try {
-            await this.createContentTables();
-            await this.loadActiveContent();
-            await this.initializeDefaultContent();
-            this.startContentManagement();
-            this.setupEventListeners();
-            
-            console.log('✅ Content management system initialized');
+            const cached = JSON.parse(localStorage.getItem(CONTENT_CACHE_KEY));
+            return { ...LIVE_OPS.DEFAULT_BALANCE, ...(cached?.game_balance || {}) };
         } catch (error) {
-            console.error('❌ Failed to initialize content manager:', error);
+            return { ...LIVE_OPS.DEFAULT_BALANCE };
         }
     }
 
-    async createContentTables() {
-        const isPostgres = this.db.isPostgreSQL();
-        const autoIncrement = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
-        const timestamp = isPostgres ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 'DATETIME DEFAULT CURRENT_TIMESTAMP';
-        const jsonType = isPostgres ? 'JSONB' : 'TEXT';
-
-        const tables = {
-            content_events: `
-                CREATE TABLE IF NOT EXISTS content_events (
-                    id ${autoIncrement},
-                    event_id VARCHAR(100) NOT NULL UNIQUE,
-                    name VARCHAR(200) NOT NULL,
-                    description TEXT,
-                    type VARCHAR(50) NOT NULL,
-                    status VARCHAR(20) DEFAULT 'scheduled',
-                    priority INTEGER DEFAULT 1,
-                    start_date ${timestamp},
-                    end_date ${timestamp},
-                    configuration ${jsonType} DEFAULT '{}',
-                    rewards ${jsonType} DEFAULT '{}',
-                    conditions ${jsonType} DEFAULT '{}',
-                    created_at ${timestamp},
-                    updated_at ${timestamp}
-                )
-            `,
-            
-            seasonal_content: `
-                CREATE TABLE IF NOT EXISTS seasonal_content (
-                    id ${autoIncrement},
-                    season VARCHAR(20) NOT NULL,
-                    content_type VARCHAR(50) NOT NULL,
-                    name VARCHAR(200) NOT NULL,
-                    configuration ${jsonType} NOT NULL,
-                    is_active BOOLEAN DEFAULT TRUE,
-                    created_at ${timestamp}
-                )
-            `,
-            
-            dynamic_config: `
-                CREATE TABLE IF NOT EXISTS dynamic_config (
-                    id ${autoIncrement},
-                    config_key VARCHAR(100) NOT NULL UNIQUE,
-                    config_value ${jsonType} NOT NULL,
-                    description TEXT,
-                    category VARCHAR(50) DEFAULT 'general',
-                    is_active BOOLEAN DEFAULT TRUE,
-                    updated_at ${timestamp}
-                )
-            `,
-            
-            content_participation: `
-                CREATE TABLE IF NOT EXISTS content_participation (
-                    id ${autoIncrement},
-                    user_id INTEGER NOT NULL,
-                    event_id VARCHAR(100) NOT NULL,
-                    participation_data ${jsonType} DEFAULT '{}',
-                    rewards_claimed ${jsonType} DEFAULT '{}',
-                    participated_at ${timestamp},
-                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-                )
-            `
-        };
-
-        for (const [tableName, definition] of Object.entries(tables)) {
-            try {
-                await this.db.query(definition);
-                console.log(`✅ Content table '${tableName}' created/verified`);
-            } catch (error) {
-                if (!error.message.includes('already exists')) {
-                    console.error(`❌ Failed to create content table '${tableName}':`, error);
-                }
-            }
-        }
-
-        // Create indexes
-        const indexes = [
-            'CREATE INDEX IF NOT EXISTS idx_content_events_type ON content_events(type)',
-            'CREATE INDEX IF NOT EXISTS idx_content_events_status ON content_events(status)',
-            'CREATE INDEX IF NOT EXISTS idx_content_events_dates ON content_events(start_date, end_date)',
-            'CREATE INDEX IF NOT EXISTS idx_seasonal_content_season ON seasonal_content(season)',
-            'CREATE INDEX IF NOT EXISTS idx_dynamic_config_key ON dynamic_config(config_key)',
-            'CREATE INDEX IF NOT EXISTS idx_content_participation_user ON content_participation(user_id)',
-            'CREATE INDEX IF NOT EXISTS idx_content_participation_event ON content_participation(event_id)'
-        ];
-
-        for (const indexQuery of indexes) {
-            try {
-                await this.db.query(indexQuery);
-            } catch (error) {
-                if (!error.message.includes('already exists')) {
-                    console.warn('⚠️ Content index creation warning:', error.message);
-                }
-            }
-        }
+    // Theme named by the highest-priority active event (the server lists
+    // them by priority), or null. Any event type can carry one.
+    static getThemeId(events) {
+        const themed = events.find(event => LIVE_OPS.THEMES.includes(event.configuration?.theme));
+        return themed ? themed.configuration.theme : null;
     }
 
-    async initializeDefaultContent() {
-        // Initialize seasonal events
-        await this.createSeasonalEvents();
-        
-        // Initialize dynamic configuration
-        await this.createDefaultConfiguration();
-        
-        // Initialize current seasonal theme
-        await this.activateSeasonalTheme();
+    // Theme of the last fetched content, so the preloader can load its pack up front
+    static getCachedThemeId() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(CONTENT_CACHE_KEY));
+            return ContentManager.getThemeId(cached?.events || []);
+        } catch (error) {
+            return null;
+        }
     }
 
-    async createSeasonalEvents() {
-        const currentDate = new Date();
-        const currentMonth = currentDate.getMonth(); // 0-11
+    async initializeContentManager() {
+        console.log('🎯 ContentManager: Initializing dynamic content system');
         
-        // Define seasonal events
-        const seasonalEvents = [
-            {
-                event_id: 'spring_festival_2025',
-                name: 'Spring Coffee Festival',
-                description: 'Celebrate spring with special coffee collectibles and bonuses!',
-                type: 'seasonal_event',
-                start_date: new Date(2025, 2, 20), // March 20
-                end_date: new Date(2025, 5, 20),   // June 20
-                configuration: JSON.stringify({
-                    theme: 'spring',
-                    bonusMultiplier: 1.5,
-                    specialCollectibles: ['🌸', '🌿', '🦋'],
-                    backgroundMusic: 'spring_theme.mp3'
-                }),
-                rewards: JSON.stringify({
-                    dailyBonus: 50,
-                    completionReward: 500,
-                    specialBadge: 'spring_champion'
-                })
-            },
-            {
-                event_id: 'summer_heat_wave_2025',
-                name: 'Summer Heat Wave',
-                description: 'Beat the heat with iced coffee specials and cooling power-ups!',
-                type: 'seasonal_event',
-                start_date: new Date(2025, 5, 21), // June 21
-                end_date: new Date(2025, 8, 22),   // September 22
-                configuration: JSON.stringify({
-                    theme: 'summer',
-                    bonusMultiplier: 2.0,
-                    specialCollectibles: ['🧊', '🥤', '☀️'],
-                    specialPowerUps: ['ice_shield', 'cooling_breeze']
-                })
-            },
-            {
-                event_id: 'autumn_harvest_2025',
-                name: 'Autumn Harvest Festival',
-                description: 'Gather autumn flavors and seasonal spices!',
-                type: 'seasonal_event',
-                start_date: new Date(2025, 8, 23),  // September 23
-                end_date: new Date(2025, 11, 20),   // December 20
-                configuration: JSON.stringify({
-                    theme: 'autumn',
-                    bonusMultiplier: 1.8,
-                    specialCollectibles: ['🍂', '🎃', '🌰'],
-                    specialFlavors: ['pumpkin_spice', 'cinnamon', 'maple']
-                })
-            },
-            {
-                event_id: 'winter_wonderland_2025',
-                name: 'Winter Wonderland',
-                description: 'Warm up with hot coffee and winter magic!',
-                type: 'seasonal_event',
-                start_date: new Date(2025, 11, 21), // December 21
-                end_date: new Date(2026, 2, 19),    // March 19
-                configuration: JSON.stringify({
-                    theme: 'winter',
-                    bonusMultiplier: 2.5,
-                    specialCollectibles: ['❄️', '⛄', '🔥'],
-                    specialEffects: ['snowfall', 'warm_glow']
-                })
-            }
-        ];
-
-        // Weekly events
-        const weeklyEvents = [
-            {
-                event_id: 'monday_motivation',
-                name: 'Monday Motivation',
-                description: 'Start your week with extra energy!',
-                type: 'weekly_special',
-                configuration: JSON.stringify({
-                    dayOfWeek: 1, // Monday
-                    bonusMultiplier: 1.2,
-                    specialMessage: 'Monday Motivation Active!'
-                })
-            },
-            {
-                event_id: 'weekend_warrior',
-                name: 'Weekend Warrior',
-                description: 'Weekend double points!',
-                type: 'weekend_bonus',
-                configuration: JSON.stringify({
-                    daysOfWeek: [6, 0], // Saturday, Sunday
-                    bonusMultiplier: 2.0,
-                    specialEffects: ['celebration_particles']
-                })
-            }
-        ];
-
-        // Insert events
-        for (const event of [...seasonalEvents, ...weeklyEvents]) {
-            try {
-                await this.db.query(`
-                    INSERT INTO content_events 
-                    (event_id, name, description, type, start_date, end_date, configuration, rewards)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                `, [
-                    event.event_id,
-                    event.name,
-                    event.description,
-                    event.type,
-                    event.start_date?.toISOString(),
-                    event.end_date?.toISOString(),
-                    event.configuration,
-                    event.rewards || '{}'
-                ]);
-            } catch (error) {
-                // Event might already exist
-                if (!error.message.includes('UNIQUE constraint failed') && 
-                    !error.message.includes('duplicate key')) {
-                    console.warn('⚠️ Failed to create event:', event.event_id, error.message);
-                }
-            }
-        }
+        this.applyContent(this.readCachedContent(), { notify: false });
+        await this.loadActiveContent();
+        this.startContentManagement();
+        this.setupEventListeners();
     }
 
-    async createDefaultConfiguration() {
-        const defaultConfigs = [
-            {
-                config_key: 'game_balance',
-                config_value: JSON.stringify({
-                    scoreMultiplier: 1.0,
-                    difficultyScale: 1.0,
-                    powerUpSpawnRate: 0.1,
-                    collectibleSpawnRate: 0.8
-                }),
-                description: 'Core game balance parameters',
-                category: 'gameplay'
-            },
-            {
-                config_key: 'ui_settings',
-                config_value: JSON.stringify({
-                    showFPS: false,
-                    enableParticles: true,
-                    animationSpeed: 1.0,
-                    soundVolume: 0.7
-                }),
-                description: 'User interface configuration',
-                category: 'ui'
-            },
-            {
-                config_key: 'feature_flags',
-                config_value: JSON.stringify({
-                    enableSocialFeatures: true,
-                    enableSeasonalEvents: true,
-                    enableDynamicContent: true,
-                    enableAnalytics: true
-                }),
-                description: 'Feature toggle flags',
-                category: 'features'
-            },
-            {
-                config_key: 'performance_settings',
-                config_value: JSON.stringify({
-                    targetFPS: 60,
-                    maxParticles: 100,
-                    enableOptimizations: true,
-                    qualityLevel: 'high'
-                }),
-                description: 'Performance optimization settings',
-                category: 'performance'
-            }
-        ];
-
-        for (const config of defaultConfigs) {
-            try {
-                await this.db.query(`
-                    INSERT INTO dynamic_config (config_key, config_value, description, category)
-                    VALUES (?, ?, ?, ?)
-                `, [
-                    config.config_key,
-                    config.config_value,
-                    config.description,
-                    config.category
-                ]);
-            } catch (error) {
-                // Config might already exist
-                if (!error.message.includes('UNIQUE constraint failed') && 
-                    !error.message.includes('duplicate key')) {
-                    console.warn('⚠️ Failed to create config:', config.config_key);
-                }
-            }
+    readCachedContent() {
+        try {
+            return JSON.parse(localStorage.getItem(CONTENT_CACHE_KEY));
+        } catch (error) {
+            return null;
         }
     }
 
     async loadActiveContent() {
         try {
-            // Load active events
-            const activeEvents = await this.db.query(`
-                SELECT * FROM content_events 
-                WHERE status = 'active' 
-                AND (start_date IS NULL OR start_date <= CURRENT_TIMESTAMP)
-                AND (end_date IS NULL OR end_date > CURRENT_TIMESTAMP)
-            `);
-
-            for (const event of activeEvents.rows) {
-                this.activeContent.set(event.event_id, {
-                    ...event,
-                    configuration: JSON.parse(event.configuration),
-                    rewards: JSON.parse(event.rewards || '{}')
-                });
+            const content = await this.api.getActiveContent();
+            if (!content || content.error) {
+                throw new Error(content?.error || 'No content returned');
             }
 
-            // Load scheduled events
-            const scheduledEvents = await this.db.query(`
-                SELECT * FROM content_events 
-                WHERE status = 'scheduled' 
-                AND start_date > CURRENT_TIMESTAMP
-            `);
-
-            for (const event of scheduledEvents.rows) {
-                this.scheduledContent.set(event.event_id, {
-                    ...event,
-                    configuration: JSON.parse(event.configuration),
-                    rewards: JSON.parse(event.rewards || '{}')
-                });
+            this.applyContent(content);
+
+            try {
+                localStorage.setItem(CONTENT_CACHE_KEY, JSON.stringify(content));
+            } catch (error) {
+                console.warn('Failed to cache active content:', error);
             }
 
-            console.log(`📅 Loaded ${activeEvents.rows.length} active events and ${scheduledEvents.rows.length} scheduled events`);
+            console.log(`📅 Loaded ${this.activeContent.size} active events and ${this.scheduledContent.size} scheduled events`);
+            return true;
         } catch (error) {
             console.error('❌ Failed to load active content:', error);
+            return false;
         }
     }
 
-    async activateSeasonalTheme() {
-        const currentSeason = this.getCurrentSeason();
-        const theme = this.seasonalThemes[currentSeason];
-        
-        if (theme) {
-            console.log(`🌟 Activating seasonal theme: ${theme.name}`);
-            
-            // Apply theme to game
-            this.applyTheme(theme);
-            
-            // Track seasonal activation
-            if (this.analytics) {
-                this.analytics.trackEvent('seasonal_theme_activated', {
-                    season: currentSeason,
-                    theme: theme.name
-                });
-            }
-        }
-    }
-
-    startContentManagement() {
-        // Check for content updates every 5 minutes
-        setInterval(() => {
-            this.checkContentUpdates();
-        }, this.refreshInterval);
-
-        // Check for scheduled content activation every minute
-        setInterval(() => {
-            this.checkScheduledContent();
-        }, 60 * 1000);
-
-        // Daily content refresh at midnight
-        this.scheduleDaily(() => {
-            this.refreshDailyContent();
-        });
+    // Swap in a server snapshot, applying effects for events that started
+    // and removing them for events that ended since the last one
+    applyContent(content, { notify = true } = {}) {
+        if (!content) return;
 
-        console.log('🔄 Content management system started');
-    }
-
-    async checkContentUpdates() {
-        try {
-            // Check for expired content
-            const expiredEvents = Array.from(this.activeContent.values()).filter(event => {
-                return event.end_date && new Date(event.end_date) <= new Date();
-            });
+        const previous = new Map(this.activeContent);
+        this.activeContent = new Map((content.events || []).map(event => [event.event_id, event]));
+        this.scheduledContent = new Map((content.upcoming || []).map(event => [event.event_id, event]));
+        this.contentCache = new Map(Object.entries(content.config || {}));
+        this.gameBalance = { ...LIVE_OPS.DEFAULT_BALANCE, ...(content.game_balance || {}) };
 
-            for (const event of expiredEvents) {
-                await this.deactivateContent(event.event_id);
+        for (const [eventId, event] of this.activeContent) {
+            if (!previous.has(eventId)) {
+                this.applyEventEffects(event);
+                if (notify) this.notifyEventActivation(event);
             }
-
-            // Refresh cache periodically
-            if (Date.now() - this.lastCacheRefresh > this.cacheTimeout) {
-                await this.refreshContentCache();
-            }
-        } catch (error) {
-            console.error('❌ Failed to check content updates:', error);
         }
-    }
 
-    async checkScheduledContent() {
-        try {
-            const now = new Date();
-            
-            for (const [eventId, event] of this.scheduledContent.entries()) {
-                if (new Date(event.start_date) <= now) {
-                    await this.activateContent(eventId);
-                    this.scheduledContent.delete(eventId);
-                }
+        for (const [eventId, event] of previous) {
+            if (!this.activeContent.has(eventId)) {
+                this.removeEventEffects(event);
+                if (notify) this.notifyEventDeactivation(event);
             }
-        } catch (error) {
-            console.error('❌ Failed to check scheduled content:', error);
         }
-    }
-
-    async activateContent(eventId) {
-        try {
-            // Update database
-            await this.db.query(
-                'UPDATE content_events SET status = ? WHERE event_id = ?',
-                ['active', eventId]
-            );
 
-            // Load and cache the event
-            const eventData = await this.db.query(
-                'SELECT * FROM content_events WHERE event_id = ?',
-                [eventId]
-            );
-
-            if (eventData.rows.length > 0) {
-                const event = eventData.rows[0];
-                this.activeContent.set(eventId, {
-                    ...event,
-                    configuration: JSON.parse(event.configuration),
-                    rewards: JSON.parse(event.rewards || '{}')
-                });
-
-                // Apply event effects
-                await this.applyEventEffects(event);
-
-                // Notify players
-                this.notifyEventActivation(event);
-
-                console.log(`🎉 Activated content event: ${event.name}`);
-            }
-        } catch (error) {
-            console.error('❌ Failed to activate content:', error);
-        }
+        this.activateSeasonalTheme();
     }
 
-    async deactivateContent(eventId) {
-        try {
-            const event = this.activeContent.get(eventId);
-            if (!event) return;
-
-            // Update database
-            await this.db.query(
-                'UPDATE content_events SET status = ? WHERE event_id = ?',
-                ['completed', eventId]
-            );
-
-            // Remove from active content
-            this.activeContent.delete(eventId);
-
-            // Remove event effects
-            await this.removeEventEffects(event);
+    startContentManagement() {
+        this.stopContentManagement();
+        this.refreshTimer = setInterval(() => {
+            this.loadActiveContent();
+        }, this.refreshInterval);
 
-            // Notify players
-            this.notifyEventDeactivation(event);
+        console.log('🔄 Content management system started');
+    }
 
-            console.log(`📅 Deactivated content event: ${event.name}`);
-        } catch (error) {
-            console.error('❌ Failed to deactivate content:', error);
+    stopContentManagement() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
         }
     }
 
-    async applyEventEffects(event) {
-        const config = typeof event.configuration === 'string' 
-            ? JSON.parse(event.configuration) 
-            : event.configuration;
-
-        // Apply theme changes
-        if (config.theme) {
-            const theme = this.seasonalThemes[config.theme];
-            if (theme) {
-                this.applyTheme(theme);
-            }
-        }
+    applyEventEffects(event) {
+        const config = event.configuration || {};
 
-        // Apply gameplay modifiers
+        // Score bonuses reach runs through getGameBalance(); this is for UI
         if (config.bonusMultiplier) {
             this.scene.events.emit('bonusMultiplierChanged', config.bonusMultiplier);
         }
@@ -578,10 +174,8 @@ export default class ContentManager {
         }
     }
 
-    async removeEventEffects(event) {
-        const config = typeof event.configuration === 'string' 
-            ? JSON.parse(event.configuration) 
-            : event.configuration;
+    removeEventEffects(event) {
+        const config = event.configuration || {};
 
         // Reset modifiers
         if (config.bonusMultiplier) {
@@ -599,23 +193,42 @@ export default class ContentManager {
         }
     }
 
-    applyTheme(theme) {
-        // Apply visual theme
-        this.scene.events.emit('themeChanged', {
-            name: theme.name,
-            colors: theme.colors,
-            effects: theme.effects
-        });
+    // Dress the game in the theme pack the active events ask for, or back in
+    // the default look once the last themed event ends. Packs are fetched the
+    // first time an event needs them.
+    activateSeasonalTheme() {
+        const themeId = ContentManager.getThemeId(this.getActiveEvents());
+        if (themeId === this.themeId) return;
+        this.themeId = themeId;
 
-        // Update UI colors
-        if (this.scene.uiManager) {
-            this.scene.uiManager.applyTheme(theme);
+        if (!themeId) {
+            this.applyTheme(null);
+            return;
         }
 
-        // Apply background music
-        if (theme.music && this.scene.soundManager) {
-            this.scene.soundManager.playBackgroundMusic(theme.music);
+        loadThemePack(this.scene, themeId).then(pack => {
+            // Content may have moved on (or the scene shut down) while it loaded
+            if (this.themeId === themeId) {
+                this.applyTheme(pack);
+            }
+        });
+    }
+
+    // pack is a ThemePack, or null for the default look
+    applyTheme(pack) {
+        this.activeTheme = pack;
+
+        // GameScene swaps in its background, collectibles, particles and
+        // music; the registry keeps the pack for the next run
+        this.scene.registry.set('themePack', pack);
+        this.scene.events.emit('themeChanged', pack);
+
+        // Update UI colors (GameScene's UI manager only runs the pause menu)
+        if (pack && this.scene.uiManager && this.scene.uiManager.applyTheme) {
+            this.scene.uiManager.applyTheme(pack);
         }
+
+        console.log(pack ? `🎨 Theme pack applied: ${pack.name}` : '🎨 Default theme restored');
     }
 
     notifyEventActivation(event) {
@@ -647,90 +260,6 @@ export default class ContentManager {
         }
     }
 
-    async refreshDailyContent() {
-        console.log('🌅 Refreshing daily content');
-
-        // Create new daily challenges
-        await this.createDailyChallenge();
-
-        // Update seasonal content if needed
-        await this.checkSeasonalTransition();
-
-        // Refresh leaderboards
-        this.scene.events.emit('dailyContentRefresh');
-    }
-
-    async createDailyChallenge() {
-        const today = new Date().toISOString().split('T')[0];
-        const challenges = [
-            {
-                name: 'Coffee Collector',
-                description: 'Collect 30 coffee beans in a single game',
-                target: 30,
-                type: 'collect_coffee',
-                reward: 100
-            },
-            {
-                name: 'Distance Runner',
-                description: 'Travel 2000 units in a single game',
-                target: 2000,
-                type: 'travel_distance',
-                reward: 150
-            },
-            {
-                name: 'Combo Master',
-                description: 'Achieve a 15x combo',
-                target: 15,
-                type: 'achieve_combo',
-                reward: 200
-            }
-        ];
-
-        const todaysChallenge = challenges[Math.floor(Math.random() * challenges.length)];
-        const eventId = `daily_challenge_${today}`;
-
-        try {
-            await this.db.query(`
-                INSERT INTO content_events 
-                (event_id, name, description, type, status, start_date, end_date, configuration, rewards)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                eventId,
-                todaysChallenge.name,
-                todaysChallenge.description,
-                'daily_challenge',
-                'active',
-                new Date().toISOString(),
-                new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-                JSON.stringify({
-                    challengeType: todaysChallenge.type,
-                    target: todaysChallenge.target
-                }),
-                JSON.stringify({
-                    points: todaysChallenge.reward,
-                    badge: 'daily_challenger'
-                })
-            ]);
-
-            await this.activateContent(eventId);
-        } catch (error) {
-            // Challenge might already exist for today
-            if (!error.message.includes('UNIQUE constraint failed')) {
-                console.error('❌ Failed to create daily challenge:', error);
-            }
-        }
-    }
-
-    async checkSeasonalTransition() {
-        const currentSeason = this.getCurrentSeason();
-        const activeSeason = this.getActiveSeason();
-
-        if (currentSeason !== activeSeason) {
-            console.log(`🍃 Season transition: ${activeSeason} → ${currentSeason}`);
-            await this.activateSeasonalTheme();
-        }
-    }
-
     getCurrentSeason() {
         const month = new Date().getMonth(); // 0-11
         if (month >= 2 && month <= 4) return 'spring';   // Mar-May
@@ -741,132 +270,17 @@ export default class ContentManager {
 
     getActiveSeason() {
         // Get currently active seasonal theme
-        for (const [eventId, event] of this.activeContent.entries()) {
-            if (event.type === 'seasonal_event') {
-                const config = typeof event.configuration === 'string' 
-                    ? JSON.parse(event.configuration) 
-                    : event.configuration;
-                if (config.theme) {
-                    return config.theme;
-                }
+        for (const event of this.activeContent.values()) {
+            if (event.type === 'seasonal_event' && event.configuration?.theme) {
+                return event.configuration.theme;
             }
         }
         return this.getCurrentSeason();
     }
 
-    async refreshContentCache() {
-        try {
-            this.contentCache.clear();
-            
-            // Cache active configuration
-            const configs = await this.db.query(
-                'SELECT * FROM dynamic_config WHERE is_active = TRUE'
-            );
-
-            for (const config of configs.rows) {
-                this.contentCache.set(config.config_key, JSON.parse(config.config_value));
-            }
-
-            this.lastCacheRefresh = Date.now();
-            console.log('🔄 Content cache refreshed');
-        } catch (error) {
-            console.error('❌ Failed to refresh content cache:', error);
-        }
-    }
-
-    scheduleDaily(callback) {
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(0, 0, 0, 0);
-        
-        const msUntilMidnight = tomorrow.getTime() - now.getTime();
-        
-        setTimeout(() => {
-            callback();
-            // Schedule for every 24 hours after that
-            setInterval(callback, 24 * 60 * 60 * 1000);
-        }, msUntilMidnight);
-    }
-
     setupEventListeners() {
         // Listen for game events to track content engagement
-        this.scene.events.on('gameEnded', this.onGameEnded, this);
-        this.scene.events.on('collectibleGathered', this.onCollectibleGathered, this);
-        this.scene.events.on('achievementUnlocked', this.onAchievementUnlocked, this);
-    }
-
-    async onGameEnded(gameData) {
-        // Check daily challenge completion
-        await this.checkDailyChallengeCompletion(gameData);
-        
-        // Track content engagement
-        this.trackContentEngagement(gameData);
-    }
-
-    async checkDailyChallengeCompletion(gameData) {
-        const today = new Date().toISOString().split('T')[0];
-        const eventId = `daily_challenge_${today}`;
-        const event = this.activeContent.get(eventId);
-
-        if (!event || !this.scene.gameStateManager) return;
-
-        const config = event.configuration;
-        const userId = this.scene.gameStateManager.getCurrentUser()?.id;
-        if (!userId) return;
-
-        let completed = false;
-
-        switch (config.challengeType) {
-            case 'collect_coffee':
-                completed = (gameData.stats?.collectiblesGathered || 0) >= config.target;
-                break;
-            case 'travel_distance':
-                completed = (gameData.stats?.distanceTraveled || 0) >= config.target;
-                break;
-            case 'achieve_combo':
-                completed = (gameData.stats?.maxCombo || 0) >= config.target;
-                break;
-        }
-
-        if (completed) {
-            await this.awardChallengeReward(userId, eventId, event.rewards);
-        }
-    }
-
-    async awardChallengeReward(userId, eventId, rewards) {
-        try {
-            // Record participation
-            await this.db.query(`
-                INSERT INTO content_participation (user_id, event_id, participation_data, rewards_claimed)
-                VALUES (?, ?, ?, ?)
-            `, [
-                userId,
-                eventId,
-                JSON.stringify({ completed: true, completedAt: new Date().toISOString() }),
-                JSON.stringify(rewards)
-            ]);
-
-            // Notify player
-            if (this.scene.uiManager) {
-                this.scene.uiManager.showNotification(
-                    '🏆 Challenge Complete!',
-                    `You earned ${rewards.points} points!`,
-                    0xFFD700
-                );
-            }
-
-            // Track completion
-            if (this.analytics) {
-                this.analytics.trackEvent('daily_challenge_completed', {
-                    eventId,
-                    rewards,
-                    userId
-                });
-            }
-        } catch (error) {
-            console.error('❌ Failed to award challenge reward:', error);
-        }
+        this.scene.events.on('gameEnded', this.trackContentEngagement, this);
     }
 
     trackContentEngagement(gameData) {
@@ -891,25 +305,11 @@ export default class ContentManager {
     }
 
     getConfig(key, defaultValue = null) {
-        return this.contentCache.get(key) || defaultValue;
+        return this.contentCache.get(key) ?? defaultValue;
     }
 
-    async updateConfig(key, value, description = '') {
-        try {
-            await this.db.query(`
-                UPDATE dynamic_config 
-                SET config_value = ?, description = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE config_key = ?
-            `, [JSON.stringify(value), description, key]);
-
-            // Update cache
-            this.contentCache.set(key, value);
-            
-            return true;
-        } catch (error) {
-            console.error('❌ Failed to update config:', error);
-            return false;
-        }
+    getGameBalance() {
+        return { ...this.gameBalance };
     }
 
     isEventActive(eventId) {
@@ -917,46 +317,18 @@ export default class ContentManager {
     }
 
     getCurrentTheme() {
-        const season = this.getCurrentSeason();
-        return this.seasonalThemes[season];
-    }
-
-    async getContentStats() {
-        try {
-            const stats = await this.db.query(`
-                SELECT 
-                    COUNT(*) as total_events,
-                    SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active_events,
-                    SUM(CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END) as scheduled_events,
-                    SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_events
-                FROM content_events
-            `);
-
-            const participation = await this.db.query(`
-                SELECT COUNT(*) as total_participations
-                FROM content_participation
-            `);
-
-            return {
-                ...stats.rows[0],
-                total_participations: participation.rows[0].total_participations,
-                cache_size: this.contentCache.size,
-                active_content_count: this.activeContent.size
-            };
-        } catch (error) {
-            console.error('❌ Failed to get content stats:', error);
-            return {};
-        }
+        return this.activeTheme;
     }
 
     // Cleanup
     cleanup() {
+        this.stopContentManagement();
+        this.themeId = null;
         this.activeContent.clear();
         this.scheduledContent.clear();
         this.contentCache.clear();
         
-        // Remove event listeners
-        this.scene.events.removeAllListeners();
+        this.scene.events.off('gameEnded', this.trackContentEngagement, this);
         
         console.log('🎯 ContentManager: Cleanup completed');
     }
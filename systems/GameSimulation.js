@@ -0,0 +1,490 @@
+// GameSimulation - the rules of a run, with nothing drawn
+// Spawning, movement, collisions, scoring and combos, damage, power-up timers
+// and the difficulty ramp all live here and advance in fixed steps, so a run
+// is decided by its seed, its balance and where the bird flies. GameScene
+// feeds in the bird's position, steps the simulation and draws its state;
+// under Node the same class runs bot-played runs (systems/simulation).
+//
+// Events (simulation.events):
+//   itemCollected   { entity, points }    - points actually scored
+//   obstacleBlocked { obstacle }          - a shield soaked up the hit
+//   playerHit       { obstacle, damaged } - damaged is false inside the grace period
+//   playerDowned    { obstacle }          - last heart gone; stepping stops until revive()
+//   healthChanged   { health }
+//   chunkStarted    { chunk }
+//   powerUpActivated { type, duration }   - from PowerUpSystem
+
+import SeededRandom from '../seededRandom.js';
+import { ChunkSequencer } from '../obstaclePatterns.js';
+import { getStandardSize, getResponsiveScaleFactor } from '../elementSizing.js';
+import PowerUpSystem from './PowerUpSystem.js';
+import { GAME, PLAYER, SCORING, LIVE_OPS, REVIVE, PATTERNS, OBSTACLES, SCREEN, SIMULATION } from '../constants.js';
+
+// Just enough of Phaser's event emitter for the scene and PowerUpSystem
+class SimulationEvents {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(name, callback, context) {
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, []);
+        }
+        this.listeners.get(name).push({ callback, context });
+        return this;
+    }
+
+    off(name, callback, context) {
+        const listeners = this.listeners.get(name) || [];
+        this.listeners.set(name, listeners.filter(listener =>
+            listener.callback !== callback || (context !== undefined && listener.context !== context)));
+        return this;
+    }
+
+    emit(name, ...args) {
+        const listeners = this.listeners.get(name);
+        if (!listeners) return false;
+
+        [...listeners].forEach(({ callback, context }) => callback.apply(context, args));
+        return true;
+    }
+
+    removeAllListeners() {
+        this.listeners.clear();
+    }
+}
+
+function overlaps(a, b) {
+    return Math.abs(a.x - b.x) * 2 < a.hitbox + b.hitbox &&
+        Math.abs(a.y - b.y) * 2 < a.hitbox + b.hitbox;
+}
+
+export default class GameSimulation {
+    // itemCatalog and patternLibrary are the loaded ItemCatalog and PatternLibrary.
+    // mode is 'classic' or 'daily'; balance is the live-ops game balance.
+    constructor({
+        seed,
+        itemCatalog,
+        patternLibrary,
+        balance = LIVE_OPS.DEFAULT_BALANCE,
+        mode = 'classic',
+        width = SCREEN.BASE_WIDTH,
+        height = SCREEN.BASE_HEIGHT,
+        minScale = 1
+    }) {
+        if (!itemCatalog) {
+            throw new Error('Item catalog not loaded');
+        }
+        if (!patternLibrary) {
+            throw new Error('Obstacle patterns not loaded');
+        }
+
+        this.mode = mode;
+        this.balance = { ...LIVE_OPS.DEFAULT_BALANCE, ...balance };
+        this.width = width;
+        this.height = height;
+        this.minScale = minScale;
+
+        // One stream per spawner so extra draws in one never shift the other
+        this.rng = new SeededRandom(seed);
+        this.collectibleRng = this.rng.stream('collectibles');
+        this.sequencer = new ChunkSequencer(patternLibrary, this.rng.stream('obstacles'));
+
+        // Spawn tables come from the item catalog (items.json)
+        this.catalog = itemCatalog;
+        this.collectibleTypes = itemCatalog.getCollectibles();
+        this.powerUpTypes = itemCatalog.getPowerUps();
+
+        // PowerUpSystem looks the catalog up through registry.get(), as on a Phaser scene
+        this.events = new SimulationEvents();
+        this.registry = new Map([['itemCatalog', itemCatalog]]);
+        this.powerUps = new PowerUpSystem(this);
+
+        // Fixed timestep clock - frame numbers stamp recorded input
+        this.frame = 0;
+        this.time = 0;
+
+        this.score = 0;
+        this.comboCount = 0;
+        this.maxCombo = 0;
+        this.baseGameSpeed = GAME.SPEEDS.BASE;
+        this.speedIncrease = 1;
+        this.gameSpeed = this.baseGameSpeed;
+        this.distance = 0;
+        this.collectiblesCollected = 0;
+        this.powerUpsCollected = 0;
+
+        // Continue-once revive - leaderboards mark runs that used it
+        this.downed = false;
+        this.revived = false;
+        this.reviveMethod = null;
+        this.beansSpent = 0;
+
+        // Sizes are what GameScene draws, at this screen's responsive scale
+        this.elementScale = getResponsiveScaleFactor(width, height);
+        const playerSize = getStandardSize('player') * this.elementScale;
+        this.player = {
+            x: width * SIMULATION.PLAYER_START.X,
+            y: height * SIMULATION.PLAYER_START.Y,
+            size: playerSize,
+            hitbox: playerSize * SIMULATION.HITBOX.PLAYER,
+            health: PLAYER.HEALTH.MAX,
+            maxHealth: PLAYER.HEALTH.MAX,
+            invulnerableUntil: 0
+        };
+
+        this.obstacles = [];
+        this.items = [];
+        this.nextEntityId = 1;
+
+        // Live-ops spawn rates scale the base intervals (2.0 = twice as often)
+        this.beanSpawnInterval = GAME.SPAWN_INTERVALS.BEANS / this.balance.collectibleSpawnRate;
+        this.powerUpSpawnInterval = GAME.SPAWN_INTERVALS.POWER_UPS / this.balance.powerUpSpawnRate;
+        this.lastBeanSpawnTime = 0;
+        this.lastPowerUpSpawnTime = 0;
+
+        // Obstacles come in authored chunks (obstaclePatterns.json) picked by difficulty
+        this.chunk = null;
+        this.chunkStartTime = 0;
+        this.chunkCursor = 0;
+        this.nextChunkTime = 0;
+    }
+
+    // Advance one fixed step. Does nothing while the bird is down.
+    step(delta = GAME.FIXED_TIMESTEP.STEP_MS) {
+        if (this.downed) return;
+
+        this.updateGameSpeed(delta);
+
+        // Spawners run on simulation time so seeded runs repeat exactly
+        this.updateChunk();
+        this.spawnCollectibles();
+        this.moveEntities(delta);
+
+        this.powerUps.update(delta);
+        this.checkCollisions();
+
+        this.distance += (this.gameSpeed * delta) / 1000;
+        this.frame++;
+        this.time += delta;
+    }
+
+    // Where the bird is this step (its centre). GameScene passes the sprite's
+    // body; the headless harness steers it itself.
+    setPlayerPosition(x, y) {
+        this.player.x = x;
+        this.player.y = y;
+    }
+
+    updateGameSpeed(delta) {
+        this.speedIncrease += delta * GAME.SPEEDS.SPEED_INCREASE_RATE;
+        this.gameSpeed = this.baseGameSpeed * this.speedIncrease * this.powerUps.getCurrentTimeSlowFactor();
+    }
+
+    // Spawn intervals tighten over the first few minutes of play
+    getDifficultyMultipliers() {
+        const minutes = this.time / 60000;
+
+        return {
+            spawnRate: Math.max(SCORING.MIN_SPAWN_RATE, 1 - (minutes * 0.1)),
+            movementComplexity: Math.min(1, minutes * 0.2),
+            rewardFrequency: Math.max(0.7, 1 - (minutes * 0.05))
+        };
+    }
+
+    // Chunk difficulty level (0-10) from time and distance
+    getDifficultyLevel() {
+        const minutes = this.time / 60000;
+        const distanceLevel = Math.floor(this.distance / 1000);
+
+        return Math.min(Math.floor(minutes) + Math.floor(distanceLevel / 5), 10);
+    }
+
+    // Vertical band chunk y values map onto, inside the safe margins
+    getPlayableBand() {
+        const margin = Math.max(60, this.height * 0.08);
+        return { top: margin, height: this.height - margin * 2 };
+    }
+
+    // Larger screens scroll a little faster
+    getSpeedMultiplier() {
+        return Math.max(0.8, this.minScale);
+    }
+
+    // Obstacle speed in px/s
+    getObstacleSpeed() {
+        return this.gameSpeed * PATTERNS.PX_PER_SPEED * this.getSpeedMultiplier();
+    }
+
+    getSpawnX() {
+        return this.width + 75; // Just off-screen right
+    }
+
+    getPassabilityConditions() {
+        return {
+            speed: this.getObstacleSpeed(),
+            playableHeight: this.getPlayableBand().height,
+            approachDistance: this.getSpawnX() - this.player.x
+        };
+    }
+
+    // Start a new chunk once the breather after the last one is over, then
+    // spawn its entries as their offsets come up
+    updateChunk() {
+        if (!this.chunk) {
+            if (this.time < this.nextChunkTime) return;
+
+            this.chunk = this.sequencer.next(this.getDifficultyLevel(), this.getPassabilityConditions());
+            this.chunkStartTime = this.time;
+            this.chunkCursor = 0;
+            if (!this.chunk) {
+                this.nextChunkTime = this.time + PATTERNS.BREATHER;
+                return;
+            }
+            this.events.emit('chunkStarted', { chunk: this.chunk });
+        }
+
+        const elapsed = this.time - this.chunkStartTime;
+        const entries = this.chunk.entries;
+        while (this.chunkCursor < entries.length && entries[this.chunkCursor].at <= elapsed) {
+            const entry = entries[this.chunkCursor++];
+            this.spawnEntry(entry, elapsed - entry.at);
+        }
+
+        if (this.chunkCursor >= entries.length) {
+            this.chunk = null;
+            this.nextChunkTime = this.time + PATTERNS.BREATHER;
+        }
+    }
+
+    // `lateness` is how many ms after its offset the entry came up - it starts
+    // that far along so spacing doesn't depend on step timing
+    spawnEntry(entry, lateness) {
+        const band = this.getPlayableBand();
+        const x = this.getSpawnX() - (lateness / 1000) * this.getObstacleSpeed();
+        const y = band.top + entry.y * band.height;
+
+        if (entry.obstacle) {
+            this.spawnObstacle(entry.obstacle, x, y);
+        } else {
+            // Chunk collectibles travel at obstacle speed, so they keep their
+            // authored spot between the chunk's obstacles
+            const item = this.catalog.get(entry.item);
+            if (item) this.spawnItem(item, x, y);
+        }
+    }
+
+    spawnObstacle(type, x, y) {
+        // Never bigger than the band the passability check assumes it blocks
+        const maxSize = PATTERNS.OBSTACLE_SIZE * this.getPlayableBand().height;
+        const size = Math.min(OBSTACLES.SIZES[type] * this.minScale, maxSize);
+        const obstacle = { id: this.nextEntityId++, type, x, y, size, hitbox: size * SIMULATION.HITBOX.OBSTACLE };
+
+        this.obstacles.push(obstacle);
+        return obstacle;
+    }
+
+    spawnItem(item, x, y) {
+        const kind = item.category === 'powerup' ? 'powerup' : 'collectible';
+        const size = getStandardSize(item.size) * this.elementScale;
+        const entity = {
+            id: this.nextEntityId++,
+            kind,
+            item,
+            x,
+            y,
+            size,
+            hitbox: size * SIMULATION.HITBOX.ITEM,
+            speed: kind === 'powerup' ? SIMULATION.ITEM_SPEEDS.POWER_UP : SIMULATION.ITEM_SPEEDS.COLLECTIBLE,
+            spawnedAt: this.time
+        };
+
+        this.items.push(entity);
+        return entity;
+    }
+
+    // Timed beans and power-ups between the chunks' own collectibles
+    spawnCollectibles() {
+        const difficulty = this.getDifficultyMultipliers();
+        const beanInterval = this.beanSpawnInterval * difficulty.spawnRate;
+        const powerUpInterval = this.powerUpSpawnInterval * Math.max(SCORING.MIN_POWER_UP_SPAWN_RATE, difficulty.spawnRate);
+
+        if (this.time - this.lastBeanSpawnTime > beanInterval) {
+            const x = this.width + this.collectibleRng.between(20, 80);
+            const y = this.collectibleRng.between(this.height * 0.25, this.height * 0.75);
+            this.spawnItem(this.pickWeighted(this.collectibleTypes), x, y);
+            this.lastBeanSpawnTime = this.time;
+        }
+
+        // Power-ups keep to the middle of the screen
+        if (this.time - this.lastPowerUpSpawnTime > powerUpInterval) {
+            const x = this.width + this.collectibleRng.between(30, 100);
+            const y = this.collectibleRng.between(this.height * 0.35, this.height * 0.65);
+            this.spawnItem(this.pickWeighted(this.powerUpTypes), x, y);
+            this.lastPowerUpSpawnTime = this.time;
+        }
+    }
+
+    // Weighted pick from a spawn table; one rng draw per call keeps runs reproducible
+    pickWeighted(items) {
+        const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+        let random = this.collectibleRng.frac() * totalWeight;
+
+        for (const item of items) {
+            random -= item.weight;
+            if (random <= 0) {
+                return item;
+            }
+        }
+
+        return items[0];
+    }
+
+    // Everything scrolls left together and is dropped once off-screen
+    moveEntities(delta) {
+        const distance = this.getObstacleSpeed() * delta / 1000;
+
+        this.obstacles.forEach(obstacle => {
+            obstacle.x -= distance;
+        });
+        this.items.forEach(item => {
+            item.x -= distance * item.speed;
+        });
+
+        this.obstacles = this.obstacles.filter(obstacle => obstacle.x >= -Math.max(50, obstacle.size));
+        this.items = this.items.filter(item => item.x >= -item.size);
+    }
+
+    checkCollisions() {
+        for (const item of [...this.items]) {
+            if (this.items.includes(item) && overlaps(this.player, item)) {
+                this.collectItem(item);
+            }
+        }
+
+        // A revive mid-loop clears obstacles this copy still holds
+        for (const obstacle of [...this.obstacles]) {
+            if (this.downed) return;
+            if (this.obstacles.includes(obstacle) && overlaps(this.player, obstacle)) {
+                this.hitObstacle(obstacle);
+            }
+        }
+    }
+
+    collectItem(entity) {
+        this.items = this.items.filter(item => item !== entity);
+        const { item } = entity;
+
+        let points;
+        if (entity.kind === 'powerup') {
+            // Power-ups take hold before they score, so a multiplier counts its own pickup
+            this.applyItemEffects(item);
+            points = this.addScore(item.points, true);
+            this.powerUpsCollected++;
+        } else {
+            points = this.addScore(item.points, true);
+            this.collectiblesCollected++;
+            this.applyItemEffects(item);
+        }
+
+        this.events.emit('itemCollected', { entity, points });
+    }
+
+    // Apply every effect a catalog item lists, in order
+    applyItemEffects(item) {
+        for (const { type, params } of item.effects) {
+            this.powerUps.activatePowerUp(type, params);
+        }
+    }
+
+    // Returns the points actually scored
+    addScore(points, isComboable = true) {
+        let finalPoints = points;
+
+        if (isComboable && this.comboCount > 1) {
+            finalPoints *= Math.min(this.comboCount, SCORING.MAX_COMBO_MULTIPLIER);
+        }
+        finalPoints *= this.powerUps.getCurrentScoreMultiplier();
+        finalPoints *= this.balance.scoreMultiplier;
+
+        const scored = Math.floor(finalPoints);
+        this.score += scored;
+
+        if (isComboable) {
+            this.comboCount++;
+            this.maxCombo = Math.max(this.maxCombo, this.comboCount);
+        }
+        return scored;
+    }
+
+    resetCombo() {
+        this.comboCount = 0;
+    }
+
+    hitObstacle(obstacle) {
+        this.obstacles = this.obstacles.filter(other => other !== obstacle);
+
+        if (this.powerUps.isPlayerInvulnerable()) {
+            this.events.emit('obstacleBlocked', { obstacle });
+            return;
+        }
+
+        // A second hit straight after the first breaks the combo but costs no heart
+        const damaged = this.time >= this.player.invulnerableUntil;
+        if (damaged) {
+            this.player.health = Math.max(0, this.player.health - 1);
+            this.player.invulnerableUntil = this.time + PLAYER.HEALTH.INVULNERABILITY_TIME;
+        }
+        this.resetCombo();
+
+        this.events.emit('playerHit', { obstacle, damaged });
+        if (damaged) {
+            this.events.emit('healthChanged', { health: this.player.health });
+        }
+
+        if (this.player.health <= 0) {
+            this.downed = true;
+            this.events.emit('playerDowned', { obstacle });
+        }
+    }
+
+    healPlayer(amount = 1) {
+        this.player.health = Math.min(this.player.health + amount, this.player.maxHealth);
+        this.events.emit('healthChanged', { health: this.player.health });
+    }
+
+    // One revive per run. Daily Dash stays one life so the daily board is a level field.
+    canRevive() {
+        return !this.revived && this.mode !== 'daily';
+    }
+
+    getAvailableBeans() {
+        return this.collectiblesCollected - this.beansSpent;
+    }
+
+    // method: 'beans', 'promo' or 'replay'. Back in with a heart, a cleared patch of sky
+    // and a few seconds of shield; score, distance and combo stats carry on.
+    revive(method) {
+        if (!this.canRevive()) return false;
+        if (method === 'beans') {
+            if (this.getAvailableBeans() < REVIVE.BEAN_COST) return false;
+            this.beansSpent += REVIVE.BEAN_COST;
+        }
+
+        this.revived = true;
+        this.reviveMethod = method;
+        this.downed = false;
+
+        this.healPlayer(REVIVE.HEALTH);
+        this.clearObstaclesNear(this.player.x, this.player.y, REVIVE.CLEAR_RADIUS);
+        this.powerUps.activatePowerUp('shield', { duration: REVIVE.SHIELD_DURATION });
+        return true;
+    }
+
+    // Returns how many obstacles were cleared
+    clearObstaclesNear(x, y, radius) {
+        const before = this.obstacles.length;
+        this.obstacles = this.obstacles.filter(obstacle => Math.hypot(obstacle.x - x, obstacle.y - y) > radius);
+        return before - this.obstacles.length;
+    }
+}
@@ -21,6 +21,12 @@ export default class GameStateManager {
         this.pauseState = false;
         this.isDashing = false;
 
+        // Pause bookkeeping - paused time doesn't count towards the run's play time
+        this.pauseReason = null;
+        this.pauseStartedAt = 0;
+        this.totalPausedTime = 0;
+        this.pausedEmitters = [];
+
         // Session management
         this.sessionPhase = 'warmup';
         this.phaseStartTime = 0;
@@ -45,8 +51,7 @@ export default class GameStateManager {
         this.frameCount = 0;
         this.averageFPS = 60;
         
-        // Achievement tracking
-        this.achievements = new Set();
+        // Milestone tracking
         this.milestones = new Map();
     }
 
@@ -59,11 +64,13 @@ export default class GameStateManager {
     }
 
     // Game lifecycle methods
-    startGame() {
+    // details are passed on with the gameStarted event (GameScene sends its start time and seed)
+    startGame(details = {}) {
         console.log('🎮 GameStateManager: Starting new game');
         
         this.gameRunning = true;
         this.pauseState = false;
+        this.totalPausedTime = 0;
         this.gameStats.startTime = Date.now();
         this.lastUpdateTime = this.scene.time.now;
         
@@ -80,33 +87,64 @@ export default class GameStateManager {
         this.updateDifficulty();
         
         // Emit game started event
-        this.scene.events.emit('gameStarted', this.getGameState());
+        this.scene.events.emit('gameStarted', { ...this.getGameState(), ...details });
     }
 
-    pauseGame() {
-        if (!this.gameRunning) return;
+    // reason is 'player' for the pause button and keys, 'background' when the
+    // tab or window loses focus. Returns false if there was nothing to pause.
+    pauseGame(reason = 'player') {
+        if (!this.gameRunning || this.pauseState) return false;
         
         this.pauseState = true;
-        console.log('⏸️ Game paused');
+        this.pauseReason = reason;
+        this.pauseStartedAt = this.scene.time.now;
+        console.log(`⏸️ Game paused (${reason})`);
         
-        // Pause physics and animations
-        this.scene.physics.pause();
-        this.scene.anims.pauseAll();
+        this.freezeScene();
         
-        this.scene.events.emit('gamePaused');
+        this.scene.events.emit('gamePaused', { reason });
+        return true;
     }
 
     resumeGame() {
-        if (!this.gameRunning || !this.pauseState) return;
+        if (!this.gameRunning || !this.pauseState) return false;
         
+        const pausedFor = Math.max(0, this.scene.time.now - this.pauseStartedAt);
+        this.totalPausedTime += pausedFor;
         this.pauseState = false;
-        console.log('▶️ Game resumed');
+        this.pauseReason = null;
+        console.log(`▶️ Game resumed after ${Math.round(pausedFor / 1000)}s`);
+        
+        this.thawScene();
+        
+        // Systems that compare against time.now shift their deadlines by pausedFor
+        this.scene.events.emit('gameResumed', { pausedFor });
+        return true;
+    }
+
+    // Stop everything the scene drives: physics, animations, delayed calls,
+    // tweens and particle emitters. Systems with clocks of their own (music,
+    // the fixed-step simulation) listen for gamePaused instead.
+    freezeScene() {
+        this.scene.physics.pause();
+        this.scene.anims.pauseAll();
+        this.scene.time.paused = true;
+        this.scene.tweens.pauseAll();
         
-        // Resume physics and animations
+        // Only emitters that were running, so resuming doesn't restart stopped ones
+        this.pausedEmitters = this.scene.children.list.filter(child =>
+            child instanceof Phaser.GameObjects.Particles.ParticleEmitter && !child.paused);
+        this.pausedEmitters.forEach(emitter => emitter.pause());
+    }
+
+    thawScene() {
         this.scene.physics.resume();
         this.scene.anims.resumeAll();
+        this.scene.time.paused = false;
+        this.scene.tweens.resumeAll();
         
-        this.scene.events.emit('gameResumed');
+        this.pausedEmitters.filter(emitter => emitter.scene).forEach(emitter => emitter.resume());
+        this.pausedEmitters = [];
     }
 
     endGame(reason = 'collision') {
@@ -121,8 +159,8 @@ export default class GameStateManager {
         // Calculate final stats
         const finalStats = this.calculateFinalStats();
         
-        // Check for achievements
-        this.checkAchievements(finalStats);
+        // Achievements are evaluated by the server when the game is submitted
+        // (see achievements.json) - unlocks come back with the response
         
         // Emit game ended event
         this.scene.events.emit('gameEnded', {
@@ -323,49 +361,6 @@ export default class GameStateManager {
         });
     }
 
-    // Achievement system
-    checkAchievements(stats) {
-        const achievements = [
-            {
-                id: 'first_flight',
-                name: 'First Flight',
-                condition: () => stats.playtime > 30000, // 30 seconds
-                description: 'Survive for 30 seconds'
-            },
-            {
-                id: 'combo_master',
-                name: 'Combo Master',
-                condition: () => stats.maxCombo >= 10,
-                description: 'Achieve a 10x combo'
-            },
-            {
-                id: 'collector',
-                name: 'Collector',
-                condition: () => stats.collectiblesGathered >= 50,
-                description: 'Collect 50 items in one game'
-            },
-            {
-                id: 'power_user',
-                name: 'Power User',
-                condition: () => stats.powerUpsUsed >= 5,
-                description: 'Use 5 power-ups in one game'
-            },
-            {
-                id: 'distance_runner',
-                name: 'Distance Runner',
-                condition: () => stats.distanceTraveled >= 5000,
-                description: 'Travel 5000 units'
-            }
-        ];
-
-        achievements.forEach(achievement => {
-            if (!this.achievements.has(achievement.id) && achievement.condition()) {
-                this.achievements.add(achievement.id);
-                this.scene.events.emit('achievementUnlocked', achievement);
-            }
-        });
-    }
-
     // Statistics calculation
     calculateFinalStats() {
         return {
@@ -375,8 +370,7 @@ export default class GameStateManager {
             averageFPS: this.averageFPS,
             efficiency: this.gameStats.collectiblesGathered / Math.max(1, this.gameStats.deaths),
             survivalTime: this.gameStats.playtime,
-            distancePerSecond: this.gameStats.distanceTraveled / (this.gameStats.playtime / 1000),
-            achievements: Array.from(this.achievements)
+            distancePerSecond: this.gameStats.distanceTraveled / (this.gameStats.playtime / 1000)
         };
     }
 
@@ -419,8 +413,28 @@ export default class GameStateManager {
         return this.pauseState;
     }
 
+    getPauseReason() {
+        return this.pauseReason;
+    }
+
+    // Time spent paused this run, including a pause still in progress
+    getTotalPausedTime() {
+        const current = this.pauseState ? Math.max(0, this.scene.time.now - this.pauseStartedAt) : 0;
+        return this.totalPausedTime + current;
+    }
+
     // Cleanup
     cleanup() {
+        // Restarting from the pause menu: the animation manager is shared by
+        // every scene and the clock and tweens carry over to the next run
+        if (this.pauseState) {
+            this.scene.physics.world?.resume();
+            this.scene.anims.resumeAll();
+            this.scene.time.paused = false;
+            this.scene.tweens.resumeAll();
+            this.pauseState = false;
+        }
+        
         this.scene.events.off('collectibleGathered', this.onCollectibleGathered, this);
         this.scene.events.off('obstacleHit', this.onObstacleHit, this);
         this.scene.events.off('powerUpUsed', this.onPowerUpUsed, this);
@@ -270,8 +270,7 @@ export default class PerformanceMonitor {
     }
 
     getActivePowerUps(powerUpSystem) {
-        const powerUpTypes = ['shield', 'speedBoost', 'scoreMultiplier', 'timeSlow', 'magnet', 'birdCompanion'];
-        return powerUpTypes.filter(type => powerUpSystem.isPowerUpActive(type));
+        return powerUpSystem.getActiveEffects().map(effect => effect.type);
     }
 
     estimateObjectCount() {
@@ -1,11 +1,18 @@
 // UIManager - Centralized UI management system
 // Extracted from gameScene.js to separate UI concerns from game logic
 
+import { getPowerUpEffect } from './powerUps/index.js';
+import { UI, PAUSE, REVIVE } from '../constants.js';
+
 export default class UIManager {
     constructor(scene) {
         this.scene = scene;
         this.uiElements = new Map();
         this.animations = new Map();
+        this.powerUpIndicators = new Map();
+        this.notifications = [];
+        this.resumeCountdown = null;
+        this.revivePromo = null;
         this.isInitialized = false;
         
         this.setupEventListeners();
@@ -168,6 +175,8 @@ export default class UIManager {
         this.notifications = [];
     }
 
+    // Scenes without the full UI (GameScene draws its own HUD) can create
+    // just this menu; it opens on gamePaused and resumes through a countdown
     createPauseMenu() {
         const centerX = this.scene.cameras.main.centerX;
         const centerY = this.scene.cameras.main.centerY;
@@ -178,44 +187,138 @@ export default class UIManager {
         const pauseContainer = this.scene.add.container(centerX, centerY);
         pauseContainer.setScrollFactor(0);
         pauseContainer.setVisible(false);
-        pauseContainer.setDepth(100);
+        pauseContainer.setDepth(UI.DEPTHS.MODAL);
 
-        // Semi-transparent overlay
+        // Semi-transparent overlay - interactive so taps don't reach the HUD underneath
         const overlay = this.scene.add.rectangle(0, 0, width, height, 0x000000, 0.7);
+        overlay.setInteractive();
         
         // Menu background
-        const menuBg = this.scene.add.rectangle(0, 0, 300, 400, 0x2D1B00, 0.9);
+        const menuBg = this.scene.add.rectangle(0, 0, 300, 300, 0x2D1B00, 0.9);
         menuBg.setStrokeStyle(3, 0xFFD700);
         
         // Title
-        const title = this.scene.add.text(0, -120, '⏸️ PAUSED', {
+        const title = this.scene.add.text(0, -100, '⏸️ PAUSED', {
             fontSize: '32px',
             fill: '#FFD700',
             fontWeight: 'bold'
         }).setOrigin(0.5);
         
+        // Why the game stopped, when it wasn't the player's doing
+        const reasonText = this.scene.add.text(0, -60, '', {
+            fontSize: '14px',
+            fill: '#CCCCCC'
+        }).setOrigin(0.5);
+        
         // Resume button
-        const resumeBtn = this.createButton(0, -40, 'Resume Game', () => {
-            if (this.scene.gameStateManager) {
-                this.scene.gameStateManager.resumeGame();
-            }
+        const resumeBtn = this.createButton(0, 0, 'Resume Game', () => {
+            this.startResumeCountdown();
         });
         
         // Restart button
-        const restartBtn = this.createButton(0, 20, 'Restart Game', () => {
+        const restartBtn = this.createButton(0, 60, 'Restart Game', () => {
             this.hidePauseMenu();
             this.scene.scene.restart();
         });
         
-        // Main menu button
-        const mainMenuBtn = this.createButton(0, 80, 'Main Menu', () => {
-            this.hidePauseMenu();
-            // Navigate to main menu (would need main menu scene)
-            console.log('Navigate to main menu');
-        });
+        const hint = this.scene.add.text(0, 115, 'ESC or P to resume', {
+            fontSize: '12px',
+            fill: '#999999'
+        }).setOrigin(0.5);
 
-        pauseContainer.add([overlay, menuBg, title, resumeBtn, restartBtn, mainMenuBtn]);
+        pauseContainer.add([overlay, menuBg, title, reasonText, resumeBtn, restartBtn, hint]);
         this.uiElements.set('pauseContainer', pauseContainer);
+        this.uiElements.set('pauseReasonText', reasonText);
+        
+        // 3-2-1 shown between tapping Resume and play picking up again
+        const countdownText = this.scene.add.text(centerX, centerY, '', {
+            fontSize: '96px',
+            fill: '#FFD700',
+            fontWeight: 'bold',
+            stroke: '#000000',
+            strokeThickness: 8
+        }).setOrigin(0.5).setScrollFactor(0).setDepth(UI.DEPTHS.MODAL).setVisible(false);
+        this.uiElements.set('resumeCountdownText', countdownText);
+    }
+
+    // Shown by GameScene.offerRevive() when the last heart goes
+    createReviveOffer() {
+        const centerX = this.scene.cameras.main.centerX;
+        const centerY = this.scene.cameras.main.centerY;
+        const width = this.scene.cameras.main.width;
+        const height = this.scene.cameras.main.height;
+
+        const reviveContainer = this.scene.add.container(centerX, centerY);
+        reviveContainer.setScrollFactor(0);
+        reviveContainer.setVisible(false);
+        reviveContainer.setDepth(UI.DEPTHS.MODAL);
+
+        const overlay = this.scene.add.rectangle(0, 0, width, height, 0x000000, 0.7);
+        overlay.setInteractive();
+        
+        const menuBg = this.scene.add.rectangle(0, 0, 300, 320, 0x2D1B00, 0.9);
+        menuBg.setStrokeStyle(3, 0xFFD700);
+        
+        const title = this.scene.add.text(0, -120, '💔 OUT OF HEARTS', {
+            fontSize: '28px',
+            fill: '#FFD700',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        const subtitle = this.scene.add.text(0, -82, 'Keep going? One revive per run', {
+            fontSize: '14px',
+            fill: '#CCCCCC'
+        }).setOrigin(0.5);
+        
+        const beansBtn = this.createButton(0, -30, '', () => {
+            this.scene.revive('beans');
+        });
+        
+        const promoBtn = this.createButton(0, 30, '📺 Watch a coffee promo', () => {
+            this.startRevivePromo();
+        });
+        
+        const declineBtn = this.createButton(0, 90, 'No thanks', () => {
+            this.scene.declineRevive();
+        });
+
+        reviveContainer.add([overlay, menuBg, title, subtitle, beansBtn, promoBtn, declineBtn]);
+        this.uiElements.set('reviveContainer', reviveContainer);
+        this.uiElements.set('reviveBeansButton', beansBtn);
+        
+        // The promo card plays in place of the offer, then revives
+        const promoContainer = this.scene.add.container(centerX, centerY);
+        promoContainer.setScrollFactor(0);
+        promoContainer.setVisible(false);
+        promoContainer.setDepth(UI.DEPTHS.MODAL);
+        
+        const promoOverlay = this.scene.add.rectangle(0, 0, width, height, 0x000000, 0.8);
+        promoOverlay.setInteractive();
+        
+        const card = this.scene.add.rectangle(0, 0, 280, 260, 0xF5DEB3, 1);
+        card.setStrokeStyle(4, 0x8B4513);
+        
+        const promoTitle = this.scene.add.text(0, -85, REVIVE.PROMO.TITLE, {
+            fontSize: '24px',
+            fill: '#8B4513',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        const promoText = this.scene.add.text(0, -10, REVIVE.PROMO.TEXT, {
+            fontSize: '18px',
+            fill: '#2D1B00',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        const promoCountdown = this.scene.add.text(0, 85, '', {
+            fontSize: '16px',
+            fill: '#8B4513',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        promoContainer.add([promoOverlay, card, promoTitle, promoText, promoCountdown]);
+        this.uiElements.set('revivePromoContainer', promoContainer);
+        this.uiElements.set('revivePromoCountdown', promoCountdown);
     }
 
     createGameOverScreen() {
@@ -331,11 +434,15 @@ export default class UIManager {
         this.showGameOverScreen(data);
     }
 
-    onGamePaused() {
-        this.showPauseMenu();
+    onGamePaused(data = {}) {
+        // A revive pause shows the revive offer instead of the menu
+        if (data.reason === 'revive') return;
+        this.showPauseMenu(data.reason);
     }
 
     onGameResumed() {
+        this.resumeCountdown = null;
+        this.uiElements.get('resumeCountdownText')?.setVisible(false);
         this.hidePauseMenu();
     }
 
@@ -485,27 +592,12 @@ export default class UIManager {
     }
 
     getPowerUpColor(type) {
-        const colors = {
-            shield: 0x4CAF50,
-            speedBoost: 0xFF9800,
-            scoreMultiplier: 0xFFD700,
-            timeSlow: 0x9C27B0,
-            magnet: 0xF44336,
-            birdCompanion: 0x2196F3
-        };
-        return colors[type] || 0xFFFFFF;
+        const hud = getPowerUpEffect(type)?.hud;
+        return hud ? parseInt(hud.color.slice(1), 16) : 0xFFFFFF;
     }
 
     getPowerUpIcon(type) {
-        const icons = {
-            shield: '🛡️',
-            speedBoost: '⚡',
-            scoreMultiplier: '🔥',
-            timeSlow: '⏱️',
-            magnet: '🧲',
-            birdCompanion: '🐦'
-        };
-        return icons[type] || '⭐';
+        return getPowerUpEffect(type)?.hud?.icon || '⭐';
     }
 
     // Notification system
@@ -596,11 +688,16 @@ export default class UIManager {
         });
     }
 
-    showPauseMenu() {
+    showPauseMenu(reason) {
         const pauseContainer = this.uiElements.get('pauseContainer');
         if (pauseContainer) {
             pauseContainer.setVisible(true);
         }
+        
+        const reasonText = this.uiElements.get('pauseReasonText');
+        if (reasonText && reason !== undefined) {
+            reasonText.setText(reason === 'background' ? 'Paused while you were away' : '');
+        }
     }
 
     hidePauseMenu() {
@@ -610,6 +707,95 @@ export default class UIManager {
         }
     }
 
+    // Play picks up again once the countdown runs out (see updateResumeCountdown)
+    startResumeCountdown() {
+        if (this.resumeCountdown || !this.scene.gameStateManager?.isGamePaused()) return;
+        
+        this.hidePauseMenu();
+        this.resumeCountdown = { remaining: PAUSE.RESUME_COUNTDOWN };
+        this.updateResumeCountdown(0);
+    }
+
+    // Back to the menu, e.g. when the tab is hidden mid-countdown
+    cancelResumeCountdown() {
+        if (!this.resumeCountdown) return;
+        
+        this.resumeCountdown = null;
+        this.uiElements.get('resumeCountdownText')?.setVisible(false);
+        this.showPauseMenu();
+    }
+
+    isResumeCountdownRunning() {
+        return Boolean(this.resumeCountdown);
+    }
+
+    // Driven from the scene's update with real frame time - the scene clock
+    // and tweens are frozen while the game is paused
+    updateResumeCountdown(delta) {
+        if (!this.resumeCountdown) return;
+        
+        this.resumeCountdown.remaining -= delta;
+        if (this.resumeCountdown.remaining <= 0) {
+            this.resumeCountdown = null;
+            this.scene.gameStateManager.resumeGame();
+            return;
+        }
+        
+        const countdownText = this.uiElements.get('resumeCountdownText');
+        if (countdownText) {
+            // Each number starts large and settles as its second runs out
+            const secondProgress = (this.resumeCountdown.remaining % 1000) / 1000;
+            countdownText.setText(String(Math.ceil(this.resumeCountdown.remaining / 1000)));
+            countdownText.setScale(1 + secondProgress * 0.5);
+            countdownText.setVisible(true);
+        }
+    }
+
+    showReviveOffer({ beans, cost }) {
+        const beansBtn = this.uiElements.get('reviveBeansButton');
+        if (beansBtn) {
+            // Button container holds [background, label]
+            const canAfford = beans >= cost;
+            beansBtn.list[1].setText(`☕ Spend ${cost} beans (${beans})`);
+            beansBtn.setAlpha(canAfford ? 1 : 0.5);
+        }
+        this.uiElements.get('reviveContainer')?.setVisible(true);
+    }
+
+    hideReviveOffer() {
+        this.revivePromo = null;
+        this.uiElements.get('reviveContainer')?.setVisible(false);
+        this.uiElements.get('revivePromoContainer')?.setVisible(false);
+    }
+
+    isReviveOfferShowing() {
+        return Boolean(this.uiElements.get('reviveContainer')?.visible || this.revivePromo);
+    }
+
+    startRevivePromo() {
+        if (this.revivePromo) return;
+        
+        this.uiElements.get('reviveContainer')?.setVisible(false);
+        this.uiElements.get('revivePromoContainer')?.setVisible(true);
+        this.revivePromo = { remaining: REVIVE.PROMO_DURATION };
+        this.updateRevivePromo(0);
+    }
+
+    // Real frame time from the scene's update, like the resume countdown
+    updateRevivePromo(delta) {
+        if (!this.revivePromo) return;
+        
+        this.revivePromo.remaining -= delta;
+        if (this.revivePromo.remaining <= 0) {
+            this.revivePromo = null;
+            this.scene.revive('promo');
+            return;
+        }
+        
+        const seconds = Math.ceil(this.revivePromo.remaining / 1000);
+        this.uiElements.get('revivePromoCountdown')?.setText(`Back in the air in ${seconds}...`);
+    }
+
     showGameOverScreen(data) {
         this.hideGameplayUI();
         
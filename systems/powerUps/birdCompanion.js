@@ -0,0 +1,81 @@
+import { POWER_UP_STACKING } from '../../constants.js';
+import debugLogger from '../../debugLogger.js';
+
+// Per-bird look and behaviour - bigger birds follow faster and reach further
+const BIRDS = {
+    sparrow: { texture: 'sparrowCompanion', scale: 0.8, speed: 1.0, radius: 80 },
+    robin: { texture: 'robinCompanion', scale: 1.0, speed: 1.3, radius: 100 },
+    cardinal: { texture: 'cardinalCompanion', scale: 1.2, speed: 1.5, radius: 120 }
+};
+
+const HOVER_HEIGHT = 10;
+const HOVER_PERIOD = 800;
+
+// A bird that follows the player and collects nearby coffee
+export default {
+    type: 'bird_companion',
+    params: { bird: 'string', duration: 'number' },
+    stacking: POWER_UP_STACKING.REFRESH,
+    hud: { icon: '🐦', color: '#e67e22' },
+
+    onActivate(simulation, effect) {
+        effect.state.bird = BIRDS[effect.params.bird] || BIRDS.sparrow;
+        effect.state.x = simulation.player.x + 50;
+        effect.state.y = simulation.player.y - 30;
+    },
+
+    onTick(simulation, effect) {
+        const { bird } = effect.state;
+        const { player } = simulation;
+
+        // Follow player with some offset and smoothing
+        effect.state.x += (player.x + 40 - effect.state.x) * 0.1 * bird.speed;
+        effect.state.y += (player.y - 25 - effect.state.y) * 0.08 * bird.speed;
+
+        simulation.items
+            .filter(item => item.kind === 'collectible' &&
+                Math.hypot(effect.state.x - item.x, effect.state.y - item.y) < bird.radius)
+            .forEach(item => simulation.collectItem(item));
+    },
+
+    view: {
+        onActivate(scene, effect, view) {
+            const { bird } = effect.state;
+            view.sprite = scene.add.sprite(effect.state.x, effect.state.y, bird.texture)
+                .setDepth(950)
+                .setScale(0.175 * bird.scale);
+
+            scene.triggerHitStop(80);
+            debugLogger.effect('Bird companion activated:', effect.params.bird);
+        },
+
+        // Gentle flying bob on top of where the simulation has the bird
+        onTick(scene, effect, view) {
+            if (!view.sprite) return;
+
+            const hover = Math.sin(scene.simulationTime / HOVER_PERIOD * Math.PI) * HOVER_HEIGHT / 2;
+            view.sprite.setPosition(effect.state.x, effect.state.y + hover);
+        },
+
+        onExpire(scene, effect, view) {
+            const { sprite } = view;
+            if (!sprite) return;
+            view.sprite = null;
+
+            scene.tweens.add({
+                targets: sprite,
+                x: sprite.x + 200,
+                y: sprite.y - 100,
+                alpha: 0,
+                duration: 800,
+                ease: 'Power2.easeOut',
+                onComplete: () => sprite.destroy()
+            });
+
+            // Safety timeout to ensure cleanup even if the tween is killed
+            scene.time.delayedCall(1000, () => {
+                if (sprite.scene) sprite.destroy();
+            });
+        }
+    }
+};
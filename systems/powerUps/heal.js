@@ -0,0 +1,9 @@
+// Restores hearts on pickup
+export default {
+    type: 'heal',
+    params: { amount: 'number' },
+
+    onActivate(simulation, effect) {
+        simulation.healPlayer(effect.params.amount);
+    }
+};
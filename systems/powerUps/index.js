@@ -0,0 +1,54 @@
+// Power-up effect registry
+// Each effect is a module in this folder describing the params it takes, how it
+// stacks, its HUD icon and its onActivate/onTick/onExpire hooks. PowerUpSystem
+// runs them and the item catalog validates against them, so a new effect is a
+// new module plus one line below.
+//
+// The hooks are game rules and receive the GameSimulation, so they must not
+// touch Phaser. Anything drawn goes in an optional `view` with the same three
+// hooks, which GameScene calls with (scene, effect, viewState) as it draws.
+//
+// Optional modifiers an effect can expose while active:
+//   scoreMultiplier(effect) - multiplies points scored
+//   gameSpeedFactor(effect) - multiplies world speed
+//   invulnerable            - obstacles do no damage
+
+import { POWER_UP_STACKING } from '../../constants.js';
+import heal from './heal.js';
+import shield from './shield.js';
+import speedBoost from './speedBoost.js';
+import scoreMultiplier from './scoreMultiplier.js';
+import timeSlow from './timeSlow.js';
+import magnet from './magnet.js';
+import birdCompanion from './birdCompanion.js';
+
+const effects = new Map();
+
+export function registerPowerUpEffect(definition) {
+    if (typeof definition?.type !== 'string' || definition.type === '') {
+        throw new Error('Power-up effect needs a type');
+    }
+    if (!definition.params || typeof definition.params !== 'object') {
+        throw new Error(`Power-up effect ${definition.type} needs a params schema`);
+    }
+    if (definition.stacking && !Object.values(POWER_UP_STACKING).includes(definition.stacking)) {
+        throw new Error(`Power-up effect ${definition.type} has unknown stacking "${definition.stacking}"`);
+    }
+
+    effects.set(definition.type, Object.freeze({ stacking: POWER_UP_STACKING.REFRESH, hud: null, ...definition }));
+}
+
+export function getPowerUpEffect(type) {
+    return effects.get(type) || null;
+}
+
+export function getPowerUpEffects() {
+    return [...effects.values()];
+}
+
+// Effects without a duration param fire once on pickup and never show on the HUD
+export function isTimedEffect(definition) {
+    return 'duration' in definition.params;
+}
+
+[heal, shield, speedBoost, scoreMultiplier, timeSlow, magnet, birdCompanion].forEach(registerPowerUpEffect);
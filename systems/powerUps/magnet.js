@@ -0,0 +1,81 @@
+import { POWER_UP_STACKING } from '../../constants.js';
+import debugLogger from '../../debugLogger.js';
+
+const MAGNET_RANGE = 150; // Pixel range for magnet effect
+const MAGNET_COLOR = 0xFF1493;
+const PULL_SPEED = 300;
+
+function createAura(scene) {
+    const sprite = scene.player.sprite;
+    return scene.add.circle(sprite.x, sprite.y, MAGNET_RANGE, MAGNET_COLOR, 0.2)
+        .setStrokeStyle(2, MAGNET_COLOR, 0.5)
+        .setDepth(900);
+}
+
+// Pulls nearby coffee towards the player
+export default {
+    type: 'magnet',
+    params: { duration: 'number' },
+    stacking: POWER_UP_STACKING.REFRESH,
+    hud: { icon: '🧲', color: '#9b59b6' },
+
+    onTick(simulation, effect, delta) {
+        const { player } = simulation;
+
+        simulation.items.forEach(item => {
+            if (item.kind !== 'collectible') return;
+
+            const distance = Math.hypot(player.x - item.x, player.y - item.y);
+            if (distance < MAGNET_RANGE) {
+                const angle = Math.atan2(player.y - item.y, player.x - item.x);
+                const speed = PULL_SPEED * (MAGNET_RANGE - distance) / MAGNET_RANGE;
+
+                item.x += Math.cos(angle) * speed * (delta / 1000);
+                item.y += Math.sin(angle) * speed * (delta / 1000);
+            }
+        });
+    },
+
+    view: {
+        onActivate(scene, effect, view) {
+            if (!scene.player || !scene.player.sprite || !scene.player.sprite.active) {
+                debugLogger.warn('Cannot draw magnet - player sprite not available');
+                return;
+            }
+
+            view.aura = createAura(scene);
+            view.tween = scene.tweens.add({
+                targets: view.aura,
+                radius: MAGNET_RANGE + 20,
+                alpha: 0.1,
+                duration: 1000,
+                yoyo: true,
+                repeat: -1,
+                ease: 'Sine.easeInOut'
+            });
+        },
+
+        onTick(scene, effect, view) {
+            const player = scene.player && scene.player.sprite;
+            if (!player || !player.active) return;
+
+            // The aura can be lost when display lists are rebuilt - bring it back
+            if (!view.aura || !view.aura.scene) {
+                debugLogger.warn('Magnet aura missing but magnet still active - recreating');
+                view.aura = createAura(scene);
+            }
+            view.aura.setPosition(player.x, player.y);
+        },
+
+        onExpire(scene, effect, view) {
+            if (view.tween) {
+                scene.tweens.remove(view.tween);
+            }
+            if (view.aura) {
+                view.aura.destroy();
+            }
+            view.aura = null;
+            view.tween = null;
+        }
+    }
+};
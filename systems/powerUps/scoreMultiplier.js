@@ -0,0 +1,20 @@
+import { POWER_UP_STACKING } from '../../constants.js';
+
+// Bagels, Webster and the barista. Refreshes rather than stacks: score
+// verification only allows for the single strongest multiplier in the catalog.
+export default {
+    type: 'score_multiplier',
+    params: { multiplier: 'number', duration: 'number' },
+    stacking: POWER_UP_STACKING.REFRESH,
+    hud: { icon: '✨', color: '#e74c3c' },
+
+    scoreMultiplier(effect) {
+        return effect.params.multiplier;
+    },
+
+    view: {
+        onActivate(scene) {
+            scene.triggerHitStop(60);
+        }
+    }
+};
@@ -0,0 +1,21 @@
+import { POWER_UP_STACKING } from '../../constants.js';
+
+// Croissant shield - obstacles do no damage until it runs out
+export default {
+    type: 'shield',
+    params: { duration: 'number' },
+    stacking: POWER_UP_STACKING.REFRESH,
+    hud: { icon: '🛡️', color: '#3498db' },
+    invulnerable: true,
+
+    view: {
+        onActivate(scene) {
+            scene.player.setShield(true);
+            scene.triggerHitStop(60);
+        },
+
+        onExpire(scene) {
+            scene.player.setShield(false);
+        }
+    }
+};
@@ -0,0 +1,21 @@
+import { POWER_UP_STACKING } from '../../constants.js';
+
+// Espresso shot
+export default {
+    type: 'speed_boost',
+    params: { duration: 'number' },
+    stacking: POWER_UP_STACKING.REFRESH,
+    hud: { icon: '⚡', color: '#f1c40f' },
+
+    view: {
+        onActivate(scene) {
+            if (scene.soundManager && scene.soundManager.playPowerUp) {
+                scene.soundManager.playPowerUp();
+            }
+        },
+
+        onExpire(scene) {
+            scene.player.sprite.clearTint();
+        }
+    }
+};
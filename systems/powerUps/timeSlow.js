@@ -0,0 +1,32 @@
+import { POWER_UP_STACKING } from '../../constants.js';
+
+const TIME_SLOW_FACTOR = 0.6; // 40% slower obstacles
+
+// Thabo - slows the world down
+export default {
+    type: 'time_slow',
+    params: { duration: 'number' },
+    stacking: POWER_UP_STACKING.REFRESH,
+    hud: { icon: '⏰', color: '#2ecc71' },
+
+    gameSpeedFactor() {
+        return TIME_SLOW_FACTOR;
+    },
+
+    view: {
+        onActivate(scene, effect) {
+            const slowOverlay = scene.add.rectangle(
+                scene.centerX, scene.centerY,
+                scene.screenWidth, scene.screenHeight,
+                0x9966FF, 0.2
+            ).setDepth(1400);
+
+            scene.tweens.add({
+                targets: slowOverlay,
+                alpha: 0,
+                duration: effect.duration,
+                onComplete: () => slowOverlay.destroy()
+            });
+        }
+    }
+};
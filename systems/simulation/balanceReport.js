@@ -0,0 +1,252 @@
+// Balance report - sums up bot-played runs (harness.js) per bot profile and
+// compares the result with a baseline report. balance-report.js (npm run balance)
+// writes it as JSON and a static HTML page; the JSON is what gets committed as
+// the baseline, so it holds no timestamps and rounds its numbers.
+
+export const REPORT_VERSION = 1;
+
+const HISTOGRAM_BUCKETS = 10;
+
+// Metrics whose relative change is worth flagging in a comparison
+const NOTABLE_CHANGE = 0.1;
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+function summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+
+    return {
+        mean: round(sorted.length > 0 ? total / sorted.length : 0),
+        min: round(sorted[0] || 0),
+        p10: round(percentile(sorted, 10)),
+        p25: round(percentile(sorted, 25)),
+        p50: round(percentile(sorted, 50)),
+        p75: round(percentile(sorted, 75)),
+        p90: round(percentile(sorted, 90)),
+        max: round(sorted[sorted.length - 1] || 0)
+    };
+}
+
+// Equal-width buckets from 0 to the highest value
+function histogram(values) {
+    const max = Math.max(0, ...values);
+    const width = Math.max(1, Math.ceil(max / HISTOGRAM_BUCKETS));
+
+    const buckets = Array.from({ length: HISTOGRAM_BUCKETS }, (_, i) => ({ from: i * width, to: (i + 1) * width, count: 0 }));
+    values.forEach(value => {
+        buckets[Math.min(HISTOGRAM_BUCKETS - 1, Math.floor(value / width))].count++;
+    });
+    return buckets;
+}
+
+// Sum per-run maps ({ key: number }) and divide each total by `divisor`
+function shares(maps, divisor) {
+    const totals = {};
+    maps.forEach(map => Object.entries(map).forEach(([key, value]) => {
+        totals[key] = (totals[key] || 0) + value;
+    }));
+
+    return Object.fromEntries(Object.keys(totals).sort()
+        .map(key => [key, divisor > 0 ? round(totals[key] / divisor, 4) : 0]));
+}
+
+function summarizeProfile(runs) {
+    const scores = runs.map(run => run.score);
+    const totalPoints = runs.reduce((sum, run) =>
+        sum + Object.values(run.pointsByCategory).reduce((runSum, points) => runSum + points, 0), 0);
+    const totalTime = runs.reduce((sum, run) => sum + run.timePlayed * 1000, 0);
+
+    const deathCauses = {};
+    runs.filter(run => run.deathCause).forEach(run => {
+        deathCauses[run.deathCause] = (deathCauses[run.deathCause] || 0) + 1;
+    });
+
+    return {
+        runs: runs.length,
+        score: summarize(scores),
+        scoreHistogram: histogram(scores),
+        survival: summarize(runs.map(run => run.timePlayed)),
+        survivedShare: round(runs.filter(run => run.survived).length / Math.max(1, runs.length), 4),
+        pointsShare: shares(runs.map(run => run.pointsByCategory), totalPoints),
+        powerUpUptime: shares(runs.map(run => run.powerUpUptime), totalTime),
+        deathCauses: Object.fromEntries(Object.entries(deathCauses).sort(([a], [b]) => a.localeCompare(b)))
+    };
+}
+
+/**
+ * Report over the runs of each bot profile.
+ * runsByProfile: { [profile]: simulateRun() results }, e.g. { 'avoider:lookahead=800': [...] }
+ * config: how the runs were played (runs, firstSeed, maxTime) - kept so
+ * a comparison can tell whether two reports played the same runs.
+ */
+export function buildBalanceReport(runsByProfile, config) {
+    return {
+        version: REPORT_VERSION,
+        config,
+        profiles: Object.fromEntries(Object.entries(runsByProfile)
+            .map(([profile, runs]) => [profile, summarizeProfile(runs)]))
+    };
+}
+
+// Every number in a profile summary, keyed by its path (run count and histogram left out)
+function flattenMetrics(summary) {
+    const metrics = {};
+    const visit = (value, path) => {
+        if (typeof value === 'number') {
+            metrics[path] = value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.entries(value).forEach(([key, child]) => visit(child, path ? `${path}.${key}` : key));
+        }
+    };
+    const { runs, scoreHistogram, ...rest } = summary;
+    visit(rest, '');
+    return metrics;
+}
+
+/**
+ * Compare a report with a baseline report, metric by metric, for the profiles in both.
+ * A metric missing on one side counts as 0 there (a death cause that stopped happening).
+ * change is relative to the baseline (null when the baseline is 0).
+ */
+export function compareReports(report, baseline) {
+    const configChanges = Object.keys({ ...baseline.config, ...report.config })
+        .filter(key => JSON.stringify(report.config[key]) !== JSON.stringify(baseline.config[key]));
+
+    const rows = [];
+    Object.entries(report.profiles).forEach(([profile, summary]) => {
+        if (!baseline.profiles[profile]) return;
+
+        const current = flattenMetrics(summary);
+        const previous = flattenMetrics(baseline.profiles[profile]);
+        Object.keys({ ...previous, ...current }).forEach(metric => {
+            const before = previous[metric] || 0;
+            const after = current[metric] || 0;
+            const change = before === 0 ? (after === 0 ? 0 : null) : round((after - before) / before, 4);
+            rows.push({ profile, metric, baseline: before, current: after, change });
+        });
+    });
+
+    return {
+        comparable: report.version === baseline.version && configChanges.length === 0,
+        configChanges,
+        rows,
+        notable: rows.filter(row => row.change === null || Math.abs(row.change) >= NOTABLE_CHANGE)
+    };
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatChange(change) {
+    if (change === null) return 'new';
+    if (change === 0) return '-';
+    return `${change > 0 ? '+' : ''}${round(change * 100, 1)}%`;
+}
+
+function renderBars(entries, format) {
+    const max = Math.max(0, ...entries.map(([, value]) => value));
+    if (entries.length === 0) return '<p class="empty">None</p>';
+
+    return `<table class="bars">${entries.map(([label, value]) => `
+        <tr><th>${escapeHtml(label)}</th><td><div class="bar" style="width:${max > 0 ? round(value / max * 100, 1) : 0}%"></div></td><td class="num">${escapeHtml(format(value))}</td></tr>`).join('')}
+    </table>`;
+}
+
+function renderProfile(profile, summary, comparison) {
+    const percent = (value) => `${round(value * 100, 1)}%`;
+    const rows = comparison ? comparison.rows.filter(row => row.profile === profile) : [];
+    const metricRows = rows.map(row => `
+        <tr class="${comparison.notable.includes(row) ? 'notable' : ''}"><td>${escapeHtml(row.metric)}</td><td class="num">${row.baseline}</td><td class="num">${row.current}</td><td class="num">${formatChange(row.change)}</td></tr>`).join('');
+
+    return `
+    <section>
+        <h2>${escapeHtml(profile)} <small>${summary.runs} runs</small></h2>
+        <div class="grid">
+            <div>
+                <h3>Score</h3>
+                <p>median ${summary.score.p50.toLocaleString('en')} · p10 ${summary.score.p10.toLocaleString('en')} · p90 ${summary.score.p90.toLocaleString('en')}</p>
+                ${renderBars(summary.scoreHistogram.map(bucket => [`${bucket.from.toLocaleString('en')}+`, bucket.count]), String)}
+            </div>
+            <div>
+                <h3>Survival (s)</h3>
+                ${renderBars(['p10', 'p25', 'p50', 'p75', 'p90'].map(key => [key, summary.survival[key]]), String)}
+                <p>${percent(summary.survivedShare)} of runs reached the time limit</p>
+            </div>
+            <div>
+                <h3>Points by item category</h3>
+                ${renderBars(Object.entries(summary.pointsShare), percent)}
+            </div>
+            <div>
+                <h3>Power-up uptime</h3>
+                ${renderBars(Object.entries(summary.powerUpUptime), percent)}
+            </div>
+            <div>
+                <h3>Deaths by obstacle</h3>
+                ${renderBars(Object.entries(summary.deathCauses), String)}
+            </div>
+        </div>
+        ${rows.length > 0 ? `<details${rows.some(row => comparison.notable.includes(row)) ? ' open' : ''}>
+            <summary>Against baseline</summary>
+            <table class="compare"><tr><th>Metric</th><th>Baseline</th><th>Now</th><th>Change</th></tr>${metricRows}
+            </table>
+        </details>` : ''}
+    </section>`;
+}
+
+// Self-contained page (inline styles, no scripts) for a report and, optionally, its comparison
+export function renderBalanceHtml(report, comparison = null) {
+    const { config } = report;
+    let baselineNote = '<p>No baseline to compare with.</p>';
+    if (comparison) {
+        baselineNote = comparison.comparable
+            ? `<p>${comparison.notable.length} metric(s) moved ${NOTABLE_CHANGE * 100}% or more from the baseline.</p>`
+            : `<p class="warning">The baseline played different runs (${escapeHtml(comparison.configChanges.join(', ') || 'report version')}), so changes are not like for like.</p>`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>BirdDash balance report</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #2c1810; background: #fdf8f3; }
+    h1 { margin-bottom: 0.25rem; }
+    section { background: #fff; border-radius: 8px; padding: 1rem 1.5rem; margin: 1.5rem 0; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+    small { color: #8b6f5c; font-weight: normal; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 1rem 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    td, th { padding: 2px 6px; text-align: left; font-size: 0.9rem; }
+    .bars th { width: 7rem; font-weight: normal; white-space: nowrap; }
+    .bar { height: 12px; background: #c0793a; border-radius: 2px; min-width: 1px; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+    .compare tr:nth-child(even) { background: #faf3ec; }
+    .notable td { font-weight: bold; color: #b03a2e; }
+    .warning { color: #b03a2e; }
+    .empty { color: #8b6f5c; }
+</style>
+</head>
+<body>
+<h1>BirdDash balance report</h1>
+<p>${config.runs} seeded runs per profile from seed ${config.firstSeed}, up to ${config.maxTime / 1000}s each.</p>
+${baselineNote}
+${Object.entries(report.profiles).map(([profile, summary]) => renderProfile(profile, summary, comparison)).join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,103 @@
+// Scripted bots for headless runs
+// Each step a bot looks at the simulation and returns the y it wants the bird
+// to head for, or null to hold where it is. The harness flies the bird there
+// at PATTERNS.CLIMB_SPEED, the same way fluid movement does in the game.
+// Bots take skill options (createBot's third argument) so one bot can play
+// as a better or worse player; unset options keep the defaults below.
+
+import { PATTERNS } from '../../constants.js';
+
+// Never steers - sits where the run starts
+function idle() {
+    return { name: 'idle', steer: () => null };
+}
+
+// Picks a new height every so often, regardless of what is coming.
+// minHold/maxHold: ms it keeps a height before picking another.
+function random(simulation, { minHold = 400, maxHold = 1200 } = {}) {
+    const rng = simulation.rng.stream('bot');
+    let target = null;
+    let nextPick = 0;
+
+    return {
+        name: 'random',
+        steer(sim) {
+            if (sim.time >= nextPick) {
+                const band = sim.getPlayableBand();
+                target = rng.floatBetween(band.top, band.top + band.height);
+                nextPick = sim.time + rng.between(minHold, maxHold);
+            }
+            return target;
+        }
+    };
+}
+
+// Heads for the nearest item still ahead, ignoring obstacles
+function collector() {
+    return {
+        name: 'collector',
+        steer(sim) {
+            const ahead = sim.items.filter(item => item.x > sim.player.x - item.size / 2);
+            if (ahead.length === 0) return null;
+
+            return ahead.reduce((nearest, item) => (item.x < nearest.x ? item : nearest)).y;
+        }
+    };
+}
+
+// Would flying straight for targetY cross an obstacle on its way in?
+function pathIsClear(sim, targetY, obstacles, speed) {
+    const { player } = sim;
+    const climbPerMs = PATTERNS.CLIMB_SPEED / 1000;
+
+    return obstacles.every(obstacle => {
+        const arrival = Math.max(0, obstacle.x - player.x) / speed;
+        const travelled = Math.min(Math.abs(targetY - player.y), climbPerMs * arrival);
+        const y = player.y + Math.sign(targetY - player.y) * travelled;
+        return Math.abs(y - obstacle.y) * 2 >= obstacle.hitbox + player.hitbox;
+    });
+}
+
+// Keeps out of the way of oncoming obstacles, moving as little as it can,
+// and drifts towards items when that is just as safe.
+// lookahead: ms of oncoming obstacles it reacts to; lanes: heights it considers.
+function avoider(simulation, { lookahead = 1500, lanes = 24 } = {}) {
+    return {
+        name: 'avoider',
+        steer(sim) {
+            const { player } = sim;
+            const speed = sim.getObstacleSpeed() / 1000;
+            const reach = speed * lookahead;
+            const oncoming = sim.obstacles.filter(obstacle =>
+                obstacle.x + obstacle.hitbox / 2 > player.x - player.hitbox / 2 && obstacle.x - player.x < reach);
+            const nextItem = sim.items
+                .filter(item => item.x > player.x)
+                .reduce((nearest, item) => (!nearest || item.x < nearest.x ? item : nearest), null);
+
+            const band = sim.getPlayableBand();
+            let best = null;
+            let bestCost = Infinity;
+            for (let lane = 0; lane <= lanes; lane++) {
+                const y = band.top + band.height * lane / lanes;
+                if (!pathIsClear(sim, y, oncoming, speed)) continue;
+
+                const cost = Math.abs(y - player.y) + (nextItem ? Math.abs(y - nextItem.y) * 0.5 : 0);
+                if (cost < bestCost) {
+                    best = y;
+                    bestCost = cost;
+                }
+            }
+            return best;
+        }
+    };
+}
+
+export const BOTS = { idle, random, collector, avoider };
+
+export function createBot(name, simulation, options = {}) {
+    const factory = BOTS[name];
+    if (!factory) {
+        throw new Error(`Unknown bot "${name}" (expected one of ${Object.keys(BOTS).join(', ')})`);
+    }
+    return factory(simulation, options);
+}
@@ -0,0 +1,85 @@
+// Headless harness - plays whole runs of GameSimulation with a scripted bot,
+// no browser or Phaser involved. Jest uses it to check balance properties over
+// many seeds and `npm run balance` to report on them; pass the item catalog and
+// pattern library the server loads.
+
+import GameSimulation from '../GameSimulation.js';
+import { createBot } from './bots.js';
+import { GAME, PATTERNS } from '../../constants.js';
+
+const DEFAULT_MAX_TIME = 5 * 60 * 1000; // Runs still going after this count as survived
+
+// Fly the bird towards targetY at climb speed, inside the bounds Player keeps it in
+function moveBird(simulation, targetY, delta) {
+    const { player } = simulation;
+    const margin = Math.max(40, simulation.height * 0.08);
+    const maxMove = PATTERNS.CLIMB_SPEED * delta / 1000;
+
+    let y = player.y;
+    if (targetY !== null) {
+        y += Math.max(-maxMove, Math.min(maxMove, targetY - y));
+    }
+    simulation.setPlayerPosition(player.x, Math.max(margin, Math.min(simulation.height - margin, y)));
+}
+
+/**
+ * Play one run to the end (or maxTime ms of play).
+ * botOptions: skill settings for the bot (see bots.js).
+ * revive: a revive method ('beans', 'promo') to take when the bird goes down, or null.
+ * Remaining options go to GameSimulation (seed, itemCatalog, patternLibrary, balance, mode, width, height).
+ */
+export function simulateRun({ bot = 'avoider', botOptions = {}, maxTime = DEFAULT_MAX_TIME, revive = null, ...options }) {
+    const simulation = new GameSimulation(options);
+    const player = createBot(bot, simulation, botOptions);
+    const delta = GAME.FIXED_TIMESTEP.STEP_MS;
+
+    let hits = 0;
+    let deathCause = null;
+    const pointsByCategory = {};
+    const powerUpUptime = {}; // ms each effect type was running
+    simulation.events.on('itemCollected', ({ entity, points }) => {
+        const { category } = entity.item;
+        pointsByCategory[category] = (pointsByCategory[category] || 0) + points;
+    });
+    simulation.events.on('playerHit', ({ damaged }) => {
+        if (damaged) hits++;
+    });
+    simulation.events.on('playerDowned', ({ obstacle }) => {
+        if (!revive || !simulation.revive(revive)) {
+            deathCause = obstacle.type;
+        }
+    });
+
+    while (!deathCause && simulation.time < maxTime) {
+        moveBird(simulation, player.steer(simulation), delta);
+        simulation.step(delta);
+
+        // Stacked copies of an effect count once
+        new Set(simulation.powerUps.getRunningEffects().map(effect => effect.type)).forEach(type => {
+            powerUpUptime[type] = (powerUpUptime[type] || 0) + delta;
+        });
+    }
+
+    return {
+        seed: simulation.rng.getSeed(),
+        bot: player.name,
+        score: simulation.score,
+        frames: simulation.frame,
+        timePlayed: simulation.time / 1000,
+        distance: Math.floor(simulation.distance),
+        collectiblesCollected: simulation.collectiblesCollected,
+        powerUpsCollected: simulation.powerUpsCollected,
+        maxCombo: simulation.maxCombo,
+        hits,
+        revived: simulation.revived,
+        survived: deathCause === null,
+        deathCause,
+        pointsByCategory,
+        powerUpUptime
+    };
+}
+
+// `count` runs on consecutive seeds from firstSeed
+export function simulateRuns(count, { firstSeed = 1, ...options }) {
+    return Array.from({ length: count }, (_, i) => simulateRun({ ...options, seed: firstSeed + i }));
+}
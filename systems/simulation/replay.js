@@ -0,0 +1,72 @@
+// Headless replay - plays a recording (see inputRecorder.js) back through
+// GameSimulation and BirdMotion the way ReplayScene does: each fixed step
+// applies the inputs stamped with that frame, flies the bird, then steps the
+// rules. No browser or Phaser involved, so a recording can be checked for the
+// score it claims.
+
+import GameSimulation from '../GameSimulation.js';
+import BirdMotion from '../BirdMotion.js';
+import { getResponsiveScaleFactor } from '../../elementSizing.js';
+import { getMinScale } from '../../responsiveUtils.js';
+import { GAME } from '../../constants.js';
+
+/**
+ * Play a recording to its last frame, or until the bird goes down for good.
+ * itemCatalog and patternLibrary are the ones the server loads; mode is
+ * 'daily' for Daily Dash runs.
+ */
+export function replayRun(replay, { itemCatalog, patternLibrary, mode = 'classic' }) {
+    const { width, height } = replay.screen;
+    const simulation = new GameSimulation({
+        seed: replay.seed,
+        itemCatalog,
+        patternLibrary,
+        // Replays recorded before live-ops balance existed played the defaults
+        balance: replay.balance || {},
+        mode,
+        width,
+        height,
+        minScale: getMinScale(width, height)
+    });
+    const bird = new BirdMotion({
+        x: simulation.player.x,
+        y: simulation.player.y,
+        width,
+        height,
+        scale: getResponsiveScaleFactor(width, height)
+    });
+    const delta = replay.step || GAME.FIXED_TIMESTEP.STEP_MS;
+
+    // The revive is taken at the moment of death, as ReplayScene.offerRevive() does
+    const revives = replay.events.some(([, action]) => action === 'revive');
+    let gameOver = false;
+    simulation.events.on('playerDowned', () => {
+        if (!revives || !simulation.revive('replay')) {
+            gameOver = true;
+        }
+    });
+
+    let cursor = 0;
+    while (!gameOver && simulation.frame < replay.frames) {
+        while (cursor < replay.events.length && replay.events[cursor][0] <= simulation.frame) {
+            const [, action, payload] = replay.events[cursor++];
+            if (action !== 'revive') {
+                bird.applyInput(action, payload);
+            }
+        }
+
+        bird.step(delta);
+        simulation.setPlayerPosition(bird.x, bird.y);
+        simulation.step(delta);
+    }
+
+    return {
+        score: simulation.score,
+        frames: simulation.frame,
+        gameOver,
+        revived: simulation.revived,
+        collectiblesCollected: simulation.collectiblesCollected,
+        powerUpsCollected: simulation.powerUpsCollected,
+        maxCombo: simulation.maxCombo
+    };
+}
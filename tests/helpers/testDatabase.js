@@ -0,0 +1,18 @@
+// Gives every test file its own throwaway SQLite database, so suites don't
+// see each other's rows, rows left by earlier runs or database/birddash.db.
+// Registered in jest.config.js to run before the test file's imports, since
+// server/database/init.js opens DATABASE_URL as soon as it is imported.
+import { afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const databasePath = path.join(os.tmpdir(), `birddash-test-${crypto.randomUUID()}.db`);
+process.env.DATABASE_URL = databasePath;
+
+afterAll(() => {
+  for (const suffix of ['', '-journal', '-wal', '-shm']) {
+    fs.rmSync(`${databasePath}${suffix}`, { force: true });
+  }
+});
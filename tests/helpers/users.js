@@ -0,0 +1,15 @@
+import jwt from 'jsonwebtoken';
+import { runAsync } from '../../server/database/init.js';
+import config from '../../server/config/environment.js';
+
+// Insert a player and sign them in: resolves with { id, username, cookie },
+// `cookie` being the auth cookie the browser would send. A `phone` is stored
+// as verified.
+export async function createUser(username, { role = 'player', isGuest = true, phone = null } = {}) {
+  const { lastID: id } = await runAsync(
+    'INSERT INTO users (username, is_guest, role, phone, phone_verified_at) VALUES (?, ?, ?, ?, ?)',
+    [username, isGuest ? 1 : 0, role, phone, phone ? new Date().toISOString() : null]
+  );
+  const token = jwt.sign({ id, username, is_guest: isGuest }, config.security.jwtSecret);
+  return { id, username, cookie: `birddash_token=${token}` };
+}
@@ -0,0 +1,126 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import userRoutes from '../../server/routes/users.js';
+import leaderboardRoutes from '../../server/routes/leaderboard.js';
+import { initializeDatabase } from '../../server/database/init.js';
+import AchievementCatalog, { validateAchievementCatalog, AchievementCatalogError } from '../../achievementCatalog.js';
+import { achievementCatalog } from '../../server/services/achievements.js';
+import { createUser } from '../helpers/users.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/users', userRoutes);
+  app.use('/api/leaderboard', leaderboardRoutes);
+
+  return app;
+};
+
+describe('Achievements', () => {
+  let app;
+  let player;
+  let other;
+
+  // Plays a run as `user` and submits it as if `seconds` had passed
+  const completeGame = async (user, game, seconds = 30) => {
+    const started = await request(app).post('/api/leaderboard/runs').set('Cookie', user.cookie).expect(201);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + seconds * 1000);
+    try {
+      return await request(app)
+        .post('/api/leaderboard/submit')
+        .send({ run_token: started.body.run_token, username: user.username, score: 0, time_played: seconds - 5, collectibles_collected: 0, ...game });
+    } finally {
+      jest.restoreAllMocks();
+    }
+  };
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+
+    const suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    player = await createUser(`ach_${suffix}`);
+    other = await createUser(`ach_other_${suffix}`);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should validate the catalog', () => {
+    expect(achievementCatalog.get('first_game').condition).toEqual({ scope: 'lifetime', stat: 'games', target: 1 });
+
+    const errors = validateAchievementCatalog({
+      version: 1,
+      achievements: [
+        { id: 'Fly', name: 'Fly', description: 'Fly', icon: '🐦', condition: { scope: 'run', stat: 'score', target: 1 } },
+        { id: 'ok', name: 'Ok', description: 'Ok', icon: '🐦', condition: { scope: 'forever', stat: 'altitude', target: 0 } }
+      ]
+    }).join('\n');
+    expect(errors).toMatch(/id must be up to 50 lowercase/);
+    expect(errors).toMatch(/scope must be one of run, lifetime/);
+    expect(errors).toMatch(/stat must be one of/);
+    expect(errors).toMatch(/target must be a positive integer/);
+    expect(() => new AchievementCatalog({ version: 2, achievements: [] })).toThrow(AchievementCatalogError);
+  });
+
+  test('should keep the best run for run goals and sum lifetime goals', () => {
+    const catalog = new AchievementCatalog({
+      version: 1,
+      achievements: [
+        { id: 'best', name: 'Best', description: 'd', icon: '☕', condition: { scope: 'run', stat: 'score', target: 500 } },
+        { id: 'total', name: 'Total', description: 'd', icon: '☕', condition: { scope: 'lifetime', stat: 'score', target: 500 } }
+      ]
+    });
+
+    const records = new Map([['best', { progress: 300, unlocked: false }], ['total', { progress: 300, unlocked: false }]]);
+    const changes = catalog.evaluate({ score: 250 }, records);
+    expect(changes.map(({ achievement, progress, unlocked }) => [achievement.id, progress, unlocked]))
+      .toEqual([['total', 550, true]]);
+  });
+
+  test('should only count verified runs', async () => {
+    // A combo longer than the pickups is impossible, so the run is held for review
+    const flagged = await completeGame(other, { score: 1200, max_combo: 50 });
+    expect(flagged.status).toBe(202);
+
+    const response = await request(app).get(`/api/users/${other.username}/achievements`).expect(200);
+    expect(response.body.unlocked_count).toBe(0);
+  });
+
+  test('should return unlocks with the submitted score and progress for locked achievements', async () => {
+    const first = await completeGame(player, { score: 1200, collectibles_collected: 40 });
+    expect(first.status).toBe(201);
+    const firstIds = first.body.achievements.map(achievement => achievement.id);
+    expect(firstIds).toEqual(expect.arrayContaining(['first_game', 'score_1000']));
+    expect(firstIds).not.toContain('score_5000');
+    expect(first.body.achievements[0]).toHaveProperty('icon');
+
+    // Already unlocked achievements are not reported again
+    const second = await completeGame(player, { score: 1500, collectibles_collected: 60 });
+    expect(second.status).toBe(201);
+    expect(second.body.achievements).toEqual([]);
+
+    const response = await request(app).get(`/api/users/${player.username}/achievements`).expect(200);
+    const byId = Object.fromEntries(response.body.achievements.map(achievement => [achievement.id, achievement]));
+
+    expect(response.body.total_achievements).toBe(achievementCatalog.achievements.length);
+    expect(response.body.unlocked_count).toBe(2);
+    expect(byId.score_1000).toMatchObject({ unlocked: true, progress_percent: 100 });
+    expect(byId.score_5000).toMatchObject({ unlocked: false, unlocked_at: null, progress: 1500, progress_percent: 30 });
+    expect(byId.games_10).toMatchObject({ unlocked: false, progress: 2, progress_percent: 20 });
+    expect(byId.beans_1000).toMatchObject({ progress: 100, progress_percent: 10 });
+    expect(response.body.achievements[0].unlocked).toBe(true);
+
+    const profile = await request(app).get(`/api/users/${player.username}`).expect(200);
+    expect(profile.body.user.stats).toMatchObject({ total_games_played: 2, best_score: 1500 });
+  });
+
+  test('should 404 for unknown players', async () => {
+    await request(app).get('/api/users/nobody_by_this_name/achievements').expect(404);
+  });
+});
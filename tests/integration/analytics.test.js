@@ -0,0 +1,161 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import analyticsRoutes from '../../server/routes/analytics.js';
+import { initializeDatabase, getAsync, runAsync } from '../../server/database/init.js';
+import { purgeExpiredEvents, getRetentionReport } from '../../server/services/analytics.js';
+import { createUser } from '../helpers/users.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/analytics', analyticsRoutes);
+
+  return app;
+};
+
+const event = (sessionId, eventType, eventData = {}, timestamp = new Date().toISOString()) =>
+  ({ sessionId, eventType, eventData, timestamp });
+
+describe('Analytics API', () => {
+  let app;
+  let admin;
+  let player;
+  let suffix;
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+
+    suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    admin = await createUser(`admin_${suffix}`, { role: 'admin' });
+    player = await createUser(`player_${suffix}`);
+  });
+
+  test('should store valid events and report rejected ones', async () => {
+    const sessionId = `session_${suffix}`;
+
+    const response = await request(app)
+      .post('/api/analytics/batch')
+      .set('Cookie', player.cookie)
+      .send({
+        events: [
+          event(sessionId, 'game_start', { gameMode: 'classic', secret: 'dropped' }),
+          event(sessionId, 'made_up_event'),
+          event(sessionId, 'game_end', { finalScore: 'lots' }),
+          event(sessionId, 'game_pause', {}, new Date(Date.now() + DAY_MS).toISOString())
+        ]
+      })
+      .expect(202);
+
+    expect(response.body.accepted).toBe(1);
+    expect(response.body.rejected.map(r => r.index)).toEqual([1, 2, 3]);
+
+    const stored = await getAsync('SELECT user_id, event_data FROM analytics_events WHERE session_id = ?', [sessionId]);
+    expect(stored.user_id).toBe(player.id);
+    expect(JSON.parse(stored.event_data)).toEqual({ gameMode: 'classic' });
+  });
+
+  test('should ignore client-supplied user ids for anonymous players', async () => {
+    const sessionId = `anon_${suffix}`;
+
+    await request(app)
+      .post('/api/analytics/batch')
+      .send({ events: [{ ...event(sessionId, 'session_start'), userId: admin.id }] })
+      .expect(202);
+
+    const stored = await getAsync('SELECT user_id FROM analytics_events WHERE session_id = ?', [sessionId]);
+    expect(stored.user_id).toBeNull();
+  });
+
+  test('should reject empty, oversized and fully invalid batches', async () => {
+    await request(app).post('/api/analytics/batch').send({ events: [] }).expect(400);
+
+    const tooMany = Array.from({ length: 101 }, () => event(`big_${suffix}`, 'game_pause'));
+    await request(app).post('/api/analytics/batch').send({ events: tooMany }).expect(400);
+
+    await request(app)
+      .post('/api/analytics/batch')
+      .send({ events: [event('bad session id!', 'game_start')] })
+      .expect(400);
+  });
+
+  test('should restrict reports to admins', async () => {
+    await request(app).get('/api/analytics/reports').expect(401);
+    await request(app).get('/api/analytics/reports').set('Cookie', player.cookie).expect(403);
+    await request(app).get('/api/analytics/reports/nonsense').set('Cookie', admin.cookie).expect(400);
+  });
+
+  test('should build funnel and power-up reports', async () => {
+    const complete = `funnel_done_${suffix}`;
+    const dropped = `funnel_drop_${suffix}`;
+
+    await request(app)
+      .post('/api/analytics/batch')
+      .send({
+        events: [
+          event(complete, 'session_start'),
+          event(complete, 'game_start'),
+          event(complete, 'powerup_used', { type: `test_power_${suffix}`, duration: 4000 }),
+          event(complete, 'powerup_used', { type: `test_power_${suffix}`, duration: 6000 }),
+          event(complete, 'game_end', { finalScore: 120 }),
+          event(dropped, 'session_start'),
+          event(dropped, 'game_end')
+        ]
+      })
+      .expect(202);
+
+    const reports = await request(app)
+      .get('/api/analytics/reports?days=1')
+      .set('Cookie', admin.cookie)
+      .expect(200);
+
+    const steps = reports.body.funnel.steps;
+    expect(steps.map(step => step.step)).toEqual(['session_start', 'game_start', 'game_end']);
+    expect(steps[0].sessions).toBeGreaterThanOrEqual(2);
+    // The dropped session ended a game without starting one, so it stops at the first step
+    expect(steps[2].sessions).toBeLessThan(steps[0].sessions);
+
+    const powerUp = reports.body['power-ups'].power_ups.find(row => row.type === `test_power_${suffix}`);
+    expect(powerUp).toMatchObject({ uses: 2, sessions: 1, avg_duration: 5000 });
+  });
+
+  test('should measure retention from a player\'s first active day', async () => {
+    const returning = await createUser(`returning_${suffix}`);
+    const now = Date.now();
+    const firstDay = new Date(now - 3 * DAY_MS);
+    const nextDay = new Date(now - 2 * DAY_MS);
+
+    await runAsync(
+      `INSERT INTO analytics_events (user_id, session_id, event_type, timestamp) VALUES (?, ?, 'session_start', ?), (?, ?, 'session_start', ?)`,
+      [returning.id, `ret1_${suffix}`, firstDay.toISOString(), returning.id, `ret2_${suffix}`, nextDay.toISOString()]
+    );
+
+    const report = await getRetentionReport(7, now);
+    const cohort = report.cohorts.find(c => c.date === firstDay.toISOString().slice(0, 10));
+
+    expect(cohort.users).toBeGreaterThanOrEqual(1);
+    expect(cohort.retention.day_1).toBeGreaterThan(0);
+    // Day 7 hasn't happened yet for this cohort
+    expect(cohort.retention.day_7).toBeNull();
+  });
+
+  test('should purge events older than the retention window', async () => {
+    const sessionId = `old_${suffix}`;
+    await runAsync(
+      `INSERT INTO analytics_events (session_id, event_type, timestamp) VALUES (?, 'session_start', ?)`,
+      [sessionId, new Date(Date.now() - 400 * DAY_MS).toISOString()]
+    );
+
+    const removed = await purgeExpiredEvents(90);
+    expect(removed).toBeGreaterThanOrEqual(1);
+
+    const stored = await getAsync('SELECT id FROM analytics_events WHERE session_id = ?', [sessionId]);
+    expect(stored).toBeUndefined();
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import adminRoutes from '../../server/routes/admin.js';
+import contentRoutes from '../../server/routes/content.js';
+import { initializeDatabase } from '../../server/database/init.js';
+import { getEventState, resolveGameBalance, EVENT_STATE, PUBLIC_CONFIG_KEYS } from '../../server/services/content.js';
+import config from '../../server/config/environment.js';
+import { createUser } from '../helpers/users.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/content', contentRoutes);
+
+  return app;
+};
+
+describe('Content API', () => {
+  let app;
+  let admin;
+  let player;
+  let eventId;
+  let originalBalance;
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+
+    const suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    admin = await createUser(`admin_${suffix}`, { role: 'admin' });
+    player = await createUser(`player_${suffix}`);
+    eventId = `launch_${suffix}`.toLowerCase();
+
+    const content = await request(app).get('/api/admin/content').set('Cookie', admin.cookie);
+    originalBalance = content.body.config.find(row => row.config_key === 'game_balance').config_value;
+  });
+
+  afterAll(async () => {
+    // Other suites verify scores against the live balance
+    await request(app)
+      .put('/api/admin/content/config/game_balance')
+      .set('Cookie', admin.cookie)
+      .send({ value: originalBalance });
+    await request(app).delete(`/api/admin/content/events/${eventId}`).set('Cookie', admin.cookie);
+  });
+
+  test('should restrict admin routes to admins', async () => {
+    await request(app).get('/api/admin/content').expect(401);
+    await request(app).get('/api/admin/content').set('Cookie', player.cookie).expect(403);
+    await request(app).get('/api/admin/content').set('Cookie', admin.cookie).expect(200);
+  });
+
+  test('should create, update and delete an event', async () => {
+    const start = new Date(Date.now() - 60 * 1000).toISOString();
+    const end = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const created = await request(app)
+      .post('/api/admin/content/events')
+      .set('Cookie', admin.cookie)
+      .send({
+        event_id: eventId,
+        name: 'Launch Party',
+        type: 'limited_time_offer',
+        start_date: start,
+        end_date: end,
+        configuration: { bonusMultiplier: 1.5 }
+      })
+      .expect(201);
+
+    expect(created.body.event.state).toBe(EVENT_STATE.ACTIVE);
+
+    await request(app)
+      .post('/api/admin/content/events')
+      .set('Cookie', admin.cookie)
+      .send({ event_id: eventId, name: 'Again', type: 'limited_time_offer' })
+      .expect(409);
+
+    const active = await request(app).get('/api/content/active').expect(200);
+    const launched = active.body.events.find(event => event.event_id === eventId);
+    expect(launched.configuration.bonusMultiplier).toBe(1.5);
+    expect(launched.created_by).toBeUndefined();
+    expect(active.body.game_balance.scoreMultiplier).toBeGreaterThanOrEqual(1.5);
+
+    const disabled = await request(app)
+      .put(`/api/admin/content/events/${eventId}`)
+      .set('Cookie', admin.cookie)
+      .send({ enabled: false })
+      .expect(200);
+    expect(disabled.body.event.state).toBe(EVENT_STATE.DISABLED);
+
+    const after = await request(app).get('/api/content/active').expect(200);
+    expect(after.body.events.some(event => event.event_id === eventId)).toBe(false);
+
+    await request(app).delete(`/api/admin/content/events/${eventId}`).set('Cookie', admin.cookie).expect(200);
+    await request(app).delete(`/api/admin/content/events/${eventId}`).set('Cookie', admin.cookie).expect(404);
+  });
+
+  test('should reject invalid events', async () => {
+    await request(app)
+      .post('/api/admin/content/events')
+      .set('Cookie', admin.cookie)
+      .send({ event_id: 'bad_type', name: 'Bad', type: 'not_a_type' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/admin/content/events')
+      .set('Cookie', admin.cookie)
+      .send({
+        event_id: 'bad_dates',
+        name: 'Bad',
+        type: 'seasonal_event',
+        start_date: '2030-02-01T00:00:00Z',
+        end_date: '2030-01-01T00:00:00Z'
+      })
+      .expect(400);
+
+    await request(app)
+      .post('/api/admin/content/events')
+      .set('Cookie', admin.cookie)
+      .send({ event_id: 'bad_bonus', name: 'Bad', type: 'weekend_bonus', configuration: { bonusMultiplier: 50 } })
+      .expect(400);
+  });
+
+  test('should validate and apply game_balance config', async () => {
+    await request(app)
+      .put('/api/admin/content/config/game_balance')
+      .set('Cookie', admin.cookie)
+      .send({ value: { scoreMultiplier: 10 } })
+      .expect(400);
+
+    await request(app)
+      .put('/api/admin/content/config/game_balance')
+      .set('Cookie', admin.cookie)
+      .send({ value: { scoreMultiplier: 1, collectibleSpawnRate: 1.5, powerUpSpawnRate: 1 } })
+      .expect(200);
+
+    const active = await request(app).get('/api/content/active').expect(200);
+    expect(active.body.game_balance.collectibleSpawnRate).toBe(1.5);
+  });
+
+  test('should only show players the client-facing config', async () => {
+    await request(app)
+      .put('/api/admin/content/config/staff_notes')
+      .set('Cookie', admin.cookie)
+      .send({ value: { wifi_password: 'espresso' } })
+      .expect(200);
+
+    const active = await request(app).get('/api/content/active').expect(200);
+    expect(Object.keys(active.body.config).every(key => PUBLIC_CONFIG_KEYS.includes(key))).toBe(true);
+    expect(active.body.config.game_balance).toBeDefined();
+    expect(active.body.config.reward_rules).toBeUndefined();
+    expect(active.body.config.staff_notes).toBeUndefined();
+  });
+});
+
+describe('Content scheduling', () => {
+  const monday = new Date('2030-01-07T12:00:00Z');
+  const tuesday = new Date('2030-01-08T12:00:00Z');
+
+  test('should only activate weekly specials on their weekdays', () => {
+    const event = { enabled: true, days_of_week: [1] };
+    expect(getEventState(event, monday)).toBe(EVENT_STATE.ACTIVE);
+    expect(getEventState(event, tuesday)).toBe(EVENT_STATE.SCHEDULED);
+  });
+
+  test('should respect start and end dates', () => {
+    const event = { enabled: true, start_date: '2030-01-08T00:00:00Z', end_date: '2030-01-09T00:00:00Z' };
+    expect(getEventState(event, monday)).toBe(EVENT_STATE.SCHEDULED);
+    expect(getEventState(event, tuesday)).toBe(EVENT_STATE.ACTIVE);
+    expect(getEventState(event, new Date('2030-01-10T00:00:00Z'))).toBe(EVENT_STATE.ENDED);
+  });
+
+  test('should apply only the strongest event bonus', () => {
+    const balance = resolveGameBalance(
+      { game_balance: { scoreMultiplier: 1.5 } },
+      [{ configuration: { bonusMultiplier: 2 } }, { configuration: { bonusMultiplier: 1.2 } }]
+    );
+    expect(balance.scoreMultiplier).toBe(3);
+    expect(balance.collectibleSpawnRate).toBe(1);
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import leaderboardRoutes from '../../server/routes/leaderboard.js';
+import dailyRoutes from '../../server/routes/daily.js';
+import { initializeDatabase, getActiveDatabase } from '../../server/database/init.js';
+import { getDailySeed, getPreviousDate, getUtcDate, isValidChallengeDate } from '../../server/services/dailyChallenge.js';
+import { createUser } from '../helpers/users.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/leaderboard', leaderboardRoutes);
+  app.use('/api/daily', dailyRoutes);
+
+  return app;
+};
+
+describe('Daily Dash', () => {
+  let app;
+  const today = getUtcDate();
+
+  const uniqueName = () => `daily_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+
+  // A new player's ranked run for today
+  const startRun = async (player) => {
+    player = player || await createUser(uniqueName(), { isGuest: false });
+    const response = await request(app)
+      .post(`/api/daily/${today}/runs`)
+      .set('Cookie', player.cookie)
+      .expect(201);
+    expect(response.body.ranked).toBe(true);
+    return response.body.run_token;
+  };
+
+  // Pretend the run has been going for a while without waiting in real time
+  const advanceClock = (seconds) => {
+    const realNow = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(realNow + seconds * 1000);
+  };
+
+  const submission = (runToken, overrides = {}) => ({
+    run_token: runToken,
+    seed: getDailySeed(today),
+    username: uniqueName(),
+    score: 900,
+    time_played: 40,
+    collectibles_collected: 25,
+    power_ups_collected: 2,
+    max_combo: 6,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should derive one stable seed per day', () => {
+    expect(getDailySeed('2025-09-20')).toBe(getDailySeed('2025-09-20'));
+    expect(getDailySeed('2025-09-20')).not.toBe(getDailySeed('2025-09-21'));
+    expect(getPreviousDate('2025-03-01')).toBe('2025-02-28');
+    expect(isValidChallengeDate('2025-02-30')).toBe(false);
+    expect(isValidChallengeDate('20250220')).toBe(false);
+  });
+
+  test('should return the seed and board for today', async () => {
+    const response = await request(app).get(`/api/daily/${today}`).expect(200);
+
+    expect(response.body.date).toBe(today);
+    expect(response.body.seed).toBe(getDailySeed(today));
+    expect(response.body.is_today).toBe(true);
+    expect(Array.isArray(response.body.leaderboard)).toBe(true);
+  });
+
+  test('should mark past boards as final', async () => {
+    const response = await request(app).get(`/api/daily/${getPreviousDate(today)}`).expect(200);
+
+    expect(response.body.is_final).toBe(true);
+  });
+
+  test('should reject invalid and future dates', async () => {
+    await request(app).get('/api/daily/not-a-date').expect(400);
+    await request(app).get('/api/daily/2999-01-01').expect(400);
+  });
+
+  test('should rank an attempt and keep each name to one entry a day', async () => {
+    const entry = submission(await startRun());
+    advanceClock(60);
+
+    const response = await request(app)
+      .post(`/api/daily/${today}`)
+      .send(entry)
+      .expect(201);
+
+    expect(response.body.rank).toBeGreaterThanOrEqual(1);
+
+    const board = await request(app).get(`/api/daily/${today}`).expect(200);
+    expect(board.body.leaderboard.some(row => row.username === entry.username)).toBe(true);
+
+    const secondRun = await startRun();
+    await request(app)
+      .post(`/api/daily/${today}`)
+      .send({ ...entry, run_token: secondRun, score: 1500 })
+      .expect(409);
+  });
+
+  test('should start one ranked run per signed-in player per day', async () => {
+    const player = await createUser(uniqueName(), { isGuest: false });
+    const before = await request(app).get(`/api/daily/${today}`).set('Cookie', player.cookie).expect(200);
+    expect(before.body.ranked_available).toBe(true);
+
+    const runToken = await startRun(player);
+
+    const board = await request(app).get(`/api/daily/${today}`).set('Cookie', player.cookie).expect(200);
+    expect(board.body.attempt_used).toBe(true);
+    expect(board.body.ranked_available).toBe(false);
+
+    // The attempt is spent at the start, so a restart is practice even before submitting
+    const restart = await request(app)
+      .post(`/api/daily/${today}/runs`)
+      .set('Cookie', player.cookie)
+      .expect(200);
+    expect(restart.body).toEqual({ date: today, ranked: false });
+
+    advanceClock(60);
+    const response = await request(app)
+      .post(`/api/daily/${today}`)
+      .set('Cookie', player.cookie)
+      .send(submission(runToken, { username: player.username }))
+      .expect(201);
+    expect(response.body.rank).toBeGreaterThanOrEqual(1);
+  });
+
+  test('should only let anonymous players practise', async () => {
+    const board = await request(app).get(`/api/daily/${today}`).expect(200);
+    expect(board.body.ranked_available).toBe(false);
+
+    const start = await request(app).post(`/api/daily/${today}/runs`).expect(200);
+    expect(start.body).toEqual({ date: today, ranked: false });
+  });
+
+  test('should credit the entry to the player who started the run', async () => {
+    const starter = await createUser(uniqueName(), { isGuest: false });
+    const submitter = await createUser(uniqueName(), { isGuest: false });
+    const runToken = await startRun(starter);
+    advanceClock(60);
+
+    const response = await request(app)
+      .post(`/api/daily/${today}`)
+      .set('Cookie', submitter.cookie)
+      .send(submission(runToken))
+      .expect(201);
+
+    const { rows: [entry] } = await getActiveDatabase().query('SELECT user_id FROM daily_entries WHERE id = ?', [response.body.entry_id]);
+    expect(entry.user_id).toBe(starter.id);
+  });
+
+  test('should only rank runs the server started as a Daily Dash attempt', async () => {
+    const classic = await request(app).post('/api/leaderboard/runs').expect(201);
+    advanceClock(60);
+
+    await request(app)
+      .post(`/api/daily/${today}`)
+      .send(submission(classic.body.run_token))
+      .expect(400);
+  });
+
+  test('should keep daily entries out of the all-time board', async () => {
+    const entry = submission(await startRun());
+    advanceClock(60);
+
+    await request(app).post(`/api/daily/${today}`).send(entry).expect(201);
+
+    const userScores = await request(app)
+      .get(`/api/leaderboard/user/${entry.username}`)
+      .expect(200);
+    expect(userScores.body.scores).toHaveLength(0);
+  });
+
+  test('should reject a seed from another day', async () => {
+    const runToken = await startRun();
+
+    await request(app)
+      .post(`/api/daily/${today}`)
+      .send(submission(runToken, { seed: getDailySeed('2020-01-01') }))
+      .expect(400);
+  });
+
+  test('should reject runs started on a different day', async () => {
+    const runToken = await startRun();
+    const yesterday = getPreviousDate(today);
+
+    await request(app).post(`/api/daily/${yesterday}/runs`).expect(400);
+
+    await request(app)
+      .post(`/api/daily/${yesterday}`)
+      .send(submission(runToken, { seed: getDailySeed(yesterday) }))
+      .expect(400);
+  });
+
+  test('should hold implausible daily scores for review', async () => {
+    const entry = submission(await startRun(), { score: 500000, time_played: 5 });
+    advanceClock(5);
+
+    const response = await request(app)
+      .post(`/api/daily/${today}`)
+      .send(entry)
+      .expect(202);
+
+    expect(response.body.moderation_status).toBe('flagged');
+
+    const board = await request(app).get(`/api/daily/${today}`).expect(200);
+    expect(board.body.leaderboard.some(row => row.username === entry.username)).toBe(false);
+  });
+});
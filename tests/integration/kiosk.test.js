@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import kioskRoutes from '../../server/routes/kiosk.js';
+import { initializeDatabase, runAsync } from '../../server/database/init.js';
+import config from '../../server/config/environment.js';
+import { getKioskBoard, resetKioskBoard, exportKioskEntries } from '../../server/services/kiosk.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/kiosk', kioskRoutes);
+
+  return app;
+};
+
+// sqlite CURRENT_TIMESTAMP format, as leaderboard_entries.game_date stores it
+const toGameDate = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+describe('Kiosk mode', () => {
+  let app;
+  let day;
+  let suffix;
+
+  const addEntry = async (username, score, playedAt, phone = null, marketingConsent = true) => {
+    const runId = `kiosk_run_${suffix}_${username}`;
+    let userId = null;
+    if (phone) {
+      ({ lastID: userId } = await runAsync(
+        'INSERT INTO users (username, is_guest, phone, phone_verified_at, marketing_consent) VALUES (?, 1, ?, ?, ?)',
+        [`kiosk_${suffix}_${score}`, phone, playedAt.toISOString(), marketingConsent ? 1 : 0]
+      ));
+    }
+    await runAsync('INSERT INTO game_runs (run_id, user_id, started_at) VALUES (?, ?, ?)', [runId, userId, playedAt.getTime()]);
+    await runAsync(
+      'INSERT INTO leaderboard_entries (username, score, time_played, game_date, run_id) VALUES (?, ?, 60, ?, ?)',
+      [username, score, toGameDate(playedAt), runId]
+    );
+  };
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+    config.kiosk.pin = '4321';
+
+    suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    day = new Date(Date.UTC(2025, 0, 8));
+  });
+
+  test('should show the top 10 since the later of midnight and the last reset', async () => {
+    await addEntry('early_bird', 12, new Date(day.getTime() + 8 * 60 * 60 * 1000));
+    const morning = await getKioskBoard(new Date(day.getTime() + 9 * 60 * 60 * 1000));
+    expect(morning.leaderboard.map(entry => entry.username)).toEqual(['early_bird']);
+
+    for (let score = 1; score <= 11; score++) {
+      await addEntry(`player${score}`, score, new Date(day.getTime() + 10 * 60 * 60 * 1000));
+    }
+    await resetKioskBoard(new Date(day.getTime() + 9 * 60 * 60 * 1000));
+    const board = await getKioskBoard(new Date(day.getTime() + 11 * 60 * 60 * 1000));
+    expect(board.leaderboard).toHaveLength(10);
+    expect(board.leaderboard[0]).toMatchObject({ rank: 1, username: 'player11', score: 11 });
+    expect(board.leaderboard.map(entry => entry.username)).not.toContain('early_bird');
+
+    // Next day the board starts over at midnight
+    const tomorrow = await getKioskBoard(new Date(day.getTime() + 25 * 60 * 60 * 1000));
+    expect(tomorrow.leaderboard).toEqual([]);
+  });
+
+  test('should export the whole day with the numbers of players who opted in', async () => {
+    await addEntry('=HYPERLINK("x")', 13, new Date(day.getTime() + 12 * 60 * 60 * 1000), `+4470${String(Date.now()).slice(-8)}`);
+    await addEntry('no_texts', 14, new Date(day.getTime() + 12 * 60 * 60 * 1000), `+4471${String(Date.now()).slice(-8)}`, false);
+
+    const { count, csv } = await exportKioskEntries(new Date(day.getTime() + 13 * 60 * 60 * 1000));
+    const lines = csv.trim().split('\n');
+
+    expect(count).toBe(14);
+    expect(lines[0]).toBe('rank,username,score,played_at,phone');
+    expect(lines[1]).toMatch(/^1,no_texts,14,[^,]+,$/);
+    expect(lines[2]).toMatch(/^2,"'=HYPERLINK\(""x""\)",13,.+,\+4470\d+$/);
+    expect(lines).toContainEqual(expect.stringMatching(/^3,early_bird,12,/));
+  });
+
+  test('should keep operator tools behind the PIN', async () => {
+    await request(app).post('/api/kiosk/operator/verify').set('X-Kiosk-Pin', '0000').expect(401);
+    await request(app).post('/api/kiosk/operator/reset-board').expect(401);
+    await request(app).post('/api/kiosk/operator/verify').set('X-Kiosk-Pin', '4321').expect(204);
+
+    const response = await request(app).get('/api/kiosk/operator/export').set('X-Kiosk-Pin', '4321').expect(200);
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="birddash-entries-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    config.kiosk.pin = '';
+    await request(app).post('/api/kiosk/operator/verify').set('X-Kiosk-Pin', '').expect(503);
+    config.kiosk.pin = '4321';
+  });
+
+  test('should serve the public board', async () => {
+    const response = await request(app).get('/api/kiosk/board').expect(200);
+    expect(Array.isArray(response.body.leaderboard)).toBe(true);
+    expect(response.body.leaderboard.length).toBeLessThanOrEqual(10);
+  });
+});
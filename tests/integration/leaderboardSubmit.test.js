@@ -0,0 +1,213 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import leaderboardRoutes from '../../server/routes/leaderboard.js';
+import { initializeDatabase, getAsync } from '../../server/database/init.js';
+import ScoreRepository from '../../server/repositories/ScoreRepository.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/leaderboard', leaderboardRoutes);
+
+  return app;
+};
+
+describe('Leaderboard Submission Verification', () => {
+  let app;
+
+  const startRun = async () => {
+    const response = await request(app).post('/api/leaderboard/runs').expect(201);
+    return response.body.run_token;
+  };
+
+  // Pretend the run has been going for a while without waiting in real time
+  const advanceClock = (seconds) => {
+    const realNow = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(realNow + seconds * 1000);
+  };
+
+  const submission = (overrides = {}) => ({
+    username: `verify_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    score: 1200,
+    time_played: 45,
+    collectibles_collected: 30,
+    power_ups_collected: 3,
+    max_combo: 8,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should require a run token', async () => {
+    await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission())
+      .expect(400);
+  });
+
+  test('should reject a forged run token', async () => {
+    await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission({ run_token: 'not-a-real-token' }))
+      .expect(401);
+  });
+
+  test('should accept a plausible run and refuse to reuse its token', async () => {
+    const runToken = await startRun();
+    advanceClock(50);
+
+    const response = await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission({ run_token: runToken }))
+      .expect(201);
+
+    expect(response.body.moderation_status).toBe('approved');
+    expect(response.body.rank).toBeGreaterThan(0);
+
+    await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission({ run_token: runToken }))
+      .expect(409);
+  });
+
+  test('should keep the run token usable when saving the entry fails', async () => {
+    const runToken = await startRun();
+    advanceClock(50);
+
+    const realRun = ScoreRepository.prototype.run;
+    const insertSpy = jest.spyOn(ScoreRepository.prototype, 'run').mockImplementation(function (sql, params) {
+      if (sql.includes('INSERT INTO leaderboard_entries')) {
+        return Promise.reject(new Error('disk full'));
+      }
+      return realRun.call(this, sql, params);
+    });
+
+    await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission({ run_token: runToken }))
+      .expect(500);
+
+    insertSpy.mockRestore();
+
+    await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission({ run_token: runToken }))
+      .expect(201);
+  });
+
+  test('should credit the entry to the run owner, not a user id in the body', async () => {
+    const runToken = await startRun();
+    advanceClock(50);
+
+    const response = await request(app)
+      .post('/api/leaderboard/submit')
+      .send({ ...submission({ run_token: runToken }), user_id: 1 })
+      .expect(201);
+
+    const entry = await getAsync('SELECT user_id FROM leaderboard_entries WHERE id = ?', [response.body.entry_id]);
+    expect(entry.user_id).toBeNull();
+  });
+
+  test('should hold implausible scores for moderation and hide them', async () => {
+    const runToken = await startRun();
+    advanceClock(50);
+
+    const response = await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission({ run_token: runToken, score: 999999999 }))
+      .expect(202);
+
+    expect(response.body.moderation_status).toBe('flagged');
+
+    jest.restoreAllMocks();
+    const leaderboard = await request(app).get('/api/leaderboard?limit=100').expect(200);
+    const ids = leaderboard.body.leaderboard.map(entry => entry.id);
+    expect(ids).not.toContain(response.body.entry_id);
+  });
+
+  test('should flag runs submitted too soon after starting', async () => {
+    const runToken = await startRun();
+
+    const response = await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission({ run_token: runToken, time_played: 1 }))
+      .expect(202);
+
+    expect(response.body.moderation_status).toBe('flagged');
+  });
+
+  test('should answer a retried submission with the entry it already created', async () => {
+    const runToken = await startRun();
+    const idempotencyKey = `retry_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    const scoreData = submission({ run_token: runToken });
+    advanceClock(50);
+
+    const first = await request(app)
+      .post('/api/leaderboard/submit')
+      .set('Idempotency-Key', idempotencyKey)
+      .send(scoreData)
+      .expect(201);
+
+    const retry = await request(app)
+      .post('/api/leaderboard/submit')
+      .set('Idempotency-Key', idempotencyKey)
+      .send(scoreData)
+      .expect(200);
+
+    expect(retry.body).toMatchObject({ entry_id: first.body.entry_id, score: scoreData.score, username: scoreData.username });
+    expect(retry.body.rank).toBeGreaterThan(0);
+    expect(retry.body.beans_earned).toBe(0);
+
+    const { count } = await getAsync('SELECT COUNT(*) AS count FROM leaderboard_entries WHERE username = ?', [scoreData.username]);
+    expect(count).toBe(1);
+
+    // The same key can't be spent on another run
+    await request(app)
+      .post('/api/leaderboard/submit')
+      .set('Idempotency-Key', idempotencyKey)
+      .send(submission({ run_token: await startRun() }))
+      .expect(422);
+
+    await request(app)
+      .post('/api/leaderboard/submit')
+      .set('Idempotency-Key', 'no spaces allowed')
+      .send(submission({ run_token: await startRun() }))
+      .expect(400);
+  });
+
+  test('should mark runs that used the revive', async () => {
+    const submit = async (overrides) => {
+      const runToken = await startRun();
+      advanceClock(50);
+      const response = await request(app)
+        .post('/api/leaderboard/submit')
+        .send(submission({ run_token: runToken, ...overrides }))
+        .expect(201);
+      jest.restoreAllMocks();
+      return getAsync('SELECT revived FROM leaderboard_entries WHERE id = ?', [response.body.entry_id]);
+    };
+
+    expect(await submit({})).toEqual({ revived: 0 });
+    expect(await submit({ revived: true })).toEqual({ revived: 1 });
+
+    // A revive in the replay counts even without the flag
+    const replay = { version: 1, seed: 42, frames: 2700, score: 1200, events: [[120, 'fly'], [1500, 'revive']] };
+    expect(await submit({ replay })).toEqual({ revived: 1 });
+
+    await request(app)
+      .post('/api/leaderboard/submit')
+      .send(submission({ run_token: await startRun(), revived: 'twice' }))
+      .expect(400);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import authRoutes from '../../server/routes/auth.js';
+import { initializeDatabase, getAsync } from '../../server/database/init.js';
+import config from '../../server/config/environment.js';
+import { setSmsProvider } from '../../server/services/sms.js';
+import { startPhoneVerification, confirmPhoneVerification } from '../../server/services/phoneVerification.js';
+import InputSanitizer from '../../inputSanitizer.js';
+import { createUser } from '../helpers/users.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/auth', authRoutes);
+
+  return app;
+};
+
+// A fresh UK mobile number per call so tests don't share the per-number limits
+const randomMobile = () => `07${String(Math.floor(Math.random() * 1e9)).padStart(9, '0')}`;
+
+describe('Phone verification', () => {
+  let app;
+  const sent = [];
+
+  const lastCode = () => sent[sent.length - 1].body.match(/\d{6}/)[0];
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+
+    config.sms.defaultCountryCode = '44';
+    setSmsProvider({ name: 'test', send: async (to, body) => { sent.push({ to, body }); } });
+  });
+
+  test('should normalize numbers to E.164', () => {
+    expect(InputSanitizer.normalizePhoneE164('07700 900123', '44')).toBe('+447700900123');
+    expect(InputSanitizer.normalizePhoneE164('0044 7700 900123')).toBe('+447700900123');
+    expect(InputSanitizer.normalizePhoneE164('+1 415 555 2671')).toBe('+14155552671');
+    expect(InputSanitizer.normalizePhoneE164('07700 900123')).toBe('');
+    expect(InputSanitizer.normalizePhoneE164('call me')).toBe('');
+    expect(InputSanitizer.normalizePhoneE164('+1234567890123456')).toBe('');
+  });
+
+  test('should text a code and sign in a new guest once it is confirmed', async () => {
+    const mobile = randomMobile();
+    const start = await request(app).post('/api/auth/phone/start').send({ phone: mobile }).expect(202);
+    expect(start.body.phone).toBe(`+44${mobile.slice(1)}`);
+    expect(sent[sent.length - 1].to).toBe(start.body.phone);
+
+    await request(app).post('/api/auth/phone/verify')
+      .send({ phone: mobile, code: lastCode() === '000000' ? '111111' : '000000', name: 'Robin' })
+      .expect(400);
+
+    const response = await request(app).post('/api/auth/phone/verify')
+      .send({ phone: start.body.phone, code: lastCode(), name: 'Robin Red' })
+      .expect(200);
+    expect(response.body.user).toMatchObject({ is_guest: true, phone_verified: true });
+    expect(response.body.user.username).toMatch(/^RobinRed/);
+    expect(response.headers['set-cookie'][0]).toMatch(/birddash_token=/);
+
+    const user = await getAsync('SELECT phone, phone_verified_at FROM users WHERE id = ?', [response.body.user.id]);
+    expect(user.phone).toBe(start.body.phone);
+    expect(user.phone_verified_at).toBeTruthy();
+
+    // Codes are single use
+    await request(app).post('/api/auth/phone/verify').send({ phone: mobile, code: lastCode() }).expect(404);
+  });
+
+  test('should link the number to the signed-in player and keep it to one identity', async () => {
+    const mobile = randomMobile();
+    const suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    const guest = await createUser(`phone_${suffix}`);
+    const member = await createUser(`phone_member_${suffix}`, { isGuest: false });
+
+    await request(app).post('/api/auth/phone/start').send({ phone: mobile }).expect(202);
+    const linked = await request(app).post('/api/auth/phone/verify')
+      .set('Cookie', guest.cookie)
+      .send({ phone: mobile, code: lastCode() })
+      .expect(200);
+    expect(linked.body.user.id).toBe(guest.id);
+
+    // A full account can't claim a number another player verified
+    await startPhoneVerification(mobile, new Date(Date.now() + 2 * 60 * 1000));
+    await request(app).post('/api/auth/phone/verify')
+      .set('Cookie', member.cookie)
+      .send({ phone: mobile, code: lastCode() })
+      .expect(409);
+  });
+
+  test('should never sign anyone into a password account with a code', async () => {
+    const mobile = randomMobile();
+    const suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    const member = await createUser(`phone_owner_${suffix}`, { isGuest: false });
+    const guest = await createUser(`phone_guest_${suffix}`);
+
+    await request(app).post('/api/auth/phone/start').send({ phone: mobile }).expect(202);
+    await request(app).post('/api/auth/phone/verify')
+      .set('Cookie', member.cookie)
+      .send({ phone: mobile, code: lastCode() })
+      .expect(200);
+
+    await startPhoneVerification(mobile, new Date(Date.now() + 2 * 60 * 1000));
+    const anonymous = await request(app).post('/api/auth/phone/verify')
+      .send({ phone: mobile, code: lastCode() })
+      .expect(409);
+    expect(anonymous.body.error).toMatch(/password/);
+    expect(anonymous.headers['set-cookie']).toBeUndefined();
+
+    await startPhoneVerification(mobile, new Date(Date.now() + 4 * 60 * 1000));
+    await request(app).post('/api/auth/phone/verify')
+      .set('Cookie', guest.cookie)
+      .send({ phone: mobile, code: lastCode() })
+      .expect(409);
+  });
+
+  test('should rate limit codes per number and expire them', async () => {
+    const mobile = randomMobile();
+    const start = Date.now();
+
+    await startPhoneVerification(mobile, new Date(start));
+    await expect(startPhoneVerification(mobile, new Date(start + 30 * 1000))).rejects.toMatchObject({ statusCode: 429 });
+
+    // Codes last 10 minutes
+    await expect(confirmPhoneVerification(mobile, lastCode(), new Date(start + 11 * 60 * 1000)))
+      .rejects.toMatchObject({ statusCode: 410 });
+
+    for (let i = 1; i < 5; i++) {
+      await startPhoneVerification(mobile, new Date(start + i * 2 * 60 * 1000));
+    }
+    await expect(startPhoneVerification(mobile, new Date(start + 12 * 60 * 1000)))
+      .rejects.toThrow(/Too many codes/);
+  });
+
+  test('should burn a code after too many wrong guesses', async () => {
+    const mobile = randomMobile();
+    await startPhoneVerification(mobile);
+    const wrong = lastCode() === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 5; i++) {
+      await expect(confirmPhoneVerification(mobile, wrong)).rejects.toThrow('Incorrect code');
+    }
+    await expect(confirmPhoneVerification(mobile, lastCode())).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  test('should refuse to send codes without an SMS gateway', async () => {
+    config.sms.enabled = false;
+    try {
+      await request(app).post('/api/auth/phone/start').send({ phone: randomMobile() }).expect(503);
+    } finally {
+      config.sms.enabled = true;
+    }
+  });
+
+  test('should reject numbers it cannot normalize', async () => {
+    const response = await request(app).post('/api/auth/phone/start').send({ phone: '12345' }).expect(400);
+    expect(response.body.error).toMatch(/valid mobile number/);
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import userRoutes from '../../server/routes/users.js';
+import adminRoutes from '../../server/routes/admin.js';
+import { initializeDatabase, runAsync, getAsync, allAsync } from '../../server/database/init.js';
+import config from '../../server/config/environment.js';
+import { createUser } from '../helpers/users.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/users', userRoutes);
+  app.use('/api/admin', adminRoutes);
+
+  return app;
+};
+
+// A fresh UK mobile number per call so players never collide on users.phone
+const randomMobile = () => `+447${String(Math.floor(Math.random() * 1e9)).padStart(9, '0')}`;
+
+describe('Player privacy', () => {
+  let app;
+  let suffix;
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+    // As DatabaseManager sets up the server's SQLite connection
+    await runAsync('PRAGMA foreign_keys = ON');
+    suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  });
+
+  test('should record marketing consent with its timestamp and policy version', async () => {
+    const player = await createUser(`consent_${suffix}`, { phone: randomMobile() });
+    config.privacy.marketingPolicyVersion = '2026-10';
+
+    const response = await request(app)
+      .put('/api/users/me/consent')
+      .set('Cookie', player.cookie)
+      .send({ marketing_consent: true })
+      .expect(200);
+    expect(response.body).toMatchObject({ marketing_consent: true, marketing_consent_version: '2026-10' });
+
+    let row = await getAsync('SELECT marketing_consent, marketing_consent_at, marketing_consent_version FROM users WHERE id = ?', [player.id]);
+    expect(row).toMatchObject({ marketing_consent: 1, marketing_consent_version: '2026-10' });
+    expect(new Date(row.marketing_consent_at).getTime()).not.toBeNaN();
+
+    await request(app).put('/api/users/me/consent').set('Cookie', player.cookie).send({ marketing_consent: false }).expect(200);
+    row = await getAsync('SELECT marketing_consent FROM users WHERE id = ?', [player.id]);
+    expect(row.marketing_consent).toBe(0);
+
+    await request(app).put('/api/users/me/consent').set('Cookie', player.cookie).send({ marketing_consent: 'yes' }).expect(400);
+    await request(app).put('/api/users/me/consent').send({ marketing_consent: true }).expect(401);
+  });
+
+  test('should export only consenting players to admins', async () => {
+    const optedIn = await createUser(`opted_in_${suffix}`, { phone: randomMobile() });
+    const optedOut = await createUser(`opted_out_${suffix}`, { phone: randomMobile() });
+    const admin = await createUser(`privacy_admin_${suffix}`, { role: 'admin' });
+
+    await request(app).put('/api/users/me/consent').set('Cookie', optedIn.cookie).send({ marketing_consent: true }).expect(200);
+    await request(app).put('/api/users/me/consent').set('Cookie', optedOut.cookie).send({ marketing_consent: false }).expect(200);
+
+    await request(app).get('/api/admin/contacts.csv').set('Cookie', optedIn.cookie).expect(403);
+
+    const response = await request(app).get('/api/admin/contacts.csv').set('Cookie', admin.cookie).expect(200);
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="birddash-contacts-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = response.text.trim().split('\n');
+    expect(lines[0]).toBe('username,phone,consented_at,policy_version');
+    expect(lines).toContainEqual(expect.stringMatching(new RegExp(`^opted_in_${suffix},\\+447\\d{9},`)));
+    expect(lines.some(line => line.startsWith(`opted_out_${suffix},`))).toBe(false);
+  });
+
+  test('should erase a player with their scores and analytics', async () => {
+    const phone = randomMobile();
+    const player = await createUser(`erase_me_${suffix}`, { phone });
+    const runId = `privacy_run_${suffix}`;
+
+    const { lastID: entryId } = await runAsync(
+      'INSERT INTO leaderboard_entries (user_id, username, score, time_played) VALUES (?, ?, 10, 60)',
+      [player.id, player.username]
+    );
+    // Anonymous submission made through a run the player started
+    await runAsync('INSERT INTO game_runs (run_id, user_id, started_at) VALUES (?, ?, ?)', [runId, player.id, Date.now()]);
+    const { lastID: runEntryId } = await runAsync(
+      'INSERT INTO leaderboard_entries (username, score, time_played, run_id) VALUES (?, 11, 60, ?)',
+      [player.username, runId]
+    );
+    await runAsync('UPDATE game_runs SET consumed_at = CURRENT_TIMESTAMP, entry_id = ? WHERE run_id = ?', [runEntryId, runId]);
+    await runAsync(
+      "INSERT INTO daily_entries (challenge_date, user_id, username, score, time_played) VALUES ('2025-01-08', ?, ?, 12, 60)",
+      [player.id, player.username]
+    );
+    await runAsync("INSERT INTO replays (entry_id, seed, frame_count, data) VALUES (?, 1, 1, '[]')", [entryId]);
+    await runAsync(
+      "INSERT INTO analytics_events (user_id, session_id, event_type, timestamp) VALUES (?, 'privacy_session', 'game_start', ?)",
+      [player.id, new Date().toISOString()]
+    );
+    await runAsync("INSERT INTO user_achievements (user_id, achievement_id, progress) VALUES (?, 'first_flight', 1)", [player.id]);
+    await runAsync(
+      "INSERT INTO phone_verifications (phone, code_hash, created_at, expires_at) VALUES (?, 'x', ?, ?)",
+      [phone, new Date().toISOString(), new Date().toISOString()]
+    );
+
+    const response = await request(app).delete('/api/users/me').set('Cookie', player.cookie).expect(200);
+    expect(response.body.deleted).toEqual({ leaderboard_entries: 2, analytics_events: 1 });
+    expect(response.headers['set-cookie'].join(';')).toMatch(/birddash_token=;/);
+
+    const count = async (sql, params) => (await getAsync(`SELECT COUNT(*) AS n FROM ${sql}`, params)).n;
+    expect(await count('users WHERE id = ?', [player.id])).toBe(0);
+    expect(await count('leaderboard_entries WHERE username = ?', [player.username])).toBe(0);
+    expect(await count('replays WHERE entry_id = ?', [entryId])).toBe(0);
+    expect(await count('game_runs WHERE run_id = ?', [runId])).toBe(0);
+    expect(await count('analytics_events WHERE user_id = ?', [player.id])).toBe(0);
+    expect(await count('user_achievements WHERE user_id = ?', [player.id])).toBe(0);
+    expect(await count('phone_verifications WHERE phone = ?', [phone])).toBe(0);
+    expect(await count('daily_entries WHERE username = ?', [player.username])).toBe(0);
+    expect(await allAsync('PRAGMA foreign_key_check')).toEqual([]);
+
+    // The old session can't erase anything else
+    await request(app).delete('/api/users/me').set('Cookie', player.cookie).expect(404);
+  });
+});
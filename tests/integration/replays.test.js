@@ -0,0 +1,98 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import leaderboardRoutes from '../../server/routes/leaderboard.js';
+import replayRoutes from '../../server/routes/replays.js';
+import { initializeDatabase } from '../../server/database/init.js';
+import { REPLAY } from '../../constants.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  // The server's body limit, so oversized replays reach validation
+  app.use(express.json({ limit: '10mb' }));
+  app.use('/api/leaderboard', leaderboardRoutes);
+  app.use('/api/replays', replayRoutes);
+
+  return app;
+};
+
+describe('Replay Uploads', () => {
+  let app;
+
+  const replay = {
+    version: 1,
+    seed: 123456,
+    step: 1000 / 60,
+    screen: { width: 480, height: 854 },
+    frames: 2400,
+    score: 900,
+    events: [[30, 'fly'], [95, 'jump'], [400, 'toggleFluid'], [401, 'fluidTarget', { x: 240, y: 300 }], [1200, 'dash']]
+  };
+
+  const submitWithReplay = async (replayData) => {
+    const runResponse = await request(app).post('/api/leaderboard/runs').expect(201);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 45000);
+
+    return request(app)
+      .post('/api/leaderboard/submit')
+      .send({
+        run_token: runResponse.body.run_token,
+        username: `replay_${Math.random().toString(36).slice(2, 9)}`,
+        score: 900,
+        time_played: 40,
+        collectibles_collected: 25,
+        max_combo: 6,
+        replay: replayData
+      });
+  };
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store a replay with the submission and serve it back', async () => {
+    const submitResponse = await submitWithReplay(replay);
+    expect(submitResponse.status).toBe(201);
+
+    const response = await request(app)
+      .get(`/api/replays/${submitResponse.body.entry_id}`)
+      .expect(200);
+
+    expect(response.body.replay).toEqual(replay);
+    expect(response.body.score).toBe(900);
+  });
+
+  test('should reject malformed replays', async () => {
+    const response = await submitWithReplay({ ...replay, events: [[10, 'teleport']] });
+    expect(response.status).toBe(400);
+
+    // Only one revive per run
+    const revivedTwice = await submitWithReplay({ ...replay, events: [[500, 'revive'], [900, 'revive']] });
+    expect(revivedTwice.status).toBe(400);
+  });
+
+  test('should only store known replay fields, up to the size limit', async () => {
+    const extraField = await submitWithReplay({ ...replay, notes: 'x' });
+    expect(extraField.status).toBe(400);
+    expect(extraField.body.error).toBe('Unknown replay field: notes');
+
+    const extraPayload = await submitWithReplay({ ...replay, events: [[401, 'fluidTarget', { x: 1, y: 2, blob: 'x' }]] });
+    expect(extraPayload.status).toBe(400);
+
+    // Within MAX_EVENTS, but padded past MAX_BYTES with long numbers
+    const padded = Array.from({ length: REPLAY.MAX_EVENTS }, (_, i) => [i, 'fluidTarget', { x: 1.0000000000000002, y: 1.0000000000000002 }]);
+    const oversized = await submitWithReplay({ ...replay, frames: REPLAY.MAX_EVENTS, events: padded });
+    expect(oversized.status).toBe(400);
+    expect(oversized.body.error).toMatch(/at most 1024 KB/);
+  });
+
+  test('should 404 for entries without a replay', async () => {
+    await request(app).get('/api/replays/999999999').expect(404);
+  });
+});
@@ -0,0 +1,290 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import sqlite3 from 'sqlite3';
+import { newDb, DataType } from 'pg-mem';
+import DatabaseManager from '../../server/database/DatabaseManager.js';
+import { getActiveDatabase, useDatabase, applyConfiguredRoles } from '../../server/database/init.js';
+import { isUniqueViolation } from '../../server/database/sqlDialect.js';
+import { createRepositories } from '../../server/repositories/index.js';
+import leaderboardRoutes from '../../server/routes/leaderboard.js';
+import userRoutes from '../../server/routes/users.js';
+import replayRoutes from '../../server/routes/replays.js';
+
+// Each backend starts empty and is brought up by the real migrations
+const backends = {
+  sqlite: () => new DatabaseManager({ type: 'sqlite', db: new sqlite3.Database(':memory:') }),
+  postgresql: () => {
+    const mem = newDb();
+    // pg-mem has no advisory locks; a single process needs none
+    mem.public.registerFunction({
+      name: 'pg_advisory_xact_lock',
+      args: [DataType.integer],
+      returns: DataType.text,
+      implementation: () => null
+    });
+    const { Pool } = mem.adapters.createPg();
+    return new DatabaseManager({ type: 'postgresql', pool: new Pool() });
+  }
+};
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/leaderboard', leaderboardRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/replays', replayRoutes);
+
+  return app;
+};
+
+describe.each(Object.keys(backends))('Repositories on %s', (backend) => {
+  let database;
+  let users;
+  let scores;
+  let achievements;
+
+  const entry = (overrides = {}) => ({
+    userId: null,
+    username: 'robin',
+    score: 1000,
+    timePlayed: 60,
+    collectiblesCollected: 10,
+    powerUpsCollected: 1,
+    distanceTraveled: 500,
+    maxCombo: 3,
+    isGuest: true,
+    revived: false,
+    moderationStatus: 'approved',
+    moderationReason: null,
+    runId: null,
+    idempotencyKey: null,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    database = backends[backend]();
+    await database.migrate();
+    ({ users, scores, achievements } = createRepositories(database));
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('should create players and keep usernames unique', async () => {
+    const guestId = await users.createGuest('wren', 'guest_wren');
+    const accountId = await users.createAccount({ username: 'finch', email: 'finch@example.com', passwordHash: 'hash' });
+
+    expect(await users.findById(guestId)).toMatchObject({ username: 'wren', is_guest: true });
+    expect(await users.getRole(accountId)).toBe('player');
+    expect(await users.findForLogin('wren')).toBeNull();
+    expect(await users.findForLogin('finch')).toMatchObject({ id: accountId, password_hash: 'hash', is_guest: false });
+
+    const duplicate = await users.createGuest('wren', 'guest_wren_2').catch(error => error);
+    expect(isUniqueViolation(duplicate)).toBe(true);
+  });
+
+  test('should give configured usernames their roles', async () => {
+    const staffId = await users.createAccount({ username: 'merlin', email: 'merlin@example.com', passwordHash: 'hash' });
+    const adminId = await users.createAccount({ username: 'harrier', email: 'harrier@example.com', passwordHash: 'hash' });
+    const playerId = await users.createAccount({ username: 'pipit', email: 'pipit@example.com', passwordHash: 'hash' });
+
+    await applyConfiguredRoles(database, { staffUsernames: ['merlin', 'harrier'], adminUsernames: ['harrier'] });
+
+    expect(await users.getRole(staffId)).toBe('staff');
+    expect(await users.getRole(adminId)).toBe('admin');
+    expect(await users.getRole(playerId)).toBe('player');
+
+    // Running again on the next start never demotes an admin
+    await applyConfiguredRoles(database, { staffUsernames: ['harrier'], adminUsernames: [] });
+    expect(await users.getRole(adminId)).toBe('admin');
+  });
+
+  test('should add games to lifetime stats', async () => {
+    const userId = await users.createGuest('lark', 'guest_lark');
+
+    await users.recordGame(userId, { score: 700, timePlayed: 40 });
+    expect(await users.recordGame(userId, { score: 300, timePlayed: 20 })).toEqual({
+      total_games_played: 2,
+      total_score: 1000,
+      best_score: 700,
+      total_time_played: 60
+    });
+    expect(await users.recordGame(999999, { score: 1, timePlayed: 1 })).toBeNull();
+  });
+
+  test('should let each run be claimed once and link it to its entry', async () => {
+    await scores.createRun('run-claim', null, Date.now());
+
+    const entryId = await scores.createEntry(entry({ username: 'claimer', runId: 'run-claim', idempotencyKey: 'key-claim-1' }));
+    expect(await scores.findByIdempotencyKey('key-claim-1')).toMatchObject({ id: entryId, run_id: 'run-claim' });
+    expect(await scores.claimRun('run-claim')).toBe(false);
+    expect(await scores.createEntry(entry({ username: 'claimer', runId: 'run-claim', idempotencyKey: 'key-claim-2' }))).toBeNull();
+
+    const { rows: [run] } = await database.query('SELECT entry_id FROM game_runs WHERE run_id = ?', ['run-claim']);
+    expect(run.entry_id).toBe(entryId);
+  });
+
+  // pg-mem ignores ROLLBACK, so only SQLite can show the claim being undone
+  (backend === 'sqlite' ? test : test.skip)('should release the run when its entry fails to save', async () => {
+    await scores.createRun('run-retry', null, Date.now());
+    await expect(scores.createEntry(entry({ username: null, runId: 'run-retry' }))).rejects.toThrow();
+    expect(await scores.claimRun('run-retry')).toBe(true);
+  });
+
+  (backend === 'sqlite' ? test : test.skip)('should keep plain writes out of a transaction that rolls back', async () => {
+    let started;
+    let release;
+    const inside = new Promise(resolve => { started = resolve; });
+    const held = new Promise(resolve => { release = resolve; });
+
+    const failed = database.transaction(async (query) => {
+        await query("INSERT INTO users (username, is_guest, guest_id) VALUES ('doomed', TRUE, 'guest_doomed')");
+        started();
+        await held;
+        throw new Error('rolled back');
+    });
+    await inside;
+
+    const write = users.createGuest('survivor', 'guest_survivor');
+    release();
+    await expect(failed).rejects.toThrow('rolled back');
+
+    expect(await users.findById(await write)).toMatchObject({ username: 'survivor' });
+    const { rows: [doomed] } = await database.query("SELECT COUNT(*) AS count FROM users WHERE username = 'doomed'");
+    expect(doomed.count).toBe(0);
+  });
+
+  test('should rank approved scores and filter by timeframe', async () => {
+    const best = await scores.createEntry(entry({ username: 'eagle', score: 9000, revived: true }));
+    await scores.createEntry(entry({ username: 'cheat', score: 99999, moderationStatus: 'flagged' }));
+    await scores.saveReplay(best, { seed: 42, frames: 10, events: [] });
+    await database.query(
+      'INSERT INTO leaderboard_entries (username, score, time_played, game_date) VALUES (?, ?, ?, datetime(?))',
+      ['old_owl', 8000, 60, new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString()]
+    );
+
+    const allTime = await scores.getLeaderboard({ limit: 2, offset: 0 });
+    expect(allTime.entries.map(row => [row.username, row.rank])).toEqual([['eagle', 1], ['old_owl', 2]]);
+    expect(allTime.entries[0]).toMatchObject({ revived: true, has_replay: true, is_guest: true });
+    expect(allTime.entries[1].has_replay).toBe(false);
+
+    const thisWeek = await scores.getLeaderboard({ limit: 10, offset: 0, since: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString() });
+    expect(thisWeek.entries.map(row => row.username)).not.toContain('old_owl');
+    expect(thisWeek.total).toBe(allTime.total - 1);
+
+    expect(await scores.rankOf(8500)).toBe(2);
+    expect(await scores.getBestScores('eagle', 5)).toEqual([expect.objectContaining({ score: 9000, rank: 1 })]);
+    expect((await scores.findReplay(best)).data.seed).toBe(42);
+
+    const statistics = await scores.getStatistics();
+    expect(statistics.highestScore).toBe(9000);
+    expect(statistics.todayGames).toBe(statistics.totalGames - 1);
+  });
+
+  test('should allow one Daily Dash entry per player and day', async () => {
+    const userId = await users.createGuest('sparrow', 'guest_sparrow');
+    const daily = { ...entry({ userId, username: 'sparrow', score: 400 }), date: '2025-09-20' };
+    await scores.createDailyEntry(daily);
+    await scores.createDailyEntry({ ...daily, userId: null, username: 'starling', score: 600 });
+
+    const duplicate = await scores.createDailyEntry(daily).catch(error => error);
+    expect(isUniqueViolation(duplicate)).toBe(true);
+
+    const board = await scores.getDailyLeaderboard('2025-09-20', 10);
+    expect(board.entries.map(row => [row.username, row.rank])).toEqual([['starling', 1], ['sparrow', 2]]);
+    expect(await scores.dailyRankOf('2025-09-20', 500)).toBe(2);
+    expect(await scores.findDailyEntry('2025-09-20', userId)).toEqual({ score: 400, moderation_status: 'approved' });
+    expect(await scores.hasDailyAttempt('2025-09-20', userId)).toBe(true);
+  });
+
+  test('should start one ranked Daily Dash run per player and day', async () => {
+    const userId = await users.createGuest('swift', 'guest_swift');
+    expect(await scores.hasDailyAttempt('2025-09-21', userId)).toBe(false);
+
+    await scores.createRun('run-daily', userId, Date.now(), '2025-09-21');
+    expect(await scores.findRun('run-daily')).toMatchObject({ user_id: userId, daily_date: '2025-09-21' });
+    expect(await scores.hasDailyAttempt('2025-09-21', userId)).toBe(true);
+
+    const second = await scores.createRun('run-daily-2', userId, Date.now(), '2025-09-21').catch(error => error);
+    expect(isUniqueViolation(second)).toBe(true);
+
+    // Anonymous runs and runs on other days don't count against it
+    await scores.createRun('run-daily-anon-1', null, Date.now(), '2025-09-21');
+    await scores.createRun('run-daily-anon-2', null, Date.now(), '2025-09-21');
+    await scores.createRun('run-daily-next', userId, Date.now(), '2025-09-22');
+  });
+
+  test('should save achievement progress and unlocks', async () => {
+    const userId = await users.createGuest('heron', 'guest_heron');
+
+    await achievements.saveProgress(userId, 'first_flight', 1, false);
+    await achievements.saveProgress(userId, 'first_flight', 3, true);
+
+    expect(await achievements.findByUser(userId)).toEqual([
+      expect.objectContaining({ achievement_id: 'first_flight', progress: 3 })
+    ]);
+    expect(await achievements.findUnlockedByUser(userId)).toHaveLength(1);
+  });
+
+  describe('through the routes', () => {
+    let app;
+    let previousDatabase;
+
+    beforeAll(() => {
+      app = createTestApp();
+      previousDatabase = getActiveDatabase();
+      useDatabase(database);
+    });
+
+    afterAll(() => {
+      useDatabase(previousDatabase);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should submit a score and show it on the board and profile', async () => {
+      const userId = await users.createGuest('kestrel', 'guest_kestrel');
+      const { body: { run_token } } = await request(app).post('/api/leaderboard/runs').expect(201);
+
+      // Pretend the run has been going for a while
+      const realNow = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(realNow + 50 * 1000);
+
+      const submitted = await request(app)
+        .post('/api/leaderboard/submit')
+        .send({
+          run_token,
+          user_id: userId,
+          username: 'kestrel',
+          score: 1200,
+          time_played: 45,
+          collectibles_collected: 30,
+          power_ups_collected: 3,
+          max_combo: 8
+        })
+        .expect(201);
+      expect(submitted.body.moderation_status).toBe('approved');
+      await scores.saveReplay(submitted.body.entry_id, { seed: 7, frames: 2700, events: [] });
+
+      const board = await request(app).get('/api/leaderboard').expect(200);
+      expect(board.body.leaderboard).toEqual(expect.arrayContaining([
+        expect.objectContaining({ id: submitted.body.entry_id, rank: submitted.body.rank, has_replay: true })
+      ]));
+
+      await request(app).get(`/api/replays/${submitted.body.entry_id}`).expect(200);
+
+      const profile = await request(app).get('/api/users/kestrel').expect(200);
+      expect(profile.body.user.is_guest).toBe(true);
+      expect(profile.body.recent_games).toEqual([expect.objectContaining({ score: 1200, rank: submitted.body.rank })]);
+
+      await request(app).get('/api/leaderboard/stats').expect(200);
+    });
+  });
+});
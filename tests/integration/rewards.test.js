@@ -0,0 +1,132 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import rewardRoutes from '../../server/routes/rewards.js';
+import { initializeDatabase, runAsync, getAsync } from '../../server/database/init.js';
+import { setConfig, ContentError } from '../../server/services/content.js';
+import {
+  issueGameRewards,
+  issueVoucher,
+  listVouchers,
+  normalizeVoucherCode,
+  settleWeeklyRewards,
+  getWeekStart,
+  VOUCHER_STATUS
+} from '../../server/services/rewards.js';
+import config from '../../server/config/environment.js';
+import { createUser } from '../helpers/users.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/rewards', rewardRoutes);
+
+  return app;
+};
+
+describe('Reward vouchers', () => {
+  let app;
+  let suffix;
+  let player;
+  let staff;
+
+  const redeem = (code, as = staff) => request(app)
+    .post('/api/rewards/redeem')
+    .set('Cookie', as.cookie)
+    .send({ code });
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+
+    suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    player = await createUser(`rw_${suffix}`, { isGuest: false });
+    staff = await createUser(`rw_staff_${suffix}`, { role: 'staff', isGuest: false });
+  });
+
+  test('should issue score and first-game vouchers once per day', async () => {
+    const now = new Date();
+    const first = await issueGameRewards(player.id, 6000, now);
+    expect(first.map(voucher => voucher.rule_id).sort()).toEqual(['first_daily_game', 'score_5000']);
+    expect(first[0].code).toMatch(/^BD-[2-9A-HJ-NP-Z]{4}-[2-9A-HJ-NP-Z]{4}$/);
+
+    expect(await issueGameRewards(player.id, 9000, now)).toEqual([]);
+
+    const response = await request(app).get('/api/rewards').set('Cookie', player.cookie).expect(200);
+    expect(response.body.vouchers).toHaveLength(2);
+    expect(response.body.vouchers[0].status).toBe(VOUCHER_STATUS.ACTIVE);
+    expect(response.body.vouchers[0].qr_code).toMatch(/^data:image\/png;base64,/);
+  });
+
+  test('should only reward guests once their phone is verified', async () => {
+    const guest = await createUser(`rw_guest_${suffix}`);
+    const now = new Date();
+
+    expect(await issueGameRewards(guest.id, 6000, now)).toEqual([]);
+    expect(await listVouchers(guest.id)).toEqual([]);
+
+    await runAsync('UPDATE users SET phone_verified_at = ? WHERE id = ?', [now.toISOString(), guest.id]);
+    const issued = await issueGameRewards(guest.id, 6000, now);
+    expect(issued.map(voucher => voucher.rule_id).sort()).toEqual(['first_daily_game', 'score_5000']);
+  });
+
+  test('should pay out the previous week to the top ranked players', async () => {
+    const weekStart = getWeekStart(new Date(Date.UTC(2025, 0, 8)));
+    const settleAt = new Date(weekStart.getTime() + 8 * DAY_MS);
+
+    const players = [];
+    for (const [index, score] of [400, 900, 700, 800].entries()) {
+      const user = await createUser(`rw_week${index}_${suffix}`, { isGuest: false });
+      const runId = `rw_run${index}_${suffix}`;
+      const gameDate = new Date(weekStart.getTime() + DAY_MS).toISOString().replace('T', ' ').slice(0, 19);
+      await runAsync('INSERT INTO game_runs (run_id, user_id, started_at) VALUES (?, ?, ?)', [runId, user.id, Date.now()]);
+      await runAsync(
+        'INSERT INTO leaderboard_entries (username, score, time_played, game_date, run_id) VALUES (?, ?, 60, ?, ?)',
+        [user.username, score, gameDate, runId]
+      );
+      players.push(user);
+    }
+
+    expect(await settleWeeklyRewards(settleAt)).toBe(3);
+    expect(await settleWeeklyRewards(settleAt)).toBe(0);
+
+    const counts = await Promise.all(players.map(async user => (await listVouchers(user.id, settleAt)).length));
+    expect(counts).toEqual([0, 1, 1, 1]);
+  });
+
+  test('should only let staff redeem, and only once', async () => {
+    const [voucher] = await listVouchers(player.id);
+
+    await redeem(voucher.code, player).expect(403);
+
+    const response = await redeem(voucher.code.toLowerCase().replace(/-/g, '')).expect(200);
+    expect(response.body.voucher).toMatchObject({ code: voucher.code, status: VOUCHER_STATUS.REDEEMED, username: player.username });
+
+    const row = await getAsync('SELECT redeemed_by FROM reward_vouchers WHERE code = ?', [voucher.code]);
+    expect(row.redeemed_by).toBe(staff.id);
+
+    await redeem(voucher.code).expect(409);
+    await redeem('BD-2222-2222').expect(404);
+    await redeem('').expect(400);
+  });
+
+  test('should refuse expired vouchers', async () => {
+    const rule = { id: 'expiry_check', type: 'score', min_score: 1, reward: 'Espresso', valid_days: 1 };
+    const voucher = await issueVoucher(player.id, rule, 'past', new Date(Date.now() - 2 * DAY_MS));
+
+    expect(normalizeVoucherCode(voucher.code)).toBe(voucher.code);
+    await redeem(voucher.code).expect(410);
+  });
+
+  test('should validate reward_rules config', async () => {
+    await expect(setConfig('reward_rules', [{ id: 'top', type: 'weekly_rank', reward: 'Coffee' }]))
+      .rejects.toThrow(ContentError);
+    await expect(setConfig('reward_rules', [{ id: 'bad', type: 'lottery', reward: 'Coffee' }]))
+      .rejects.toThrow(/type must be one of/);
+  });
+});
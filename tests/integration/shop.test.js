@@ -0,0 +1,116 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import shopRoutes from '../../server/routes/shop.js';
+import leaderboardRoutes from '../../server/routes/leaderboard.js';
+import { initializeDatabase } from '../../server/database/init.js';
+import { SHOP } from '../../constants.js';
+import { createUser } from '../helpers/users.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/shop', shopRoutes);
+  app.use('/api/leaderboard', leaderboardRoutes);
+
+  return app;
+};
+
+describe('Bean Shop', () => {
+  let app;
+  let suffix;
+
+  // A signed-in run of 400 collectibles, submitted 5 minutes after it started
+  const playRun = async (player, overrides = {}) => {
+    const run = await request(app).post('/api/leaderboard/runs').set('Cookie', player.cookie).expect(201);
+    const realNow = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(realNow + 300 * 1000);
+
+    const response = await request(app)
+      .post('/api/leaderboard/submit')
+      .send({
+        run_token: run.body.run_token,
+        username: player.username,
+        score: 4000,
+        time_played: 290,
+        collectibles_collected: 400,
+        max_combo: 8,
+        ...overrides
+      })
+      .expect(201);
+    jest.restoreAllMocks();
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+    suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should bank beans from signed-in runs into the ledger', async () => {
+    const player = await createUser(`bean_earner_${suffix}`, { isGuest: false });
+
+    const first = await playRun(player);
+    expect(first.beans_earned).toBe(400 * SHOP.BEANS_PER_COLLECTIBLE);
+
+    // A revive bought with beans came out of the run's collection
+    const revived = await playRun(player, { revived: true, beans_spent: 20 });
+    expect(revived.beans_earned).toBe(380 * SHOP.BEANS_PER_COLLECTIBLE);
+
+    const shop = await request(app).get('/api/shop').set('Cookie', player.cookie).expect(200);
+    expect(shop.body.wallet.balance).toBe(780 * SHOP.BEANS_PER_COLLECTIBLE);
+    expect(shop.body.wallet.equipped).toEqual({ skin: 'skin_classic', trail: 'trail_none', hud: 'hud_classic' });
+
+    const ledger = await request(app).get('/api/shop/ledger').set('Cookie', player.cookie).expect(200);
+    expect(ledger.body.transactions.map(row => row.reason)).toEqual(['run', 'run']);
+
+    await request(app).get('/api/shop').expect(401);
+  });
+
+  test('should only sell items the player can pay for, once', async () => {
+    const player = await createUser(`bean_shopper_${suffix}`, { isGuest: false });
+    await playRun(player, { collectibles_collected: 200 });
+
+    await request(app).post('/api/shop/purchase').set('Cookie', player.cookie).send({ item_id: 'skin_berry' }).expect(402);
+    await request(app).post('/api/shop/purchase').set('Cookie', player.cookie).send({ item_id: 'skin_gold_plated' }).expect(404);
+    await request(app).post('/api/shop/purchase').set('Cookie', player.cookie).send({}).expect(400);
+
+    const bought = await request(app)
+      .post('/api/shop/purchase')
+      .set('Cookie', player.cookie)
+      .send({ item_id: 'skin_espresso' })
+      .expect(201);
+    expect(bought.body.wallet.balance).toBe(200 - 150);
+    expect(bought.body.wallet.owned).toContain('skin_espresso');
+
+    await request(app).post('/api/shop/purchase').set('Cookie', player.cookie).send({ item_id: 'skin_espresso' }).expect(409);
+  });
+
+  test('should only equip items the player owns', async () => {
+    const player = await createUser(`bean_dresser_${suffix}`, { isGuest: false });
+    await playRun(player, { collectibles_collected: 300 });
+
+    await request(app).put('/api/shop/equipped').set('Cookie', player.cookie).send({ item_id: 'trail_golden' }).expect(403);
+
+    await request(app).post('/api/shop/purchase').set('Cookie', player.cookie).send({ item_id: 'trail_golden' }).expect(201);
+    const equipped = await request(app)
+      .put('/api/shop/equipped')
+      .set('Cookie', player.cookie)
+      .send({ item_id: 'trail_golden' })
+      .expect(200);
+    expect(equipped.body.wallet.equipped.trail).toBe('trail_golden');
+
+    // Free items are always available
+    await request(app).put('/api/shop/equipped').set('Cookie', player.cookie).send({ item_id: 'trail_none' }).expect(200);
+    const shop = await request(app).get('/api/shop').set('Cookie', player.cookie).expect(200);
+    expect(shop.body.wallet.equipped.trail).toBe('trail_none');
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import socialRoutes from '../../server/routes/social.js';
+import { initializeDatabase } from '../../server/database/init.js';
+import { settleChallenges } from '../../server/services/social.js';
+import { createUser } from '../helpers/users.js';
+
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/social', socialRoutes);
+
+  return app;
+};
+
+describe('Social API', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+
+  beforeAll(async () => {
+    app = createTestApp();
+    await initializeDatabase();
+
+    const suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    alice = await createUser(`alice_${suffix}`);
+    bob = await createUser(`bob_${suffix}`);
+    carol = await createUser(`carol_${suffix}`);
+  });
+
+  test('should require authentication', async () => {
+    await request(app).get('/api/social/friends').expect(401);
+  });
+
+  test('should reject requests to unknown players and to yourself', async () => {
+    await request(app)
+      .post('/api/social/friends/requests')
+      .set('Cookie', alice.cookie)
+      .send({ username: 'nobody_by_this_name' })
+      .expect(404);
+
+    await request(app)
+      .post('/api/social/friends/requests')
+      .set('Cookie', alice.cookie)
+      .send({ username: alice.username })
+      .expect(400);
+  });
+
+  test('should send, list and accept a friend request', async () => {
+    await request(app)
+      .post('/api/social/friends/requests')
+      .set('Cookie', alice.cookie)
+      .send({ username: bob.username })
+      .expect(201);
+
+    await request(app)
+      .post('/api/social/friends/requests')
+      .set('Cookie', alice.cookie)
+      .send({ username: bob.username })
+      .expect(409);
+
+    const requests = await request(app)
+      .get('/api/social/friends/requests')
+      .set('Cookie', bob.cookie)
+      .expect(200);
+    expect(requests.body.requests.map(r => r.requester_id)).toContain(alice.id);
+
+    await request(app)
+      .post(`/api/social/friends/requests/${alice.id}/accept`)
+      .set('Cookie', bob.cookie)
+      .expect(200);
+
+    const aliceFriends = await request(app).get('/api/social/friends').set('Cookie', alice.cookie).expect(200);
+    const bobFriends = await request(app).get('/api/social/friends').set('Cookie', bob.cookie).expect(200);
+    expect(aliceFriends.body.friends.map(f => f.username)).toEqual([bob.username]);
+    expect(bobFriends.body.friends.map(f => f.username)).toEqual([alice.username]);
+  });
+
+  test('should decline a friend request without creating a friendship', async () => {
+    await request(app)
+      .post('/api/social/friends/requests')
+      .set('Cookie', carol.cookie)
+      .send({ username: alice.username })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/social/friends/requests/${carol.id}/decline`)
+      .set('Cookie', alice.cookie)
+      .expect(200);
+
+    await request(app)
+      .post(`/api/social/friends/requests/${carol.id}/accept`)
+      .set('Cookie', alice.cookie)
+      .expect(404);
+
+    const friends = await request(app).get('/api/social/friends').set('Cookie', alice.cookie).expect(200);
+    expect(friends.body.friends.map(f => f.username)).not.toContain(carol.username);
+  });
+
+  test('should rank the player alongside their friends', async () => {
+    const response = await request(app)
+      .get('/api/social/friends/leaderboard')
+      .set('Cookie', alice.cookie)
+      .expect(200);
+
+    const usernames = response.body.leaderboard.map(row => row.username);
+    expect(usernames).toHaveLength(2);
+    expect(usernames).toEqual(expect.arrayContaining([alice.username, bob.username]));
+    expect(response.body.leaderboard.find(row => row.is_me).username).toBe(alice.username);
+  });
+
+  test('should only allow challenges between friends', async () => {
+    await request(app)
+      .post('/api/social/challenges')
+      .set('Cookie', alice.cookie)
+      .send({ username: carol.username, target_score: 1000 })
+      .expect(403);
+  });
+
+  test('should run a challenge from creation to completion', async () => {
+    const created = await request(app)
+      .post('/api/social/challenges')
+      .set('Cookie', alice.cookie)
+      .send({ username: bob.username, target_score: 1000 })
+      .expect(201);
+
+    const challengeId = created.body.challenge_id;
+
+    await request(app)
+      .post(`/api/social/challenges/${challengeId}/accept`)
+      .set('Cookie', bob.cookie)
+      .expect(200);
+
+    // Only the challenged player can respond, and only once
+    await request(app)
+      .post(`/api/social/challenges/${challengeId}/accept`)
+      .set('Cookie', bob.cookie)
+      .expect(404);
+
+    expect(await settleChallenges(bob.id, 900)).toBe(0);
+    expect(await settleChallenges(bob.id, 1500)).toBe(1);
+
+    const challenges = await request(app).get('/api/social/challenges').set('Cookie', alice.cookie).expect(200);
+    const challenge = challenges.body.challenges.find(c => c.challenge_id === challengeId);
+    expect(challenge.status).toBe('completed');
+    expect(challenge.winner_username).toBe(bob.username);
+  });
+
+  test('should deliver notifications and mark them read', async () => {
+    const unread = await request(app)
+      .get('/api/social/notifications?unread=true')
+      .set('Cookie', alice.cookie)
+      .expect(200);
+
+    const types = unread.body.notifications.map(n => n.type);
+    expect(types).toEqual(expect.arrayContaining(['friend_request', 'friend_accepted', 'challenge_accepted', 'challenge_completed']));
+
+    const notification = unread.body.notifications[0];
+    await request(app)
+      .post(`/api/social/notifications/${notification.id}/read`)
+      .set('Cookie', alice.cookie)
+      .expect(200);
+
+    // Other players can't touch it
+    await request(app)
+      .post(`/api/social/notifications/${notification.id}/read`)
+      .set('Cookie', bob.cookie)
+      .expect(404);
+
+    const after = await request(app)
+      .get('/api/social/notifications?unread=true')
+      .set('Cookie', alice.cookie)
+      .expect(200);
+    expect(after.body.notifications.map(n => n.id)).not.toContain(notification.id);
+  });
+});
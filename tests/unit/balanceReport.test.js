@@ -0,0 +1,78 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildBalanceReport, compareReports, renderBalanceHtml } from '../../systems/simulation/balanceReport.js';
+import { simulateRun } from '../../systems/simulation/harness.js';
+import { parseProfile } from '../../balance-report.js';
+import { itemCatalog } from '../../server/services/itemCatalog.js';
+import { patternLibrary } from '../../server/services/obstaclePatterns.js';
+
+const config = { runs: 4, firstSeed: 1, maxTime: 60000 };
+
+const run = (overrides) => ({
+  score: 0,
+  timePlayed: 10,
+  survived: false,
+  deathCause: 'spilledCup',
+  pointsByCategory: {},
+  powerUpUptime: {},
+  ...overrides
+});
+
+const runs = [
+  run({ score: 100, timePlayed: 10, pointsByCategory: { coffee: 100 } }),
+  run({ score: 200, timePlayed: 20, pointsByCategory: { coffee: 150, powerup: 50 }, powerUpUptime: { shield: 5000 } }),
+  run({ score: 300, timePlayed: 30, deathCause: 'bombObstacle', pointsByCategory: { bagel: 300 } }),
+  run({ score: 400, timePlayed: 60, survived: true, deathCause: null, pointsByCategory: { coffee: 400 }, powerUpUptime: { shield: 10000, magnet: 6000 } })
+];
+
+describe('Balance report', () => {
+  test('should sum up score, survival, points, uptime and deaths per profile', () => {
+    const { profiles } = buildBalanceReport({ avoider: runs }, config);
+    const summary = profiles.avoider;
+
+    expect(summary.runs).toBe(4);
+    expect(summary.score).toMatchObject({ mean: 250, min: 100, p50: 200, p90: 400, max: 400 });
+    expect(summary.scoreHistogram.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(4);
+    expect(summary.survival.p50).toBe(20);
+    expect(summary.survivedShare).toBe(0.25);
+    expect(summary.pointsShare).toEqual({ bagel: 0.3, coffee: 0.65, powerup: 0.05 });
+    expect(summary.powerUpUptime).toEqual({ magnet: 0.05, shield: 0.125 });
+    expect(summary.deathCauses).toEqual({ bombObstacle: 1, spilledCup: 2 });
+  });
+
+  test('should flag metrics that moved against the baseline', () => {
+    const baseline = buildBalanceReport({ avoider: runs }, config);
+    const report = buildBalanceReport({ avoider: runs.map(r => ({ ...r, score: r.score * 2 })) }, config);
+    const comparison = compareReports(report, baseline);
+
+    expect(comparison.comparable).toBe(true);
+    expect(comparison.notable).toContainEqual({ profile: 'avoider', metric: 'score.p50', baseline: 200, current: 400, change: 1 });
+    expect(comparison.notable.every(row => row.metric.startsWith('score.'))).toBe(true);
+
+    const longer = compareReports(buildBalanceReport({ avoider: runs }, { ...config, maxTime: 120000 }), baseline);
+    expect(longer).toMatchObject({ comparable: false, configChanges: ['maxTime'], notable: [] });
+  });
+
+  test('should render a static page with profile names escaped', () => {
+    const report = buildBalanceReport({ '<b>avoider</b>': runs }, config);
+    const html = renderBalanceHtml(report, compareReports(report, report));
+
+    expect(html).toContain('&lt;b&gt;avoider&lt;/b&gt;');
+    expect(html).not.toContain('<script');
+    expect(html).toContain('Against baseline');
+  });
+
+  test('should read bot skill settings from a profile name', () => {
+    expect(parseProfile('avoider:lookahead=600:lanes=12')).toEqual({ bot: 'avoider', botOptions: { lookahead: 600, lanes: 12 } });
+    expect(parseProfile('random')).toEqual({ bot: 'random', botOptions: {} });
+    expect(() => parseProfile('avoider:lookahead')).toThrow('expected name=number');
+  });
+
+  test('should account for every point a simulated run scores', () => {
+    const result = simulateRun({ bot: 'collector', seed: 3, maxTime: 30000, itemCatalog, patternLibrary });
+    const points = Object.values(result.pointsByCategory).reduce((sum, value) => sum + value, 0);
+
+    expect(points).toBe(result.score);
+    expect(Object.keys(result.pointsByCategory).every(category =>
+      itemCatalog.getCollectibles().concat(itemCatalog.getPowerUps()).some(item => item.category === category))).toBe(true);
+  });
+});
@@ -0,0 +1,266 @@
+import { describe, test, expect, beforeAll, jest } from '@jest/globals';
+import GameSimulation from '../../systems/GameSimulation.js';
+import BirdMotion from '../../systems/BirdMotion.js';
+import { simulateRun, simulateRuns } from '../../systems/simulation/harness.js';
+import { createBot } from '../../systems/simulation/bots.js';
+import { replayRun } from '../../systems/simulation/replay.js';
+import { getResponsiveScaleFactor } from '../../elementSizing.js';
+import { getMinScale } from '../../responsiveUtils.js';
+import { validateReplay } from '../../server/services/replays.js';
+import { itemCatalog } from '../../server/services/itemCatalog.js';
+import { patternLibrary } from '../../server/services/obstaclePatterns.js';
+import { verifySubmission } from '../../server/services/scoreVerification.js';
+import { GAME, PLAYER, REPLAY, REVIVE } from '../../constants.js';
+
+const createSimulation = (options = {}) => new GameSimulation({ seed: 7, itemCatalog, patternLibrary, ...options });
+
+// Put something right on the bird and step once so it is picked up or hit
+const collect = (simulation, itemId) => {
+  simulation.spawnItem(itemCatalog.get(itemId), simulation.player.x, simulation.player.y);
+  simulation.step();
+};
+const crash = (simulation) => {
+  simulation.spawnObstacle('spilledCup', simulation.player.x, simulation.player.y);
+  simulation.step();
+};
+
+describe('GameSimulation', () => {
+  test('should score combos and power-up multipliers the way the game does', () => {
+    const simulation = createSimulation();
+
+    collect(simulation, 'small_coffee');
+    collect(simulation, 'small_coffee');
+    collect(simulation, 'small_coffee');
+    expect(simulation.score).toBe(20 + 20 + 20 * 2);
+
+    // A multiplier power-up counts towards its own pickup
+    collect(simulation, 'websterPowerUp');
+    expect(simulation.score).toBe(80 + 75 * 3 * 2);
+    expect(simulation.powerUps.getCurrentScoreMultiplier()).toBe(2);
+
+    crash(simulation);
+    expect(simulation.comboCount).toBe(0);
+    expect(simulation.maxCombo).toBe(4);
+    expect(simulation.collectiblesCollected).toBe(3);
+    expect(simulation.powerUpsCollected).toBe(1);
+  });
+
+  test('should apply the live-ops score multiplier', () => {
+    const simulation = createSimulation({ balance: { scoreMultiplier: 1.5 } });
+    collect(simulation, 'medium_coffee');
+    expect(simulation.score).toBe(60);
+  });
+
+  test('should take a heart per hit, with a grace period, and let shields block', () => {
+    const simulation = createSimulation();
+    const hits = [];
+    simulation.events.on('playerHit', ({ damaged }) => hits.push(damaged));
+
+    crash(simulation);
+    crash(simulation);
+    expect(hits).toEqual([true, false]);
+    expect(simulation.player.health).toBe(PLAYER.HEALTH.MAX - 1);
+
+    simulation.powerUps.activatePowerUp('shield', { duration: 1000 });
+    const blocked = jest.fn();
+    simulation.events.on('obstacleBlocked', blocked);
+    crash(simulation);
+    expect(blocked).toHaveBeenCalledTimes(1);
+    expect(simulation.obstacles).not.toContain(blocked.mock.calls[0][0].obstacle);
+
+    // Power-up timers run on simulation time
+    for (let i = 0; i < 60; i++) simulation.step();
+    expect(simulation.powerUps.isPowerUpActive('shield')).toBe(false);
+  });
+
+  test('should stop when the last heart goes and come back once on a revive', () => {
+    const simulation = createSimulation();
+    const downed = jest.fn();
+    simulation.events.on('playerDowned', downed);
+
+    for (let i = 0; i < PLAYER.HEALTH.MAX; i++) {
+      crash(simulation);
+      simulation.player.invulnerableUntil = 0;
+    }
+    expect(downed).toHaveBeenCalledTimes(1);
+
+    const frame = simulation.frame;
+    simulation.step();
+    expect(simulation.frame).toBe(frame);
+
+    expect(simulation.revive('beans')).toBe(false);
+    expect(simulation.revive('promo')).toBe(true);
+    expect(simulation.player.health).toBe(REVIVE.HEALTH);
+    expect(simulation.powerUps.isPowerUpActive('shield')).toBe(true);
+    expect(simulation.canRevive()).toBe(false);
+    expect(createSimulation({ mode: 'daily' }).canRevive()).toBe(false);
+  });
+
+  test('should spawn more often as the difficulty ramps up', () => {
+    const simulation = createSimulation();
+    // Out of the way of everything, so the run never ends
+    simulation.setPlayerPosition(-1000, -1000);
+    const timedSpawns = jest.spyOn(simulation, 'pickWeighted');
+
+    const spawnsInMinute = () => {
+      timedSpawns.mockClear();
+      for (let i = 0; i < 3600; i++) simulation.step();
+      return timedSpawns.mock.calls.length;
+    };
+
+    const first = spawnsInMinute();
+    for (let minute = 0; minute < 4; minute++) spawnsInMinute();
+    const sixth = spawnsInMinute();
+
+    expect(sixth).toBeGreaterThan(first * 1.5);
+    expect(simulation.getDifficultyMultipliers().spawnRate).toBe(0.5);
+    expect(simulation.getDifficultyLevel()).toBeGreaterThan(0);
+  });
+});
+
+describe('Bot-played runs', () => {
+  const RUNS = 12;
+  const options = { itemCatalog, patternLibrary, maxTime: 2 * 60 * 1000 };
+  const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+  let runs;
+
+  beforeAll(() => {
+    runs = Object.fromEntries(
+      ['idle', 'collector', 'avoider'].map(bot => [bot, simulateRuns(RUNS, { ...options, bot })])
+    );
+  });
+
+  test('should play the same run from the same seed', () => {
+    const run = simulateRun({ ...options, bot: 'random', seed: 99 });
+    expect(simulateRun({ ...options, bot: 'random', seed: 99 })).toEqual(run);
+    expect(simulateRun({ ...options, bot: 'random', seed: 100 })).not.toEqual(run);
+  });
+
+  test('should not let a bird that never moves survive', () => {
+    expect(runs.idle.every(run => !run.survived)).toBe(true);
+  });
+
+  test('should reward dodging with survival and chasing items with points', () => {
+    const survival = (bot) => median(runs[bot].map(run => run.timePlayed));
+    const pointsPerSecond = (bot) => median(runs[bot].map(run => run.score / run.timePlayed));
+
+    expect(survival('avoider')).toBeGreaterThan(survival('idle') * 2);
+    expect(pointsPerSecond('collector')).toBeGreaterThan(pointsPerSecond('idle') * 2);
+  });
+
+  test('should only produce runs the server accepts as plausible', () => {
+    const now = Date.now();
+
+    Object.values(runs).flat().forEach(run => {
+      const verdict = verifySubmission({
+        score: run.score,
+        time_played: Math.floor(run.timePlayed),
+        collectibles_collected: run.collectiblesCollected,
+        power_ups_collected: run.powerUpsCollected,
+        max_combo: run.maxCombo
+      }, { startedAt: now - run.timePlayed * 1000 }, now);
+
+      expect({ seed: run.seed, bot: run.bot, reasons: verdict.reasons }).toEqual({ seed: run.seed, bot: run.bot, reasons: [] });
+    });
+  });
+});
+
+describe('Replays', () => {
+  const screen = { width: 390, height: 844 };
+  const balance = { scoreMultiplier: 1.5 };
+
+  // Play a run the way GameScene does - inputs land between steps, stamped
+  // with the frame they are applied on, and the bird flies in the same steps
+  // as the rules - keeping the inputs as InputRecorder would
+  const recordRun = ({ seed, control, revive = false, maxFrames = 60 * 120 }) => {
+    const simulation = new GameSimulation({
+      seed, itemCatalog, patternLibrary, balance, ...screen, minScale: getMinScale(screen.width, screen.height)
+    });
+    const bird = new BirdMotion({
+      x: simulation.player.x, y: simulation.player.y, ...screen, scale: getResponsiveScaleFactor(screen.width, screen.height)
+    });
+    const bot = createBot('avoider', simulation);
+    const events = [];
+    const input = (action, payload) => {
+      events.push(payload ? [simulation.frame, action, payload] : [simulation.frame, action]);
+      bird.applyInput(action, payload);
+    };
+
+    let gameOver = false;
+    simulation.events.on('playerDowned', () => {
+      if (revive && simulation.revive('promo')) {
+        events.push([simulation.frame, 'revive']);
+      } else {
+        gameOver = true;
+      }
+    });
+
+    let lastTarget = null;
+    if (control === 'fluid') input('toggleFluid');
+    while (!gameOver && simulation.frame < maxFrames) {
+      const target = bot.steer(simulation);
+      if (control === 'fluid' && target !== null && Math.round(target) !== lastTarget) {
+        lastTarget = Math.round(target);
+        input('fluidTarget', { x: screen.width / 2, y: lastTarget });
+      } else if (control === 'taps' && target !== null && bird.y > target && bird.velocityY > 0) {
+        input('fly');
+      }
+
+      bird.step();
+      simulation.setPlayerPosition(bird.x, bird.y);
+      simulation.step();
+    }
+
+    return {
+      replay: {
+        version: REPLAY.VERSION,
+        seed,
+        balance,
+        step: GAME.FIXED_TIMESTEP.STEP_MS,
+        screen,
+        frames: simulation.frame,
+        score: simulation.score,
+        events
+      },
+      gameOver
+    };
+  };
+
+  test('should replay a tapped run to the same score', () => {
+    const { replay, gameOver } = recordRun({ seed: 31, control: 'taps', revive: true });
+    expect(validateReplay(replay)).toBeNull();
+    expect(replay.events.filter(([, action]) => action === 'fly').length).toBeGreaterThan(10);
+    expect(replay.score).toBeGreaterThan(0);
+
+    const played = replayRun(replay, { itemCatalog, patternLibrary });
+    expect(played).toMatchObject({ score: replay.score, frames: replay.frames, gameOver });
+    expect(played.revived).toBe(replay.events.some(([, action]) => action === 'revive'));
+  });
+
+  test('should replay a fluid-steered run to the same score', () => {
+    const { replay, gameOver } = recordRun({ seed: 32, control: 'fluid' });
+    expect(validateReplay(replay)).toBeNull();
+
+    expect(replayRun(replay, { itemCatalog, patternLibrary })).toMatchObject({ score: replay.score, frames: replay.frames, gameOver });
+  });
+
+  test('should fly the bird the same way from the same inputs', () => {
+    const flap = () => {
+      const bird = new BirdMotion({ x: 100, y: 400, width: 390, height: 844 });
+      bird.applyInput('fly');
+      return bird;
+    };
+
+    const first = flap();
+    const second = flap();
+    for (let i = 0; i < 30; i++) {
+      first.step();
+      second.step();
+    }
+    expect(second.y).toBe(first.y);
+    expect(first.y).toBeLessThan(400);
+
+    expect(flap().applyInput('revive')).toBe(false);
+  });
+});
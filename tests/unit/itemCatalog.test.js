@@ -0,0 +1,64 @@
+import { describe, test, expect } from '@jest/globals';
+import ItemCatalog, { validateItemCatalog, ItemCatalogError } from '../../itemCatalog.js';
+import { loadItemCatalog } from '../../server/services/itemCatalog.js';
+
+describe('Item Catalog', () => {
+  const shipped = loadItemCatalog();
+  const cloneData = () => ({
+    version: shipped.version,
+    items: shipped.items.map(item => ({ ...item, effects: item.effects.map(effect => ({ ...effect })) }))
+  });
+
+  test('should load the shipped items.json', () => {
+    expect(shipped.get('small_coffee').points).toBe(20);
+    expect(shipped.get('baristaNPC').size).toBe('powerup');
+    expect(shipped.getMaxScoreMultiplier()).toBe(3);
+  });
+
+  test('should leave disabled items out of the spawn tables', () => {
+    const ids = shipped.getCollectibles().map(item => item.id);
+    expect(ids).toContain('berry_smoothie');
+    expect(ids).not.toContain('sparrow_friend');
+    expect(shipped.getPowerUps().every(item => item.category === 'powerup')).toBe(true);
+  });
+
+  test('should pick up a new item without code changes', () => {
+    const data = cloneData();
+    data.items.push({
+      id: 'cold_brew',
+      name: 'Cold Brew',
+      category: 'coffee',
+      points: 90,
+      weight: 4,
+      texture: 'coffeeBean',
+      size: 'coffee_large',
+      sound: 'beanCollect',
+      effects: [{ type: 'speed_boost', params: { duration: 3000 } }]
+    });
+
+    const catalog = new ItemCatalog(data);
+    expect(catalog.getCollectibles().map(item => item.id)).toContain('cold_brew');
+  });
+
+  test('should reject invalid entries', () => {
+    const data = cloneData();
+    data.version = 2;
+    data.items[0].effects = [{ type: 'teleport', params: {} }];
+    data.items[1].id = data.items[2].id;
+    data.items[3].sound = 'kazoo';
+    data.items[4].effects = [{ type: 'heal', params: { amount: 0 } }];
+
+    const errors = validateItemCatalog(data);
+    expect(errors).toHaveLength(5);
+    expect(errors.join('\n')).toMatch(/version 2/);
+    expect(errors.join('\n')).toMatch(/unknown type "teleport"/);
+    expect(errors.join('\n')).toMatch(/duplicate id/);
+    expect(() => new ItemCatalog(data)).toThrow(ItemCatalogError);
+  });
+
+  test('should require something to spawn', () => {
+    const data = cloneData();
+    data.items = data.items.filter(item => item.category !== 'powerup');
+    expect(validateItemCatalog(data)).toEqual(['catalog needs at least one spawnable power-up']);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import sqlite3 from 'sqlite3';
+import path from 'path';
+import Migrator, { sqliteAdapter, prepareSchema, PendingMigrationsError } from '../../server/database/migrator.js';
+import { getSqlitePath, DATABASE_DIR } from '../../server/database/sqlitePath.js';
+
+const tableNames = async (adapter) => {
+  const rows = await adapter.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+  return rows.map(row => row.name);
+};
+
+describe('Schema migrations', () => {
+  let db;
+  let adapter;
+  let migrator;
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+    adapter = sqliteAdapter(db);
+    migrator = new Migrator(adapter);
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  test('should apply every migration once, in order', async () => {
+    const applied = await migrator.migrate();
+    expect(applied[0]).toBe('001_initial_schema');
+    expect(applied).toEqual([...applied].sort());
+
+    expect(await tableNames(adapter)).toEqual(expect.arrayContaining(['users', 'leaderboard_entries', 'bean_ledger', 'schema_migrations']));
+    expect(await migrator.pending()).toEqual([]);
+    expect(await migrator.migrate()).toEqual([]);
+
+    const [config] = await adapter.query("SELECT config_value FROM dynamic_config WHERE config_key = 'game_balance'");
+    expect(JSON.parse(config.config_value)).toBeTruthy();
+  });
+
+  test('should roll back the latest migrations and re-apply them', async () => {
+    const applied = await migrator.migrate();
+
+    const rolledBack = await migrator.rollback(applied.length);
+    expect(rolledBack).toEqual([...applied].reverse());
+    expect(await tableNames(adapter)).toEqual(['schema_migrations']);
+    expect(await migrator.rollback()).toEqual([]);
+
+    expect(await migrator.migrate()).toEqual(applied);
+  });
+
+  test('should adopt a database created before migrations', async () => {
+    // The original leaderboard_entries, before moderation and revives, plus
+    // DatabaseManager's old duplicate leaderboards table
+    await adapter.query(`
+      CREATE TABLE leaderboard_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        username VARCHAR(50) NOT NULL,
+        score INTEGER NOT NULL,
+        time_played INTEGER NOT NULL,
+        collectibles_collected INTEGER DEFAULT 0,
+        power_ups_collected INTEGER DEFAULT 0,
+        distance_traveled INTEGER DEFAULT 0,
+        max_combo INTEGER DEFAULT 0,
+        game_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        is_guest BOOLEAN DEFAULT 0
+      )
+    `);
+    await adapter.query("INSERT INTO leaderboard_entries (username, score, time_played) VALUES ('early_bird', 800, 60)");
+    await adapter.query(`
+      CREATE TABLE leaderboards (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        username VARCHAR(50) NOT NULL,
+        score INTEGER NOT NULL,
+        distance_traveled REAL DEFAULT 0,
+        game_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        is_verified BOOLEAN DEFAULT TRUE
+      )
+    `);
+    await adapter.query("INSERT INTO leaderboards (user_id, username, score, is_verified) VALUES (7, 'suspicious', 99999, 0)");
+
+    await migrator.migrate();
+
+    const entries = await adapter.query('SELECT username, moderation_status, revived FROM leaderboard_entries ORDER BY id');
+    expect(entries).toEqual([
+      { username: 'early_bird', moderation_status: 'approved', revived: 0 },
+      { username: 'suspicious', moderation_status: 'flagged', revived: 0 }
+    ]);
+    expect(await tableNames(adapter)).not.toContain('leaderboards');
+
+    // Rolling the merge back puts the scores back where they came from
+    const applied = (await migrator.status()).map(migration => migration.id);
+    await migrator.rollback(applied.length - applied.indexOf('003_merge_legacy_leaderboards'));
+    expect(await adapter.query('SELECT user_id, username, score, is_verified FROM leaderboards')).toEqual([
+      { user_id: 7, username: 'suspicious', score: 99999, is_verified: 0 }
+    ]);
+    expect(await adapter.query('SELECT username FROM leaderboard_entries')).toEqual([{ username: 'early_bird' }]);
+
+    await migrator.migrate();
+    expect(await adapter.query('SELECT username FROM leaderboard_entries ORDER BY id')).toEqual([
+      { username: 'early_bird' },
+      { username: 'suspicious' }
+    ]);
+  });
+
+  test('should keep config an admin changed when rolling back the defaults', async () => {
+    const applied = await migrator.migrate();
+    await adapter.query("UPDATE dynamic_config SET config_value = ? WHERE config_key = 'game_balance'", [JSON.stringify({ scoreMultiplier: 1.5 })]);
+
+    await migrator.rollback(applied.length - applied.indexOf('002_default_content'));
+    const config = await adapter.query('SELECT config_key, config_value FROM dynamic_config');
+    expect(config).toEqual([{ config_key: 'game_balance', config_value: JSON.stringify({ scoreMultiplier: 1.5 }) }]);
+  });
+
+  test('should refuse to start production with pending migrations', async () => {
+    await expect(prepareSchema(migrator, 'production')).rejects.toBeInstanceOf(PendingMigrationsError);
+    expect(await tableNames(adapter)).toEqual(['schema_migrations']);
+
+    // Development migrates on startup instead
+    expect((await prepareSchema(migrator, 'development')).length).toBeGreaterThan(0);
+    await expect(prepareSchema(migrator, 'production')).resolves.toEqual([]);
+  });
+
+  test('should open the same SQLite file from every entry point', () => {
+    const original = process.env.DATABASE_URL;
+    try {
+      delete process.env.DATABASE_URL;
+      expect(getSqlitePath()).toBe(path.join(DATABASE_DIR, 'birddash.db'));
+
+      process.env.DATABASE_URL = '/tmp/birddash-test.db';
+      expect(getSqlitePath()).toBe('/tmp/birddash-test.db');
+    } finally {
+      if (original === undefined) delete process.env.DATABASE_URL;
+      else process.env.DATABASE_URL = original;
+    }
+  });
+});
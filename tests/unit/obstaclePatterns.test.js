@@ -0,0 +1,86 @@
+import { describe, test, expect } from '@jest/globals';
+import PatternLibrary, { validatePatternLibrary, checkChunkPassable, ChunkSequencer, PatternLibraryError } from '../../obstaclePatterns.js';
+import { loadPatternLibrary } from '../../server/services/obstaclePatterns.js';
+import { itemCatalog } from '../../server/services/itemCatalog.js';
+import SeededRandom from '../../seededRandom.js';
+
+describe('Obstacle Patterns', () => {
+  const shipped = loadPatternLibrary();
+  // 800x600 screen at the starting gameSpeed of 300
+  const startConditions = { speed: 360, playableHeight: 480, approachDistance: 595 };
+  const fastConditions = { ...startConditions, speed: 2500 };
+
+  const chunk = (entries, extra = {}) => ({ id: 'test', name: 'Test', difficulty: 0, entries, ...extra });
+  const wall = (at, ys) => ys.map(y => ({ at, y, obstacle: 'heavyCup' }));
+
+  test('should load the shipped obstaclePatterns.json', () => {
+    expect(shipped.getChunksForDifficulty(0).every(c => c.difficulty === 0)).toBe(true);
+    expect(shipped.getChunksForDifficulty(99).length).toBeGreaterThan(0);
+    expect(shipped.getMaxItemsPerSecond()).toBeGreaterThan(0);
+  });
+
+  test('should only ship chunks passable at the starting speed', () => {
+    shipped.chunks.forEach(c => {
+      expect({ id: c.id, ...checkChunkPassable(c, startConditions) }).toEqual({ id: c.id, passable: true, reason: null });
+    });
+  });
+
+  test('should reject a climb the bird cannot make at speed', () => {
+    const zigzag = chunk([...wall(0, [0.5, 0.65, 0.8, 0.95]), ...wall(900, [0.05, 0.2, 0.35, 0.5])]);
+    expect(checkChunkPassable(zigzag, startConditions).passable).toBe(true);
+    expect(checkChunkPassable(zigzag, fastConditions)).toEqual({
+      passable: false,
+      reason: 'no reachable gap in the wall at 900ms'
+    });
+  });
+
+  test('should reject invalid chunks', () => {
+    const data = {
+      version: 1,
+      chunks: [
+        chunk(wall(0, [0.1, 0.3, 0.5, 0.7, 0.9]), { id: 'sealed' }),
+        chunk([{ at: 0, y: 0.5, obstacle: 'piano' }], { id: 'piano' }),
+        chunk([{ at: 0, y: 0.5, item: 'magnetPowerUp' }], { id: 'powerup' }),
+        chunk([{ at: -5, y: 1.5, item: 'small_coffee', obstacle: 'heavyCup' }], { id: 'broken', difficulty: 3 })
+      ]
+    };
+
+    const errors = validatePatternLibrary(data, itemCatalog).join('\n');
+    expect(errors).toMatch(/sealed: the wall at 0ms leaves no gap/);
+    expect(errors).toMatch(/unknown obstacle "piano"/);
+    expect(errors).toMatch(/"magnetPowerUp" is not a collectible/);
+    expect(errors).toMatch(/at must be a non-negative integer/);
+    expect(errors).toMatch(/y must be between 0 and 1/);
+    expect(errors).toMatch(/exactly one of obstacle or item/);
+    expect(() => new PatternLibrary(data, itemCatalog)).toThrow(PatternLibraryError);
+  });
+
+  test('should sequence chunks reproducibly from the run seed', () => {
+    const picks = (seed) => {
+      const sequencer = new ChunkSequencer(shipped, new SeededRandom(seed));
+      return Array.from({ length: 12 }, () => sequencer.next(4, startConditions).id);
+    };
+
+    const run = picks(7);
+    expect(picks(7)).toEqual(run);
+    run.forEach((id, i) => {
+      expect(shipped.get(id).difficulty).toBeGreaterThanOrEqual(2);
+      expect(shipped.get(id).difficulty).toBeLessThanOrEqual(4);
+      if (i > 0) expect(id).not.toBe(run[i - 1]);
+    });
+  });
+
+  test('should fall back to the easiest passable chunk', () => {
+    const library = new PatternLibrary({
+      version: 1,
+      chunks: [
+        chunk([{ at: 0, y: 0.5, obstacle: 'heavyCup' }], { id: 'easy' }),
+        chunk([...wall(0, [0.5, 0.65, 0.8, 0.95]), ...wall(900, [0.05, 0.2, 0.35, 0.5])], { id: 'zigzag', difficulty: 5 })
+      ]
+    });
+
+    const sequencer = new ChunkSequencer(library, new SeededRandom(1));
+    expect(sequencer.next(5, startConditions).id).toBe('zigzag');
+    expect(sequencer.next(5, fastConditions).id).toBe('easy');
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import GameStateManager from '../../systems/GameStateManager.js';
+import UIManager from '../../systems/UIManager.js';
+import { PAUSE } from '../../constants.js';
+
+class ParticleEmitter {
+  constructor(paused = false) {
+    this.paused = paused;
+    this.scene = {};
+  }
+  pause() { this.paused = true; }
+  resume() { this.paused = false; }
+}
+
+global.Phaser = { GameObjects: { Particles: { ParticleEmitter } } };
+
+// Just enough of Phaser's EventEmitter for the managers' on/off/emit with context
+const createEvents = () => {
+  const listeners = [];
+  return {
+    emitted: [],
+    on(event, fn, context) { listeners.push({ event, fn, context }); },
+    off(event, fn, context) {
+      const index = listeners.findIndex(l => l.event === event && l.fn === fn && l.context === context);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    emit(event, ...args) {
+      this.emitted.push([event, ...args]);
+      listeners.filter(l => l.event === event).forEach(l => l.fn.apply(l.context, args));
+    }
+  };
+};
+
+describe('Pause subsystem', () => {
+  let scene;
+  let running;
+  let stopped;
+
+  beforeEach(() => {
+    running = new ParticleEmitter();
+    stopped = new ParticleEmitter(true);
+    scene = {
+      events: createEvents(),
+      time: { now: 1000, paused: false },
+      physics: {
+        isPaused: false,
+        pause() { this.isPaused = true; },
+        resume() { this.isPaused = false; }
+      },
+      anims: { paused: false, pauseAll() { this.paused = true; }, resumeAll() { this.paused = false; } },
+      tweens: { paused: false, pauseAll() { this.paused = true; }, resumeAll() { this.paused = false; } },
+      children: { list: [running, stopped, { type: 'Text' }] }
+    };
+    scene.gameStateManager = new GameStateManager(scene);
+  });
+
+  test('should freeze the scene and leave paused time out of the run', () => {
+    const manager = scene.gameStateManager;
+    expect(manager.pauseGame()).toBe(false); // nothing running yet
+
+    manager.startGame({ seed: 42 });
+    expect(scene.events.emitted.find(([event]) => event === 'gameStarted')[1]).toMatchObject({ seed: 42, isRunning: true });
+
+    expect(manager.pauseGame('background')).toBe(true);
+    expect(manager.pauseGame('player')).toBe(false);
+    expect(manager.getPauseReason()).toBe('background');
+    expect(scene.physics.isPaused && scene.anims.paused && scene.time.paused && scene.tweens.paused).toBe(true);
+    expect(running.paused).toBe(true);
+
+    scene.time.now += 4000;
+    expect(manager.getTotalPausedTime()).toBe(4000);
+    expect(manager.resumeGame()).toBe(true);
+
+    expect(scene.physics.isPaused || scene.anims.paused || scene.time.paused || scene.tweens.paused).toBe(false);
+    expect(running.paused).toBe(false);
+    // An emitter that was already stopped stays stopped
+    expect(stopped.paused).toBe(true);
+    expect(scene.events.emitted.at(-1)).toEqual(['gameResumed', { pausedFor: 4000 }]);
+
+    scene.time.now += 1000;
+    expect(manager.getTotalPausedTime()).toBe(4000);
+  });
+
+  test('should count down before resuming and go back to the menu if cancelled', () => {
+    const ui = new UIManager(scene);
+    scene.gameStateManager.startGame();
+    scene.gameStateManager.pauseGame('player');
+
+    ui.startResumeCountdown();
+    expect(ui.isResumeCountdownRunning()).toBe(true);
+    ui.updateResumeCountdown(PAUSE.RESUME_COUNTDOWN - 1);
+    expect(scene.gameStateManager.isGamePaused()).toBe(true);
+
+    // Tab hidden mid-countdown: still paused, countdown starts over next time
+    ui.cancelResumeCountdown();
+    expect(ui.isResumeCountdownRunning()).toBe(false);
+    ui.updateResumeCountdown(PAUSE.RESUME_COUNTDOWN);
+    expect(scene.gameStateManager.isGamePaused()).toBe(true);
+
+    ui.startResumeCountdown();
+    ui.updateResumeCountdown(PAUSE.RESUME_COUNTDOWN / 2);
+    ui.updateResumeCountdown(PAUSE.RESUME_COUNTDOWN / 2);
+    expect(scene.gameStateManager.isGamePaused()).toBe(false);
+    expect(ui.isResumeCountdownRunning()).toBe(false);
+  });
+
+  test('should never leave shared managers paused when the scene shuts down', () => {
+    scene.gameStateManager.startGame();
+    scene.gameStateManager.pauseGame('player');
+    scene.physics.world = scene.physics;
+
+    scene.gameStateManager.cleanup();
+    expect(scene.anims.paused || scene.time.paused || scene.tweens.paused || scene.physics.isPaused).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import PowerUpSystem from '../../systems/PowerUpSystem.js';
+import { registerPowerUpEffect, getPowerUpEffect } from '../../systems/powerUps/index.js';
+import { POWER_UP_STACKING } from '../../constants.js';
+import { itemCatalog } from '../../server/services/itemCatalog.js';
+
+describe('PowerUpSystem', () => {
+  let scene;
+  let calls;
+
+  const registerTestEffect = (type, stacking) => registerPowerUpEffect({
+    type,
+    params: { boost: 'number', duration: 'number' },
+    stacking,
+    hud: { icon: '🧪', color: '#ffffff' },
+    scoreMultiplier: (effect) => effect.params.boost,
+    onActivate: (_, effect) => calls.push(['activate', effect.params.boost]),
+    onTick: (_, effect, delta) => calls.push(['tick', delta]),
+    onExpire: (_, effect) => calls.push(['expire', effect.params.boost])
+  });
+
+  beforeEach(() => {
+    calls = [];
+    scene = {
+      healed: 0,
+      healPlayer(amount) { this.healed += amount; },
+      registry: { get: (key) => (key === 'itemCatalog' ? itemCatalog : undefined) },
+      events: { emit: (...args) => calls.push(['emit', ...args]) }
+    };
+    registerTestEffect('test_refresh', POWER_UP_STACKING.REFRESH);
+    registerTestEffect('test_extend', POWER_UP_STACKING.EXTEND);
+    registerTestEffect('test_stack', POWER_UP_STACKING.STACK);
+  });
+
+  test('should run an effect through activate, tick and expire', () => {
+    const system = new PowerUpSystem(scene);
+    system.activatePowerUp('test_refresh', { boost: 2, duration: 100 });
+
+    system.update(60);
+    expect(system.getPowerUpTimeRemaining('test_refresh')).toBe(40);
+    expect(system.getCurrentScoreMultiplier()).toBe(2);
+
+    system.update(60);
+    expect(system.isPowerUpActive('test_refresh')).toBe(false);
+    expect(calls.filter(([name]) => name !== 'emit')).toEqual([['activate', 2], ['tick', 60], ['expire', 2]]);
+  });
+
+  test('should replace a running effect on refresh', () => {
+    const system = new PowerUpSystem(scene);
+    system.activatePowerUp('test_refresh', { boost: 2, duration: 100 });
+    system.update(80);
+    system.activatePowerUp('test_refresh', { boost: 3, duration: 100 });
+
+    expect(system.getActiveEffects()).toHaveLength(1);
+    expect(system.getPowerUpTimeRemaining('test_refresh')).toBe(100);
+    expect(system.getCurrentScoreMultiplier()).toBe(3);
+    expect(calls).toContainEqual(['expire', 2]);
+  });
+
+  test('should add time on extend', () => {
+    const system = new PowerUpSystem(scene);
+    system.activatePowerUp('test_extend', { boost: 2, duration: 100 });
+    system.update(80);
+    system.activatePowerUp('test_extend', { boost: 2, duration: 100 });
+
+    expect(system.getActiveEffects()).toHaveLength(1);
+    expect(system.getPowerUpTimeRemaining('test_extend')).toBe(120);
+    expect(calls.filter(([name]) => name === 'activate')).toHaveLength(1);
+  });
+
+  test('should run stacked effects side by side and multiply their modifiers', () => {
+    const system = new PowerUpSystem(scene);
+    system.activatePowerUp('test_stack', { boost: 2, duration: 100 });
+    system.update(50);
+    system.activatePowerUp('test_stack', { boost: 1.5, duration: 100 });
+
+    expect(system.getCurrentScoreMultiplier()).toBe(3);
+    system.update(60);
+    expect(system.getCurrentScoreMultiplier()).toBe(1.5);
+
+    system.cleanup();
+    expect(system.getActiveEffects()).toEqual([]);
+  });
+
+  test('should fire instant effects once and fill missing params from the catalog', () => {
+    const system = new PowerUpSystem(scene);
+    system.activatePowerUp('heal', { amount: 2 });
+    expect(scene.healed).toBe(2);
+    expect(system.getActiveEffects()).toEqual([]);
+
+    registerPowerUpEffect({ type: 'test_defaults', params: { duration: 'number' } });
+    scene.registry.get = () => ({ getEffectParams: () => ({ duration: 250 }) });
+    system.activatePowerUp('test_defaults');
+    expect(system.getPowerUpTimeRemaining('test_defaults')).toBe(250);
+  });
+
+  test('should refuse unknown effects and bad definitions', () => {
+    expect(new PowerUpSystem(scene).activatePowerUp('double_jump', {})).toBe(false);
+    expect(() => registerPowerUpEffect({ type: 'bad', params: {}, stacking: 'merge' })).toThrow(/unknown stacking/);
+    expect(getPowerUpEffect('shield').invulnerable).toBe(true);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { collectPrecacheFiles, buildPrecacheManifest } from '../../build-precache.js';
+
+describe('Precache manifest', () => {
+  test('should cover the page shell, every module main.js imports and their assets', () => {
+    const files = collectPrecacheFiles();
+
+    expect(files).toEqual(expect.arrayContaining([
+      'index.html', 'phaser.min.js', 'manifest.webmanifest',
+      'main.js', 'gameScene.js', 'leaderboard.js', 'pwaSupport.js', 'systems/powerUps/shield.js',
+      'birddashbackground.png', 'items.json', 'obstaclePatterns.json', 'lambada-bossa-279769.mp3'
+    ]));
+    // Server code, tests and the worker itself stay out
+    expect(files.some(file => file.startsWith('server/') || file.startsWith('tests/'))).toBe(false);
+    expect(files).not.toContain('sw.js');
+    // Theme tracks ContentManager names but nobody has added yet
+    expect(files).not.toContain('spring_theme.mp3');
+  });
+
+  test('should change version only when a precached file changes', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'birddash-precache-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'index.html'), '<script type="module" src="main.js"></script>');
+      fs.writeFileSync(path.join(dir, 'main.js'), "import Scene from './scene.js';\n");
+      fs.writeFileSync(path.join(dir, 'scene.js'), "this.load.image('bird', 'bird.png');\nthis.load.json('missing', 'missing.json');\n");
+      fs.writeFileSync(path.join(dir, 'bird.png'), 'v1');
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'v1');
+
+      const first = buildPrecacheManifest(dir);
+      expect(first.assets.map(asset => asset.url)).toEqual(['./bird.png', './index.html', './main.js', './scene.js']);
+
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'v2');
+      expect(buildPrecacheManifest(dir).version).toBe(first.version);
+
+      fs.writeFileSync(path.join(dir, 'bird.png'), 'v2');
+      const second = buildPrecacheManifest(dir);
+      expect(second.version).not.toBe(first.version);
+      expect(second.assets.find(asset => asset.url === './bird.png').revision)
+        .not.toBe(first.assets.find(asset => asset.url === './bird.png').revision);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  issueRunToken,
+  decodeRunToken,
+  verifySubmission,
+  getMaxPointsPerSecond,
+  MODERATION_STATUS,
+  RunTokenError
+} from '../../server/services/scoreVerification.js';
+import { itemCatalog } from '../../server/services/itemCatalog.js';
+import { SCORING } from '../../constants.js';
+
+describe('Score Verification', () => {
+  const now = Date.now();
+  const runStartedSecondsAgo = (seconds) => ({ runId: 'test-run', startedAt: now - seconds * 1000 });
+
+  describe('Run tokens', () => {
+    test('should round-trip a signed run token', () => {
+      const { runId, token, startedAt } = issueRunToken(42);
+      const run = decodeRunToken(token);
+
+      expect(run.runId).toBe(runId);
+      expect(run.userId).toBe(42);
+      expect(run.startedAt).toBe(startedAt);
+    });
+
+    test('should reject missing and tampered tokens', () => {
+      const { token } = issueRunToken();
+
+      expect(() => decodeRunToken(undefined)).toThrow(RunTokenError);
+      expect(() => decodeRunToken(token.slice(0, -4) + 'abcd')).toThrow(RunTokenError);
+    });
+  });
+
+  describe('Points per second ceiling', () => {
+    test('should allow a best-case run at max combo and multiplier', () => {
+      const bestItem = Math.max(...itemCatalog.getCollectibles().map(item => item.points));
+      expect(getMaxPointsPerSecond()).toBeGreaterThanOrEqual(bestItem * SCORING.MAX_COMBO_MULTIPLIER * 3);
+    });
+  });
+
+  describe('verifySubmission', () => {
+    const plausible = {
+      score: 2500,
+      time_played: 60,
+      collectibles_collected: 40,
+      power_ups_collected: 5,
+      max_combo: 12
+    };
+
+    test('should approve a plausible run', () => {
+      const result = verifySubmission(plausible, runStartedSecondsAgo(62), now);
+      expect(result).toEqual({ status: MODERATION_STATUS.APPROVED, reasons: [] });
+    });
+
+    test('should flag scores above the points-per-second ceiling', () => {
+      const score = getMaxPointsPerSecond() * 120;
+      const result = verifySubmission({ ...plausible, score }, runStartedSecondsAgo(62), now);
+
+      expect(result.status).toBe(MODERATION_STATUS.FLAGGED);
+      expect(result.reasons).toContain('score_rate_exceeded');
+    });
+
+    test('should flag runs that are too short', () => {
+      const result = verifySubmission({ ...plausible, time_played: 1 }, runStartedSecondsAgo(1), now);
+      expect(result.reasons).toContain('run_too_short');
+    });
+
+    test('should flag time played longer than the run token has existed', () => {
+      const result = verifySubmission({ ...plausible, time_played: 600 }, runStartedSecondsAgo(62), now);
+      expect(result.reasons).toContain('time_played_exceeds_run');
+    });
+
+    test('should flag combos larger than the number of pickups', () => {
+      const result = verifySubmission({ ...plausible, max_combo: 500 }, runStartedSecondsAgo(62), now);
+      expect(result.reasons).toContain('combo_exceeds_pickups');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test, expect } from '@jest/globals';
+import SeededRandom from '../../seededRandom.js';
+
+describe('SeededRandom', () => {
+  const draw = (rng, count) => Array.from({ length: count }, () => rng.frac());
+
+  test('should produce the same sequence for the same seed', () => {
+    expect(draw(new SeededRandom(12345), 20)).toEqual(draw(new SeededRandom(12345), 20));
+    expect(draw(new SeededRandom(12345), 20)).not.toEqual(draw(new SeededRandom(54321), 20));
+  });
+
+  test('should accept string seeds from the ?seed= option', () => {
+    expect(new SeededRandom('42').getSeed()).toBe(42);
+    expect(new SeededRandom('2025-09-20').getSeed()).toBe(new SeededRandom('2025-09-20').getSeed());
+  });
+
+  test('should keep values within the requested ranges', () => {
+    const rng = new SeededRandom(7);
+    for (let i = 0; i < 500; i++) {
+      const value = rng.between(-3, 3);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(-3);
+      expect(value).toBeLessThanOrEqual(3);
+
+      const float = rng.floatBetween(0.5, 1.5);
+      expect(float).toBeGreaterThanOrEqual(0.5);
+      expect(float).toBeLessThan(1.5);
+    }
+  });
+
+  test('should respect weights when picking', () => {
+    const rng = new SeededRandom(99);
+    const items = [{ id: 'common', weight: 9 }, { id: 'rare', weight: 1 }];
+    const picks = Array.from({ length: 1000 }, () => rng.weightedPick(items).id);
+    const rare = picks.filter(id => id === 'rare').length;
+
+    expect(rare).toBeGreaterThan(50);
+    expect(rare).toBeLessThan(150);
+  });
+
+  test('should give each spawner an independent stream', () => {
+    const withExtraDraws = new SeededRandom(2024);
+    const obstacles = withExtraDraws.stream('obstacles');
+    draw(obstacles, 50);
+
+    const collectiblesA = withExtraDraws.stream('collectibles');
+    const collectiblesB = new SeededRandom(2024).stream('collectibles');
+    expect(draw(collectiblesA, 10)).toEqual(draw(collectiblesB, 10));
+  });
+});
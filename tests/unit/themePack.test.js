@@ -0,0 +1,90 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ThemePack, { validateThemePack, ThemePackError, themePackKey } from '../../themePack.js';
+import ContentManager from '../../systems/ContentManager.js';
+import { loadItemCatalog } from '../../server/services/itemCatalog.js';
+import { LIVE_OPS } from '../../constants.js';
+
+const THEMES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../themes');
+const readManifest = (id) => JSON.parse(fs.readFileSync(path.join(THEMES_DIR, `${id}.json`), 'utf8'));
+
+// Just enough of a Phaser scene for ContentManager, with every pack already in the JSON cache
+function createScene() {
+  const json = new Map(LIVE_OPS.THEMES.map(id => [themePackKey(id), readManifest(id)]));
+  const registry = new Map();
+  return {
+    events: new EventEmitter(),
+    registry: { get: key => registry.get(key), set: (key, value) => registry.set(key, value) },
+    cache: { json: { exists: key => json.has(key), get: key => json.get(key) } }
+  };
+}
+
+const event = (event_id, theme) => ({ event_id, name: event_id, type: 'seasonal_event', configuration: theme ? { theme } : {} });
+
+describe('Theme packs', () => {
+  let contentManager;
+
+  afterEach(() => contentManager?.cleanup());
+
+  test('should ship a valid pack for every theme events can name', () => {
+    const catalog = loadItemCatalog();
+    const targets = new Set(catalog.items.flatMap(item => [item.id, item.texture]));
+
+    LIVE_OPS.THEMES.forEach(id => {
+      const pack = new ThemePack(readManifest(id));
+      expect(pack.id).toBe(id);
+      // Overrides only name items or textures that exist
+      expect(Object.keys(pack.collectibles).every(target => targets.has(target))).toBe(true);
+    });
+  });
+
+  test('should prefer an item override to a texture override', () => {
+    const pack = new ThemePack(readManifest('winter'));
+
+    expect(pack.getCollectibleTexture({ id: 'specialty_coffee', texture: 'coffeeBean' })).toBe('theme_winter_specialty_coffee');
+    expect(pack.getCollectibleTexture({ id: 'small_coffee', texture: 'coffeeBean' })).toBe('theme_winter_coffeeBean');
+    expect(pack.getCollectibleTexture({ id: 'magnetPowerUp', texture: 'magnetPowerUp' })).toBe('magnetPowerUp');
+    expect(pack.sky.ground).toBe(0xF5FAFF);
+  });
+
+  test('should reject invalid manifests', () => {
+    const data = readManifest('spring');
+    data.sky.top = 'blue';
+    data.layers[0].name = 'sideways';
+    data.clouds.alpha = [0.9, 0.1];
+    data.music = '../../etc/passwd';
+
+    const errors = validateThemePack(data);
+    expect(errors).toHaveLength(4);
+    expect(errors.join('\n')).toMatch(/sky needs #RRGGBB values for top/);
+    expect(() => new ThemePack(data)).toThrow(ThemePackError);
+  });
+
+  test('should swap the pack in when an event names a theme and out when it ends', async () => {
+    const scene = createScene();
+    const content = { events: [event('easter', 'spring')] };
+    const changes = [];
+    scene.events.on('themeChanged', pack => changes.push(pack ? pack.id : null));
+
+    contentManager = new ContentManager(scene, { getActiveContent: async () => content });
+    await contentManager.loadActiveContent();
+    await Promise.resolve();
+    expect(changes).toEqual(['spring']);
+    expect(scene.registry.get('themePack').name).toBe('Spring Awakening');
+
+    // The highest-priority themed event wins; refreshing with it unchanged does nothing
+    content.events = [event('bonus_weekend'), event('snow_days', 'winter'), event('easter', 'spring')];
+    await contentManager.loadActiveContent();
+    await contentManager.loadActiveContent();
+    await Promise.resolve();
+    expect(changes).toEqual(['spring', 'winter']);
+
+    content.events = [];
+    await contentManager.loadActiveContent();
+    expect(changes).toEqual(['spring', 'winter', null]);
+    expect(contentManager.getCurrentTheme()).toBeNull();
+  });
+});
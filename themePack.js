@@ -0,0 +1,214 @@
+/**
+ * Theme Packs
+ * A theme pack dresses the game for a live-ops event: sky gradient, parallax
+ * layers, cloud style, collectible textures, music and particle palette. Each
+ * pack is a manifest in themes/<id>.json, loaded only when an active event's
+ * configuration.theme names it (ContentManager), so players outside an event
+ * never download one. Manifests are validated like the item catalog - a bad
+ * pack is skipped and the game keeps its default look.
+ */
+
+export const THEME_PACK_VERSION = 1;
+
+// Background layers a pack may fill, back to front
+export const THEME_LAYERS = ['far', 'mid', 'near', 'foreground'];
+
+// Size of the emoji textures drawn for collectible overrides
+const TEXTURE_SIZE = 256;
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+export class ThemePackError extends Error {
+    constructor(errors) {
+        super(`Invalid theme pack: ${errors.join('; ')}`);
+        this.name = 'ThemePackError';
+        this.errors = errors;
+    }
+}
+
+// Loader and JSON cache key for a pack
+export function themePackKey(id) {
+    return `themePack_${id}`;
+}
+
+export function themePackUrl(id) {
+    return `./themes/${id}.json`;
+}
+
+const isColor = (value) => typeof value === 'string' && COLOR_PATTERN.test(value);
+const isEmoji = (value) => typeof value === 'string' && value.trim() !== '';
+const toColor = (hex) => parseInt(hex.slice(1), 16);
+
+function validateLayers(layers, errors) {
+    if (!Array.isArray(layers)) {
+        errors.push('layers must be an array');
+        return;
+    }
+
+    const names = new Set();
+    layers.forEach((layer, index) => {
+        const label = `layer ${layer?.name ?? index}`;
+        if (!THEME_LAYERS.includes(layer?.name)) {
+            errors.push(`${label}: name must be one of ${THEME_LAYERS.join(', ')}`);
+        } else if (names.has(layer.name)) {
+            errors.push(`${label}: duplicate layer`);
+        }
+        names.add(layer?.name);
+
+        if (!Number.isFinite(layer?.scrollSpeed) || layer.scrollSpeed < 0) {
+            errors.push(`${label}: scrollSpeed must be a non-negative number`);
+        }
+        if (!Number.isFinite(layer?.y) || layer.y < 0 || layer.y > 1) {
+            errors.push(`${label}: y must be a fraction of the screen height (0-1)`);
+        }
+        if (!Array.isArray(layer?.elements) || layer.elements.length === 0) {
+            errors.push(`${label}: elements must be a non-empty array`);
+            return;
+        }
+        layer.elements.forEach((element, i) => {
+            if (!isEmoji(element?.emoji) || !(element.scale > 0) || !(element.spacing > 0)) {
+                errors.push(`${label}: element ${i} needs an emoji and a positive scale and spacing`);
+            }
+        });
+    });
+}
+
+// Returns a list of problems with a pack manifest, empty when it is usable
+export function validateThemePack(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['theme pack must be an object'];
+    }
+
+    const errors = [];
+    if (data.version !== THEME_PACK_VERSION) {
+        errors.push(`unsupported theme pack version ${data.version} (expected ${THEME_PACK_VERSION})`);
+    }
+    if (typeof data.id !== 'string' || !/^[a-z0-9_]+$/.test(data.id)) {
+        errors.push('id must be lowercase letters, numbers or _');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name is required');
+    }
+
+    for (const group of ['colors', 'sky']) {
+        const required = group === 'colors' ? ['primary', 'secondary', 'accent'] : ['top', 'bottom', 'ground', 'horizon'];
+        const missing = required.filter(key => !isColor(data[group]?.[key]));
+        if (missing.length > 0) {
+            errors.push(`${group} needs #RRGGBB values for ${missing.join(', ')}`);
+        }
+    }
+
+    validateLayers(data.layers, errors);
+
+    const clouds = data.clouds;
+    if (!clouds || !Array.isArray(clouds.emoji) || clouds.emoji.length === 0 || !clouds.emoji.every(isEmoji)) {
+        errors.push('clouds.emoji must be a non-empty array of emoji');
+    }
+    if (!Number.isInteger(clouds?.count) || clouds.count < 0) {
+        errors.push('clouds.count must be a non-negative integer');
+    }
+    const alpha = clouds?.alpha;
+    if (!Array.isArray(alpha) || alpha.length !== 2 || !(alpha[0] >= 0 && alpha[0] <= alpha[1] && alpha[1] <= 1)) {
+        errors.push('clouds.alpha must be a [min, max] range within 0-1');
+    }
+
+    const collectibles = data.collectibles;
+    if (!collectibles || typeof collectibles !== 'object' || Array.isArray(collectibles)) {
+        errors.push('collectibles must map item ids or textures to emoji');
+    } else {
+        Object.entries(collectibles)
+            .filter(([, emoji]) => !isEmoji(emoji))
+            .forEach(([target]) => errors.push(`collectibles.${target} must be an emoji`));
+    }
+
+    if (data.music !== undefined && (typeof data.music !== 'string' || !/^[\w-]+\.(mp3|ogg)$/.test(data.music))) {
+        errors.push('music must be an .mp3 or .ogg file name');
+    }
+    if (!Array.isArray(data.particles) || data.particles.length === 0 || !data.particles.every(isColor)) {
+        errors.push('particles must be a non-empty array of #RRGGBB colors');
+    }
+
+    return errors;
+}
+
+export default class ThemePack {
+    constructor(data) {
+        const errors = validateThemePack(data);
+        if (errors.length > 0) {
+            throw new ThemePackError(errors);
+        }
+
+        this.version = data.version;
+        this.id = data.id;
+        this.name = data.name;
+        this.colors = Object.freeze({ ...data.colors });
+        this.sky = Object.freeze(Object.fromEntries(
+            ['top', 'bottom', 'ground', 'horizon'].map(key => [key, toColor(data.sky[key])])
+        ));
+        this.layers = data.layers.map(layer => Object.freeze({
+            ...layer,
+            elements: layer.elements.map(element => Object.freeze({ ...element }))
+        }));
+        this.clouds = Object.freeze({ ...data.clouds, emoji: [...data.clouds.emoji] });
+        this.collectibles = Object.freeze({ ...data.collectibles });
+        this.music = data.music || null;
+        this.particleTints = data.particles.map(toColor);
+    }
+
+    textureKey(target) {
+        return `theme_${this.id}_${target}`;
+    }
+
+    // Texture to draw an item with - an override for its id beats one for its texture
+    getCollectibleTexture(item) {
+        if (this.collectibles[item.id]) return this.textureKey(item.id);
+        if (this.collectibles[item.texture]) return this.textureKey(item.texture);
+        return item.texture;
+    }
+
+    // Draw the override emoji as textures; ones already drawn are kept
+    createTextures(scene) {
+        Object.entries(this.collectibles).forEach(([target, emoji]) => {
+            const key = this.textureKey(target);
+            if (scene.textures.exists(key)) return;
+
+            const rt = scene.add.renderTexture(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+            const text = scene.add.text(TEXTURE_SIZE / 2, TEXTURE_SIZE / 2, emoji, {
+                fontSize: Math.floor(TEXTURE_SIZE * 0.8) + 'px',
+                align: 'center'
+            }).setOrigin(0.5);
+
+            rt.draw(text);
+            rt.saveTexture(key);
+            text.destroy();
+            rt.destroy();
+        });
+    }
+}
+
+// The pack for `id` if the scene's JSON cache holds a valid one, else null
+export function readThemePack(scene, id) {
+    const data = scene.cache.json.get(themePackKey(id));
+    if (!data) return null;
+
+    try {
+        return new ThemePack(data);
+    } catch (error) {
+        console.error(`❌ Theme pack ${id} is invalid:`, error.errors || error.message);
+        return null;
+    }
+}
+
+// Fetch a pack through the scene's loader (once - later calls read the JSON
+// cache). Resolves null when it can't be loaded, so callers keep the default look.
+export function loadThemePack(scene, id) {
+    if (scene.cache.json.exists(themePackKey(id))) {
+        return Promise.resolve(readThemePack(scene, id));
+    }
+
+    return new Promise(resolve => {
+        scene.load.json(themePackKey(id), themePackUrl(id));
+        scene.load.once('complete', () => resolve(readThemePack(scene, id)));
+        scene.load.start();
+    });
+}